@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+const { createServer } = require('../server');
+const { run } = require('../bin/querystore');
+
+describe('querystore CLI', () => {
+    let db;
+    let server;
+    let url;
+    let tmp;
+
+    // Runs one command against the test server; resolves to { code, stdout, stderr }
+    const cli = async (args, { stdin = '' } = {}) => {
+        let stdout = '';
+        let stderr = '';
+        const code = await run([...args, '--url', url], {
+            stdin: Readable.from([stdin]),
+            stdout: { write: (text) => { stdout += text; } },
+            stderr: { write: (text) => { stderr += text; } },
+            env: { QUERYSTORE_CONFIG: path.join(tmp, 'config.json') },
+            prompt: async (question) => (question.startsWith('Username') ? 'cliuser' : 'password123'),
+        });
+        return { code, stdout, stderr };
+    };
+
+    beforeAll(async () => {
+        let listener;
+        ({ listener, db } = await createServer({ database: ':memory:', jwtSecret: 'test-secret' }));
+        server = http.createServer(listener);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'querystore-cli-'));
+
+        await fetch(`${url}/api/signup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'cliuser', password: 'password123' }),
+        });
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        db.close();
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('should ask to sign in first', async () => {
+        const res = await cli(['list']);
+        expect(res.code).toEqual(1);
+        expect(res.stderr).toMatch(/querystore login/);
+    });
+
+    it('should sign in with an access token and manage queries', async () => {
+        const login = await cli(['login']);
+        expect(login.code).toEqual(0);
+        const config = JSON.parse(fs.readFileSync(path.join(tmp, 'config.json'), 'utf8'));
+        expect(config.token).toMatch(/^qs_/);
+
+        const added = await cli(['add', '-', '--title', 'Daily revenue', '--tag', 'billing', '--tag', 'Reports'], {
+            stdin: 'SELECT day, SUM(amount) FROM payments GROUP BY day\n',
+        });
+        expect(added.code).toEqual(0);
+        const id = added.stdout.trim();
+
+        const listed = await cli(['list', '--tag', 'reports']);
+        expect(listed.stdout).toEqual(`${id}\tDaily revenue\tbilling,reports\tstandard\n`);
+
+        const sql = await cli(['get', id]);
+        expect(sql.stdout).toEqual('SELECT day, SUM(amount) FROM payments GROUP BY day\n');
+
+        const edited = await cli(['edit', id, '--tag', 'finance']);
+        expect(edited.code).toEqual(0);
+        const found = await cli(['search', 'revenue', '--json']);
+        expect(JSON.parse(found.stdout).map(q => q.tags)).toEqual([['finance']]);
+
+        const shared = await cli(['share', id, '--expires', '7d']);
+        expect(shared.stdout).toMatch(new RegExp(`^${url}/share\\.html\\?id=\\w+\\n$`));
+
+        const invalid = await cli(['add', '-', '--title', ''], { stdin: 'SELECT 1' });
+        expect(invalid.code).toEqual(1);
+    });
+
+    it('should sync a directory of .sql files both ways', async () => {
+        const dir = path.join(tmp, 'queries');
+        const pulled = await cli(['sync', dir]);
+        expect(pulled.stdout).toEqual('pulled   daily-revenue.sql\n');
+        const file = path.join(dir, 'daily-revenue.sql');
+        expect(fs.readFileSync(file, 'utf8')).toMatch(/^-- name: Daily revenue\n-- tags: finance\n/);
+
+        // A local change is pushed, a new file is created on the server
+        fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('SUM(amount)', 'SUM(amount) AS total'));
+        fs.writeFileSync(path.join(dir, 'new.sql'), '-- name: Refunds\nSELECT * FROM refunds WHERE amount < 0\n');
+        const pushed = await cli(['sync', dir]);
+        expect(pushed.stdout.split('\n').filter(Boolean).sort()).toEqual(['pushed   daily-revenue.sql', 'pushed   new.sql']);
+        expect((await cli(['search', 'total', '--json'])).stdout).toMatch(/AS total/);
+
+        // Changes on both sides are left alone
+        const [remote] = JSON.parse((await cli(['search', 'refunds', '--json'])).stdout);
+        await cli(['edit', String(remote._id), '--title', 'Refunds', '--tag', 'server']);
+        fs.appendFileSync(path.join(dir, 'new.sql'), '-- local note\n');
+        const conflict = await cli(['sync', dir]);
+        expect(conflict.stdout).toEqual('conflict new.sql\n');
+
+        const resolved = await cli(['sync', dir, '--pull']);
+        expect(resolved.stdout).toEqual('pulled   new.sql\n');
+        expect(fs.readFileSync(path.join(dir, 'new.sql'), 'utf8')).toMatch(/-- tags: server/);
+    });
+
+    it('should report a damaged sync state instead of crashing', async () => {
+        const dir = path.join(tmp, 'damaged');
+        fs.mkdirSync(dir);
+        fs.writeFileSync(path.join(dir, '.querystore-sync.json'), '{"queries": {');
+        const res = await cli(['sync', dir]);
+        expect(res.code).toEqual(1);
+        expect(res.stderr).toMatch(/^querystore: .*\.querystore-sync\.json is not valid JSON \(.+\)\. Fix or delete it and try again\.\n$/);
+    });
+});
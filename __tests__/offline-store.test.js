@@ -0,0 +1,87 @@
+const OfflineStore = require('../offline-store');
+
+const query = (id, fields = {}) => ({
+    _id: id,
+    title: `Query ${id}`,
+    text: 'SELECT 1',
+    tags: [],
+    params: [],
+    dialect: 'standard',
+    folder_id: null,
+    created_at: `2024-01-0${id} 10:00:00`,
+    ...fields,
+});
+
+describe('OfflineStore.filterQueries', () => {
+    const queries = [
+        query('1', { title: 'Active users', tags: ['users', 'daily'], dialect: 'postgresql', folder_id: 1 }),
+        query('2', { text: 'SELECT * FROM users', tags: ['users'], use_count: 5 }),
+        query('3', { title: 'Revenue', tags: ['billing'], pinned: true, folder_id: 2 }),
+    ];
+    const ids = (filters) => OfflineStore.filterQueries(queries, filters).map(q => q._id);
+
+    it('should list pinned queries first, then the newest', () => {
+        expect(ids()).toEqual(['3', '2', '1']);
+        expect(ids({ sort: 'most_used' })).toEqual(['3', '2', '1']);
+        expect(ids({ sort: 'title' })).toEqual(['3', '1', '2']);
+    });
+
+    it('should search titles, SQL and tags and rank title matches first', () => {
+        expect(ids({ q: 'USERS' })).toEqual(['1', '2']);
+        expect(ids({ q: 'users daily' })).toEqual(['1']);
+    });
+
+    it('should filter by all or any tags, dialect and folder', () => {
+        expect(ids({ tags: ['users', 'daily'] })).toEqual(['1']);
+        expect(ids({ tags: ['daily', 'billing'], match: 'any' })).toEqual(['3', '1']);
+        expect(ids({ dialect: 'postgresql' })).toEqual(['1']);
+        expect(ids({ folderIds: new Set([2]) })).toEqual(['3']);
+    });
+
+    it('should count tags and dialects like the API', () => {
+        expect(OfflineStore.tagCounts(queries)).toEqual([
+            { tag: 'users', count: 2 },
+            { tag: 'billing', count: 1 },
+            { tag: 'daily', count: 1 },
+        ]);
+        expect(OfflineStore.dialectCounts(queries)).toEqual([
+            { dialect: 'standard', count: 2 },
+            { dialect: 'postgresql', count: 1 },
+        ]);
+    });
+});
+
+describe('OfflineStore outbox', () => {
+    const base = OfflineStore.snapshot(query('1'));
+
+    it('should merge changes to the same query', () => {
+        const add = { id: 1, type: 'add', queryId: 'local-1', data: { title: 'New', text: 'SELECT 1' } };
+        expect(OfflineStore.mergeChange(add, { type: 'edit', queryId: 'local-1', data: { title: 'Renamed' } }))
+            .toEqual({ ...add, data: { title: 'Renamed', text: 'SELECT 1' } });
+        expect(OfflineStore.mergeChange(add, { type: 'delete', queryId: 'local-1' })).toBeNull();
+
+        const edit = { id: 2, type: 'edit', queryId: '1', data: { title: 'First' }, base };
+        expect(OfflineStore.mergeChange(edit, { type: 'edit', queryId: '1', data: { title: 'Second' }, base: null }))
+            .toEqual({ id: 2, type: 'edit', queryId: '1', data: { title: 'Second' }, base });
+        expect(OfflineStore.mergeChange(edit, { type: 'delete', queryId: '1', base: null }))
+            .toEqual({ id: 2, type: 'delete', queryId: '1', base });
+    });
+
+    it('should apply pending changes to the mirrored library', () => {
+        const createdAt = Date.UTC(2024, 0, 5, 12);
+        const queries = OfflineStore.applyChanges([query('1'), query('2')], [
+            { type: 'add', queryId: 'local-1', data: { title: 'New', text: 'SELECT 2', tags: ['x'], folderId: 3, workspaceId: null }, createdAt },
+            { type: 'edit', queryId: '1', data: { title: 'Edited', text: 'SELECT 1', tags: [], params: [] }, createdAt },
+            { type: 'delete', queryId: '2', createdAt },
+        ]);
+        expect(queries.map(q => [q._id, q.title, !!q.unsynced])).toEqual([['local-1', 'New', true], ['1', 'Edited', true]]);
+        expect(queries[0]).toMatchObject({ folder_id: 3, created_at: '2024-01-05 12:00:00', tags: ['x'] });
+        expect(queries[1].dialect).toBe('standard');
+    });
+
+    it('should compare queries by their editable content only', () => {
+        const server = { ...query('1', { tags: ['b', 'a'], use_count: 3, updated_at: '2024-02-01 00:00:00' }) };
+        expect(OfflineStore.sameContent(server, { ...query('1'), tags: ['a', 'b'] })).toBe(true);
+        expect(OfflineStore.sameContent(server, { ...query('1'), tags: ['a', 'b'], text: 'SELECT 2' })).toBe(false);
+    });
+});
@@ -0,0 +1,91 @@
+const QueryBundle = require('../query-bundle');
+
+const queries = [
+    {
+        title: 'Active users',
+        text: 'SELECT * FROM users WHERE last_seen > :since',
+        tags: ['users', 'reporting'],
+        dialect: 'postgresql',
+        params: [{ name: 'since', type: 'date', default: '', description: 'First day' }],
+        createdAt: '2026-02-24 09:37:22',
+        share: null,
+    },
+    {
+        title: 'Revenue',
+        text: 'SELECT SUM(total) FROM orders;',
+        tags: [],
+        dialect: null,
+        params: [],
+        createdAt: null,
+        share: null,
+    },
+];
+
+describe('QueryBundle.serialize', () => {
+    it('should write yesql-style headers in the sql format', () => {
+        expect(QueryBundle.serialize(queries, 'sql')).toBe([
+            '-- name: Active users',
+            '-- tags: users, reporting',
+            '-- dialect: postgresql',
+            '-- created: 2026-02-24T09:37:22.000Z',
+            '-- param: since {"type":"date","default":"","description":"First day"}',
+            'SELECT * FROM users WHERE last_seen > :since',
+            '',
+            '-- name: Revenue',
+            'SELECT SUM(total) FROM orders;',
+            '',
+        ].join('\n'));
+    });
+
+    it('should read back what it wrote in both formats', () => {
+        const expected = queries.map(q => ({ ...q, createdAt: q.createdAt && '2026-02-24T09:37:22.000Z' }));
+        for (const format of QueryBundle.FORMATS) {
+            expect(QueryBundle.parse(QueryBundle.serialize(queries, format), format)).toEqual({ queries: expected, errors: [] });
+        }
+    });
+});
+
+describe('QueryBundle.parse', () => {
+    it('should accept a bare JSON array and report unreadable entries', () => {
+        const { queries: parsed, errors } = QueryBundle.parse(JSON.stringify([
+            { title: ' Churn ', text: 'SELECT 1', tags: 'Retention, KPI, retention', dialect: 'SQLite' },
+            { title: 'No SQL' },
+            'not a query',
+        ]), 'json');
+        expect(parsed).toEqual([{ title: 'Churn', text: 'SELECT 1', tags: ['retention', 'kpi'], dialect: 'sqlite', params: [], createdAt: null, share: null }]);
+        expect(errors).toEqual([
+            { index: 1, message: '"No SQL" has no SQL text.' },
+            { index: 2, message: 'Entry is not an object.' },
+        ]);
+        expect(QueryBundle.parse('{', 'json').errors[0].message).toMatch(/^Invalid JSON/);
+    });
+
+    it('should report SQL before the first header and unreadable headers', () => {
+        const { queries: parsed, errors } = QueryBundle.parse([
+            'SELECT 0;',
+            '-- name: Broken param',
+            '-- param: since {not json}',
+            'SELECT :since',
+        ].join('\n'), 'sql');
+        expect(parsed.map(q => q.title)).toEqual(['Broken param']);
+        expect(errors).toEqual([
+            { index: 0, message: 'Could not read "-- param:" header of "Broken param".' },
+            { index: null, message: 'SQL before the first "-- name:" header was ignored.' },
+        ]);
+    });
+
+    it('should apply the limits of the API to every entry', () => {
+        const { queries: parsed, errors } = QueryBundle.parse(JSON.stringify([
+            { title: 'x'.repeat(5000), text: 'SELECT 1' },
+            { title: 'Many tags', text: 'SELECT 1', tags: Array.from({ length: 51 }, (_, i) => `tag${i}`) },
+            { title: 'Long tag', text: 'SELECT 1', tags: ['t'.repeat(41)] },
+            { title: 'Fine', text: 'SELECT 1' },
+        ]), 'json');
+        expect(parsed.map(q => q.title)).toEqual(['Fine']);
+        expect(errors.map(e => [e.index, e.message])).toEqual([
+            [0, `"${'x'.repeat(50)}…": Title must be at most 200 characters long.`],
+            [1, '"Many tags": At most 20 tags are allowed.'],
+            [2, `"Long tag": Tag "${'t'.repeat(20)}…" is longer than 40 characters.`],
+        ]);
+    });
+});
@@ -0,0 +1,51 @@
+const QueryMerge = require('../query-merge');
+
+const lines = (...rows) => rows.join('\n');
+
+describe('QueryMerge.mergeText', () => {
+    const base = lines('SELECT id,', '  name', 'FROM users', 'WHERE active = 1', 'ORDER BY id');
+
+    it('should combine changes made to different lines', () => {
+        const mine = lines('SELECT id,', '  name,', '  email', 'FROM users', 'WHERE active = 1', 'ORDER BY id');
+        const theirs = lines('SELECT id,', '  name', 'FROM users', 'WHERE active = 1', 'ORDER BY id DESC');
+        expect(QueryMerge.mergeText(base, mine, theirs)).toEqual({
+            text: lines('SELECT id,', '  name,', '  email', 'FROM users', 'WHERE active = 1', 'ORDER BY id DESC'),
+            conflicts: 0,
+        });
+    });
+
+    it('should take identical changes once', () => {
+        const both = base.replace('active = 1', 'active');
+        expect(QueryMerge.mergeText(base, both, both)).toEqual({ text: both, conflicts: 0 });
+    });
+
+    it('should mark lines both sides changed differently', () => {
+        const mine = base.replace('active = 1', 'active = 0');
+        const theirs = base.replace('active = 1', 'deleted_at IS NULL');
+        expect(QueryMerge.mergeText(base, mine, theirs)).toEqual({
+            text: lines('SELECT id,', '  name', 'FROM users',
+                '<<<<<<< yours', 'WHERE active = 0', '=======', 'WHERE deleted_at IS NULL', '>>>>>>> saved',
+                'ORDER BY id'),
+            conflicts: 1,
+        });
+    });
+});
+
+describe('QueryMerge.mergeQuery', () => {
+    const base = { title: 'Users', text: 'SELECT 1', tags: ['users', 'daily'], params: [], dialect: 'standard' };
+
+    it('should take each field from the side that changed it', () => {
+        const mine = { ...base, title: 'Active users', tags: ['users', 'daily', 'kpi'] };
+        const theirs = { ...base, text: 'SELECT 2', tags: ['users'], dialect: 'postgresql' };
+        expect(QueryMerge.mergeQuery(base, mine, theirs)).toEqual({
+            query: { title: 'Active users', text: 'SELECT 2', tags: ['users', 'kpi'], params: [], dialect: 'postgresql' },
+            conflicts: [],
+        });
+    });
+
+    it('should keep my value for fields both sides changed', () => {
+        const { query, conflicts } = QueryMerge.mergeQuery(base, { ...base, title: 'Mine' }, { ...base, title: 'Theirs' });
+        expect(query.title).toBe('Mine');
+        expect(conflicts).toEqual(['title']);
+    });
+});
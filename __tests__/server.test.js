@@ -1,78 +1,952 @@
 const request = require('supertest');
-const { app, mongoose, server } = require('../server');
-const User = mongoose.model('User');
+const { createServer } = require('../server');
+
+let app;
+let db;
+
+const signup = (username, password) => request(app)
+    .post('/api/signup')
+    .send({ username, password });
 
 describe('Auth API', () => {
-    // Close the server and database connection after all tests
-    afterAll(async () => {
-        await server.close();
-        await mongoose.connection.close();
+    // Each describe block gets a fresh, fully migrated in-memory database
+    beforeAll(async () => {
+        ({ listener: app, db } = await createServer({ database: ':memory:', jwtSecret: 'test-secret' }));
+    });
+
+    afterAll(() => {
+        db.close();
     });
 
     // Clean up the database before each test
     beforeEach(async () => {
-        await User.deleteMany({});
+        await db.prepare('DELETE FROM users').run();
+        await db.prepare('DELETE FROM rate_limits').run();
     });
 
-    describe('POST /signup', () => {
+    describe('POST /api/signup', () => {
         it('should create a new user', async () => {
-            const res = await request(app)
-                .post('/signup')
-                .send({
-                    username: 'testuser',
-                    passwordHash: 'password123'
-                });
+            const res = await signup('testuser', 'password123');
             expect(res.statusCode).toEqual(201);
             expect(res.body.message).toBe('User created successfully.');
         });
 
         it('should not create a user that already exists', async () => {
-            await new User({ username: 'testuser', passwordHash: 'password123' }).save();
-            const res = await request(app)
-                .post('/signup')
-                .send({
-                    username: 'testuser',
-                    passwordHash: 'password123'
-                });
+            await signup('testuser', 'password123');
+            const res = await signup('testuser', 'password123');
             expect(res.statusCode).toEqual(409);
+            expect(res.body.error.code).toBe('conflict');
+            expect(res.body.error.fields.username).toEqual(expect.any(String));
+        });
+
+        it('should reject invalid fields with field-level errors', async () => {
+            const res = await signup('a', 'short');
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error.code).toBe('validation_failed');
+            expect(Object.keys(res.body.error.fields).sort()).toEqual(['password', 'username']);
+        });
+
+        it('should reject a body that is not JSON', async () => {
+            const res = await request(app)
+                .post('/api/signup')
+                .set('Content-Type', 'application/json')
+                .send('{"username":');
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error.code).toBe('invalid_json');
+        });
+
+        it('should throttle repeated signups from one address', async () => {
+            for (let i = 0; i < 10; i++) await signup(`user${i}`, 'short');
+            const res = await signup('user10', 'password123');
+            expect(res.statusCode).toEqual(429);
+            expect(res.body.error.code).toBe('rate_limited');
+            expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
         });
     });
 
-    describe('POST /login', () => {
+    describe('POST /api/login', () => {
         beforeEach(async () => {
             // Create a user to test login
-            await new User({ username: 'testuser', passwordHash: 'password123' }).save();
+            await signup('testuser', 'password123');
         });
 
         it('should login a user with correct credentials', async () => {
             const res = await request(app)
-                .post('/login')
+                .post('/api/login')
                 .send({
                     username: 'testuser',
-                    passwordHash: 'password123'
+                    password: 'password123'
                 });
             expect(res.statusCode).toEqual(200);
-            expect(res.body.message).toBe('Login successful.');
+            expect(res.body.user.username).toBe('testuser');
+            expect(res.body.token).toEqual(expect.any(String));
+            expect(res.body.refreshToken).toEqual(expect.any(String));
         });
 
         it('should not login a user with incorrect credentials', async () => {
             const res = await request(app)
-                .post('/login')
+                .post('/api/login')
                 .send({
                     username: 'testuser',
-                    passwordHash: 'wrongpassword'
+                    password: 'wrongpassword'
                 });
             expect(res.statusCode).toEqual(401);
         });
 
         it('should not login a user that does not exist', async () => {
+            // Same answer as a wrong password, so usernames cannot be probed
             const res = await request(app)
-                .post('/login')
+                .post('/api/login')
                 .send({
                     username: 'nonexistentuser',
-                    passwordHash: 'password123'
+                    password: 'password123'
                 });
-            expect(res.statusCode).toEqual(404);
+            expect(res.statusCode).toEqual(401);
+        });
+
+        it('should lock an account after repeated failures', async () => {
+            const login = (password) => request(app).post('/api/login').send({ username: 'testuser', password });
+            for (let i = 0; i < 4; i++) {
+                expect((await login('wrongpassword')).statusCode).toEqual(401);
+            }
+
+            const locked = await login('wrongpassword');
+            expect(locked.statusCode).toEqual(429);
+            expect(locked.body.error.code).toBe('account_locked');
+            expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+            expect(Number(locked.headers['retry-after'])).toBeLessThanOrEqual(60);
+
+            // Even the right password is refused until the lockout ends
+            expect((await login('password123')).statusCode).toEqual(429);
+        });
+    });
+
+    describe('Sessions', () => {
+        const login = () => request(app).post('/api/login').send({ username: 'testuser', password: 'password123' });
+        const refresh = (refreshToken) => request(app).post('/api/refresh').send({ refreshToken });
+
+        beforeEach(async () => {
+            await signup('testuser', 'password123');
+        });
+
+        it('should rotate the refresh token on every refresh', async () => {
+            const session = await login();
+            const res = await refresh(session.body.refreshToken);
+            expect(res.statusCode).toEqual(200);
+            expect(res.body).toEqual({ token: expect.any(String), refreshToken: expect.any(String), user: { username: 'testuser' } });
+            expect(res.body.refreshToken).not.toEqual(session.body.refreshToken);
+
+            const account = await request(app).get('/api/account').set('Authorization', `Bearer ${res.body.token}`);
+            expect(account.statusCode).toEqual(200);
+            expect((await refresh(res.body.refreshToken)).statusCode).toEqual(200);
+        });
+
+        it('should revoke the session when a rotated refresh token is used again', async () => {
+            const session = await login();
+            const rotated = await refresh(session.body.refreshToken);
+
+            // Within the grace period a replay is refused but the session lives on
+            const replay = await refresh(session.body.refreshToken);
+            expect(replay.statusCode).toEqual(401);
+            expect(replay.body.error.message).toMatch(/already been used/);
+            const second = await refresh(rotated.body.refreshToken);
+            expect(second.statusCode).toEqual(200);
+
+            // After it, the replay is treated as a stolen token
+            await db.prepare("UPDATE sessions SET rotated_at = datetime('now', '-1 hour')").run();
+            expect((await refresh(rotated.body.refreshToken)).statusCode).toEqual(401);
+            expect((await refresh(second.body.refreshToken)).statusCode).toEqual(401);
+            const account = await request(app).get('/api/account').set('Authorization', `Bearer ${second.body.token}`);
+            expect(account.statusCode).toEqual(401);
+
+            // Other sessions of the same user are not affected
+            expect((await refresh((await login()).body.refreshToken)).statusCode).toEqual(200);
+        });
+
+        it('should invalidate the refresh token on logout', async () => {
+            const session = await login();
+            const res = await request(app).post('/api/logout').send({ refreshToken: session.body.refreshToken });
+            expect(res.statusCode).toEqual(200);
+            expect((await refresh(session.body.refreshToken)).statusCode).toEqual(401);
+            const account = await request(app).get('/api/account').set('Authorization', `Bearer ${session.body.token}`);
+            expect(account.statusCode).toEqual(401);
+        });
+    });
+
+    describe('Account settings', () => {
+        const login = (username, password = 'password123') => request(app).post('/api/login').send({ username, password });
+
+        it('should change the password and sign out other devices', async () => {
+            await signup('testuser', 'password123');
+            const here = await login('testuser');
+            const elsewhere = await login('testuser');
+            const auth = { Authorization: `Bearer ${here.body.token}` };
+
+            const wrong = await request(app).put('/api/account/password').set(auth)
+                .send({ currentPassword: 'wrongpassword', newPassword: 'newpassword1' });
+            expect(wrong.statusCode).toEqual(400);
+            expect(wrong.body.error.fields).toEqual({ currentPassword: expect.any(String) });
+
+            const res = await request(app).put('/api/account/password').set(auth)
+                .send({ currentPassword: 'password123', newPassword: 'newpassword1' });
+            expect(res.statusCode).toEqual(200);
+            expect((await request(app).get('/api/account').set(auth)).statusCode).toEqual(200);
+            const refreshed = await request(app).post('/api/refresh').send({ refreshToken: elsewhere.body.refreshToken });
+            expect(refreshed.statusCode).toEqual(401);
+            expect((await login('testuser')).statusCode).toEqual(401);
+            expect((await login('testuser', 'newpassword1')).statusCode).toEqual(200);
+        });
+
+        it('should rename the account unless the name is taken', async () => {
+            await signup('testuser', 'password123');
+            await signup('other', 'password123');
+            const auth = { Authorization: `Bearer ${(await login('testuser')).body.token}` };
+
+            const taken = await request(app).put('/api/account/username').set(auth).send({ username: 'other' });
+            expect(taken.statusCode).toEqual(409);
+            expect(taken.body.error.fields.username).toEqual(expect.any(String));
+
+            const res = await request(app).put('/api/account/username').set(auth).send({ username: 'renamed' });
+            expect(res.statusCode).toEqual(200);
+            const account = await request(app).get('/api/account').set({ Authorization: `Bearer ${res.body.token}` });
+            expect(account.body.username).toEqual('renamed');
+            expect((await login('renamed')).statusCode).toEqual(200);
+        });
+
+        it('should delete the account and hand shared queries to another owner', async () => {
+            await signup('testuser', 'password123');
+            await signup('teammate', 'password123');
+            const auth = { Authorization: `Bearer ${(await login('testuser')).body.token}` };
+            const teammate = { Authorization: `Bearer ${(await login('teammate')).body.token}` };
+
+            const workspace = await request(app).post('/api/workspaces').set(auth).send({ name: 'Team' });
+            await request(app).post(`/api/workspaces/${workspace.body._id}/invitations`).set(auth).send({ username: 'teammate', role: 'editor' });
+            const [invitation] = (await request(app).get('/api/invitations').set(teammate)).body;
+            await request(app).post(`/api/invitations/${invitation._id}/accept`).set(teammate);
+            await request(app).post('/api/queries').set(auth).send({ title: 'Mine', text: 'SELECT 1', tags: ['private'] });
+            await request(app).post('/api/queries').set(auth).send({ title: 'Shared', text: 'SELECT 2', workspaceId: workspace.body._id });
+            await request(app).post('/api/tokens').set(auth).send({ name: 'Script', scopes: ['read'] });
+
+            // The workspace would be left without an owner
+            const blocked = await request(app).delete('/api/account').set(auth).send({ password: 'password123' });
+            expect(blocked.statusCode).toEqual(409);
+            expect(blocked.body.error.message).toMatch(/"Team"/);
+
+            const { members } = (await request(app).get(`/api/workspaces/${workspace.body._id}/members`).set(auth)).body;
+            const member = members.find(m => m.username === 'teammate');
+            await request(app).put(`/api/workspaces/${workspace.body._id}/members/${member._id}`).set(auth).send({ role: 'owner' });
+
+            const res = await request(app).delete('/api/account').set(auth).send({ password: 'password123' });
+            expect(res.statusCode).toEqual(200);
+            expect((await request(app).get('/api/queries').set(auth)).statusCode).toEqual(401);
+            expect((await login('testuser')).statusCode).toEqual(401);
+
+            const shared = await request(app).get(`/api/queries?workspace=${workspace.body._id}`).set(teammate);
+            expect(shared.body.queries.map(q => q.title)).toEqual(['Shared']);
+            const remaining = await db.prepare(`
+                SELECT (SELECT COUNT(*) FROM queries WHERE title = 'Mine') as queries,
+                       (SELECT COUNT(*) FROM query_tags WHERE tag = 'private') as tags,
+                       (SELECT COUNT(*) FROM access_tokens) as tokens
+            `).first();
+            expect(remaining).toEqual({ queries: 0, tags: 0, tokens: 0 });
+        });
+    });
+});
+
+describe('Queries API', () => {
+    let token;
+
+    beforeAll(async () => {
+        ({ listener: app, db } = await createServer({ database: ':memory:', jwtSecret: 'test-secret' }));
+        await signup('testuser', 'password123');
+        const res = await request(app).post('/api/login').send({ username: 'testuser', password: 'password123' });
+        token = res.body.token;
+    });
+
+    afterAll(() => {
+        db.close();
+    });
+
+    it('should reject requests without a token', async () => {
+        const res = await request(app).get('/api/queries');
+        expect(res.statusCode).toEqual(401);
+    });
+
+    it('should save a query and find it by full-text search', async () => {
+        const created = await request(app)
+            .post('/api/queries')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Active users', text: 'SELECT * FROM users WHERE active = :active', tags: ['users'] });
+        expect(created.statusCode).toEqual(201);
+        expect(created.body.params.map(p => p.name)).toEqual(['active']);
+
+        const res = await request(app)
+            .get('/api/queries?q=active')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.queries.map(q => q.title)).toEqual(['Active users']);
+        expect(res.body.queries[0].tags).toEqual(['users']);
+    });
+
+    it('should page through queries with a cursor, pinned ones first', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const ids = [];
+        for (const title of ['Page one', 'Page two', 'Page three', 'Page four', 'Page five']) {
+            const created = await request(app).post('/api/queries').set(auth).send({ title, text: 'SELECT 1', tags: ['paged'] });
+            ids.push(created.body._id);
+        }
+        // The oldest query is pinned, so it comes before the newest one
+        await request(app).put(`/api/queries/${ids[0]}/pin`).set(auth);
+
+        const pages = [];
+        let cursor = null;
+        do {
+            const res = await request(app)
+                .get('/api/queries')
+                .query({ tag: 'paged', limit: 2, ...(cursor && { cursor }) })
+                .set(auth);
+            expect(res.statusCode).toEqual(200);
+            pages.push(res.body.queries.map(q => q.title));
+            cursor = res.body.nextCursor;
+        } while (cursor);
+        expect(pages).toEqual([
+            ['Page one', 'Page five'],
+            ['Page four', 'Page three'],
+            ['Page two'],
+        ]);
+        await request(app).delete(`/api/queries/${ids[0]}/pin`).set(auth);
+
+        for (const invalid of ['not a cursor', Buffer.from('{"offset":-2}').toString('base64')]) {
+            const res = await request(app).get('/api/queries').query({ cursor: invalid }).set(auth);
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error.fields).toEqual({ cursor: expect.any(String) });
+        }
+    });
+
+    it('should return lint warnings without blocking the save', async () => {
+        const res = await request(app)
+            .post('/api/queries')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Purge', text: 'DELETE FROM sessions' });
+        expect(res.statusCode).toEqual(201);
+        expect(res.body.warnings.map(w => w.code)).toEqual(['delete_without_where']);
+    });
+
+    it('should detect the dialect unless one is given and filter by it', async () => {
+        const detected = await request(app)
+            .post('/api/queries')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Recent signups', text: "SELECT id FROM users WHERE name ILIKE 'a%'" });
+        expect(detected.body.dialect).toEqual('postgresql');
+
+        const chosen = await request(app)
+            .post('/api/queries')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Top users', text: 'SELECT id FROM users', dialect: 'tsql' });
+        expect(chosen.body.dialect).toEqual('tsql');
+
+        const res = await request(app)
+            .get('/api/queries?dialect=postgresql')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.body.queries.map(q => [q.title, q.dialect])).toEqual([['Recent signups', 'postgresql']]);
+
+        const dialects = await request(app)
+            .get('/api/dialects')
+            .set('Authorization', `Bearer ${token}`);
+        expect(dialects.body).toEqual(expect.arrayContaining([{ dialect: 'tsql', count: 1 }]));
+
+        const invalid = await request(app)
+            .post('/api/queries')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'Oracle', text: 'SELECT 1 FROM dual', dialect: 'oracle' });
+        expect(invalid.statusCode).toEqual(400);
+        expect(invalid.body.error.fields).toEqual({ dialect: expect.any(String) });
+    });
+
+    it('should list pinned queries first and sort by use', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const create = async (title) => (await request(app).post('/api/queries').set(auth).send({ title, text: 'SELECT 1' })).body._id;
+        const daily = await create('Daily report');
+        const weekly = await create('Weekly report');
+
+        await request(app).post(`/api/queries/${weekly}/uses`).set(auth).send({ event: 'copy' });
+        const used = await request(app).post(`/api/queries/${weekly}/uses`).set(auth);
+        expect(used.body.useCount).toEqual(2);
+
+        const mostUsed = await request(app).get('/api/queries?sort=most_used').set(auth);
+        expect(mostUsed.body.queries[0].title).toEqual('Weekly report');
+
+        const pin = await request(app).put(`/api/queries/${daily}/pin`).set(auth);
+        expect(pin.body).toEqual({ pinned: true });
+        const pinned = await request(app).get('/api/queries?sort=most_used').set(auth);
+        expect(pinned.body.queries.slice(0, 2).map(q => [q.title, q.pinned])).toEqual([
+            ['Daily report', true],
+            ['Weekly report', false],
+        ]);
+
+        await request(app).delete(`/api/queries/${daily}/pin`).set(auth);
+        const unpinned = await request(app).get('/api/queries?sort=most_used').set(auth);
+        expect(unpinned.body.queries[0].title).toEqual('Weekly report');
+    });
+
+    it('should file queries in nested folders and share a folder', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const billing = (await request(app).post('/api/folders').set(auth).send({ name: 'billing' })).body;
+        const reports = (await request(app).post('/api/folders').set(auth).send({ name: 'reports', parentId: billing._id })).body;
+        await request(app).post('/api/queries').set(auth).send({ title: 'Monthly revenue', text: 'SELECT 1', folderId: reports._id });
+
+        const duplicate = await request(app).post('/api/folders').set(auth).send({ name: 'Reports', parentId: billing._id });
+        expect(duplicate.statusCode).toEqual(409);
+        const cycle = await request(app).put(`/api/folders/${billing._id}`).set(auth).send({ name: 'billing', parentId: reports._id });
+        expect(cycle.statusCode).toEqual(400);
+
+        // A folder lists the queries of its subfolders too
+        const listed = await request(app).get(`/api/queries?folder=${billing._id}`).set(auth);
+        expect(listed.body.queries.map(q => q.title)).toEqual(['Monthly revenue']);
+
+        const share = await request(app).post(`/api/folders/${billing._id}/share`).set(auth).send({});
+        const shared = await request(app).get(`/api/public/folders/${share.body.shareId}`);
+        expect(shared.body.name).toEqual('billing');
+        expect(shared.body.queries.map(q => [q.folder, q.title])).toEqual([['reports', 'Monthly revenue']]);
+
+        // Deleting with contents=move keeps the queries one level up
+        await request(app).delete(`/api/folders/${reports._id}?contents=move`).set(auth);
+        const moved = await request(app).get(`/api/queries?folder=${billing._id}`).set(auth);
+        expect(moved.body.queries.map(q => q.folder_id)).toEqual([billing._id]);
+
+        await request(app).delete(`/api/folders/${billing._id}?contents=delete`).set(auth);
+        const deleted = await request(app).get('/api/queries?q=monthly').set(auth);
+        expect(deleted.body.queries).toEqual([]);
+    });
+
+    it('should count, filter by, rename, merge and delete tags', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const create = (title, tags) => request(app).post('/api/queries').set(auth).send({ title, text: 'SELECT 1', tags });
+        await create('Orders by day', ['orders', 'daily']);
+        await create('Orders by week', ['orders', 'weekly']);
+        await create('Signups by day', ['signups', 'daily']);
+
+        const titles = async (query) => (await request(app).get(`/api/queries?${query}`).set(auth)).body.queries.map(q => q.title).sort();
+        expect(await titles('tags=orders,daily')).toEqual(['Orders by day']);
+        expect(await titles('tags=weekly,signups&match=any')).toEqual(['Orders by week', 'Signups by day']);
+
+        const counts = await request(app).get('/api/tags').set(auth);
+        expect(counts.body).toEqual(expect.arrayContaining([{ tag: 'orders', count: 2 }, { tag: 'daily', count: 2 }]));
+
+        const renamed = await request(app).put('/api/tags/signups').set(auth).send({ name: 'Registrations' });
+        expect(renamed.body).toEqual({ tag: 'registrations', count: 1 });
+
+        const merged = await request(app).post('/api/tags/merge').set(auth).send({ tags: ['daily', 'weekly'], into: 'periodic' });
+        expect(merged.body).toEqual({ tag: 'periodic', count: 3 });
+        expect(await titles('tags=registrations,periodic')).toEqual(['Signups by day']);
+
+        const removed = await request(app).delete('/api/tags/periodic').set(auth);
+        expect(removed.statusCode).toEqual(200);
+        const missing = await request(app).delete('/api/tags/periodic').set(auth);
+        expect(missing.statusCode).toEqual(404);
+        for (const res of [
+            await request(app).put('/api/tags/orders%2Cdaily').set(auth).send({ name: 'sales' }),
+            await request(app).delete(`/api/tags/${'t'.repeat(41)}`).set(auth),
+        ]) {
+            expect(res.statusCode).toEqual(400);
+            expect(res.body.error.fields).toEqual({ tag: expect.any(String) });
+        }
+        expect(await titles('tags=orders')).toEqual(['Orders by day', 'Orders by week']);
+    });
+
+    it('should keep a revision for every edit and restore it', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/queries').set(auth).send({
+            title: 'Daily users',
+            text: 'SELECT :day',
+            tags: ['users'],
+            dialect: 'sqlite',
+            params: [{ name: 'day', type: 'date', default: '2026-01-01' }],
+        });
+        const url = `/api/queries/${created.body._id}`;
+        expect((await request(app).get(`${url}/revisions`).set(auth)).body).toEqual([]);
+
+        await request(app).put(url).set(auth).set('If-Match', '"1"').send({
+            title: 'Daily users v2',
+            text: 'SELECT :day',
+            tags: ['kpi'],
+            dialect: 'tsql',
+            params: [{ name: 'day', type: 'text', default: 'today' }],
+        });
+        await request(app).put(url).set(auth).set('If-Match', '"2"').send({ title: 'Daily users v3', text: 'SELECT 3', dialect: 'mysql' });
+
+        const revisions = await request(app).get(`${url}/revisions`).set(auth);
+        expect(revisions.body.map(r => [r.title, r.text, r.tags, r.dialect, r.params.map(p => p.type)])).toEqual([
+            ['Daily users v2', 'SELECT :day', ['kpi'], 'tsql', ['text']],
+            ['Daily users', 'SELECT :day', ['users'], 'sqlite', ['date']],
+        ]);
+
+        const restored = await request(app).post(`${url}/revisions/${revisions.body[1]._id}/restore`).set(auth);
+        expect(restored.statusCode).toEqual(200);
+        const query = await request(app).get(url).set(auth);
+        expect(query.body).toMatchObject({
+            title: 'Daily users',
+            text: 'SELECT :day',
+            tags: ['users'],
+            dialect: 'sqlite',
+            params: [{ name: 'day', type: 'date', default: '2026-01-01' }],
+            version: 4,
         });
+        // The version replaced by the restore is kept as well
+        const after = await request(app).get(`${url}/revisions`).set(auth);
+        expect(after.body.map(r => r.title)).toEqual(['Daily users v3', 'Daily users v2', 'Daily users']);
+
+        const missing = await request(app).post(`${url}/revisions/999999/restore`).set(auth);
+        expect(missing.statusCode).toEqual(404);
+    });
+
+    it('should refuse edits of a query that changed since it was read', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/queries').set(auth).send({ title: 'Churn', text: 'SELECT 1', tags: ['churn'] });
+        const url = `/api/queries/${created.body._id}`;
+
+        const read = await request(app).get(url).set(auth);
+        expect(read.headers.etag).toEqual('"1"');
+
+        const unconditional = await request(app).put(url).set(auth).send({ title: 'Churn', text: 'SELECT 2' });
+        expect(unconditional.statusCode).toEqual(428);
+        expect(unconditional.body.error.code).toEqual('precondition_required');
+
+        const saved = await request(app).put(url).set(auth).set('If-Match', read.headers.etag).send({ title: 'Churn', text: 'SELECT 2', tags: ['churn'] });
+        expect(saved.statusCode).toEqual(200);
+        expect(saved.body.version).toEqual(2);
+        expect(saved.headers.etag).toEqual('"2"');
+
+        const stale = await request(app).put(url).set(auth).set('If-Match', read.headers.etag).send({ title: 'Churn', text: 'SELECT 3' });
+        expect(stale.statusCode).toEqual(412);
+        expect(stale.body.error.code).toEqual('precondition_failed');
+        expect(stale.body.current).toMatchObject({ text: 'SELECT 2', version: 2 });
+
+        // Renaming a tag changes the query too
+        await request(app).put('/api/tags/churn').set(auth).send({ name: 'retention' });
+        const retagged = await request(app).put(url).set(auth).set('If-Match', '"2"').send({ title: 'Churn', text: 'SELECT 3' });
+        expect(retagged.statusCode).toEqual(412);
+        const forced = await request(app).put(url).set(auth).set('If-Match', '*').send({ title: 'Churn', text: 'SELECT 3' });
+        expect(forced.body.version).toEqual(4);
+    });
+
+    it('should refuse an edit when the query changes between the check and the write', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/queries').set(auth).send({ title: 'Race', text: 'SELECT 1', tags: ['before'] });
+        const id = created.body._id;
+
+        // Another edit is saved while this one is between its If-Match check and its write
+        const batch = db.batch;
+        db.batch = async (statements) => {
+            db.batch = batch;
+            await db.prepare("UPDATE queries SET text = 'SELECT 2', version = version + 1 WHERE id = ?").bind(id).run();
+            return batch(statements);
+        };
+        const res = await request(app).put(`/api/queries/${id}`).set(auth).set('If-Match', '"1"')
+            .send({ title: 'Lost', text: 'SELECT 3', tags: ['after'] });
+        expect(res.statusCode).toEqual(412);
+        expect(res.body.current).toMatchObject({ title: 'Race', text: 'SELECT 2', tags: ['before'], version: 2 });
+
+        const revisions = await request(app).get(`/api/queries/${id}/revisions`).set(auth);
+        expect(revisions.body).toEqual([]);
+    });
+
+    it('should apply bulk actions to all of the selected queries or none', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const create = async (title) => (await request(app).post('/api/queries').set(auth).send({ title, text: 'SELECT 1', tags: ['bulk'] })).body._id;
+        const ids = [await create('Bulk one'), await create('Bulk two')];
+        const bulk = (body) => request(app).post('/api/queries/bulk').set(auth).send(body);
+
+        const tagged = await bulk({ ids, action: 'addTag', tag: 'Reviewed' });
+        expect(tagged.body).toEqual({ action: 'addTag', count: 2 });
+        const titles = async (query) => (await request(app).get(`/api/queries?${query}`).set(auth)).body.queries.map(q => q.title).sort();
+        expect(await titles('tags=reviewed')).toEqual(['Bulk one', 'Bulk two']);
+
+        // An id from outside the library fails the whole request
+        const missing = await bulk({ ids: [...ids, 999999], action: 'removeTag', tag: 'reviewed' });
+        expect(missing.statusCode).toEqual(404);
+        expect(await titles('tags=reviewed')).toEqual(['Bulk one', 'Bulk two']);
+
+        const noTag = await bulk({ ids, action: 'addTag' });
+        expect(noTag.statusCode).toEqual(400);
+        expect(noTag.body.error.fields).toEqual({ tag: expect.any(String) });
+
+        const shared = await bulk({ ids, action: 'share' });
+        expect(shared.body.shares.map(s => s.shareId)).toEqual([expect.any(String), expect.any(String)]);
+        const publicQuery = await request(app).get(`/api/public/queries/${shared.body.shares[0].shareId}`);
+        expect(publicQuery.statusCode).toEqual(200);
+        await bulk({ ids, action: 'unshare' });
+        const revoked = await request(app).get(`/api/public/queries/${shared.body.shares[0].shareId}`);
+        expect(revoked.statusCode).toEqual(404);
+
+        const deleted = await bulk({ ids, action: 'delete' });
+        expect(deleted.body.count).toEqual(2);
+        expect(await titles('tags=bulk')).toEqual([]);
+    });
+
+    it('should stop serving share links once they expire or are revoked', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/queries').set(auth).send({ title: 'Shared for a day', text: 'SELECT 1' });
+        const shareUrl = `/api/queries/${created.body._id}/share`;
+
+        const past = await request(app).post(shareUrl).set(auth).send({ expiresAt: '2020-01-01T00:00:00Z' });
+        expect(past.statusCode).toEqual(400);
+        expect(past.body.error.fields.expiresAt).toMatch(/future/);
+
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+        const { body: share } = await request(app).post(shareUrl).set(auth).send({ expiresAt: tomorrow });
+        const publicUrl = `/api/public/queries/${share.shareId}`;
+        expect((await request(app).get(publicUrl)).statusCode).toEqual(200);
+
+        await db.prepare("UPDATE queries SET share_expires_at = datetime('now', '-1 minute') WHERE id = ?").bind(created.body._id).run();
+        const expired = await request(app).get(publicUrl);
+        expect(expired.statusCode).toEqual(410);
+        expect(expired.body.error.code).toEqual('gone');
+        expect((await request(app).get(`${publicUrl}/raw`)).statusCode).toEqual(410);
+
+        // Removing the expiry brings the same link back
+        await request(app).post(shareUrl).set(auth).send({ expiresAt: null });
+        expect((await request(app).get(publicUrl)).statusCode).toEqual(200);
+
+        const revoked = await request(app).delete(shareUrl).set(auth);
+        expect(revoked.statusCode).toEqual(200);
+        expect((await request(app).get(publicUrl)).statusCode).toEqual(404);
+        expect((await request(app).get(`${publicUrl}/raw`)).statusCode).toEqual(404);
+        expect((await request(app).delete(shareUrl).set(auth)).statusCode).toEqual(404);
+    });
+
+    it('should serve a shared query as raw SQL, an embed and a link preview', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/queries').set(auth)
+            .send({ title: 'Active <users>', text: 'SELECT *\nFROM users\nWHERE active', dialect: 'postgresql' });
+        const { body: share } = await request(app).post(`/api/queries/${created.body._id}/share`).set(auth).send({});
+
+        const raw = await request(app).get(`/api/public/queries/${share.shareId}/raw`);
+        expect(raw.headers['content-type']).toMatch(/^text\/plain/);
+        expect(raw.text).toEqual('SELECT *\nFROM users\nWHERE active\n');
+
+        const embed = await request(app).get(`/api/public/queries/${share.shareId}/embed`);
+        expect(embed.headers['content-type']).toMatch(/^text\/html/);
+        expect(embed.text).toContain('Active &lt;users&gt;');
+        const missing = await request(app).get('/api/public/queries/unknown/embed');
+        expect(missing.statusCode).toEqual(404);
+        expect(missing.text).toContain('Shared query not found.');
+
+        const shareUrl = `http://example.com/share.html?id=${share.shareId}`;
+        const oembed = await request(app).get('/api/oembed').query({ url: shareUrl, maxwidth: 400 });
+        expect(oembed.body).toMatchObject({ version: '1.0', type: 'rich', title: 'Active <users>', width: 400 });
+        expect(oembed.body.html).toContain(`/api/public/queries/${share.shareId}/embed`);
+        expect((await request(app).get('/api/oembed').query({ url: shareUrl, format: 'xml' })).statusCode).toEqual(501);
+
+        const page = await request(app).get(`/share.html?id=${share.shareId}`);
+        expect(page.text).toContain('<meta property="og:title" content="Active &lt;users&gt;">');
+        expect(page.text).toContain('<meta property="og:description" content="PostgreSQL · SELECT * FROM users WHERE active">');
+        expect(page.text).toContain('application/json+oembed');
+
+        // Previews leave the view count alone; raw and embed requests are views
+        const shares = await request(app).get('/api/shares').set(auth);
+        expect(shares.body.find(s => s.shareId === share.shareId).views).toEqual(2);
+
+        // Password protected links are not previewed or embedded
+        await request(app).post(`/api/queries/${created.body._id}/share`).set(auth).send({ password: 'secret' });
+        const locked = await request(app).get(`/share.html?id=${share.shareId}`);
+        expect(locked.text).not.toContain('Active');
+        expect((await request(app).get('/api/oembed').query({ url: shareUrl })).statusCode).toEqual(401);
+        expect((await request(app).get(`/api/public/queries/${share.shareId}/raw`)).statusCode).toEqual(401);
+        const unlocked = await request(app).get(`/api/public/queries/${share.shareId}/raw`).set('X-Share-Password', 'secret');
+        expect(unlocked.text).toMatch(/^SELECT/);
+    });
+
+    it('should publish queries to the gallery and fork them', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        await signup('forker', 'password123');
+        const forker = { Authorization: `Bearer ${(await request(app).post('/api/login').send({ username: 'forker', password: 'password123' })).body.token}` };
+        const created = await request(app).post('/api/queries').set(auth)
+            .send({ title: 'Churned customers', text: 'SELECT * FROM customers WHERE churned_at > :since', tags: ['gallery', 'churn'] });
+        await request(app).post('/api/queries').set(auth).send({ title: 'Churn draft', text: 'SELECT 1', tags: ['gallery'] });
+
+        // Nothing is public until it is published
+        expect((await request(app).get('/api/gallery').query({ tags: 'gallery' })).body.queries).toEqual([]);
+        expect((await request(app).post(`/api/gallery/${created.body._id}/fork`).set(forker)).statusCode).toEqual(404);
+        expect((await request(app).put(`/api/queries/${created.body._id}/publish`).set(forker)).statusCode).toEqual(404);
+
+        const published = await request(app).put(`/api/queries/${created.body._id}/publish`).set(auth);
+        expect(published.body).toEqual({ published: true, publishedAt: expect.any(String) });
+        const gallery = await request(app).get('/api/gallery').query({ q: 'churn', tags: 'gallery' });
+        expect(gallery.body.queries.map(q => [q.title, q.author, q.tags, q.forks])).toEqual([
+            ['Churned customers', 'testuser', ['gallery', 'churn'], 0],
+        ]);
+        expect(gallery.body.queries[0]).not.toHaveProperty('user_id');
+
+        const fork = await request(app).post(`/api/gallery/${created.body._id}/fork`).set(forker).send({});
+        expect(fork.statusCode).toEqual(201);
+        expect(fork.body).toMatchObject({ title: 'Churned customers', tags: ['gallery', 'churn'], forkedFrom: created.body._id });
+        expect(fork.body.params.map(p => p.name)).toEqual(['since']);
+        const [forked] = (await request(app).get('/api/queries').set(forker)).body.queries;
+        expect([forked._id, forked.forked_from]).toEqual([fork.body._id, created.body._id]);
+
+        const [original] = (await request(app).get('/api/queries').set(auth).query({ q: 'churned' })).body.queries;
+        expect(original.forks).toEqual(1);
+        expect((await request(app).get(`/api/gallery/${created.body._id}`)).body.forks).toEqual(1);
+
+        await request(app).delete(`/api/queries/${created.body._id}/publish`).set(auth);
+        expect((await request(app).get(`/api/gallery/${created.body._id}`)).statusCode).toEqual(404);
+    });
+
+    it('should accept personal access tokens within their scopes', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/tokens').set(auth).send({ name: 'Export script', scopes: ['read'] });
+        expect(created.statusCode).toEqual(201);
+        expect(created.body.token).toMatch(/^qs_[0-9a-f]{64}$/);
+        const tokenAuth = { Authorization: `Bearer ${created.body.token}` };
+
+        const listed = await request(app).get('/api/queries').set(tokenAuth);
+        expect(listed.statusCode).toEqual(200);
+        const write = await request(app).post('/api/queries').set(tokenAuth).send({ title: 'x', text: 'SELECT 1' });
+        expect(write.statusCode).toEqual(403);
+        expect(write.body.error.code).toEqual('insufficient_scope');
+        const manage = await request(app).get('/api/tokens').set(tokenAuth);
+        expect(manage.statusCode).toEqual(403);
+
+        const tokens = await request(app).get('/api/tokens').set(auth);
+        expect(tokens.body.map(t => [t.name, t.scopes, !!t.lastUsedAt])).toEqual([['Export script', ['read'], true]]);
+        expect(tokens.body[0]).not.toHaveProperty('token');
+
+        await request(app).delete(`/api/tokens/${created.body._id}`).set(auth);
+        const revoked = await request(app).get('/api/queries').set(tokenAuth);
+        expect(revoked.statusCode).toEqual(401);
+    });
+
+    it('should not let access tokens sign the user out', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const created = await request(app).post('/api/tokens').set(auth).send({ name: 'Deploy script', scopes: ['read', 'write'] });
+        const tokenAuth = { Authorization: `Bearer ${created.body.token}` };
+
+        for (const route of ['/api/logout', '/api/logout-all']) {
+            const res = await request(app).post(route).set(tokenAuth);
+            expect(res.statusCode).toEqual(403);
+            expect(res.body.error.code).toEqual('forbidden');
+        }
+        expect((await request(app).get('/api/queries').set(auth)).statusCode).toEqual(200);
+        expect((await request(app).get('/api/queries').set(tokenAuth)).statusCode).toEqual(200);
+        await request(app).delete(`/api/tokens/${created.body._id}`).set(auth);
+    });
+
+    it('should enforce the query length and tag limits', async () => {
+        const res = await request(app)
+            .post('/api/queries')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ title: 'x'.repeat(201), text: 'SELECT 1', tags: 'users' });
+        expect(res.statusCode).toEqual(400);
+        expect(res.body.error.fields).toEqual({
+            title: expect.stringMatching(/at most 200/),
+            tags: expect.any(String),
+        });
+    });
+
+    it('should store the SQL as written but refuse blank SQL', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const text = '\n  SELECT 1\n  FROM dual;\n\n';
+        const created = await request(app).post('/api/queries').set(auth).send({ title: 'Indented', text });
+        expect(created.body.text).toEqual(text);
+        expect((await request(app).get(`/api/queries/${created.body._id}`).set(auth)).body.text).toEqual(text);
+
+        const blank = await request(app).post('/api/queries').set(auth).send({ title: 'Blank', text: ' \n ' });
+        expect(blank.statusCode).toEqual(400);
+        expect(blank.body.error.fields).toEqual({ text: expect.any(String) });
+    });
+
+    it('should write the tags and parameters of new queries to those queries', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const content = JSON.stringify([
+            { title: 'Imported A', text: 'SELECT :a', tags: ['first'], params: [{ name: 'a', type: 'number' }] },
+            { title: 'Imported B', text: 'SELECT :b', tags: ['second'] },
+        ]);
+        await request(app).post('/api/import').set(auth).send({ format: 'json', content });
+        const { queries } = (await request(app).get('/api/queries?q=imported').set(auth)).body;
+        const byTitle = Object.fromEntries(queries.map(q => [q.title, q]));
+        expect(byTitle['Imported A']).toMatchObject({ tags: ['first'], params: [{ name: 'a', type: 'number' }] });
+        expect(byTitle['Imported B']).toMatchObject({ tags: ['second'], params: [{ name: 'b', type: 'text' }] });
+
+        // When the tags cannot be written, the query is not kept without them
+        const batch = db.batch;
+        db.batch = async (statements) => {
+            db.batch = batch;
+            return batch([...statements, db.prepare('INSERT INTO query_tags (query_id, tag) VALUES (NULL, NULL)')]);
+        };
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const res = await request(app).post('/api/queries').set(auth).send({ title: 'Half written', text: 'SELECT 1', tags: ['x'] });
+        spy.mockRestore();
+        expect(res.statusCode).toEqual(500);
+        expect(await db.prepare("SELECT COUNT(*) as count FROM queries WHERE title = 'Half written'").first()).toEqual({ count: 0 });
+    });
+
+    it('should report duplicates and conflicts of an import before applying it', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const existing = (await request(app).post('/api/queries').set(auth).send({ title: 'Weekly attrition', text: 'SELECT 1' })).body._id;
+        const content = JSON.stringify([
+            { title: 'Weekly attrition', text: 'SELECT 1' },
+            { title: 'weekly attrition', text: 'SELECT 2', tags: ['imported'] },
+            { title: 'Monthly attrition', text: 'SELECT 3' },
+            { title: 'Monthly attrition', text: 'SELECT 4' },
+            { title: 'Monthly attrition', text: 'SELECT 3' },
+        ]);
+        const send = (body) => request(app).post('/api/import').set(auth).send({ format: 'json', content, onConflict: 'overwrite', ...body });
+        const titles = async () => (await request(app).get('/api/queries?q=attrition').set(auth)).body.queries.map(q => [q.title, q.text]).sort();
+
+        const dryRun = await send({ dryRun: true });
+        expect(dryRun.body).toEqual({
+            dryRun: true,
+            total: 5,
+            created: [{ title: 'Monthly attrition' }],
+            overwritten: [{ title: 'weekly attrition', existingId: existing, inFile: false }],
+            skipped: [{ title: 'Monthly attrition', existingId: null, inFile: true }],
+            duplicates: [
+                { title: 'Weekly attrition', existingId: existing, inFile: false },
+                { title: 'Monthly attrition', existingId: null, inFile: true },
+            ],
+            conflicts: [
+                { title: 'weekly attrition', existingId: existing, inFile: false },
+                { title: 'Monthly attrition', existingId: null, inFile: true },
+            ],
+            errors: [],
+        });
+        expect(await titles()).toEqual([['Weekly attrition', 'SELECT 1']]);
+
+        // A failure anywhere in the import leaves the library as it was
+        const batch = db.batch;
+        db.batch = async (statements) => {
+            db.batch = batch;
+            return batch([...statements, db.prepare('INSERT INTO query_tags (query_id, tag) VALUES (NULL, NULL)')]);
+        };
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect((await send({})).statusCode).toEqual(500);
+        spy.mockRestore();
+        expect(await titles()).toEqual([['Weekly attrition', 'SELECT 1']]);
+
+        const applied = await send({});
+        expect(applied.body).toMatchObject({ dryRun: false, created: dryRun.body.created, overwritten: dryRun.body.overwritten });
+        expect(await titles()).toEqual([['Monthly attrition', 'SELECT 3'], ['weekly attrition', 'SELECT 2']]);
+        const overwritten = await request(app).get(`/api/queries/${existing}`).set(auth);
+        expect(overwritten.body).toMatchObject({ tags: ['imported'], version: 2 });
+    });
+
+    it('should apply the same limits to imported queries', async () => {
+        const auth = { Authorization: `Bearer ${token}` };
+        const comma = await request(app).post('/api/queries').set(auth).send({ title: 'Comma', text: 'SELECT 1', tags: ['a,b'] });
+        expect(comma.body.error.fields.tags).toMatch(/commas/);
+
+        const content = JSON.stringify([
+            { title: 'x'.repeat(5000), text: 'SELECT 1' },
+            { title: 'Many tags', text: 'SELECT 1', tags: Array.from({ length: 51 }, (_, i) => `tag${i}`) },
+            { title: 'Comma tag', text: 'SELECT 1', tags: ['a,b'] },
+            { title: 'Imported fine', text: 'SELECT 1', tags: ['imported'] },
+        ]);
+        const res = await request(app).post('/api/import').set(auth).send({ format: 'json', content });
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.created).toEqual([{ title: 'Imported fine' }]);
+        expect(res.body.errors.map(e => e.index)).toEqual([0, 1, 2]);
+        expect(res.body.errors[2].message).toMatch(/may not contain commas/);
+    });
+
+    it('should answer unknown routes with the error shape', async () => {
+        const res = await request(app)
+            .get('/api/queries/not-a-number')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.statusCode).toEqual(404);
+        expect(res.body).toEqual({ error: { code: 'not_found', message: expect.any(String), fields: {} } });
+    });
+
+    it('should report an up-to-date schema', async () => {
+        const res = await request(app)
+            .get('/api/schema')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.statusCode).toEqual(200);
+        expect(res.body.upToDate).toBe(true);
+    });
+});
+
+describe('Workspace roles', () => {
+    const auth = {};
+    let workspaceId;
+    let queryId;
+
+    beforeAll(async () => {
+        ({ listener: app, db } = await createServer({ database: ':memory:', jwtSecret: 'test-secret' }));
+        for (const username of ['owner', 'editor', 'viewer', 'outsider']) {
+            await signup(username, 'password123');
+            const res = await request(app).post('/api/login').send({ username, password: 'password123' });
+            auth[username] = { Authorization: `Bearer ${res.body.token}` };
+        }
+
+        workspaceId = (await request(app).post('/api/workspaces').set(auth.owner).send({ name: 'Analytics' })).body._id;
+        for (const role of ['editor', 'viewer']) {
+            await request(app).post(`/api/workspaces/${workspaceId}/invitations`).set(auth.owner).send({ username: role, role });
+            const [invitation] = (await request(app).get('/api/invitations').set(auth[role])).body;
+            await request(app).post(`/api/invitations/${invitation._id}/accept`).set(auth[role]);
+        }
+        queryId = (await request(app).post('/api/queries').set(auth.owner).send({ title: 'Funnel', text: 'SELECT 1', workspaceId })).body._id;
+    });
+
+    afterAll(() => {
+        db.close();
+    });
+
+    it('should let viewers read but not edit, share or delete queries', async () => {
+        const url = `/api/queries/${queryId}`;
+        expect((await request(app).get(url).set(auth.viewer)).statusCode).toEqual(200);
+
+        const edit = await request(app).put(url).set(auth.viewer).set('If-Match', '*').send({ title: 'Mine now', text: 'SELECT 2' });
+        expect(edit.statusCode).toEqual(403);
+        expect(edit.body.error.code).toEqual('forbidden');
+        expect((await request(app).post(`${url}/share`).set(auth.viewer)).statusCode).toEqual(403);
+        expect((await request(app).delete(url).set(auth.viewer)).statusCode).toEqual(403);
+        expect((await request(app).post('/api/queries').set(auth.viewer).send({ title: 'New', text: 'SELECT 1', workspaceId })).statusCode).toEqual(403);
+
+        // Outsiders do not learn that the query exists
+        expect((await request(app).get(url).set(auth.outsider)).statusCode).toEqual(404);
+        expect((await request(app).delete(url).set(auth.outsider)).statusCode).toEqual(404);
+
+        const query = await request(app).get(url).set(auth.owner);
+        expect(query.body).toMatchObject({ title: 'Funnel', version: 1 });
+        expect(query.body).toMatchObject({ is_public: 0, share_id: null });
+    });
+
+    it('should let editors change queries but not manage members', async () => {
+        const edit = await request(app).put(`/api/queries/${queryId}`).set(auth.editor).set('If-Match', '"1"').send({ title: 'Funnel', text: 'SELECT 2' });
+        expect(edit.statusCode).toEqual(200);
+
+        const { members } = (await request(app).get(`/api/workspaces/${workspaceId}/members`).set(auth.editor)).body;
+        const viewer = members.find(m => m.username === 'viewer');
+        const promote = await request(app).put(`/api/workspaces/${workspaceId}/members/${viewer._id}`).set(auth.editor).send({ role: 'owner' });
+        expect(promote.statusCode).toEqual(403);
+        const remove = await request(app).delete(`/api/workspaces/${workspaceId}/members/${viewer._id}`).set(auth.editor);
+        expect(remove.statusCode).toEqual(403);
+        const invite = await request(app).post(`/api/workspaces/${workspaceId}/invitations`).set(auth.editor).send({ username: 'outsider' });
+        expect(invite.statusCode).toEqual(403);
+
+        const after = (await request(app).get(`/api/workspaces/${workspaceId}/members`).set(auth.owner)).body.members;
+        expect(after.map(m => [m.username, m.role]).sort()).toEqual([['editor', 'editor'], ['owner', 'owner'], ['viewer', 'viewer']]);
+    });
+});
+
+describe('Static pages', () => {
+    beforeAll(async () => {
+        ({ listener: app, db } = await createServer({ database: ':memory:', jwtSecret: 'test-secret' }));
+    });
+
+    afterAll(() => {
+        db.close();
+    });
+
+    it('should serve the dashboard at /', async () => {
+        const res = await request(app).get('/');
+        expect(res.statusCode).toEqual(200);
+        expect(res.headers['content-type']).toMatch(/text\/html/);
+    });
+
+    it('should not serve server-side files', async () => {
+        const res = await request(app).get('/server.js');
+        expect(res.statusCode).toEqual(404);
     });
 });
@@ -0,0 +1,99 @@
+const SqlFormat = require('../sql-format');
+
+const codes = (sql, dialect) => SqlFormat.lint(sql, dialect).map(w => w.code);
+
+describe('SqlFormat.format', () => {
+    it('should put clauses on their own lines and upper-case keywords', () => {
+        expect(SqlFormat.format('select id, name from users u left join orders o on o.user_id = u.id where u.active = 1 and o.total > 10'))
+            .toBe([
+                'SELECT',
+                '  id,',
+                '  name',
+                'FROM',
+                '  users u',
+                '  LEFT JOIN orders o ON o.user_id = u.id',
+                'WHERE',
+                '  u.active = 1',
+                '  AND o.total > 10',
+            ].join('\n'));
+    });
+
+    it('should indent subqueries and keep function arguments inline', () => {
+        expect(SqlFormat.format('select count(*) from t where id in (select id from u)')).toBe([
+            'SELECT',
+            '  count(*)',
+            'FROM',
+            '  t',
+            'WHERE',
+            '  id IN (',
+            '    SELECT',
+            '      id',
+            '    FROM',
+            '      u',
+            '  )',
+        ].join('\n'));
+    });
+
+    it('should leave literals, comments and placeholders untouched', () => {
+        const formatted = SqlFormat.format("select 'from  where' as t -- keep me\nfrom logs where id = :id and at < {{ until }}");
+        expect(formatted).toContain("'from  where' AS t -- keep me");
+        expect(formatted).toContain('id = :id');
+        expect(formatted).toContain('{{ until }}');
+    });
+
+    it('should follow the quoting rules of the dialect', () => {
+        expect(SqlFormat.format("select `order`, 'it\\'s' from t", 'mysql')).toBe("SELECT\n  `order`,\n  'it\\'s'\nFROM\n  t");
+        expect(SqlFormat.format('select [select] from t', 'tsql')).toBe('SELECT\n  [select]\nFROM\n  t');
+        expect(SqlFormat.format('select x::int from t', 'postgresql')).toBe('SELECT\n  x::int\nFROM\n  t');
+    });
+
+    it('should be stable when applied twice', () => {
+        const once = SqlFormat.format('with a as (select 1) select * from a union all select 2; delete from b where x between 1 and 2;');
+        expect(SqlFormat.format(once)).toBe(once);
+    });
+});
+
+describe('SqlFormat.lint', () => {
+    it('should flag DELETE and UPDATE without WHERE', () => {
+        expect(codes('DELETE FROM users')).toEqual(['delete_without_where']);
+        expect(codes('UPDATE users SET active = 0')).toEqual(['update_without_where']);
+        expect(codes('UPDATE users SET active = 0 WHERE id = 1')).toEqual([]);
+        expect(codes('INSERT INTO t (a) VALUES (1) ON CONFLICT (a) DO UPDATE SET a = 2', 'postgresql')).toEqual([]);
+    });
+
+    it('should flag SELECT * but not COUNT(*)', () => {
+        expect(codes('SELECT * FROM users')).toEqual(['select_star']);
+        expect(codes('SELECT u.* FROM users u')).toEqual(['select_star']);
+        expect(codes('SELECT COUNT(*) FROM users')).toEqual([]);
+        expect(codes('SELECT id FROM t WHERE EXISTS (SELECT * FROM u)')).toEqual([]);
+    });
+
+    it('should flag unbalanced parentheses outside of strings', () => {
+        expect(codes('SELECT (1 + 2 FROM t')).toEqual(['unbalanced_parentheses']);
+        expect(codes('SELECT 1) FROM t')).toEqual(['unbalanced_parentheses']);
+        expect(codes("SELECT ')' FROM t -- (")).toEqual([]);
+    });
+
+    it('should flag a trailing statement without a semicolon', () => {
+        expect(codes('SELECT 1; SELECT 2')).toEqual(['missing_terminator']);
+        expect(codes('SELECT 1; SELECT 2;')).toEqual([]);
+        expect(codes('SELECT 1')).toEqual([]);
+    });
+});
+
+describe('SqlFormat.detectDialect', () => {
+    it('should recognize dialect-specific syntax', () => {
+        expect(SqlFormat.detectDialect("SELECT id::text FROM users WHERE name ILIKE '%a%'")).toEqual('postgresql');
+        expect(SqlFormat.detectDialect('SELECT `id` FROM users LIMIT 10, 20')).toEqual('mysql');
+        expect(SqlFormat.detectDialect('INSERT OR REPLACE INTO t VALUES (1)')).toEqual('sqlite');
+        expect(SqlFormat.detectDialect('SELECT * EXCEPT(x) FROM `project.dataset.events`')).toEqual('bigquery');
+        expect(SqlFormat.detectDialect('SELECT TOP 10 [name] FROM dbo.users WITH (NOLOCK)')).toEqual('tsql');
+    });
+
+    it('should fall back to standard SQL', () => {
+        expect(SqlFormat.detectDialect('SELECT id FROM users WHERE active = 1')).toEqual('standard');
+        expect(SqlFormat.detectDialect('')).toEqual('standard');
+        // Markers inside strings and comments do not count
+        expect(SqlFormat.detectDialect("SELECT 'x::int ILIKE' FROM t -- ::int")).toEqual('standard');
+    });
+});
@@ -0,0 +1,58 @@
+const SqlParams = require('../sql-params');
+
+describe('SqlParams.toLiteral', () => {
+    it('should quote strings for each dialect', () => {
+        expect(SqlParams.toLiteral("O'Brien", 'text', 'standard')).toBe("'O''Brien'");
+        expect(SqlParams.toLiteral("O'Brien", 'text', 'postgresql')).toBe("'O''Brien'");
+        expect(SqlParams.toLiteral("it's C:\\tmp", 'text', 'mysql')).toBe("'it\\'s C:\\\\tmp'");
+        expect(SqlParams.toLiteral("it's", 'text', 'bigquery')).toBe("'it\\'s'");
+        expect(SqlParams.toLiteral('Zoë', 'text', 'tsql')).toBe("N'Zoë'");
+        expect(SqlParams.toLiteral('Zoe', 'text', 'tsql')).toBe("'Zoe'");
+    });
+
+    it('should not let a value end the string literal', () => {
+        expect(SqlParams.toLiteral("x'; DROP TABLE users; --", 'text', 'sqlite')).toBe("'x''; DROP TABLE users; --'");
+        expect(SqlParams.toLiteral("\\'; DROP TABLE users; --", 'text', 'mysql')).toBe("'\\\\\\'; DROP TABLE users; --'");
+    });
+
+    it('should quote identifiers part by part', () => {
+        expect(SqlParams.toLiteral('public.us"ers', 'identifier', 'postgresql')).toBe('"public"."us""ers"');
+        expect(SqlParams.toLiteral('db.us`ers', 'identifier', 'mysql')).toBe('`db`.`us``ers`');
+        expect(SqlParams.toLiteral('dbo.us]ers', 'identifier', 'tsql')).toBe('[dbo].[us]]ers]');
+    });
+
+    it('should check and convert typed values', () => {
+        expect(SqlParams.toLiteral(' 42 ', 'number', 'standard')).toBe('42');
+        expect(() => SqlParams.toLiteral('1; DROP TABLE users', 'number', 'standard')).toThrow('is not a number');
+        expect(SqlParams.toLiteral('yes', 'boolean', 'postgresql')).toBe('TRUE');
+        expect(SqlParams.toLiteral('off', 'boolean', 'tsql')).toBe('0');
+        expect(SqlParams.toLiteral('2024-01-31', 'date', 'postgresql')).toBe("DATE '2024-01-31'");
+        expect(SqlParams.toLiteral('2024-01-31', 'date', 'sqlite')).toBe("'2024-01-31'");
+        expect(SqlParams.toLiteral('2024-01-31T10:00', 'datetime', 'bigquery')).toBe("DATETIME '2024-01-31 10:00'");
+        expect(() => SqlParams.toLiteral("2024-01-31' OR 1=1", 'date', 'standard')).toThrow('is not a date');
+        expect(SqlParams.toLiteral("1, two, O'Neil", 'list', 'standard')).toBe("1, 'two', 'O''Neil'");
+        expect(SqlParams.toLiteral('', 'text', 'standard')).toBe('NULL');
+        expect(SqlParams.toLiteral(' now() ', 'raw', 'standard')).toBe(' now() ');
+    });
+});
+
+describe('SqlParams.fill', () => {
+    const params = [
+        { name: 'name', type: 'text', default: '' },
+        { name: 'limit', type: 'number', default: '10' },
+    ];
+
+    it('should replace every placeholder and fall back to defaults', () => {
+        expect(SqlParams.fill('SELECT * FROM users WHERE name = :name OR nick = :name LIMIT :limit', params, { name: "O'Brien" }, 'standard'))
+            .toBe("SELECT * FROM users WHERE name = 'O''Brien' OR nick = 'O''Brien' LIMIT 10");
+    });
+
+    it('should leave placeholders in strings and comments alone', () => {
+        expect(SqlParams.fill("SELECT ':name' -- :name\nFROM t WHERE a = :name", params, { name: 'x' }, 'standard'))
+            .toBe("SELECT ':name' -- :name\nFROM t WHERE a = 'x'");
+    });
+
+    it('should name the parameter whose value does not fit', () => {
+        expect(() => SqlParams.fill('SELECT :limit', params, { limit: 'ten' }, 'standard')).toThrow('limit: "ten" is not a number.');
+    });
+});
@@ -0,0 +1,51 @@
+const SqlRunner = require('../sql-runner');
+
+describe('SqlRunner.parseCsv', () => {
+    it('should handle quoted fields, escaped quotes, CRLF and a byte order mark', () => {
+        const text = '\uFEFFid,name,note\r\n1,"Smith, Jane","said ""hi""\nthen left"\r\n\r\n2,Bob,\n';
+        expect(SqlRunner.parseCsv(text)).toEqual([
+            ['id', 'name', 'note'],
+            ['1', 'Smith, Jane', 'said "hi"\nthen left'],
+            ['2', 'Bob', ''],
+        ]);
+    });
+
+    it('should split on tabs for TSV', () => {
+        expect(SqlRunner.parseCsv('a\tb\n1\t2', '\t')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('SqlRunner.csvTable', () => {
+    it('should name the table and columns after the file and header and type the values', () => {
+        const table = SqlRunner.csvTable('2024 Orders.csv', 'Order ID,Total,Customer,customer\n1,9.5,ann,x\n2,,bob,y\n');
+        expect(table.name).toBe('_2024_orders');
+        expect(table.columns).toEqual(['order_id', 'total', 'customer', 'customer_2']);
+        expect(table.types).toEqual(['INTEGER', 'REAL', 'TEXT', 'TEXT']);
+        expect(table.rows).toEqual([[1, 9.5, 'ann', 'x'], [2, null, 'bob', 'y']]);
+    });
+
+    it('should load files with a few hundred thousand rows', () => {
+        const table = SqlRunner.csvTable('big.csv', 'id,total\n' + '1,2.5\n'.repeat(299999) + '2,3.5,extra\n');
+        expect(table.columns).toEqual(['id', 'total', 'column_3']);
+        expect(table.rows).toHaveLength(300000);
+        expect(table.rows[299999]).toEqual([2, 3.5, 'extra']);
+    });
+
+    it('should reject an empty file', () => {
+        expect(() => SqlRunner.csvTable('empty.csv', '')).toThrow('empty.csv is empty.');
+    });
+});
+
+describe('SqlRunner error positions', () => {
+    it('should point at the token SQLite reports', () => {
+        const sql = 'SELECT 1;\nSELECT id\n  FORM users';
+        const offset = SqlRunner.errorOffset(sql, 9, 'near "users": syntax error');
+        expect(SqlRunner.positionAt(sql, offset)).toEqual({ line: 3, column: 8 });
+    });
+
+    it('should fall back to the start of the failing statement', () => {
+        const sql = 'SELECT 1;\n  -- lookup\n  SELECT * FROM missing';
+        const offset = SqlRunner.errorOffset(sql, 9, 'no such table: missing');
+        expect(SqlRunner.positionAt(sql, offset)).toEqual({ line: 3, column: 3 });
+    });
+});
@@ -0,0 +1,39 @@
+const { openDatabase } = require('../sqlite-d1');
+
+describe('sqlite-d1', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = openDatabase(':memory:');
+        await db.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+    });
+
+    afterEach(() => {
+        db.close();
+    });
+
+    it('should report changes and the new row id of writes', async () => {
+        const inserted = await db.prepare('INSERT INTO items (name) VALUES (?)').bind('a').run();
+        expect(inserted.meta).toMatchObject({ changes: 1, last_row_id: 1, changed_db: true });
+        const selected = await db.prepare('SELECT * FROM items').all();
+        expect(selected.results).toEqual([{ id: 1, name: 'a' }]);
+        expect(selected.meta).toMatchObject({ changes: 0, changed_db: false });
+    });
+
+    it('should report changes of writes that return rows', async () => {
+        const [inserted, updated, missed] = await db.batch([
+            db.prepare('INSERT INTO items (name) VALUES (?) RETURNING id').bind('b'),
+            db.prepare('UPDATE items SET name = ? RETURNING id').bind('c'),
+            db.prepare('UPDATE items SET name = ? WHERE id = 99 RETURNING id').bind('d'),
+        ]);
+        expect(inserted.results).toEqual([{ id: 1 }]);
+        expect(inserted.meta).toMatchObject({ changes: 1, last_row_id: 1, changed_db: true });
+        expect(updated.meta).toMatchObject({ changes: 1, changed_db: true });
+        expect(missed.results).toEqual([]);
+        expect(missed.meta).toMatchObject({ changes: 0, changed_db: false });
+    });
+
+    it('should reject undefined bindings like D1', () => {
+        expect(() => db.prepare('SELECT ?').bind(undefined)).toThrow('D1_TYPE_ERROR');
+    });
+});
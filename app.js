@@ -4,11 +4,47 @@ document.addEventListener('DOMContentLoaded', async () => {
     const queryTitleInput = document.getElementById('query-title');
     const queryTextInput = document.getElementById('query-text');
     const queryTagsInput = document.getElementById('query-tags');
+    const queryParamsContainer = document.getElementById('query-params');
+    const queryDialectSelect = document.getElementById('query-dialect');
+    const queryFormatButton = document.getElementById('query-format-button');
+    const queryLintWarnings = document.getElementById('query-lint-warnings');
+    const addQueryButton = document.getElementById('add-query-button');
     const queryList = document.getElementById('query-list');
     const searchBox = document.getElementById('search-box');
+    const sortSelect = document.getElementById('sort-select');
+    const loadMoreButton = document.getElementById('load-more-button');
+
+    // Bulk action elements
+    const bulkToolbar = document.getElementById('bulk-toolbar');
+    const bulkSelectAll = document.getElementById('bulk-select-all');
+    const bulkCount = document.getElementById('bulk-count');
+    const bulkTagInput = document.getElementById('bulk-tag');
+    const bulkFolderSelect = document.getElementById('bulk-folder');
     
-    // Tags filter elements
+    // Tags and dialect filter elements
     const tagsList = document.getElementById('tags-list');
+    const manageTagsButton = document.getElementById('manage-tags-button');
+    const tagsModal = new bootstrap.Modal(document.getElementById('tags-modal'));
+    const tagManagerList = document.getElementById('tag-manager-list');
+    const mergeTagsForm = document.getElementById('merge-tags-form');
+    const mergeTagsIntoInput = document.getElementById('merge-tags-into');
+    const tagManagerError = document.getElementById('tag-manager-error');
+    const dialectsList = document.getElementById('dialects-list');
+
+    // Folder elements
+    const queryFolderSelect = document.getElementById('query-folder');
+    const folderTree = document.getElementById('folder-tree');
+    const newFolderButton = document.getElementById('new-folder-button');
+    const folderModal = new bootstrap.Modal(document.getElementById('folder-modal'));
+    const folderModalLabel = document.getElementById('folderModalLabel');
+    const folderForm = document.getElementById('folder-form');
+    const folderIdInput = document.getElementById('folder-id');
+    const folderNameInput = document.getElementById('folder-name');
+    const folderParentSelect = document.getElementById('folder-parent');
+    const deleteFolderModal = new bootstrap.Modal(document.getElementById('delete-folder-modal'));
+    const deleteFolderName = document.getElementById('delete-folder-name');
+    const deleteFolderSummary = document.getElementById('delete-folder-summary');
+    const confirmDeleteFolderButton = document.getElementById('confirm-delete-folder-button');
 
     // Edit Modal Elements
     const editModal = new bootstrap.Modal(document.getElementById('edit-query-modal'));
@@ -16,15 +52,122 @@ document.addEventListener('DOMContentLoaded', async () => {
     const editQueryTitleInput = document.getElementById('edit-query-title');
     const editQueryTextInput = document.getElementById('edit-query-text');
     const editQueryTagsInput = document.getElementById('edit-query-tags');
+    const editQueryParamsContainer = document.getElementById('edit-query-params');
+    const editQueryDialectSelect = document.getElementById('edit-query-dialect');
+    const editQueryFormatButton = document.getElementById('edit-query-format-button');
+    const editQueryLintWarnings = document.getElementById('edit-query-lint-warnings');
     const saveQueryButton = document.getElementById('save-query-button');
+    const editConflict = document.getElementById('edit-conflict');
+    const editConflictDiff = document.getElementById('edit-conflict-diff');
+
+    // History Modal Elements
+    const historyModal = new bootstrap.Modal(document.getElementById('history-modal'));
+    const historyFromSelect = document.getElementById('history-from');
+    const historyToSelect = document.getElementById('history-to');
+    const historyDiff = document.getElementById('history-diff');
+    const restoreRevisionButton = document.getElementById('restore-revision-button');
+
+    // Fill Parameters Modal Elements
+    const fillParamsModal = new bootstrap.Modal(document.getElementById('fill-params-modal'));
+    const fillParamsForm = document.getElementById('fill-params-form');
+    const fillParamsFields = document.getElementById('fill-params-fields');
+    const fillParamsDialect = document.getElementById('fill-params-dialect');
+    const fillParamsPreview = document.getElementById('fill-params-preview');
+    const fillParamsError = document.getElementById('fill-params-error');
+    const copyFilledSqlButton = document.getElementById('copy-filled-sql-button');
+
+    // Run Modal Elements
+    const runModal = new bootstrap.Modal(document.getElementById('run-modal'));
+    const runPanel = SqlRunner.createPanel(document.getElementById('run-panel'));
 
     // Share Modal Elements
     const shareModal = new bootstrap.Modal(document.getElementById('share-link-modal'));
     const shareLinkInput = document.getElementById('share-link-input');
     const copyShareLinkButton = document.getElementById('copy-share-link-button');
+    const shareLinkStatus = document.getElementById('share-link-status');
+    const shareEmbedOptions = document.getElementById('share-embed-options');
+    const shareRawInput = document.getElementById('share-raw-input');
+    const shareEmbedInput = document.getElementById('share-embed-input');
+    const shareSettingsForm = document.getElementById('share-settings-form');
+    const shareExpirySelect = document.getElementById('share-expiry-select');
+    const sharePasswordInput = document.getElementById('share-password-input');
+    const shareRemovePasswordCheckbox = document.getElementById('share-remove-password');
+    const revokeShareButton = document.getElementById('revoke-share-button');
+    const activeSharesList = document.getElementById('active-shares-list');
+
+    // Import / Export Elements
+    const importButton = document.getElementById('import-button');
+    const importFileInput = document.getElementById('import-file-input');
+    const importModal = new bootstrap.Modal(document.getElementById('import-modal'));
+    const importFileName = document.getElementById('import-file-name');
+    const importConflictSelect = document.getElementById('import-conflict-select');
+    const importReport = document.getElementById('import-report');
+    const confirmImportButton = document.getElementById('confirm-import-button');
+
+    // Workspace Elements
+    const workspaceSelect = document.getElementById('workspace-select');
+    const invitationCount = document.getElementById('invitation-count');
+    const addQueryCard = document.getElementById('add-query-card');
+    const libraryTitle = document.getElementById('library-title');
+    const workspacesModal = new bootstrap.Modal(document.getElementById('workspaces-modal'));
+    const myInvitations = document.getElementById('my-invitations');
+    const myInvitationsList = document.getElementById('my-invitations-list');
+    const createWorkspaceForm = document.getElementById('create-workspace-form');
+    const newWorkspaceNameInput = document.getElementById('new-workspace-name');
+    const workspaceDetails = document.getElementById('workspace-details');
+    const workspaceDetailsName = document.getElementById('workspace-details-name');
+    const workspaceMembersList = document.getElementById('workspace-members-list');
+    const inviteMemberForm = document.getElementById('invite-member-form');
+    const inviteUsernameInput = document.getElementById('invite-username');
+    const inviteRoleSelect = document.getElementById('invite-role');
+    const workspaceInvitationsList = document.getElementById('workspace-invitations-list');
+    const workspaceError = document.getElementById('workspace-error');
+    const leaveWorkspaceButton = document.getElementById('leave-workspace-button');
+    const deleteWorkspaceButton = document.getElementById('delete-workspace-button');
+
+    // Access token elements
+    const tokensModal = new bootstrap.Modal(document.getElementById('tokens-modal'));
+    const createTokenForm = document.getElementById('create-token-form');
+    const tokenNameInput = document.getElementById('token-name');
+    const tokenScopesGroup = document.getElementById('token-scopes');
+    const tokenExpirySelect = document.getElementById('token-expiry');
+    const newTokenAlert = document.getElementById('new-token');
+    const newTokenValueInput = document.getElementById('new-token-value');
+    const tokensList = document.getElementById('tokens-list');
+
+    // Account settings elements
+    const accountModal = new bootstrap.Modal(document.getElementById('account-modal'));
+    const accountSummary = document.getElementById('account-summary');
+    const accountUsernameForm = document.getElementById('account-username-form');
+    const accountUsernameInput = document.getElementById('account-username');
+    const accountPasswordForm = document.getElementById('account-password-form');
+    const currentPasswordInput = document.getElementById('account-current-password');
+    const newPasswordInput = document.getElementById('account-new-password');
+    const confirmPasswordInput = document.getElementById('account-confirm-password');
+    const deleteAccountForm = document.getElementById('delete-account-form');
+    const deleteAccountPasswordInput = document.getElementById('delete-account-password');
+
+    // Offline Sync Elements
+    const syncStatusButton = document.getElementById('sync-status-button');
+    const syncConflictModal = new bootstrap.Modal(document.getElementById('sync-conflict-modal'));
+    const syncConflictMessage = document.getElementById('sync-conflict-message');
+    const syncConflictDiff = document.getElementById('sync-conflict-diff');
+    const keepMineButton = document.getElementById('keep-mine-button');
+    const keepTheirsButton = document.getElementById('keep-theirs-button');
+
+    const notificationArea = document.getElementById('notification-area');
+
+    // Form inputs by the API field they are validated as
+    const addQueryInputs = { title: queryTitleInput, text: queryTextInput, tags: queryTagsInput, folderId: queryFolderSelect };
+    const editQueryInputs = { title: editQueryTitleInput, text: editQueryTextInput, tags: editQueryTagsInput };
+    const shareSettingsInputs = { expiresAt: shareExpirySelect, password: sharePasswordInput };
+    const workspaceInputs = { name: newWorkspaceNameInput, username: inviteUsernameInput };
+    const folderInputs = { name: folderNameInput, parentId: folderParentSelect };
+    const tokenInputs = { name: tokenNameInput, scopes: tokenScopesGroup, expiresAt: tokenExpirySelect };
+    const passwordInputs = { currentPassword: currentPasswordInput, newPassword: newPasswordInput, confirmPassword: confirmPasswordInput };
 
     // --- Auth & Globals ---
-    const token = localStorage.getItem('token');
+    let token = localStorage.getItem('token');
     if (!token) {
         window.location.href = 'auth.html';
         return;
@@ -32,11 +175,162 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const API_URL = '/api';
     let allQueries = [];
-    let activeTagFilter = null;
+    // Ids of the queries ticked for a bulk action
+    const selectedQueries = new Set();
+    // Known tags with their query counts, for the filter, manager and autocomplete
+    let allTags = [];
+    // Tags the list is filtered by, matched as a whole ('all') or individually ('any')
+    const activeTags = new Set();
+    let activeDialectFilter = null;
+    let folders = [];
+    let activeFolderFilter = null;
+    let deleteFolderId = null;
+    // Folders collapsed in the sidebar tree, remembered across page loads
+    const collapsedFolders = new Set(JSON.parse(localStorage.getItem('collapsedFolders') || '[]'));
+    let nextCursor = null;
+    let searchTimeout = null;
+    let historyQueryId = null;
+    let historyVersions = [];
+    // The query as it was when the edit modal opened (or last merged with),
+    // whose version edits are made against
+    let editBase = null;
+    // The saved copy and the refused edit while the modal shows a conflict
+    let editConflictState = null;
+    let fillQuery = null;
+    let fillCopyButton = null;
+    // What the share modal is open for: { type: 'query' | 'folder', id }
+    let shareTarget = null;
+    let pendingImport = null;
+    let workspaces = [];
+    let workspaceMembers = [];
+    // '' is the personal library
+    let activeWorkspaceId = localStorage.getItem('workspaceId') || '';
+
+    let refreshPromise = null;
+    let refreshTimer = null;
+
+    // Without a connection the library comes from the IndexedDB mirror and
+    // changes wait in its outbox (offline-store.js)
+    let offline = !navigator.onLine;
+    let syncing = false;
+    let mirrorTimer = null;
+    // Outbox changes the server did not take as they were, for the user to resolve
+    let conflicts = [];
+    let activeConflict = null;
+
+    // --- Session Handling ---
+
+    // Seconds until the access token expires, read from its (unverified) payload
+    const tokenExpiresIn = () => {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp - Date.now() / 1000;
+        } catch (e) {
+            return 0;
+        }
+    };
+
+    // Refresh quietly a minute before the access token expires
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshSession, Math.max(tokenExpiresIn() - 60, 0) * 1000);
+    };
+
+    // Trades the refresh token for a new token pair. Concurrent callers share
+    // one request; resolves to false when the session cannot be renewed.
+    const refreshSession = () => {
+        if (!refreshPromise) {
+            refreshPromise = (async () => {
+                const refreshToken = localStorage.getItem('refreshToken');
+                if (!refreshToken) return false;
+
+                const response = await fetch(`${API_URL}/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                if (!response.ok) {
+                    // Another tab may have rotated the tokens in the meantime
+                    const latestToken = localStorage.getItem('token');
+                    if (!latestToken || latestToken === token) return false;
+                    token = latestToken;
+                    scheduleRefresh();
+                    return true;
+                }
+
+                const data = await response.json();
+                token = data.token;
+                localStorage.setItem('token', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                scheduleRefresh();
+                return true;
+            })()
+                .catch(() => false)
+                .finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    };
+
+    // `message` is shown on the login page
+    const endSession = (message) => {
+        clearTimeout(refreshTimer);
+        localStorage.clear();
+        if (message) sessionStorage.setItem('authNotice', message);
+        window.location.href = 'auth.html';
+    };
+
+    // fetch() with the current access token. A 401 triggers one refresh and
+    // retry; if that fails too the user is sent back to the login page.
+    // Throws an error with `offline` set when the API cannot be reached.
+    const apiFetch = async (url, options = {}) => {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...options.headers
+            }
+        }).catch(() => {
+            setOffline(true);
+            throw offlineError();
+        });
 
-    const authHeaders = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        let response = await send();
+        setOffline(false);
+        if (response.status === 401 && await refreshSession()) {
+            response = await send();
+        }
+        if (response.status === 401) {
+            const error = await apiErrorFrom(response, 'Please log in again.');
+            console.error('Auth Error Details:', error.message);
+            endSession(`Your session has expired: ${error.message}`);
+            // The page is navigating away; leave the caller waiting instead of
+            // letting it report a second, misleading error.
+            return new Promise(() => {});
+        }
+        return response;
+    };
+
+    const logout = async (allDevices) => {
+        const unsynced = (await userChanges().catch(() => [])).length;
+        if (unsynced > 0 && !confirm(`${unsynced} change${unsynced === 1 ? '' : 's'} made offline ${unsynced === 1 ? 'has' : 'have'} not been synced yet. Signing out discards ${unsynced === 1 ? 'it' : 'them'}. Sign out anyway?`)) return;
+        try {
+            if (allDevices) {
+                const response = await apiFetch(`${API_URL}/logout-all`, { method: 'POST' });
+                if (!response.ok) throw new Error('Failed to sign out of all devices.');
+            } else {
+                await fetch(`${API_URL}/logout`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                    body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+                });
+            }
+        } catch (error) {
+            // Still clear the local session; the server copy expires on its own
+            console.error(error.message);
+        }
+        await forgetOfflineData();
+        endSession();
     };
     
     // --- Utility Functions ---
@@ -44,168 +338,1360 @@ document.addEventListener('DOMContentLoaded', async () => {
         return tagsString.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag);
     };
 
+    // Safe in text and in quoted attribute values
     function escapeHTML(str) {
         if (typeof str !== 'string') return '';
-        const p = document.createElement('p');
-        p.appendChild(document.createTextNode(str));
-        return p.innerHTML;
+        return str
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
+    // Search results wrap matched terms in \u0002...\u0003 markers
+    const highlightHTML = (str) => escapeHTML(str)
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
+
+    const toLocalDate = (rawDate) => {
+        if (!rawDate) return new Date();
+        // If it's a simple SQL string like "2026-02-24 09:37:22", append 'Z' to treat as UTC
+        const dateString = (typeof rawDate === 'string' && !rawDate.endsWith('Z') && !rawDate.includes('+')) 
+            ? rawDate.replace(' ', 'T') + 'Z' 
+            : rawDate;
+        return new Date(dateString);
+    };
+
+    // Line-based diff (longest common subsequence) between two texts.
+    // Returns [{ type: 'same' | 'added' | 'removed', line }] in display order.
+    const diffLines = (oldText, newText) => {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const result = [];
+        let i = 0, j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                result.push({ type: 'same', line: a[i] });
+                i++; j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                result.push({ type: 'removed', line: a[i++] });
+            } else {
+                result.push({ type: 'added', line: b[j++] });
+            }
+        }
+        while (i < a.length) result.push({ type: 'removed', line: a[i++] });
+        while (j < b.length) result.push({ type: 'added', line: b[j++] });
+        return result;
+    };
+
+    // A version of a query as diffed text: title, tags and (when known) the
+    // dialect are header lines above the SQL
+    const describeVersion = (v) => `-- title: ${v.title}\n-- tags: ${(v.tags || []).join(', ')}\n`
+        + (v.dialect ? `-- dialect: ${v.dialect}\n` : '')
+        + `\n${v.text}`;
+
+    // Error for a request that never reached the API
+    const offlineError = () => {
+        const error = new Error('You are offline. This needs a connection to QueryStore.');
+        error.offline = true;
+        return error;
+    };
+
+    // Error for a failed API response ({ error: { code, message, fields } })
+    const apiErrorFrom = async (response, fallback) => {
+        const data = await response.json().catch(() => ({}));
+        const details = data.error && typeof data.error === 'object' ? data.error : {};
+        const error = new Error(details.message || fallback);
+        error.code = details.code;
+        error.fields = details.fields || {};
+        return error;
+    };
+
+    // Marks the inputs ({ field: element }) named in `fields` as invalid and
+    // shows each message in the .invalid-feedback after the input. Returns true
+    // when at least one message could be shown.
+    const showFieldErrors = (inputs, fields = {}) => {
+        for (const [field, input] of Object.entries(inputs)) {
+            const message = fields[field] || '';
+            input.classList.toggle('is-invalid', !!message);
+            const feedback = input.parentElement.querySelector('.invalid-feedback');
+            if (feedback) feedback.textContent = message;
+        }
+        return Object.keys(fields).some(field => inputs[field]);
+    };
+
+    // Short-lived message in the corner of the page
+    const notify = (message, type = 'danger') => {
+        const toast = document.createElement('div');
+        toast.className = `toast align-items-center text-bg-${type} border-0`;
+        toast.setAttribute('role', 'alert');
+        toast.innerHTML = `
+            <div class="d-flex">
+                <div class="toast-body">${escapeHTML(message)}</div>
+                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
+            </div>
+        `;
+        notificationArea.appendChild(toast);
+        toast.addEventListener('hidden.bs.toast', () => toast.remove());
+        new bootstrap.Toast(toast).show();
+    };
+
+    // Checks a query form with the same rules as the API. Returns the field
+    // errors, or null when the form can be sent.
+    const validateQueryForm = (values) => Validation.validate({
+        title: Validation.title(),
+        text: Validation.sqlText(),
+        tags: Validation.tags(),
+    }, values).fields;
+
+    // The dialect picked in a form, or the one detected from its SQL when the
+    // select is left on "Auto-detect"
+    const selectedDialect = (select, sql) => select.value || SqlFormat.detectDialect(sql);
+
+    // Shows the detected dialect in the "Auto-detect" option of `select`
+    const updateDetectedDialect = (select, sql) => {
+        const detected = sql.trim() ? SqlFormat.detectDialect(sql) : null;
+        select.options[0].textContent = detected ? `Auto-detect (${SqlHighlight.label(detected)})` : 'Auto-detect';
+    };
+
+    // Shows the lint warnings for `sql` in `list` and returns them
+    const renderLintWarnings = (list, sql, dialect) => {
+        const warnings = SqlFormat.lint(sql, dialect);
+        list.innerHTML = warnings
+            .map(w => `<li><i class="bi bi-exclamation-triangle"></i> ${escapeHTML(w.message)}</li>`)
+            .join('');
+        return warnings;
+    };
+
+    const formatTextarea = (textarea, dialect) => {
+        textarea.value = SqlFormat.format(textarea.value, dialect);
+        textarea.dispatchEvent(new Event('input'));
+    };
+
+    const resetAddQueryButton = () => {
+        addQueryButton.dataset.confirming = 'false';
+        addQueryButton.innerHTML = '<i class="bi bi-plus-circle"></i> Add Query';
+        addQueryButton.classList.replace('btn-warning', 'btn-primary');
+    };
+
+    const flashCopied = (button) => {
+        const originalHtml = button.innerHTML;
+        button.innerHTML = '<i class="bi bi-check-lg"></i> Copied!';
+        button.classList.add('btn-success');
+        setTimeout(() => { 
+            button.innerHTML = originalHtml;
+            button.classList.remove('btn-success');
+        }, 2000);
+    };
+
+    // Reads the parameter rows rendered by renderParamEditor
+    const collectParams = (container) => {
+        return Array.from(container.querySelectorAll('.param-row')).map(row => ({
+            name: row.dataset.name,
+            type: row.querySelector('.param-type').value,
+            default: row.querySelector('.param-default').value,
+            description: row.querySelector('.param-description').value.trim(),
+        }));
+    };
+
+    const activeWorkspace = () => workspaces.find(w => w._id.toString() === activeWorkspaceId) || null;
+
+    // Personal libraries are always writable; in a workspace viewers are read-only
+    const activeRole = () => activeWorkspace() ? activeWorkspace().role : 'owner';
+    const canEdit = () => activeRole() !== 'viewer';
+
+    // Adds the active workspace to list requests
+    const scopedParams = (params = new URLSearchParams()) => {
+        if (activeWorkspaceId) params.set('workspace', activeWorkspaceId);
+        return params;
+    };
+
+    // Whether `folderId` is `ancestorId` or one of its subfolders
+    const isInFolder = (folderId, ancestorId) => {
+        const byId = new Map(folders.map(f => [f._id, f]));
+        for (let folder = byId.get(folderId); folder; folder = byId.get(folder.parentId)) {
+            if (folder._id === ancestorId) return true;
+        }
+        return false;
+    };
+
+    // Full path of every folder by id, e.g. "billing/reports/monthly"
+    const folderPaths = () => {
+        const byId = new Map(folders.map(f => [f._id, f]));
+        const paths = new Map();
+        const pathOf = (folder) => {
+            if (!paths.has(folder._id)) {
+                const parent = byId.get(folder.parentId);
+                paths.set(folder._id, parent ? `${pathOf(parent)}/${folder.name}` : folder.name);
+            }
+            return paths.get(folder._id);
+        };
+        folders.forEach(pathOf);
+        return [...paths].sort((a, b) => a[1].localeCompare(b[1]));
+    };
+
+    // <option>s for picking a folder. A folder cannot be moved into itself, so
+    // `excludeId` and its subfolders are left out.
+    const folderOptions = (emptyLabel, excludeId = null) => `<option value="">${emptyLabel}</option>` + folderPaths()
+        .filter(([id]) => excludeId === null || !isInFolder(id, excludeId))
+        .map(([id, path]) => `<option value="${id}">${escapeHTML(path)}</option>`)
+        .join('');
+
     // --- API Functions ---
 
     const fetchAllData = async () => {
-        await Promise.all([fetchQueries(), fetchTags()]);
+        await Promise.all([fetchQueries(), fetchTags(), fetchDialects(), fetchFolders()]);
+        if (!offline) scheduleMirror();
     };
 
-    const fetchQueries = async () => {
+    // Loads the first page of results for the current search, tag and dialect
+    // filters and sort order, or the next page when `append` is set.
+    const fetchQueries = async (append = false) => {
+        const params = scopedParams();
+        const searchTerm = searchBox.value.trim();
+        if (searchTerm) params.set('q', searchTerm);
+        if (activeTags.size > 0) {
+            params.set('tags', [...activeTags].join(','));
+            params.set('match', selectedTagMatch());
+        }
+        if (activeDialectFilter) params.set('dialect', activeDialectFilter);
+        if (activeFolderFilter) params.set('folder', activeFolderFilter);
+        if (sortSelect.value) params.set('sort', sortSelect.value);
+        if (append && nextCursor) params.set('cursor', nextCursor);
+
         try {
-            const response = await fetch(`${API_URL}/queries`, { headers: authHeaders });
-            if (response.status === 401) {
-                const errorData = await response.json().catch(() => ({ error: 'Unknown 401 error' }));
-                console.error('Auth Error Details:', errorData);
-                alert(`Session expired: ${errorData.error || 'Please log in again.'}`);
-                localStorage.clear();
-                window.location.href = 'auth.html';
-                return;
-            }
+            const response = await apiFetch(`${API_URL}/queries?${params}`);
             if (!response.ok) throw new Error('Failed to fetch queries.');
             const data = await response.json();
-            allQueries = data.map(q => ({ ...q, _id: (q._id || q.id).toString() }));
+            const page = data.queries.map(q => ({ ...q, _id: (q._id || q.id).toString() }));
+            allQueries = append ? allQueries.concat(page) : page;
+            nextCursor = data.nextCursor;
             renderQueries(allQueries);
         } catch (error) {
             console.error(error.message);
-            queryList.innerHTML = '<p class="text-center text-danger">Error loading queries.</p>';
+            if (error.offline && await renderOffline()) return;
+            queryList.innerHTML = error.offline
+                ? '<p class="text-center text-danger">You are offline, and this library has not been saved on this device yet.</p>'
+                : '<p class="text-center text-danger">Error loading queries.</p>';
         }
     };
     
     const fetchTags = async () => {
         try {
-            const response = await fetch(`${API_URL}/tags`, { headers: authHeaders });
+            const response = await apiFetch(`${API_URL}/tags?${scopedParams()}`);
             if (!response.ok) throw new Error('Failed to fetch tags.');
-            const tags = await response.json();
-            renderTags(tags);
+            allTags = await response.json();
+            renderTags(allTags);
+            renderTagManager();
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+
+    const fetchDialects = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/dialects?${scopedParams()}`);
+            if (!response.ok) throw new Error('Failed to fetch dialects.');
+            const dialects = await response.json();
+            renderDialects(dialects);
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+
+    const fetchFolders = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/folders?${scopedParams()}`);
+            if (!response.ok) throw new Error('Failed to fetch folders.');
+            applyFolders(await response.json());
+            // Folder paths are shown on the queries
+            if (allQueries.length > 0) renderQueries(allQueries);
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+
+    const applyFolders = (list) => {
+        folders = list;
+        renderFolderTree();
+        const selected = queryFolderSelect.value;
+        queryFolderSelect.innerHTML = folderOptions('No folder');
+        queryFolderSelect.value = selected;
+        bulkFolderSelect.innerHTML = folderOptions('No folder');
+    };
+
+    // Creates a folder, or renames/moves folder `folderId`
+    const saveFolder = async (folderId, name, parentId) => {
+        try {
+            const response = await apiFetch(folderId ? `${API_URL}/folders/${folderId}` : `${API_URL}/folders`, {
+                method: folderId ? 'PUT' : 'POST',
+                body: JSON.stringify(folderId ? { name, parentId } : { name, parentId, workspaceId: activeWorkspaceId || null }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to save the folder.');
+            folderModal.hide();
+            fetchFolders();
+        } catch (error) {
+            console.error(error.message);
+            if (!showFieldErrors(folderInputs, error.fields)) notify(error.message);
+        }
+    };
+
+    // Renames `tag`, merges `sources` into `target` or deletes `tag` across the
+    // library, then swaps the tag in the active filter
+    const updateTags = async (request, sources, target, fallbackMessage) => {
+        try {
+            const response = await apiFetch(request.url, request.options);
+            if (!response.ok) throw await apiErrorFrom(response, fallbackMessage);
+            if (sources.some(tag => activeTags.delete(tag)) && target) activeTags.add(target);
+            tagManagerError.textContent = '';
+            fetchAllData();
+            return true;
+        } catch (error) {
+            console.error(error.message);
+            tagManagerError.textContent = error.message;
+            return false;
+        }
+    };
+    const renameTag = (tag, name) => updateTags({
+        url: `${API_URL}/tags/${encodeURIComponent(tag)}?${scopedParams()}`,
+        options: { method: 'PUT', body: JSON.stringify({ name }) },
+    }, [tag], name.trim().toLowerCase(), 'Failed to rename the tag.');
+    const mergeTags = (tags, into) => updateTags({
+        url: `${API_URL}/tags/merge?${scopedParams()}`,
+        options: { method: 'POST', body: JSON.stringify({ tags, into }) },
+    }, tags, into.trim().toLowerCase(), 'Failed to merge the tags.');
+    const deleteTag = (tag) => updateTags({
+        url: `${API_URL}/tags/${encodeURIComponent(tag)}?${scopedParams()}`,
+        options: { method: 'DELETE' },
+    }, [tag], null, 'Failed to delete the tag.');
+
+    // `contents` is 'move' (up one level) or 'delete'
+    const deleteFolder = async (folderId, contents) => {
+        try {
+            const response = await apiFetch(`${API_URL}/folders/${folderId}?contents=${contents}`, {
+                method: 'DELETE',
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to delete the folder.');
+            deleteFolderModal.hide();
+            if (activeFolderFilter && isInFolder(activeFolderFilter, folderId)) activeFolderFilter = null;
+            fetchAllData();
         } catch (error) {
             console.error(error.message);
+            notify(error.message);
         }
     };
 
-    const addQuery = async (title, text, tags) => {
+    const moveQuery = async (queryId, folderId) => {
         try {
-            const response = await fetch(`${API_URL}/queries`, {
+            const response = await apiFetch(`${API_URL}/queries/${queryId}/folder`, {
+                method: 'PUT',
+                body: JSON.stringify({ folderId }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to move the query.');
+            fetchAllData();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    const resetAddQueryForm = () => {
+        addQueryForm.reset();
+        queryFolderSelect.value = activeFolderFilter || '';
+        updateDetectedDialect(queryDialectSelect, '');
+        showFieldErrors(addQueryInputs);
+        renderParamEditor(queryParamsContainer, '', []);
+    };
+
+    // `dialect` is left out when the API should detect it
+    const addQuery = async (title, text, tags, params, dialect, folderId) => {
+        const data = { title, text, tags, params, dialect: dialect || undefined, folderId, workspaceId: activeWorkspaceId || null };
+        try {
+            const response = await apiFetch(`${API_URL}/queries`, {
                 method: 'POST',
-                headers: authHeaders,
-                body: JSON.stringify({ title, text, tags }),
+                body: JSON.stringify(data),
             });
-            if (!response.ok) throw new Error('Failed to save query.');
-            addQueryForm.reset();
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to save your query.');
+            resetAddQueryForm();
             fetchAllData();
         } catch (error) {
             console.error(error.message);
-            alert('Failed to save your query.');
+            if (error.offline && await queueChange({ type: 'add', queryId: `local-${Date.now()}`, data })) {
+                resetAddQueryForm();
+                return;
+            }
+            if (!showFieldErrors(addQueryInputs, error.fields)) notify(error.message);
         }
     };
 
     const deleteQuery = async (queryId) => {
         if (!confirm('Are you sure you want to delete this query?')) return;
         try {
-            const response = await fetch(`${API_URL}/queries/${queryId}`, { 
+            // Queries added offline only exist in the outbox so far
+            if (isLocalQuery(queryId)) throw offlineError();
+            const response = await apiFetch(`${API_URL}/queries/${queryId}`, {
                 method: 'DELETE',
-                headers: authHeaders 
             });
-            if (!response.ok) throw new Error('Failed to delete query.');
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to delete the query.');
             fetchAllData();
         } catch (error) {
             console.error(error.message);
-            alert('Failed to delete the query.');
+            if (error.offline && await queueChange({ type: 'delete', queryId, base: baseOf(queryId) })) return;
+            notify(error.message);
+        }
+    };
+
+    // Applies `action` to all selected queries at once; the API changes either
+    // all of them or none
+    const bulkAction = async (action, options = {}) => {
+        try {
+            const response = await apiFetch(`${API_URL}/queries/bulk?${scopedParams()}`, {
+                method: 'POST',
+                body: JSON.stringify({ ids: [...selectedQueries], action, ...options }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to update the selected queries.');
+            const result = await response.json();
+            selectedQueries.clear();
+            bulkTagInput.value = '';
+            if (action === 'share') {
+                const links = result.shares.map(share => shareLinkFor(share.shareId)).join('\n');
+                await navigator.clipboard.writeText(links).catch(() => {});
+                notify(`Shared ${result.count} ${result.count === 1 ? 'query' : 'queries'}; the links were copied to the clipboard.`, 'success');
+            }
+            fetchAllData();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    const setPinned = async (queryId, pinned) => {
+        try {
+            const response = await apiFetch(`${API_URL}/queries/${queryId}/pin`, {
+                method: pinned ? 'PUT' : 'DELETE',
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to update the pin.');
+            fetchQueries();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    const setPublished = async (queryId, published) => {
+        try {
+            const response = await apiFetch(`${API_URL}/queries/${queryId}/publish`, {
+                method: published ? 'PUT' : 'DELETE',
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to update the gallery.');
+            if (published) notify('Published to the gallery.', 'success');
+            fetchQueries();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    // Counts a copy of the query for the "Most used" and "Recently used" sorts.
+    // Failures are only logged; the copy itself already worked.
+    const recordUse = async (queryId) => {
+        try {
+            const response = await apiFetch(`${API_URL}/queries/${queryId}/uses`, {
+                method: 'POST',
+                body: JSON.stringify({ event: 'copy' }),
+            });
+            if (!response.ok) throw new Error('Failed to record the query use.');
+            const { useCount, lastUsedAt } = await response.json();
+            const query = allQueries.find(q => q._id === queryId.toString());
+            if (query) Object.assign(query, { use_count: useCount, last_used_at: lastUsedAt });
+        } catch (error) {
+            console.error(error.message);
         }
     };
 
-    const updateQuery = async (queryId, title, text, tags) => {
+    // Saves the edit modal. The API refuses the edit (412) when the query was
+    // changed since `editBase` was loaded; the modal then shows both versions.
+    const updateQuery = async (queryId, title, text, tags, params, dialect) => {
+        const data = { title, text, tags, params, dialect: dialect || undefined };
         try {
-            const response = await fetch(`${API_URL}/queries/${queryId}`, {
+            if (isLocalQuery(queryId)) throw offlineError();
+            const response = await apiFetch(`${API_URL}/queries/${queryId}`, {
                 method: 'PUT',
-                headers: authHeaders,
-                body: JSON.stringify({ title, text, tags }),
+                headers: { 'If-Match': `"${editBase.version}"` },
+                body: JSON.stringify(data),
             });
-            if (!response.ok) throw new Error('Failed to update query.');
+            if (response.status === 412) {
+                const { current } = await response.json();
+                showEditConflict(current, data);
+                return;
+            }
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to update the query.');
+            editModal.hide();
+            fetchAllData();
+        } catch (error) {
+            console.error(error.message);
+            if (error.offline && await queueChange({ type: 'edit', queryId, data, base: baseOf(queryId) })) {
+                editModal.hide();
+                return;
+            }
+            if (!showFieldErrors(editQueryInputs, error.fields)) notify(error.message);
+        }
+    };
+
+    // Fills the edit modal with `query` ({ title, text, tags, params, dialect })
+    const fillEditForm = (query) => {
+        editQueryTitleInput.value = query.title;
+        editQueryTextInput.value = query.text;
+        editQueryTagsInput.value = (query.tags || []).join(', ');
+        editQueryDialectSelect.value = query.dialect || '';
+        updateDetectedDialect(editQueryDialectSelect, query.text);
+        renderParamEditor(editQueryParamsContainer, query.text, query.params);
+        showFieldErrors(editQueryInputs);
+        editQueryLintWarnings.innerHTML = '';
+    };
+
+    const openEditForm = (query) => {
+        editBase = query;
+        editConflictState = null;
+        editConflict.classList.add('d-none');
+        editQueryIdInput.value = query._id;
+        fillEditForm(query);
+        editModal.show();
+    };
+
+    const showEditConflict = (current, mine) => {
+        editConflictState = { current, mine };
+        const markers = { same: ' ', added: '+', removed: '-' };
+        editConflictDiff.innerHTML = diffLines(describeVersion(current), describeVersion(mine))
+            .map(d => `<span class="diff-line diff-${d.type}">${markers[d.type]} ${escapeHTML(d.line)}</span>`)
+            .join('');
+        editConflict.classList.remove('d-none');
+    };
+
+    // `choice` is 'merge' (combine both versions in the form for review),
+    // 'overwrite' (save mine over the saved version) or 'discard'
+    const resolveEditConflict = (choice) => {
+        const { current, mine } = editConflictState;
+        editConflictState = null;
+        editConflict.classList.add('d-none');
+        if (choice === 'discard') {
             editModal.hide();
             fetchAllData();
+            return;
+        }
+
+        const base = editBase;
+        // The next save is made against the version that is saved now
+        editBase = current;
+        if (choice === 'overwrite') {
+            updateQuery(editQueryIdInput.value, mine.title, mine.text, mine.tags, mine.params, mine.dialect);
+            return;
+        }
+        const { query, conflicts } = QueryMerge.mergeQuery(base, mine, current);
+        fillEditForm(query);
+        notify(conflicts.length === 0
+            ? 'Both versions were merged. Review the result and save it.'
+            : `Both versions changed the ${conflicts.join(', ')}. Your version was kept${conflicts.includes('text') ? ', and conflicting SQL lines are marked with <<<<<<< and >>>>>>>' : ''}. Review the result and save it.`,
+        'warning');
+    };
+
+    const showHistory = async (queryId) => {
+        try {
+            const response = await apiFetch(`${API_URL}/queries/${queryId}/revisions`);
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to load the query history.');
+            const revisions = await response.json();
+            const current = allQueries.find(q => q._id === queryId.toString());
+
+            historyQueryId = queryId;
+            historyVersions = [
+                { ...current, _id: null, label: 'Current version' },
+                ...revisions.map(r => ({ ...r, label: `Revision from ${toLocalDate(r.createdAt).toLocaleString()}` }))
+            ];
+            renderHistory();
+            historyModal.show();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    const restoreRevision = async (queryId, revisionId) => {
+        try {
+            const response = await apiFetch(`${API_URL}/queries/${queryId}/revisions/${revisionId}/restore`, {
+                method: 'POST',
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to restore the revision.');
+            historyModal.hide();
+            fetchAllData();
         } catch (error) {
             console.error(error.message);
-            alert('Failed to update the query.');
+            notify(error.message);
         }
     };
 
-    const shareQuery = async (queryId) => {
+    const shareLinkFor = (shareId, type = 'query') =>
+        `${window.location.origin}/share.html?${type === 'folder' ? 'folder' : 'id'}=${shareId}`;
+
+    const shareEndpoint = (target) => `${API_URL}/${target.type === 'folder' ? 'folders' : 'queries'}/${target.id}/share`;
+
+    // Creates the link for a query or folder (`target`, see shareTarget) if
+    // needed; `settings` ({ expiresAt, password }) updates an existing one
+    const shareItem = async (target, settings) => {
         try {
-            const response = await fetch(`${API_URL}/queries/${queryId}/share`, {
+            const response = await apiFetch(shareEndpoint(target), {
                 method: 'POST',
-                headers: authHeaders,
+                body: JSON.stringify(settings || {}),
             });
-            if (!response.ok) throw new Error('Failed to generate share link.');
-            const { shareId } = await response.json();
-            const shareLink = `${window.location.origin}/share.html?id=${shareId}`;
-            shareLinkInput.value = shareLink;
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to generate share link.');
+            const share = await response.json();
+            shareTarget = target;
+            showFieldErrors(shareSettingsInputs);
+            renderShareDetails(share);
+            fetchShares();
+            if (target.type === 'folder') fetchFolders();
             shareModal.show();
         } catch (error) {
             console.error(error.message);
-            alert('Failed to generate share link.');
+            if (!showFieldErrors(shareSettingsInputs, error.fields)) notify(error.message);
+        }
+    };
+
+    const revokeShare = async (target) => {
+        if (!confirm('Revoke this share link? Anyone using it will lose access.')) return;
+        try {
+            const response = await apiFetch(shareEndpoint(target), {
+                method: 'DELETE',
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to revoke the share link.');
+            if (shareTarget && target.type === shareTarget.type && target.id.toString() === shareTarget.id.toString()) {
+                shareModal.hide();
+            } else {
+                fetchShares();
+            }
+            if (target.type === 'folder') {
+                fetchFolders();
+            } else {
+                fetchQueries();
+            }
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    const fetchShares = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/shares?${scopedParams()}`);
+            if (!response.ok) throw new Error('Failed to fetch shares.');
+            renderShares(await response.json());
+        } catch (error) {
+            console.error(error.message);
+            activeSharesList.innerHTML = '<p class="text-danger">Error loading shares.</p>';
+        }
+    };
+
+    // --- Access Tokens ---
+
+    const fetchTokens = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/tokens`);
+            if (!response.ok) throw new Error('Failed to fetch access tokens.');
+            renderTokens(await response.json());
+        } catch (error) {
+            console.error(error.message);
+            tokensList.innerHTML = '<p class="text-danger">Error loading access tokens.</p>';
+        }
+    };
+
+    const createToken = async (settings) => {
+        try {
+            const response = await apiFetch(`${API_URL}/tokens`, {
+                method: 'POST',
+                body: JSON.stringify(settings),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to create the access token.');
+            const created = await response.json();
+            createTokenForm.reset();
+            newTokenValueInput.value = created.token;
+            newTokenAlert.classList.remove('d-none');
+            fetchTokens();
+        } catch (error) {
+            console.error(error.message);
+            if (!showFieldErrors(tokenInputs, error.fields)) notify(error.message);
+        }
+    };
+
+    const revokeToken = async (tokenId) => {
+        try {
+            const response = await apiFetch(`${API_URL}/tokens/${tokenId}`, { method: 'DELETE' });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to revoke the access token.');
+            fetchTokens();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    // --- Account ---
+
+    const fetchAccount = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/account`);
+            if (!response.ok) throw new Error('Failed to load your account.');
+            const account = await response.json();
+            accountUsernameInput.value = account.username;
+            const queries = `${account.queries} personal ${account.queries === 1 ? 'query' : 'queries'}`;
+            accountSummary.textContent = `Member since ${toLocalDate(account.createdAt).toLocaleDateString()} · ${queries}`;
+        } catch (error) {
+            console.error(error.message);
+            accountSummary.textContent = 'Error loading your account.';
+        }
+    };
+
+    const renameAccount = async (username) => {
+        try {
+            const response = await apiFetch(`${API_URL}/account/username`, {
+                method: 'PUT',
+                body: JSON.stringify({ username }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to change your username.');
+            const data = await response.json();
+            token = data.token;
+            localStorage.setItem('token', data.token);
+            localStorage.setItem('username', data.username);
+            notify(`You are now signed in as ${data.username}.`, 'success');
+        } catch (error) {
+            console.error(error.message);
+            if (!showFieldErrors({ username: accountUsernameInput }, error.fields)) notify(error.message);
+        }
+    };
+
+    const changePassword = async (currentPassword, newPassword) => {
+        try {
+            const response = await apiFetch(`${API_URL}/account/password`, {
+                method: 'PUT',
+                body: JSON.stringify({ currentPassword, newPassword }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to change your password.');
+            accountPasswordForm.reset();
+            notify('Password changed. Your other devices have been signed out.', 'success');
+        } catch (error) {
+            console.error(error.message);
+            if (!showFieldErrors(passwordInputs, error.fields)) notify(error.message);
+        }
+    };
+
+    const deleteAccount = async (password) => {
+        try {
+            const response = await apiFetch(`${API_URL}/account`, {
+                method: 'DELETE',
+                body: JSON.stringify({ password }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to delete your account.');
+            await forgetOfflineData();
+            endSession('Your account has been deleted.');
+        } catch (error) {
+            console.error(error.message);
+            if (!showFieldErrors({ password: deleteAccountPasswordInput }, error.fields)) notify(error.message);
+        }
+    };
+
+    // --- Import / Export ---
+
+    const exportLibrary = async (format) => {
+        try {
+            const response = await apiFetch(`${API_URL}/export?${scopedParams(new URLSearchParams({ format }))}`);
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to export your queries.');
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const fileName = (disposition.match(/filename="([^"]+)"/) || [])[1] || `querystore.${format}`;
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        }
+    };
+
+    // Sends the selected file to /import; with dryRun the server only reports
+    // what would happen.
+    const importLibrary = async (dryRun) => {
+        try {
+            const response = await apiFetch(`${API_URL}/import?${scopedParams()}`, {
+                method: 'POST',
+                body: JSON.stringify({ ...pendingImport, dryRun, onConflict: importConflictSelect.value }),
+            });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to import queries.');
+            const report = await response.json();
+            renderImportReport(report);
+            if (!dryRun) {
+                pendingImport = null;
+                confirmImportButton.classList.add('d-none');
+                fetchAllData();
+            }
+        } catch (error) {
+            console.error(error.message);
+            importReport.innerHTML = `<p class="text-danger">${escapeHTML(error.message)}</p>`;
+        }
+    };
+
+    const renderImportReport = (report) => {
+        const list = (items, describe) => items.length === 0 ? '' : `
+            <ul class="small mb-2">${items.map(item => `<li>${describe(item)}</li>`).join('')}</ul>
+        `;
+        const where = (item) => item.inFile ? 'earlier in the file' : 'in your library';
+        const verb = report.dryRun ? 'Will import' : 'Imported';
+
+        importReport.innerHTML = `
+            <p><strong>${report.total}</strong> quer${report.total === 1 ? 'y' : 'ies'} found in the file.</p>
+            <p class="mb-1">${verb} <strong>${report.created.length}</strong> new and overwrite <strong>${report.overwritten.length}</strong>.</p>
+            ${report.duplicates.length ? `<p class="mb-1 text-muted">Skipping ${report.duplicates.length} exact duplicate(s):</p>` : ''}
+            ${list(report.duplicates, d => `${escapeHTML(d.title)} <span class="text-muted">(already ${where(d)})</span>`)}
+            ${report.conflicts.length ? `<p class="mb-1 text-warning">${report.conflicts.length} conflict(s) with a different SQL text:</p>` : ''}
+            ${list(report.conflicts, d => `${escapeHTML(d.title)} <span class="text-muted">(${where(d)})</span>`)}
+            ${report.skipped.length ? `<p class="mb-1 text-warning">Not overwriting ${report.skipped.length} entr${report.skipped.length === 1 ? 'y' : 'ies'} with the title of an earlier entry in the file:</p>` : ''}
+            ${list(report.skipped, d => escapeHTML(d.title))}
+            ${report.errors.length ? `<p class="mb-1 text-danger">${report.errors.length} entr${report.errors.length === 1 ? 'y' : 'ies'} could not be read:</p>` : ''}
+            ${list(report.errors, e => escapeHTML(e.message))}
+        `;
+    };
+
+    // --- Workspaces ---
+
+    const fetchWorkspaces = async () => {
+        try {
+            const [workspacesResponse, invitationsResponse] = await Promise.all([
+                apiFetch(`${API_URL}/workspaces`),
+                apiFetch(`${API_URL}/invitations`),
+            ]);
+            if (!workspacesResponse.ok || !invitationsResponse.ok) throw new Error('Failed to fetch workspaces.');
+            workspaces = await workspacesResponse.json();
+            renderInvitations(await invitationsResponse.json());
+        } catch (error) {
+            console.error(error.message);
+            // Offline, the workspaces are known from the last visit
+            workspaces = error.offline ? await OfflineStore.get(mirrorKey('workspaces')).catch(() => null) || [] : [];
+        }
+        // Fall back to the personal library if we were removed from the workspace
+        if (activeWorkspaceId && !activeWorkspace()) setActiveWorkspace('');
+        renderWorkspaceSelect();
+        applyRole();
+    };
+
+    const setActiveWorkspace = (workspaceId) => {
+        activeWorkspaceId = workspaceId ? workspaceId.toString() : '';
+        localStorage.setItem('workspaceId', activeWorkspaceId);
+    };
+
+    const switchWorkspace = (workspaceId) => {
+        setActiveWorkspace(workspaceId);
+        activeTags.clear();
+        selectedQueries.clear();
+        activeDialectFilter = null;
+        activeFolderFilter = null;
+        nextCursor = null;
+        renderWorkspaceSelect();
+        applyRole();
+        fetchAllData();
+    };
+
+    const fetchMembers = async () => {
+        const workspace = activeWorkspace();
+        if (!workspace) return;
+        try {
+            const response = await apiFetch(`${API_URL}/workspaces/${workspace._id}/members`);
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to fetch members.');
+            renderMembers(await response.json());
+        } catch (error) {
+            console.error(error.message);
+            workspaceError.textContent = error.message;
+        }
+    };
+
+    // Runs a workspace management request and refreshes the modal afterwards
+    const workspaceRequest = async (url, options, fallbackError) => {
+        workspaceError.textContent = '';
+        showFieldErrors(workspaceInputs);
+        try {
+            const response = await apiFetch(url, options);
+            if (!response.ok) throw await apiErrorFrom(response, fallbackError);
+            return await response.json();
+        } catch (error) {
+            console.error(error.message);
+            if (!showFieldErrors(workspaceInputs, error.fields)) workspaceError.textContent = error.message;
+            return null;
+        }
+    };
+
+    const renderWorkspaceSelect = () => {
+        workspaceSelect.innerHTML = '<option value="">Personal</option>' + workspaces
+            .map(w => `<option value="${w._id}">${escapeHTML(w.name)} (${w.role})</option>`)
+            .join('');
+        workspaceSelect.value = activeWorkspaceId;
+    };
+
+    const applyRole = () => {
+        addQueryCard.classList.toggle('d-none', !canEdit());
+        importButton.classList.toggle('d-none', !canEdit());
+        newFolderButton.classList.toggle('d-none', !canEdit());
+        manageTagsButton.classList.toggle('d-none', !canEdit());
+        const workspace = activeWorkspace();
+        libraryTitle.textContent = workspace ? `${workspace.name} Queries` : 'My Queries';
+    };
+
+    const renderInvitations = (invitations) => {
+        invitationCount.textContent = invitations.length;
+        invitationCount.classList.toggle('d-none', invitations.length === 0);
+        myInvitations.classList.toggle('d-none', invitations.length === 0);
+        myInvitationsList.innerHTML = invitations.map(i => `
+            <div class="list-group-item d-flex justify-content-between align-items-center" data-id="${i._id}">
+                <div>
+                    <strong>${escapeHTML(i.workspaceName)}</strong> as ${escapeHTML(i.role)}
+                    <small class="text-muted d-block">Invited by ${escapeHTML(i.invitedBy || 'a former member')}</small>
+                </div>
+                <div class="text-nowrap">
+                    <button class="btn btn-sm btn-success accept-invitation-btn">Accept</button>
+                    <button class="btn btn-sm btn-outline-danger decline-invitation-btn">Decline</button>
+                </div>
+            </div>
+        `).join('');
+    };
+
+    const renderWorkspaceDetails = () => {
+        const workspace = activeWorkspace();
+        workspaceDetails.classList.toggle('d-none', !workspace);
+        workspaceError.textContent = '';
+        if (!workspace) return;
+
+        const isOwner = workspace.role === 'owner';
+        workspaceDetailsName.textContent = workspace.name;
+        inviteMemberForm.classList.toggle('d-none', !isOwner);
+        deleteWorkspaceButton.classList.toggle('d-none', !isOwner);
+        workspaceMembersList.innerHTML = '<p class="text-muted">Loading members...</p>';
+        workspaceInvitationsList.innerHTML = '';
+        fetchMembers();
+    };
+
+    const renderMembers = ({ members, invitations }) => {
+        workspaceMembers = members;
+        const isOwner = activeRole() === 'owner';
+        const roleOptions = (selected) => ['viewer', 'editor', 'owner']
+            .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${role}</option>`)
+            .join('');
+
+        workspaceMembersList.innerHTML = members.map(m => `
+            <div class="list-group-item d-flex justify-content-between align-items-center" data-id="${m._id}">
+                <span>${escapeHTML(m.username)}</span>
+                ${isOwner ? `
+                    <div class="d-flex">
+                        <select class="form-select form-select-sm member-role-select me-2">${roleOptions(m.role)}</select>
+                        <button class="btn btn-sm btn-outline-danger remove-member-btn" title="Remove member"><i class="bi bi-person-x"></i></button>
+                    </div>
+                ` : `<span class="badge bg-secondary">${escapeHTML(m.role)}</span>`}
+            </div>
+        `).join('');
+
+        workspaceInvitationsList.innerHTML = invitations.map(i => `
+            <div class="list-group-item d-flex justify-content-between align-items-center" data-id="${i._id}">
+                <span class="text-muted">${escapeHTML(i.username)} invited as ${escapeHTML(i.role)}</span>
+                <button class="btn btn-sm btn-outline-secondary cancel-invitation-btn">Cancel</button>
+            </div>
+        `).join('');
+    };
+
+    // --- Offline Mode ---
+
+    // Mirror records belong to the signed-in user; libraries are per workspace
+    const mirrorKey = (name) => `${localStorage.getItem('username')}/${name}`;
+    const libraryKey = () => mirrorKey(`library/${activeWorkspaceId || 'personal'}`);
+
+    const isLocalQuery = (queryId) => String(queryId).startsWith('local-');
+
+    // The query as it is now, to detect whether someone else changes it
+    // before an offline edit or delete is synced
+    const baseOf = (queryId) => {
+        const query = allQueries.find(q => q._id === queryId.toString());
+        return query ? OfflineStore.snapshot(query) : null;
+    };
+
+    // Outbox changes of the signed-in user, in all of their libraries
+    const userChanges = async () => (await OfflineStore.changes()).filter(c => c.library.startsWith(mirrorKey('')));
+
+    const forgetOfflineData = () => OfflineStore.clear().catch(error => console.error(error.message));
+
+    const setOffline = (value) => {
+        if (offline === value) return;
+        offline = value;
+        renderSyncStatus();
+        if (!offline) syncOutbox();
+    };
+
+    // Saves the whole active library for offline use, a moment after the last
+    // refresh so a burst of changes is mirrored once
+    const scheduleMirror = () => {
+        clearTimeout(mirrorTimer);
+        mirrorTimer = setTimeout(mirrorLibrary, 2000);
+    };
+
+    const mirrorLibrary = async () => {
+        const library = libraryKey();
+        try {
+            const queries = [];
+            let cursor = null;
+            do {
+                const params = scopedParams(new URLSearchParams({ limit: 100 }));
+                if (cursor) params.set('cursor', cursor);
+                const response = await apiFetch(`${API_URL}/queries?${params}`);
+                if (!response.ok) throw new Error('Failed to save the library for offline use.');
+                const data = await response.json();
+                queries.push(...data.queries.map(q => ({ ...q, _id: (q._id || q.id).toString() })));
+                cursor = data.nextCursor;
+            } while (cursor);
+            // The workspace was switched in the meantime
+            if (library !== libraryKey()) return;
+            await OfflineStore.put(library, { queries, folders });
+            await OfflineStore.put(mirrorKey('workspaces'), workspaces);
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+
+    // Shows the mirrored library with the outbox applied, filtered and sorted
+    // like the API would. Returns false when there is no mirror yet.
+    const renderOffline = async () => {
+        let mirror;
+        let changes;
+        try {
+            mirror = await OfflineStore.get(libraryKey());
+            changes = (await OfflineStore.changes()).filter(c => c.library === libraryKey());
+        } catch (error) {
+            console.error(error.message);
+            return false;
+        }
+        if (!mirror) return false;
+
+        const queries = OfflineStore.applyChanges(mirror.queries, changes);
+        applyFolders(mirror.folders);
+        allTags = OfflineStore.tagCounts(queries);
+        renderTags(allTags);
+        renderTagManager();
+        renderDialects(OfflineStore.dialectCounts(queries));
+        allQueries = OfflineStore.filterQueries(queries, {
+            q: searchBox.value.trim(),
+            tags: [...activeTags],
+            match: selectedTagMatch(),
+            dialect: activeDialectFilter,
+            folderIds: activeFolderFilter ? new Set(folders.filter(f => isInFolder(f._id, activeFolderFilter)).map(f => f._id)) : null,
+            sort: sortSelect.value,
+        });
+        nextCursor = null;
+        renderQueries(allQueries);
+        return true;
+    };
+
+    // Keeps a change made offline in the outbox. Returns false when this
+    // browser cannot store it, e.g. with IndexedDB disabled.
+    const queueChange = async (change) => {
+        try {
+            await OfflineStore.enqueue({ ...change, library: libraryKey(), workspaceId: activeWorkspaceId || null, createdAt: Date.now() });
+        } catch (error) {
+            console.error(error.message);
+            return false;
+        }
+        notify('You are offline. The change is saved on this device and will sync when the connection returns.', 'warning');
+        await renderOffline();
+        renderSyncStatus();
+        return true;
+    };
+
+    // Sends one outbox change. Returns null once it is applied, or what stops
+    // it: { reason: 'changed', server } when the query was changed elsewhere
+    // since it was edited offline, { reason: 'deleted' } when it is gone.
+    // `force` sends an edit or delete without checking.
+    const sendChange = async (change, force = false) => {
+        if (change.type === 'add') {
+            const response = await apiFetch(`${API_URL}/queries`, { method: 'POST', body: JSON.stringify(change.data) });
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to save the query.');
+            return null;
+        }
+
+        const url = `${API_URL}/queries/${change.queryId}`;
+        let ifMatch = '*';
+        if (!force) {
+            const response = await apiFetch(url);
+            if (response.status === 404) return change.type === 'delete' ? null : { reason: 'deleted' };
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to load the query.');
+            const server = await response.json();
+            if (change.type === 'edit' && OfflineStore.sameContent(server, change.data)) return null;
+            if (!OfflineStore.sameContent(server, change.base)) return { reason: 'changed', server: OfflineStore.snapshot(server) };
+            ifMatch = response.headers.get('ETag');
+        }
+
+        const response = await apiFetch(url, change.type === 'edit'
+            ? { method: 'PUT', headers: { 'If-Match': ifMatch }, body: JSON.stringify(change.data) }
+            : { method: 'DELETE' });
+        if (!response.ok) throw await apiErrorFrom(response, `Failed to ${change.type === 'edit' ? 'update' : 'delete'} the query.`);
+        return null;
+    };
+
+    // Sends the outbox in the order the changes were made. A change the
+    // server no longer agrees with becomes a conflict for the user to resolve;
+    // nothing is overwritten without asking.
+    const syncOutbox = async () => {
+        if (syncing) return;
+        syncing = true;
+        let synced = 0;
+        try {
+            for (const change of await userChanges()) {
+                if (change.conflict) continue;
+                let conflict;
+                try {
+                    conflict = await sendChange(change);
+                } catch (error) {
+                    if (error.offline) break;
+                    conflict = { reason: 'rejected', message: error.message };
+                }
+                if (conflict) {
+                    await OfflineStore.updateChange({ ...change, conflict });
+                } else {
+                    await OfflineStore.removeChange(change.id);
+                    synced++;
+                }
+            }
+        } catch (error) {
+            console.error(error.message);
+        } finally {
+            syncing = false;
+        }
+
+        await renderSyncStatus();
+        if (synced > 0) {
+            notify(`Synced ${synced} change${synced === 1 ? '' : 's'} made offline.`, 'success');
+            fetchAllData();
+        }
+        if (conflicts.length > 0) {
+            notify(`${conflicts.length} change${conflicts.length === 1 ? '' : 's'} made offline could not be synced. Use the sync button at the top to resolve ${conflicts.length === 1 ? 'it' : 'them'}.`, 'warning');
+        }
+    };
+
+    const renderSyncStatus = async () => {
+        const changes = await userChanges().catch(() => []);
+        conflicts = changes.filter(c => c.conflict);
+        const waiting = changes.length - conflicts.length;
+
+        let html = '';
+        if (conflicts.length > 0) {
+            html = `<i class="bi bi-exclamation-triangle"></i> ${conflicts.length} sync conflict${conflicts.length === 1 ? '' : 's'}`;
+        } else if (offline) {
+            html = `<i class="bi bi-cloud-slash"></i> Offline${waiting ? ` · ${waiting} unsynced` : ''}`;
+        } else if (waiting) {
+            html = `<i class="bi bi-cloud-arrow-up"></i> Sync ${waiting} change${waiting === 1 ? '' : 's'}`;
+        }
+        syncStatusButton.innerHTML = html;
+        syncStatusButton.classList.toggle('d-none', !html);
+        syncStatusButton.classList.toggle('btn-danger', conflicts.length > 0);
+        syncStatusButton.classList.toggle('btn-warning', conflicts.length === 0);
+    };
+
+    // Shows the first unresolved conflict, or closes the dialog when none is left
+    const openConflict = () => {
+        activeConflict = conflicts[0] || null;
+        if (!activeConflict) {
+            syncConflictModal.hide();
+            return;
+        }
+
+        const { type, data, base, conflict } = activeConflict;
+        const title = `"${(data || base).title}"`;
+        let message;
+        let from;
+        let to;
+        let labels;
+        if (conflict.reason === 'changed' && type === 'edit') {
+            message = `${title} was changed elsewhere while you edited it offline. Lines marked - are the saved version, + yours.`;
+            [from, to, labels] = [conflict.server, data, ['Keep the saved version', 'Overwrite with mine']];
+        } else if (conflict.reason === 'changed') {
+            message = `You deleted ${title} offline, but it was changed elsewhere in the meantime. Lines marked + are those changes.`;
+            [from, to, labels] = [base, conflict.server, ['Keep the query', 'Delete it anyway']];
+        } else if (conflict.reason === 'deleted') {
+            message = `${title} was deleted elsewhere while you edited it offline. Lines marked + are your changes.`;
+            [from, to, labels] = [base, data, ['Discard my changes', 'Save mine as a new query']];
+        } else {
+            message = `Your offline ${type === 'add' ? 'query' : type} ${title} could not be saved: ${conflict.message}`;
+            [from, to, labels] = [data || base, data || base, [`Discard ${type === 'delete' ? 'the delete' : 'it'}`, 'Try again']];
+        }
+
+        const markers = { same: ' ', added: '+', removed: '-' };
+        syncConflictMessage.textContent = message;
+        syncConflictDiff.innerHTML = diffLines(describeVersion(from), describeVersion(to))
+            .map(d => `<span class="diff-line diff-${d.type}">${markers[d.type]} ${escapeHTML(d.line)}</span>`)
+            .join('');
+        [keepTheirsButton.textContent, keepMineButton.textContent] = labels;
+        syncConflictModal.show();
+    };
+
+    // `keepMine` applies the offline change after all; otherwise it is dropped
+    const resolveConflict = async (keepMine) => {
+        const change = activeConflict;
+        keepMineButton.disabled = keepTheirsButton.disabled = true;
+        try {
+            if (keepMine) {
+                const outcome = change.conflict.reason === 'deleted'
+                    ? await sendChange({ type: 'add', data: { ...change.data, workspaceId: change.workspaceId } })
+                    : await sendChange(change, change.conflict.reason === 'changed');
+                if (outcome) {
+                    await OfflineStore.updateChange({ ...change, conflict: outcome });
+                    await renderSyncStatus();
+                    openConflict();
+                    return;
+                }
+            }
+            await OfflineStore.removeChange(change.id);
+            await renderSyncStatus();
+            openConflict();
+            fetchAllData();
+        } catch (error) {
+            console.error(error.message);
+            notify(error.message);
+        } finally {
+            keepMineButton.disabled = keepTheirsButton.disabled = false;
         }
     };
 
     // --- Rendering ---
 
+    const renderBulkToolbar = () => {
+        bulkToolbar.classList.toggle('d-none', !canEdit() || selectedQueries.size === 0);
+        bulkCount.textContent = `${selectedQueries.size} selected`;
+        bulkSelectAll.checked = allQueries.length > 0 && allQueries.every(q => selectedQueries.has(q._id));
+        bulkSelectAll.indeterminate = selectedQueries.size > 0 && !bulkSelectAll.checked;
+    };
+
     const renderQueries = (queries) => {
         queryList.innerHTML = '';
+        loadMoreButton.classList.toggle('d-none', !nextCursor);
+        // Queries that are no longer listed drop out of the selection
+        for (const id of selectedQueries) {
+            if (!queries.some(q => q._id === id)) selectedQueries.delete(id);
+        }
+        renderBulkToolbar();
         if (queries.length === 0) {
-            queryList.innerHTML = '<p class="text-center text-muted">No queries saved yet.</p>';
+            queryList.innerHTML = (searchBox.value.trim() || activeTags.size > 0 || activeDialectFilter || activeFolderFilter)
+                ? '<p class="text-center text-muted">No queries match your search.</p>'
+                : '<p class="text-center text-muted">No queries saved yet.</p>';
             return;
         }
 
-        queries.forEach(query => {
+        const paths = folderPaths();
+        const pathsById = new Map(paths);
+        const moveMenuHtml = paths.length === 0 ? '' : `
+            <div class="btn-group">
+                <button class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" aria-expanded="false">
+                    <i class="bi bi-folder-symlink"></i> Move
+                </button>
+                <ul class="dropdown-menu dropdown-menu-end">
+                    <li><button class="dropdown-item move-to-folder-btn" data-folder-id="">No folder</button></li>
+                    ${paths.map(([id, path]) => `<li><button class="dropdown-item move-to-folder-btn" data-folder-id="${id}">${escapeHTML(path)}</button></li>`).join('')}
+                </ul>
+            </div>`;
+
+        // Pinned queries come first from the API; they get their own section
+        const hasPinned = queries.some(q => q.pinned);
+        queries.forEach((query, index) => {
+            if (hasPinned && (index === 0 || query.pinned !== queries[index - 1].pinned)) {
+                const heading = document.createElement('h6');
+                heading.className = 'query-section-heading';
+                heading.innerHTML = query.pinned ? '<i class="bi bi-pin-angle-fill"></i> Pinned' : 'All Queries';
+                queryList.appendChild(heading);
+            }
+
             const queryItem = document.createElement('div');
-            queryItem.className = 'list-group-item';
+            queryItem.className = `list-group-item${query.pinned ? ' pinned' : ''}`;
             queryItem.dataset.id = query._id;
             
             const tagsHtml = (query.tags || []).map(tag => `<span class="badge bg-secondary me-1">${escapeHTML(tag)}</span>`).join('');
+            const dialectHtml = `<span class="badge dialect-badge me-1">${SqlHighlight.label(query.dialect)}</span>`;
+            const folderHtml = pathsById.has(query.folder_id)
+                ? `<span class="badge folder-badge me-1"><i class="bi bi-folder"></i> ${escapeHTML(pathsById.get(query.folder_id))}</span>`
+                : '';
+            const paramCount = (query.params || []).length;
+            const paramsHtml = paramCount
+                ? `<span class="badge bg-info text-dark me-1"><i class="bi bi-braces"></i> ${paramCount} param${paramCount === 1 ? '' : 's'}</span>`
+                : '';
             
             // Handle UTC to Local conversion
-            let dateObj;
-            const rawDate = query.createdAt || query.created_at;
-            if (rawDate) {
-                // If it's a simple SQL string like "2026-02-24 09:37:22", append 'Z' to treat as UTC
-                const dateString = (typeof rawDate === 'string' && !rawDate.endsWith('Z') && !rawDate.includes('+')) 
-                    ? rawDate.replace(' ', 'T') + 'Z' 
-                    : rawDate;
-                dateObj = new Date(dateString);
-            } else {
-                dateObj = new Date();
-            }
-            
-            const dateDisplay = dateObj.toLocaleString();
+            const dateDisplay = toLocalDate(query.createdAt || query.created_at).toLocaleString();
+            const useCount = query.use_count || 0;
+            const usesHtml = useCount
+                ? `<span class="badge bg-light text-dark me-1" title="Copied ${useCount} time${useCount === 1 ? '' : 's'}"><i class="bi bi-clipboard-check"></i> ${useCount}</span>`
+                : '';
+
+            const unsyncedHtml = query.unsynced
+                ? '<span class="badge bg-warning text-dark me-1" title="Saved on this device until the connection returns"><i class="bi bi-cloud-slash"></i> Not synced</span>'
+                : '';
+            const galleryHtml = [
+                query.published_at ? `<a class="badge bg-success text-decoration-none me-1" href="gallery.html?id=${query._id}" target="_blank"><i class="bi bi-globe"></i> Published</a>` : '',
+                query.forks ? `<span class="badge bg-light text-dark me-1" title="Forked ${query.forks} time${query.forks === 1 ? '' : 's'}"><i class="bi bi-diagram-2"></i> ${query.forks}</span>` : '',
+                query.forked_from ? `<a class="badge bg-light text-dark text-decoration-none me-1" href="gallery.html?id=${query.forked_from}" target="_blank" title="Open the original in the gallery"><i class="bi bi-diagram-2"></i> Forked</a>` : '',
+            ].join('');
+
+            const titleHtml = query.highlight ? highlightHTML(query.highlight.title) : escapeHTML(query.title);
+            const snippetHtml = query.highlight && query.highlight.text.includes('\u0002')
+                ? `<div class="search-snippet small mb-2">${highlightHTML(query.highlight.text)}</div>`
+                : '';
 
             queryItem.innerHTML = `
                 <div class="d-flex w-100 justify-content-between">
-                    <h5 class="mb-1">${escapeHTML(query.title)}</h5>
+                    <h5 class="mb-1">
+                        ${canEdit() ? `<input type="checkbox" class="form-check-input query-select me-2" aria-label="Select query"${selectedQueries.has(query._id) ? ' checked' : ''}>` : ''}${titleHtml}
+                    </h5>
                     <small>${dateDisplay}</small>
                 </div>
-                <div class="mb-2">${tagsHtml}</div>
+                <div class="mb-2">${unsyncedHtml}${folderHtml}${dialectHtml}${paramsHtml}${usesHtml}${galleryHtml}${tagsHtml}</div>
+                ${snippetHtml}
                 <div class="query-content mt-2">
-                    <pre><code class="sql">${escapeHTML(query.text)}</code></pre>
+                    <pre><code class="${SqlHighlight.codeClass(query.dialect)}">${escapeHTML(query.text)}</code></pre>
                 </div>
                 <div class="query-actions text-end mt-2">
+                    <button class="btn btn-sm ${query.pinned ? 'btn-warning' : 'btn-outline-warning'} pin-btn" title="${query.pinned ? 'Unpin' : 'Pin to the top'}">
+                        <i class="bi ${query.pinned ? 'bi-pin-angle-fill' : 'bi-pin-angle'}"></i>
+                    </button>
+                    ${canEdit() ? `
                     <button class="btn btn-sm btn-outline-info share-btn">
                         <i class="bi bi-share"></i> Share
                     </button>
+                    <button class="btn btn-sm ${query.published_at ? 'btn-success' : 'btn-outline-success'} publish-btn" title="${query.published_at ? 'Remove from the public gallery' : 'Publish to the public gallery'}">
+                        <i class="bi bi-globe"></i> ${query.published_at ? 'Unpublish' : 'Publish'}
+                    </button>
                     <button class="btn btn-sm btn-outline-primary edit-btn">
                         <i class="bi bi-pencil-square"></i> Edit
                     </button>
+                    ${moveMenuHtml}` : ''}
+                    <button class="btn btn-sm btn-outline-secondary history-btn">
+                        <i class="bi bi-clock-history"></i> History
+                    </button>
+                    <button class="btn btn-sm btn-outline-success run-btn" title="Run against a local sample database">
+                        <i class="bi bi-play-fill"></i> Run
+                    </button>
                     <button class="btn btn-sm btn-outline-secondary copy-btn">
                         <i class="bi bi-clipboard"></i> Copy
                     </button>
+                    ${canEdit() ? `
                     <button class="btn btn-sm btn-outline-danger delete-btn">
                         <i class="bi bi-trash"></i> Delete
-                    </button>
+                    </button>` : ''}
                 </div>
             `;
             queryList.appendChild(queryItem);
@@ -214,6 +1700,193 @@ document.addEventListener('DOMContentLoaded', async () => {
         hljs.highlightAll();
     };
     
+    // One row per placeholder in `text` for declaring its type, default and
+    // description. Values already entered for a name are kept across re-renders.
+    const renderParamEditor = (container, text, params) => {
+        const known = new Map((params || []).map(p => [p.name, p]));
+        const names = SqlParams.detect(text);
+        if (names.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const typeOptions = (selected) => SqlParams.TYPES
+            .map(type => `<option value="${type}" ${type === selected ? 'selected' : ''}>${type}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <label class="form-label">Parameters</label>
+            ${names.map(name => {
+                const p = known.get(name) || {};
+                return `
+                    <div class="param-row" data-name="${escapeHTML(name)}">
+                        <div class="param-name small mb-1">${escapeHTML(name)}</div>
+                        <div class="row g-1">
+                            <div class="col-4">
+                                <select class="form-select form-select-sm param-type">${typeOptions(p.type || 'text')}</select>
+                            </div>
+                            <div class="col-8">
+                                <input type="text" class="form-control form-control-sm param-default" placeholder="Default value" value="${escapeHTML(p.default || '')}">
+                            </div>
+                            <div class="col-12">
+                                <input type="text" class="form-control form-control-sm param-description" placeholder="Description" value="${escapeHTML(p.description || '')}">
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+            <div class="form-text mb-3">Detected from :name, $1 and {{name}} placeholders.</div>
+        `;
+    };
+
+    const openFillForm = (query, copyButton) => {
+        fillQuery = query;
+        fillCopyButton = copyButton;
+        fillParamsFields.innerHTML = query.params.map(p => `
+            <div class="mb-3 param-field">
+                <label class="form-label"><span class="param-name">${escapeHTML(p.name)}</span> <small class="text-muted">(${escapeHTML(p.type)})</small></label>
+                <input type="text" class="form-control fill-param-input" data-name="${escapeHTML(p.name)}" placeholder="${escapeHTML(p.default || 'NULL')}">
+                ${p.description ? `<div class="form-text">${escapeHTML(p.description)}</div>` : ''}
+            </div>
+        `).join('');
+        renderFilledSql();
+        fillParamsModal.show();
+    };
+
+    // Returns the final SQL, or null when a value is invalid for its type
+    const renderFilledSql = () => {
+        const values = {};
+        fillParamsFields.querySelectorAll('.fill-param-input').forEach(input => {
+            values[input.dataset.name] = input.value;
+        });
+        try {
+            const sql = SqlParams.fill(fillQuery.text, fillQuery.params, values, fillParamsDialect.value);
+            fillParamsPreview.textContent = sql;
+            fillParamsError.textContent = '';
+            copyFilledSqlButton.disabled = false;
+            return sql;
+        } catch (error) {
+            fillParamsError.textContent = error.message;
+            copyFilledSqlButton.disabled = true;
+            return null;
+        }
+    };
+
+    // Placeholders start out filled with their defaults so the query runs as is
+    const openRunPanel = (query) => {
+        let sql = query.text;
+        try {
+            if (query.params && query.params.length > 0) sql = SqlParams.fill(query.text, query.params, {}, 'sqlite');
+        } catch (error) {
+            // Left as placeholders for the user to fill in
+        }
+        runPanel.setSql(sql, query.dialect);
+        runModal.show();
+    };
+
+    const describeShare = (share) => {
+        const parts = [`${share.views} view${share.views === 1 ? '' : 's'}`];
+        parts.push(share.expiresAt ? `expires ${toLocalDate(share.expiresAt).toLocaleString()}` : 'never expires');
+        if (share.hasPassword) parts.push('password protected');
+        return parts.join(' · ');
+    };
+
+    const renderShareDetails = (share) => {
+        shareLinkInput.value = shareLinkFor(share.shareId, shareTarget.type);
+        shareLinkStatus.textContent = describeShare(share);
+        // Raw SQL and the embed widget exist for single queries only
+        shareEmbedOptions.classList.toggle('d-none', shareTarget.type === 'folder');
+        shareRawInput.value = `${window.location.origin}/api/public/queries/${share.shareId}/raw`;
+        shareEmbedInput.value = `<script src="${window.location.origin}/embed.js" data-share-id="${share.shareId}" async></script>`;
+        shareSettingsForm.reset();
+    };
+
+    const renderShares = (shares) => {
+        if (shares.length === 0) {
+            activeSharesList.innerHTML = '<p class="text-muted">No active share links.</p>';
+            return;
+        }
+        activeSharesList.innerHTML = shares.map(share => `
+            <div class="list-group-item d-flex justify-content-between align-items-center" data-id="${share._id}" data-type="${share.type}">
+                <div>
+                    <div>${share.type === 'folder' ? '<i class="bi bi-folder"></i> ' : ''}${escapeHTML(share.title)}</div>
+                    <small class="text-muted">${escapeHTML(describeShare(share))}</small>
+                </div>
+                <div class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-secondary copy-share-btn" data-link="${escapeHTML(shareLinkFor(share.shareId, share.type))}">
+                        <i class="bi bi-clipboard"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger revoke-share-btn">
+                        <i class="bi bi-x-circle"></i> Revoke
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    };
+
+    const describeToken = (token) => {
+        const parts = [`created ${toLocalDate(token.createdAt).toLocaleDateString()}`];
+        parts.push(token.lastUsedAt ? `last used ${toLocalDate(token.lastUsedAt).toLocaleString()}` : 'never used');
+        if (!token.expiresAt) {
+            parts.push('never expires');
+        } else if (toLocalDate(token.expiresAt) <= new Date()) {
+            parts.push('expired');
+        } else {
+            parts.push(`expires ${toLocalDate(token.expiresAt).toLocaleDateString()}`);
+        }
+        return parts.join(' · ');
+    };
+
+    const renderTokens = (tokens) => {
+        if (tokens.length === 0) {
+            tokensList.innerHTML = '<p class="text-muted">No access tokens yet.</p>';
+            return;
+        }
+        tokensList.innerHTML = tokens.map(token => `
+            <div class="list-group-item d-flex justify-content-between align-items-center" data-id="${token._id}">
+                <div>
+                    <div>
+                        ${escapeHTML(token.name)} <code class="small">${escapeHTML(token.prefix)}...</code>
+                        ${token.scopes.map(scope => `<span class="badge bg-secondary me-1">${scope}</span>`).join('')}
+                    </div>
+                    <small class="text-muted">${escapeHTML(describeToken(token))}</small>
+                </div>
+                <button class="btn btn-sm btn-outline-danger revoke-token-btn">
+                    <i class="bi bi-x-circle"></i> Revoke
+                </button>
+            </div>
+        `).join('');
+    };
+
+    const renderHistory = () => {
+        const options = historyVersions
+            .map((v, i) => `<option value="${i}">${escapeHTML(v.label)}</option>`)
+            .join('');
+        historyFromSelect.innerHTML = options;
+        historyToSelect.innerHTML = options;
+        // Default to "latest revision -> current" when there is any history
+        historyFromSelect.value = historyVersions.length > 1 ? '1' : '0';
+        historyToSelect.value = '0';
+        renderHistoryDiff();
+    };
+
+    const renderHistoryDiff = () => {
+        const from = historyVersions[historyFromSelect.value];
+        const to = historyVersions[historyToSelect.value];
+        restoreRevisionButton.disabled = !from || from._id === null;
+        restoreRevisionButton.classList.toggle('d-none', !canEdit());
+
+        if (historyVersions.length === 1) {
+            historyDiff.innerHTML = '<span class="diff-line text-muted">This query has not been edited yet.</span>';
+            return;
+        }
+
+        const markers = { same: ' ', added: '+', removed: '-' };
+        historyDiff.innerHTML = diffLines(describeVersion(from), describeVersion(to))
+            .map(d => `<span class="diff-line diff-${d.type}">${markers[d.type]} ${escapeHTML(d.line)}</span>`)
+            .join('');
+    };
+
     const renderTags = (tags) => {
         tagsList.innerHTML = '';
         if (tags.length === 0) return;
@@ -224,15 +1897,202 @@ document.addEventListener('DOMContentLoaded', async () => {
         clearButton.id = 'clear-tag-filter';
         tagsList.appendChild(clearButton);
 
-        tags.forEach(tag => {
+        tags.forEach(({ tag, count }) => {
             const tagButton = document.createElement('button');
             tagButton.className = 'btn btn-sm btn-outline-primary me-1';
-            tagButton.textContent = tag;
+            tagButton.classList.toggle('active', activeTags.has(tag));
+            tagButton.textContent = `${tag} (${count})`;
             tagButton.dataset.tag = tag;
             tagsList.appendChild(tagButton);
         });
     };
 
+    const selectedTagMatch = () => document.querySelector('input[name="tag-match"]:checked').value;
+
+    const renderTagManager = () => {
+        const selected = new Set([...tagManagerList.querySelectorAll('.merge-tag-check:checked')].map(c => c.closest('tr').dataset.tag));
+        if (allTags.length === 0) {
+            tagManagerList.innerHTML = '<tr><td colspan="4" class="text-muted">No tags yet.</td></tr>';
+            return;
+        }
+        // Tags are set through the DOM, not the markup: they come from other
+        // workspace members
+        tagManagerList.innerHTML = allTags.map(({ count }) => `
+            <tr>
+                <td><input type="checkbox" class="form-check-input merge-tag-check"></td>
+                <td><input type="text" class="form-control form-control-sm tag-name-input" maxlength="${Validation.LIMITS.tag}" aria-label="Tag name"></td>
+                <td><span class="badge bg-secondary">${count}</span></td>
+                <td class="text-end text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary rename-tag-btn">Rename</button>
+                    <button type="button" class="btn btn-sm btn-outline-danger delete-tag-btn" title="Remove from ${count} ${count === 1 ? 'query' : 'queries'}"><i class="bi bi-trash"></i></button>
+                </td>
+            </tr>
+        `).join('');
+        tagManagerList.querySelectorAll('tr').forEach((row, i) => {
+            const { tag } = allTags[i];
+            row.dataset.tag = tag;
+            const check = row.querySelector('.merge-tag-check');
+            check.setAttribute('aria-label', `Select ${tag}`);
+            check.checked = selected.has(tag);
+            row.querySelector('.tag-name-input').value = tag;
+        });
+    };
+
+    // Suggests known tags for the entry being typed in a comma-separated tag
+    // input; arrow keys pick a suggestion and Enter or Tab completes it.
+    const attachTagAutocomplete = (input) => {
+        const list = document.createElement('div');
+        list.className = 'list-group tag-suggestions d-none';
+        input.parentElement.classList.add('position-relative');
+        input.insertAdjacentElement('afterend', list);
+        let highlighted = -1;
+
+        const hide = () => {
+            list.classList.add('d-none');
+            highlighted = -1;
+        };
+        const complete = (tag) => {
+            const entered = input.value.split(',').slice(0, -1).map(t => t.trim()).filter(t => t);
+            input.value = [...entered, tag].join(', ') + ', ';
+            hide();
+            input.focus();
+        };
+        const render = () => {
+            const entries = input.value.split(',');
+            const prefix = entries.pop().trim().toLowerCase();
+            const entered = new Set(processTags(entries.join(',')));
+            const matches = prefix
+                ? allTags.map(t => t.tag).filter(tag => tag.startsWith(prefix) && tag !== prefix && !entered.has(tag)).slice(0, 8)
+                : [];
+            if (matches.length === 0) return hide();
+            list.innerHTML = '';
+            matches.forEach((tag, i) => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'list-group-item list-group-item-action py-1';
+                item.classList.toggle('active', i === highlighted);
+                item.textContent = tag;
+                item.dataset.tag = tag;
+                list.appendChild(item);
+            });
+            list.classList.remove('d-none');
+        };
+
+        input.addEventListener('input', () => {
+            highlighted = -1;
+            render();
+        });
+        input.addEventListener('keydown', (e) => {
+            const items = list.querySelectorAll('[data-tag]');
+            if (list.classList.contains('d-none') || items.length === 0) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                highlighted = (highlighted + step + items.length) % items.length;
+                render();
+            } else if ((e.key === 'Enter' || e.key === 'Tab') && highlighted >= 0) {
+                e.preventDefault();
+                complete(items[highlighted].dataset.tag);
+            } else if (e.key === 'Escape') {
+                hide();
+            }
+        });
+        // mousedown fires before the input's blur hides the list
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-tag]');
+            if (!item) return;
+            e.preventDefault();
+            complete(item.dataset.tag);
+        });
+        input.addEventListener('blur', hide);
+    };
+
+    const renderFolderTree = () => {
+        const children = new Map();
+        folders.forEach(folder => {
+            const siblings = children.get(folder.parentId) || [];
+            children.set(folder.parentId, [...siblings, folder]);
+        });
+
+        const renderNode = (folder) => {
+            const subfolders = children.get(folder._id) || [];
+            const collapsed = collapsedFolders.has(folder._id);
+            return `
+                <li>
+                    <div class="folder-node${folder._id === activeFolderFilter ? ' active' : ''}" data-folder-id="${folder._id}">
+                        <button type="button" class="folder-toggle${subfolders.length ? '' : ' invisible'}" aria-label="${collapsed ? 'Expand' : 'Collapse'}">
+                            <i class="bi bi-chevron-${collapsed ? 'right' : 'down'}"></i>
+                        </button>
+                        <span class="folder-name"><i class="bi bi-folder"></i> ${escapeHTML(folder.name)}</span>
+                        <span class="folder-count">${folder.queryCount}</span>
+                        ${folder.share ? '<i class="bi bi-link-45deg text-info" title="Shared"></i>' : ''}
+                        ${canEdit() ? `
+                        <span class="folder-actions">
+                            <button type="button" class="add-subfolder-btn" title="New subfolder"><i class="bi bi-folder-plus"></i></button>
+                            <button type="button" class="edit-folder-btn" title="Rename or move"><i class="bi bi-pencil"></i></button>
+                            <button type="button" class="share-folder-btn" title="Share"><i class="bi bi-share"></i></button>
+                            <button type="button" class="delete-folder-btn" title="Delete"><i class="bi bi-trash"></i></button>
+                        </span>` : ''}
+                    </div>
+                    ${subfolders.length && !collapsed ? `<ul>${subfolders.map(renderNode).join('')}</ul>` : ''}
+                </li>
+            `;
+        };
+
+        folderTree.innerHTML = `
+            <li>
+                <div class="folder-node${activeFolderFilter ? '' : ' active'}" data-folder-id="">
+                    <span class="folder-name"><i class="bi bi-collection"></i> All Queries</span>
+                </div>
+            </li>
+            ${(children.get(null) || []).map(renderNode).join('')}
+        `;
+    };
+
+    // `parentId` preselects the parent of a new folder
+    const openFolderForm = (folder, parentId = null) => {
+        folderForm.reset();
+        showFieldErrors(folderInputs);
+        folderModalLabel.textContent = folder ? 'Edit Folder' : 'New Folder';
+        folderIdInput.value = folder ? folder._id : '';
+        folderNameInput.value = folder ? folder.name : '';
+        folderParentSelect.innerHTML = folderOptions('Top level', folder ? folder._id : null);
+        folderParentSelect.value = (folder ? folder.parentId : parentId) || '';
+        folderModal.show();
+    };
+
+    const openDeleteFolder = (folder) => {
+        const subtree = folders.filter(f => isInFolder(f._id, folder._id));
+        const queryCount = subtree.reduce((sum, f) => sum + f.queryCount, 0);
+        const subfolderCount = subtree.length - 1;
+        deleteFolderId = folder._id;
+        deleteFolderName.textContent = folder.name;
+        deleteFolderSummary.textContent = `This folder contains ${queryCount} quer${queryCount === 1 ? 'y' : 'ies'} ` +
+            `and ${subfolderCount} subfolder${subfolderCount === 1 ? '' : 's'}. What should happen to them?`;
+        document.getElementById('delete-folder-move').checked = true;
+        deleteFolderModal.show();
+    };
+
+    const renderDialects = (dialects) => {
+        dialectsList.innerHTML = '';
+        if (dialects.length === 0) return;
+
+        const clearButton = document.createElement('button');
+        clearButton.className = 'btn btn-sm btn-outline-danger me-2';
+        clearButton.textContent = 'Clear Filter';
+        clearButton.id = 'clear-dialect-filter';
+        dialectsList.appendChild(clearButton);
+
+        dialects.forEach(({ dialect, count }) => {
+            const dialectButton = document.createElement('button');
+            dialectButton.className = 'btn btn-sm btn-outline-primary me-1';
+            dialectButton.classList.toggle('active', dialect === activeDialectFilter);
+            dialectButton.textContent = `${SqlHighlight.label(dialect)} (${count})`;
+            dialectButton.dataset.dialect = dialect;
+            dialectsList.appendChild(dialectButton);
+        });
+    };
+
     // --- Event Listeners ---
 
     addQueryForm.addEventListener('submit', (e) => {
@@ -240,7 +2100,46 @@ document.addEventListener('DOMContentLoaded', async () => {
         const title = queryTitleInput.value.trim();
         const text = queryTextInput.value.trim();
         const tags = processTags(queryTagsInput.value);
-        if (title && text) addQuery(title, text, tags);
+        const params = collectParams(queryParamsContainer);
+        if (showFieldErrors(addQueryInputs, validateQueryForm({ title, text, tags }) || {})) return;
+
+        // Risky SQL needs a second click, like edits do
+        const warnings = renderLintWarnings(queryLintWarnings, text, selectedDialect(queryDialectSelect, text));
+        if (warnings.length > 0 && addQueryButton.dataset.confirming !== 'true') {
+            addQueryButton.dataset.confirming = 'true';
+            addQueryButton.innerHTML = '<i class="bi bi-exclamation-triangle"></i> Save Anyway';
+            addQueryButton.classList.replace('btn-primary', 'btn-warning');
+            return;
+        }
+        resetAddQueryButton();
+        addQuery(title, text, tags, params, queryDialectSelect.value, queryFolderSelect.value ? Number(queryFolderSelect.value) : null);
+    });
+
+    queryTextInput.addEventListener('input', () => {
+        renderParamEditor(queryParamsContainer, queryTextInput.value, collectParams(queryParamsContainer));
+        updateDetectedDialect(queryDialectSelect, queryTextInput.value);
+        queryLintWarnings.innerHTML = '';
+        resetAddQueryButton();
+    });
+
+    editQueryTextInput.addEventListener('input', () => {
+        renderParamEditor(editQueryParamsContainer, editQueryTextInput.value, collectParams(editQueryParamsContainer));
+        updateDetectedDialect(editQueryDialectSelect, editQueryTextInput.value);
+        editQueryLintWarnings.innerHTML = '';
+    });
+
+    // "Auto-detect" leaves the dialect to the API, which detects it from the SQL
+    [queryDialectSelect, editQueryDialectSelect].forEach(select => {
+        select.innerHTML = '<option value="">Auto-detect</option>' + SqlParams.DIALECTS
+            .map(d => `<option value="${d}">${SqlHighlight.label(d)}</option>`)
+            .join('');
+    });
+
+    queryFormatButton.addEventListener('click', () => {
+        formatTextarea(queryTextInput, selectedDialect(queryDialectSelect, queryTextInput.value));
+    });
+    editQueryFormatButton.addEventListener('click', () => {
+        formatTextarea(editQueryTextInput, selectedDialect(editQueryDialectSelect, editQueryTextInput.value));
     });
 
     queryList.addEventListener('click', (e) => {
@@ -253,29 +2152,97 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (target.classList.contains('delete-btn')) {
             deleteQuery(queryId);
         } else if (target.classList.contains('copy-btn')) {
+            const query = allQueries.find(q => q._id.toString() === queryId.toString());
+            if (query && query.params && query.params.length > 0) {
+                openFillForm(query, target);
+                return;
+            }
             const queryText = queryItem.querySelector('.query-content code').innerText;
             navigator.clipboard.writeText(queryText).then(() => {
-                target.innerHTML = '<i class="bi bi-check-lg"></i> Copied!';
-                target.classList.add('btn-success');
-                setTimeout(() => { 
-                    target.innerHTML = '<i class="bi bi-clipboard"></i> Copy';
-                    target.classList.remove('btn-success');
-                }, 2000);
+                flashCopied(target);
+                recordUse(queryId);
             });
-        } else if (target.classList.contains('edit-btn')) {
+        } else if (target.classList.contains('run-btn')) {
+            const query = allQueries.find(q => q._id.toString() === queryId.toString());
+            if (query) openRunPanel(query);
+        } else if (target.classList.contains('move-to-folder-btn')) {
+            moveQuery(queryId, target.dataset.folderId ? Number(target.dataset.folderId) : null);
+        } else if (target.classList.contains('pin-btn')) {
             const query = allQueries.find(q => q._id.toString() === queryId.toString());
-            if (query) {
-                editQueryIdInput.value = query._id;
-                editQueryTitleInput.value = query.title;
-                editQueryTextInput.value = query.text;
-                editQueryTagsInput.value = (query.tags || []).join(', ');
-                editModal.show();
+            setPinned(queryId, !(query && query.pinned));
+        } else if (target.classList.contains('publish-btn')) {
+            const query = allQueries.find(q => q._id.toString() === queryId.toString());
+            if (query && query.published_at) {
+                setPublished(queryId, false);
+            } else if (confirm('Publish this query to the public gallery? Anyone can find, copy and fork it, and your username is shown as its author.')) {
+                setPublished(queryId, true);
             }
+        } else if (target.classList.contains('edit-btn')) {
+            const query = allQueries.find(q => q._id.toString() === queryId.toString());
+            if (query) openEditForm(query);
+        } else if (target.classList.contains('history-btn')) {
+            showHistory(queryId);
         } else if (target.classList.contains('share-btn')) {
-            shareQuery(queryId);
+            shareItem({ type: 'query', id: queryId });
+        }
+    });
+
+    queryList.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('query-select')) return;
+        const queryId = Number(e.target.closest('.list-group-item').dataset.id);
+        if (e.target.checked) {
+            selectedQueries.add(queryId);
+        } else {
+            selectedQueries.delete(queryId);
+        }
+        renderBulkToolbar();
+    });
+
+    bulkSelectAll.addEventListener('change', () => {
+        allQueries.forEach(q => bulkSelectAll.checked ? selectedQueries.add(q._id) : selectedQueries.delete(q._id));
+        queryList.querySelectorAll('.query-select').forEach(checkbox => { checkbox.checked = bulkSelectAll.checked; });
+        renderBulkToolbar();
+    });
+
+    document.getElementById('bulk-clear').addEventListener('click', () => {
+        selectedQueries.clear();
+        queryList.querySelectorAll('.query-select').forEach(checkbox => { checkbox.checked = false; });
+        renderBulkToolbar();
+    });
+
+    bulkToolbar.addEventListener('click', (e) => {
+        const button = e.target.closest('.bulk-action-btn');
+        if (!button || selectedQueries.size === 0) return;
+        const action = button.dataset.action;
+        const count = `${selectedQueries.size} ${selectedQueries.size === 1 ? 'query' : 'queries'}`;
+        if (action === 'addTag' || action === 'removeTag') {
+            const tag = bulkTagInput.value.trim();
+            if (!tag) {
+                bulkTagInput.focus();
+                return;
+            }
+            bulkAction(action, { tag });
+        } else if (action === 'move') {
+            bulkAction(action, { folderId: bulkFolderSelect.value ? Number(bulkFolderSelect.value) : null });
+        } else if (action === 'delete') {
+            if (confirm(`Are you sure you want to delete ${count}?`)) bulkAction(action);
+        } else if (action === 'unshare') {
+            if (confirm(`Revoke the share links of ${count}?`)) bulkAction(action);
+        } else {
+            bulkAction(action);
         }
     });
 
+    historyFromSelect.addEventListener('change', renderHistoryDiff);
+    historyToSelect.addEventListener('change', renderHistoryDiff);
+
+    restoreRevisionButton.addEventListener('click', () => {
+        const from = historyVersions[historyFromSelect.value];
+        if (!from || from._id === null) return;
+        if (!confirm(`Restore "${from.title}" (${from.label})? The current version will be kept in the history.`)) return;
+        restoreRevision(historyQueryId, from._id);
+    });
+
     saveQueryButton.addEventListener('click', () => {
         const isConfirming = saveQueryButton.dataset.confirming === 'true';
 
@@ -284,8 +2251,9 @@ document.addEventListener('DOMContentLoaded', async () => {
             const title = editQueryTitleInput.value.trim();
             const text = editQueryTextInput.value.trim();
             const tags = processTags(editQueryTagsInput.value);
-            if (id && title && text) {
-                updateQuery(id, title, text, tags);
+            const params = collectParams(editQueryParamsContainer);
+            if (id && !showFieldErrors(editQueryInputs, validateQueryForm({ title, text, tags }) || {})) {
+                updateQuery(id, title, text, tags, params, editQueryDialectSelect.value);
             }
             
             // Reset button state
@@ -295,8 +2263,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         } else {
             // Enter confirmation state
+            const text = editQueryTextInput.value;
+            const warnings = renderLintWarnings(editQueryLintWarnings, text, selectedDialect(editQueryDialectSelect, text));
             saveQueryButton.dataset.confirming = 'true';
-            saveQueryButton.textContent = 'Confirm Update?';
+            saveQueryButton.textContent = warnings.length > 0 ? 'Save Despite Warnings?' : 'Confirm Update?';
             saveQueryButton.classList.replace('btn-primary', 'btn-warning');
 
             // Reset after 3 seconds if not clicked again
@@ -310,11 +2280,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    document.getElementById('edit-merge-button').addEventListener('click', () => resolveEditConflict('merge'));
+    document.getElementById('edit-overwrite-button').addEventListener('click', () => resolveEditConflict('overwrite'));
+    document.getElementById('edit-discard-button').addEventListener('click', () => resolveEditConflict('discard'));
+
     // Also reset if the modal is closed without saving
     document.getElementById('edit-query-modal').addEventListener('hidden.bs.modal', () => {
         saveQueryButton.dataset.confirming = 'false';
         saveQueryButton.textContent = 'Save Changes';
         saveQueryButton.classList.replace('btn-warning', 'btn-primary');
+        editConflictState = null;
+        editConflict.classList.add('d-none');
     });
     
     document.getElementById('edit-query-modal').addEventListener('hidden.bs.modal', () => {
@@ -323,6 +2299,54 @@ document.addEventListener('DOMContentLoaded', async () => {
         saveQueryButton.classList.replace('btn-warning', 'btn-primary');
     });
 
+    fillParamsForm.addEventListener('input', renderFilledSql);
+    fillParamsForm.addEventListener('submit', (e) => e.preventDefault());
+
+    copyFilledSqlButton.addEventListener('click', () => {
+        const sql = renderFilledSql();
+        if (sql === null) return;
+        navigator.clipboard.writeText(sql).then(() => {
+            fillParamsModal.hide();
+            if (fillCopyButton) flashCopied(fillCopyButton);
+            recordUse(fillQuery._id);
+        });
+    });
+
+    shareSettingsForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const settings = {};
+        if (shareExpirySelect.value === 'never') {
+            settings.expiresAt = null;
+        } else if (shareExpirySelect.value !== 'keep') {
+            settings.expiresAt = new Date(Date.now() + Number(shareExpirySelect.value) * 1000).toISOString();
+        }
+        if (shareRemovePasswordCheckbox.checked) {
+            settings.password = null;
+        } else if (sharePasswordInput.value) {
+            settings.password = sharePasswordInput.value;
+        }
+        shareItem(shareTarget, settings);
+    });
+
+    revokeShareButton.addEventListener('click', () => revokeShare(shareTarget));
+
+    activeSharesList.addEventListener('click', (e) => {
+        const target = e.target.closest('button');
+        if (!target) return;
+        const { id, type } = target.closest('.list-group-item').dataset;
+        if (target.classList.contains('revoke-share-btn')) {
+            revokeShare({ type, id });
+        } else if (target.classList.contains('copy-share-btn')) {
+            navigator.clipboard.writeText(target.dataset.link).then(() => flashCopied(target));
+        }
+    });
+
+    shareEmbedOptions.addEventListener('click', (e) => {
+        const button = e.target.closest('.copy-share-extra-btn');
+        if (!button) return;
+        navigator.clipboard.writeText(document.getElementById(button.dataset.input).value).then(() => flashCopied(button));
+    });
+
     copyShareLinkButton.addEventListener('click', () => {
         shareLinkInput.select();
         document.execCommand('copy');
@@ -336,32 +2360,383 @@ document.addEventListener('DOMContentLoaded', async () => {
     tagsList.addEventListener('click', (e) => {
         const target = e.target;
         if (target.id === 'clear-tag-filter') {
-            activeTagFilter = null;
-            renderQueries(allQueries);
+            activeTags.clear();
+            fetchQueries();
             document.querySelectorAll('#tags-list .btn').forEach(b => b.classList.remove('active'));
         } else if (target.dataset.tag) {
-            activeTagFilter = target.dataset.tag;
-            const filteredQueries = allQueries.filter(q => (q.tags || []).includes(activeTagFilter));
-            renderQueries(filteredQueries);
-            
-            document.querySelectorAll('#tags-list .btn').forEach(b => b.classList.remove('active'));
+            // Tags toggle, so several can be combined
+            const tag = target.dataset.tag;
+            if (!activeTags.delete(tag)) activeTags.add(tag);
+            target.classList.toggle('active', activeTags.has(tag));
+            fetchQueries();
+        }
+    });
+
+    document.querySelectorAll('input[name="tag-match"]').forEach(radio => radio.addEventListener('change', () => {
+        if (activeTags.size > 1) fetchQueries();
+    }));
+
+    manageTagsButton.addEventListener('click', () => {
+        tagManagerError.textContent = '';
+        mergeTagsIntoInput.value = '';
+        mergeTagsIntoInput.classList.remove('is-invalid');
+        renderTagManager();
+        tagsModal.show();
+    });
+
+    tagManagerList.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-tag]');
+        if (!row) return;
+        const tag = row.dataset.tag;
+        if (e.target.closest('.rename-tag-btn')) {
+            const name = row.querySelector('.tag-name-input').value;
+            if (name.trim().toLowerCase() !== tag) renameTag(tag, name);
+        } else if (e.target.closest('.delete-tag-btn')) {
+            if (confirm(`Remove the tag "${tag}" from every query?`)) deleteTag(tag);
+        }
+    });
+
+    tagManagerList.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' || !e.target.classList.contains('tag-name-input')) return;
+        e.preventDefault();
+        e.target.closest('tr').querySelector('.rename-tag-btn').click();
+    });
+
+    mergeTagsForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const tags = [...tagManagerList.querySelectorAll('.merge-tag-check:checked')].map(c => c.closest('tr').dataset.tag);
+        if (tags.length === 0) {
+            tagManagerError.textContent = 'Select the tags to merge.';
+            return;
+        }
+        if (showFieldErrors({ into: mergeTagsIntoInput }, Validation.validate({ into: Validation.tag() }, { into: mergeTagsIntoInput.value }).fields || {})) return;
+        if (await mergeTags(tags, mergeTagsIntoInput.value)) mergeTagsIntoInput.value = '';
+    });
+
+    attachTagAutocomplete(queryTagsInput);
+    attachTagAutocomplete(editQueryTagsInput);
+
+    folderTree.addEventListener('click', (e) => {
+        const node = e.target.closest('.folder-node');
+        if (!node) return;
+        const folderId = node.dataset.folderId ? Number(node.dataset.folderId) : null;
+        const folder = folders.find(f => f._id === folderId);
+        const button = e.target.closest('button');
+
+        if (button && button.classList.contains('folder-toggle')) {
+            if (!collapsedFolders.delete(folderId)) collapsedFolders.add(folderId);
+            localStorage.setItem('collapsedFolders', JSON.stringify([...collapsedFolders]));
+            renderFolderTree();
+        } else if (button && button.classList.contains('add-subfolder-btn')) {
+            openFolderForm(null, folderId);
+        } else if (button && button.classList.contains('edit-folder-btn')) {
+            openFolderForm(folder);
+        } else if (button && button.classList.contains('share-folder-btn')) {
+            shareItem({ type: 'folder', id: folderId });
+        } else if (button && button.classList.contains('delete-folder-btn')) {
+            openDeleteFolder(folder);
+        } else {
+            activeFolderFilter = folderId;
+            queryFolderSelect.value = folderId || '';
+            renderFolderTree();
+            fetchQueries();
+        }
+    });
+
+    newFolderButton.addEventListener('click', () => openFolderForm(null, activeFolderFilter));
+
+    folderForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = folderNameInput.value.trim();
+        const parentId = folderParentSelect.value ? Number(folderParentSelect.value) : null;
+        if (showFieldErrors(folderInputs, Validation.validate({ name: Validation.folderName() }, { name }).fields || {})) return;
+        saveFolder(folderIdInput.value ? Number(folderIdInput.value) : null, name, parentId);
+    });
+
+    confirmDeleteFolderButton.addEventListener('click', () => {
+        const contents = document.querySelector('input[name="delete-folder-contents"]:checked').value;
+        deleteFolder(deleteFolderId, contents);
+    });
+
+    dialectsList.addEventListener('click', (e) => {
+        const target = e.target;
+        if (target.id === 'clear-dialect-filter') {
+            activeDialectFilter = null;
+            fetchQueries();
+            document.querySelectorAll('#dialects-list .btn').forEach(b => b.classList.remove('active'));
+        } else if (target.dataset.dialect) {
+            activeDialectFilter = target.dataset.dialect;
+            fetchQueries();
+
+            document.querySelectorAll('#dialects-list .btn').forEach(b => b.classList.remove('active'));
             target.classList.add('active');
         }
     });
 
+    // Debounce typing so we only hit the search endpoint once the user pauses
     searchBox.addEventListener('input', () => {
-        const searchTerm = searchBox.value.toLowerCase();
-        let queriesToSearch = activeTagFilter 
-            ? allQueries.filter(q => (q.tags || []).includes(activeTagFilter))
-            : allQueries;
-        
-        const filteredQueries = queriesToSearch.filter(q =>
-            q.title.toLowerCase().includes(searchTerm) ||
-            q.text.toLowerCase().includes(searchTerm)
-        );
-        renderQueries(filteredQueries);
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(() => fetchQueries(), 250);
+    });
+
+    sortSelect.addEventListener('change', () => fetchQueries());
+
+    loadMoreButton.addEventListener('click', () => fetchQueries(true));
+
+    fillParamsDialect.innerHTML = SqlParams.DIALECTS
+        .map(d => `<option value="${d}">${d}</option>`)
+        .join('');
+
+    document.querySelectorAll('.export-btn').forEach(button => {
+        button.addEventListener('click', () => exportLibrary(button.dataset.format));
+    });
+
+    importButton.addEventListener('click', () => importFileInput.click());
+
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = '';
+        if (!file) return;
+        pendingImport = {
+            format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'sql',
+            content: await file.text(),
+        };
+        importFileName.textContent = `${file.name} (${pendingImport.format === 'json' ? 'JSON' : '.sql bundle'})`;
+        importReport.innerHTML = '<p class="text-muted">Checking file...</p>';
+        confirmImportButton.classList.remove('d-none');
+        importModal.show();
+        importLibrary(true);
+    });
+
+    importConflictSelect.addEventListener('change', () => {
+        if (pendingImport) importLibrary(true);
+    });
+
+    confirmImportButton.addEventListener('click', () => {
+        if (pendingImport) importLibrary(false);
+    });
+
+    workspaceSelect.addEventListener('change', () => switchWorkspace(workspaceSelect.value));
+
+    document.getElementById('manage-workspaces-button').addEventListener('click', () => {
+        renderWorkspaceDetails();
+        workspacesModal.show();
+        fetchWorkspaces();
+    });
+
+    createWorkspaceForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = newWorkspaceNameInput.value.trim();
+        if (!name) return;
+        const workspace = await workspaceRequest(`${API_URL}/workspaces`, {
+            method: 'POST',
+            body: JSON.stringify({ name }),
+        }, 'Failed to create workspace.');
+        if (!workspace) return;
+        createWorkspaceForm.reset();
+        setActiveWorkspace(workspace._id);
+        await fetchWorkspaces();
+        switchWorkspace(workspace._id);
+        renderWorkspaceDetails();
+    });
+
+    myInvitationsList.addEventListener('click', async (e) => {
+        const target = e.target.closest('button');
+        if (!target) return;
+        const invitationId = target.closest('.list-group-item').dataset.id;
+        const action = target.classList.contains('accept-invitation-btn') ? 'accept' : 'decline';
+        const result = await workspaceRequest(`${API_URL}/invitations/${invitationId}/${action}`, {
+            method: 'POST',
+        }, 'Failed to answer the invitation.');
+        if (!result) return;
+        await fetchWorkspaces();
+        if (action === 'accept') {
+            switchWorkspace(result.workspaceId);
+            renderWorkspaceDetails();
+        }
+    });
+
+    inviteMemberForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const username = inviteUsernameInput.value.trim();
+        if (!username) return;
+        const invitation = await workspaceRequest(`${API_URL}/workspaces/${activeWorkspaceId}/invitations`, {
+            method: 'POST',
+            body: JSON.stringify({ username, role: inviteRoleSelect.value }),
+        }, 'Failed to invite user.');
+        if (!invitation) return;
+        inviteMemberForm.reset();
+        fetchMembers();
+    });
+
+    workspaceMembersList.addEventListener('change', async (e) => {
+        if (!e.target.classList.contains('member-role-select')) return;
+        const memberId = e.target.closest('.list-group-item').dataset.id;
+        await workspaceRequest(`${API_URL}/workspaces/${activeWorkspaceId}/members/${memberId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ role: e.target.value }),
+        }, 'Failed to change role.');
+        // Our own role may have changed
+        await fetchWorkspaces();
+        fetchMembers();
+        fetchQueries();
+    });
+
+    workspaceMembersList.addEventListener('click', async (e) => {
+        const target = e.target.closest('.remove-member-btn');
+        if (!target) return;
+        if (!confirm('Remove this member from the workspace?')) return;
+        const memberId = target.closest('.list-group-item').dataset.id;
+        const result = await workspaceRequest(`${API_URL}/workspaces/${activeWorkspaceId}/members/${memberId}`, {
+            method: 'DELETE',
+        }, 'Failed to remove member.');
+        if (result) fetchMembers();
+    });
+
+    workspaceInvitationsList.addEventListener('click', async (e) => {
+        const target = e.target.closest('.cancel-invitation-btn');
+        if (!target) return;
+        const invitationId = target.closest('.list-group-item').dataset.id;
+        const result = await workspaceRequest(`${API_URL}/workspaces/${activeWorkspaceId}/invitations/${invitationId}`, {
+            method: 'DELETE',
+        }, 'Failed to cancel invitation.');
+        if (result) fetchMembers();
+    });
+
+    leaveWorkspaceButton.addEventListener('click', async () => {
+        const workspace = activeWorkspace();
+        if (!workspace || !confirm(`Leave "${workspace.name}"? You will lose access to its queries.`)) return;
+        const me = workspaceMembers.find(m => m.username === localStorage.getItem('username'));
+        if (!me) return;
+        const result = await workspaceRequest(`${API_URL}/workspaces/${workspace._id}/members/${me._id}`, {
+            method: 'DELETE',
+        }, 'Failed to leave workspace.');
+        if (!result) return;
+        await fetchWorkspaces();
+        switchWorkspace('');
+        renderWorkspaceDetails();
+    });
+
+    deleteWorkspaceButton.addEventListener('click', async () => {
+        const workspace = activeWorkspace();
+        if (!workspace || !confirm(`Delete "${workspace.name}" and all of its queries? This cannot be undone.`)) return;
+        const result = await workspaceRequest(`${API_URL}/workspaces/${workspace._id}`, {
+            method: 'DELETE',
+        }, 'Failed to delete workspace.');
+        if (!result) return;
+        await fetchWorkspaces();
+        switchWorkspace('');
+        renderWorkspaceDetails();
+    });
+
+    document.getElementById('access-tokens-button').addEventListener('click', () => {
+        newTokenAlert.classList.add('d-none');
+        newTokenValueInput.value = '';
+        showFieldErrors(tokenInputs);
+        fetchTokens();
+        tokensModal.show();
+    });
+
+    createTokenForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const settings = {
+            name: tokenNameInput.value.trim(),
+            scopes: [...tokenScopesGroup.querySelectorAll('input:checked')].map(input => input.value),
+        };
+        if (tokenExpirySelect.value !== 'never') {
+            settings.expiresAt = new Date(Date.now() + Number(tokenExpirySelect.value) * 1000).toISOString();
+        }
+        const { fields } = Validation.validate({
+            name: Validation.string({ label: 'Name', max: Validation.LIMITS.tokenName }),
+            scopes: Validation.subsetOf(['read', 'write', 'share'], { label: 'Scopes' }),
+        }, settings);
+        if (showFieldErrors(tokenInputs, fields || {})) return;
+        createToken(settings);
+    });
+
+    const copyTokenButton = document.getElementById('copy-token-button');
+    copyTokenButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(newTokenValueInput.value).then(() => flashCopied(copyTokenButton));
+    });
+
+    tokensList.addEventListener('click', (e) => {
+        const button = e.target.closest('.revoke-token-btn');
+        if (!button) return;
+        const item = button.closest('.list-group-item');
+        if (confirm('Revoke this token? Scripts using it will stop working.')) revokeToken(item.dataset.id);
+    });
+
+    document.getElementById('account-button').addEventListener('click', () => {
+        accountPasswordForm.reset();
+        deleteAccountForm.reset();
+        showFieldErrors({ username: accountUsernameInput, password: deleteAccountPasswordInput, ...passwordInputs });
+        fetchAccount();
+        accountModal.show();
+    });
+
+    accountUsernameForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const { value, fields } = Validation.validate({ username: Validation.username() }, { username: accountUsernameInput.value });
+        if (showFieldErrors({ username: accountUsernameInput }, fields || {})) return;
+        renameAccount(value.username);
+    });
+
+    accountPasswordForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const currentPassword = currentPasswordInput.value;
+        const newPassword = newPasswordInput.value;
+        const confirmPassword = confirmPasswordInput.value;
+        const fields = Validation.validate({
+            currentPassword: Validation.string({ label: 'Current password', trim: false }),
+            newPassword: Validation.password('New password'),
+            confirmPassword: Validation.string({ label: 'Password confirmation', trim: false }),
+        }, { currentPassword, newPassword, confirmPassword }).fields || {};
+        if (!fields.confirmPassword && newPassword !== confirmPassword) {
+            fields.confirmPassword = 'Passwords do not match.';
+        }
+        if (showFieldErrors(passwordInputs, fields)) return;
+        changePassword(currentPassword, newPassword);
+    });
+
+    deleteAccountForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const password = deleteAccountPasswordInput.value;
+        if (!password) {
+            showFieldErrors({ password: deleteAccountPasswordInput }, { password: 'Password is required.' });
+            return;
+        }
+        if (confirm('Permanently delete your account and all of your personal queries? This cannot be undone.')) {
+            deleteAccount(password);
+        }
+    });
+
+    syncStatusButton.addEventListener('click', () => {
+        if (conflicts.length > 0) {
+            openConflict();
+        } else if (!offline) {
+            syncOutbox();
+        }
+    });
+    keepMineButton.addEventListener('click', () => resolveConflict(true));
+    keepTheirsButton.addEventListener('click', () => resolveConflict(false));
+
+    // The next request decides whether we are really back online
+    window.addEventListener('online', () => fetchAllData());
+    window.addEventListener('offline', () => setOffline(true));
+
+    document.getElementById('logout-button').addEventListener('click', () => logout(false));
+
+    document.getElementById('logout-all-button').addEventListener('click', () => {
+        if (confirm('Sign out of QueryStore on all of your devices, including this one?')) logout(true);
     });
 
     // --- Initial Load ---
-    fetchAllData();
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => console.error(error.message));
+    }
+    scheduleRefresh();
+    renderSyncStatus();
+    await fetchWorkspaces();
+    await fetchAllData();
+    if (!offline) syncOutbox();
 });
\ No newline at end of file
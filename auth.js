@@ -9,14 +9,82 @@ document.addEventListener('DOMContentLoaded', () => {
     const loginErrorDiv = document.getElementById('login-error');
     const signupErrorDiv = document.getElementById('signup-error');
 
+    const loginInputs = { username: loginUsernameInput, password: loginPasswordInput };
+    const signupInputs = {
+        username: signupUsernameInput,
+        password: signupPasswordInput,
+        confirmPassword: signupConfirmPasswordInput,
+    };
+
     // Redirect if already logged in
     if (localStorage.getItem('token')) {
         window.location.href = 'index.html';
         return;
     }
 
+    // Set by the dashboard when it sends the user back here, e.g. after the
+    // session expired
+    const notice = sessionStorage.getItem('authNotice');
+    if (notice) {
+        sessionStorage.removeItem('authNotice');
+        loginErrorDiv.textContent = notice;
+    }
+
+    // Error for a failed API response ({ error: { code, message, fields } }).
+    // `retryAfter` is set in seconds when the request was throttled.
+    const apiErrorFrom = async (response, fallback) => {
+        const data = await response.json().catch(() => ({}));
+        const details = data.error && typeof data.error === 'object' ? data.error : {};
+        const error = new Error(details.message || fallback);
+        error.fields = details.fields || {};
+        error.retryAfter = response.status === 429 ? Number(response.headers.get('Retry-After')) || 60 : 0;
+        return error;
+    };
+
+    const formatWait = (seconds) => {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (n) => String(n).padStart(2, '0');
+        const time = `${pad(minutes)}:${pad(seconds % 60)}`;
+        return hours > 0 ? `${hours}:${time}` : time;
+    };
+
+    // Shows `message` with a countdown until the server accepts another
+    // attempt, and disables the form's submit button until then
+    const waitTimers = {};
+    const showRetryWait = (form, errorDiv, message, seconds) => {
+        const button = form.querySelector('button[type="submit"]');
+        const until = Date.now() + seconds * 1000;
+        const update = () => {
+            const left = Math.ceil((until - Date.now()) / 1000);
+            if (left <= 0) {
+                clearInterval(waitTimers[form.id]);
+                button.disabled = false;
+                errorDiv.textContent = '';
+                return;
+            }
+            errorDiv.textContent = `${message} Try again in ${formatWait(left)}.`;
+        };
+        clearInterval(waitTimers[form.id]);
+        button.disabled = true;
+        update();
+        waitTimers[form.id] = setInterval(update, 1000);
+    };
+
+    // Marks the inputs named in `fields` as invalid and shows their messages.
+    // Returns true when at least one message could be shown.
+    const showFieldErrors = (inputs, fields = {}) => {
+        for (const [field, input] of Object.entries(inputs)) {
+            const message = fields[field] || '';
+            input.classList.toggle('is-invalid', !!message);
+            input.parentElement.querySelector('.invalid-feedback').textContent = message;
+        }
+        return Object.keys(fields).some(field => inputs[field]);
+    };
+
     const handleLoginSuccess = (data) => {
         localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
         localStorage.setItem('username', data.user.username);
         window.location.href = 'index.html';
     };
@@ -33,15 +101,15 @@ document.addEventListener('DOMContentLoaded', () => {
             const password = signupPasswordInput.value;
             const confirmPassword = signupConfirmPasswordInput.value;
 
-            if (!username || !password || !confirmPassword) {
-                signupErrorDiv.textContent = 'All fields are required.';
-                return;
-            }
-
-            if (password !== confirmPassword) {
-                signupErrorDiv.textContent = 'Passwords do not match.';
-                return;
+            const fields = Validation.validate({
+                username: Validation.username(),
+                password: Validation.password(),
+                confirmPassword: Validation.string({ label: 'Password confirmation', trim: false }),
+            }, { username, password, confirmPassword }).fields || {};
+            if (!fields.confirmPassword && password !== confirmPassword) {
+                fields.confirmPassword = 'Passwords do not match.';
             }
+            if (showFieldErrors(signupInputs, fields)) return;
 
             try {
                 const signupResponse = await fetch('/api/signup', {
@@ -51,8 +119,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
 
                 if (!signupResponse.ok) {
-                    const errorData = await signupResponse.json();
-                    throw new Error(errorData.message || 'An unknown error occurred during signup.');
+                    throw await apiErrorFrom(signupResponse, 'An unknown error occurred during signup.');
                 }
 
                 // Automatically log the user in after successful signup
@@ -67,12 +134,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
 
                 const loginData = await loginResponse.json();
-                alert('Sign up successful! You are now logged in.');
                 handleLoginSuccess(loginData);
 
             } catch (error) {
                 console.error('Error during signup process:', error);
-                signupErrorDiv.textContent = error.message;
+                if (error.retryAfter) {
+                    showRetryWait(signupForm, signupErrorDiv, error.message, error.retryAfter);
+                } else if (!showFieldErrors(signupInputs, error.fields)) {
+                    signupErrorDiv.textContent = error.message;
+                }
             }
         });
     }
@@ -86,10 +156,11 @@ document.addEventListener('DOMContentLoaded', () => {
             const username = loginUsernameInput.value.trim();
             const password = loginPasswordInput.value;
 
-            if (!username || !password) {
-                loginErrorDiv.textContent = 'Both fields are required.';
-                return;
-            }
+            const { fields } = Validation.validate({
+                username: Validation.string({ label: 'Username' }),
+                password: Validation.string({ label: 'Password', trim: false }),
+            }, { username, password });
+            if (showFieldErrors(loginInputs, fields || {})) return;
 
             try {
                 const response = await fetch('/api/login', {
@@ -102,8 +173,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     const data = await response.json();
                     handleLoginSuccess(data);
                 } else {
-                    const errorData = await response.json();
-                    loginErrorDiv.textContent = errorData.message || 'Invalid credentials.';
+                    const error = await apiErrorFrom(response, 'Invalid credentials.');
+                    if (error.retryAfter) {
+                        showRetryWait(loginForm, loginErrorDiv, error.message, error.retryAfter);
+                    } else if (!showFieldErrors(loginInputs, error.fields)) {
+                        loginErrorDiv.textContent = error.message;
+                    }
                 }
             } catch (error) {
                 console.error('Error during login:', error);
@@ -0,0 +1,4 @@
+// Used by Jest only, to load the ES module API route from CommonJS tests
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]],
+};
@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+// Command-line client for the QueryStore API. It calls the same /api routes
+// with the same request bodies as the dashboard (app.js), so anything it does
+// shows up there too.
+//
+//   querystore login --url https://querystore.example.com
+//   querystore search revenue --tag billing
+//   querystore get 42 | psql "$DATABASE_URL"
+//
+// Run `querystore help` for all commands. The login is kept as a personal
+// access token in ~/.config/querystore/config.json (or $QUERYSTORE_CONFIG).
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const readline = require('readline')
+const { Writable } = require('stream')
+const { parseArgs } = require('util')
+const QueryBundle = require('../query-bundle')
+
+const DEFAULT_URL = 'http://localhost:3000'
+const PAGE_SIZE = 100 // the API's maximum
+const TOKEN_SCOPES = ['read', 'write', 'share']
+const SYNC_STATE_FILE = '.querystore-sync.json'
+
+const USAGE = `Usage: querystore <command> [options]
+
+Commands:
+  login [--url URL] [--username NAME] [--password-stdin] [--token TOKEN]
+                            Sign in and store an access token for this machine
+  logout                    Forget the stored access token
+  list [filters]            List queries, newest first
+  search <terms> [filters]  Full-text search over titles, SQL and tags
+  get <id> [--json]         Print the SQL of a query (or all of it as JSON)
+  add [file|-] --title T [--tag TAG]... [--dialect D] [--folder ID]
+                            Save SQL from a file or stdin as a new query
+  edit <id> [file|-] [--title T] [--tag TAG]... [--dialect D|auto]
+                            Change a query; tags given replace the current ones
+  share <id> [--expires 7d|24h|never] [--password-stdin]
+                            Create or update the share link of a query
+  sync <dir> [--pull | --push] [--dry-run]
+                            Sync a directory of .sql files with the library
+
+Filters: --tag TAG (repeatable), --match all|any, --dialect D, --folder ID,
+         --sort ORDER, --limit N, --json
+Global:  --url URL, --workspace ID (default: your personal library)`
+
+// Thrown for problems the user can fix; printed without a stack trace
+class CliError extends Error {
+  constructor(message, fields = {}) {
+    super(message)
+    this.fields = fields
+  }
+}
+
+// --- Config ---
+
+const configPath = (env) => env.QUERYSTORE_CONFIG || path.join(os.homedir(), '.config', 'querystore', 'config.json')
+
+const readConfig = (env) => {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(env), 'utf8'))
+  } catch (e) {
+    return {}
+  }
+}
+
+// The file holds a credential, so only the owner may read it
+const writeConfig = (env, config) => {
+  const file = configPath(env)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 })
+}
+
+// --- API client ---
+
+// Same error details as apiErrorFrom in app.js: { code, message, fields }
+const apiErrorFrom = (data, fallback) => {
+  const details = data && data.error && typeof data.error === 'object' ? data.error : {}
+  const error = new CliError(details.message || fallback, details.fields || {})
+  error.code = details.code
+  return error
+}
+
+const createClient = ({ url, token, workspace, fetch = globalThis.fetch }) => {
+  const request = async (method, route, { query = {}, body, auth = token, headers = {} } = {}) => {
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, value)
+    }
+    if (workspace) params.set('workspace', workspace)
+    const search = params.toString()
+
+    let response
+    try {
+      response = await fetch(`${url}/api${route}${search ? `?${search}` : ''}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(auth && { Authorization: `Bearer ${auth}` }), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      })
+    } catch (e) {
+      throw new CliError(`Could not reach ${url}: ${e.message}`)
+    }
+    const data = await response.json().catch(() => null)
+    if (!response.ok) {
+      const error = apiErrorFrom(data, `Request failed with status ${response.status}.`)
+      if (response.status === 401 && !auth) error.message = 'Not signed in. Run `querystore login` first.'
+      throw error
+    }
+    return data
+  }
+
+  // Follows nextCursor until `limit` queries (or all of them) are loaded
+  const listQueries = async (filters, limit = Infinity) => {
+    const queries = []
+    let cursor
+    do {
+      const page = await request('GET', '/queries', {
+        query: { ...filters, limit: Math.min(PAGE_SIZE, limit - queries.length), cursor },
+      })
+      queries.push(...page.queries)
+      cursor = page.nextCursor
+    } while (cursor && queries.length < limit)
+    return queries
+  }
+
+  return { url, request, listQueries }
+}
+
+// --- Input helpers ---
+
+const readStream = async (stream) => {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk))
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+// SQL from a file argument, or stdin for "-"
+const readSql = async (file, io) => {
+  const text = file === '-' ? await readStream(io.stdin) : readFile(file)
+  if (!text.trim()) throw new CliError('The SQL is empty.')
+  return text.trim()
+}
+
+const readFile = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf8')
+  } catch (e) {
+    throw new CliError(`Could not read ${file}: ${e.message}`)
+  }
+}
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(readFile(file))
+  } catch (e) {
+    if (e instanceof CliError) throw e
+    throw new CliError(`${file} is not valid JSON (${e.message}). Fix or delete it and try again.`)
+  }
+}
+
+// Asks on stderr so stdout stays clean for piping; `hidden` does not echo.
+// readline writes through `output`, which drops everything once the question
+// has been asked when the answer is hidden.
+const prompt = (io, question, { hidden = false } = {}) => new Promise((resolve) => {
+  let muted = false
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) io.stderr.write(chunk, encoding)
+      callback()
+    },
+  })
+  const rl = readline.createInterface({ input: io.stdin, output, terminal: !!io.stdin.isTTY })
+  rl.question(question, (answer) => {
+    rl.close()
+    if (hidden) io.stderr.write('\n')
+    resolve(answer)
+  })
+  muted = hidden
+})
+
+// Tags the way the dashboard cleans them: trimmed, lower-cased, no duplicates
+const processTags = (values = []) => [...new Set(values
+  .flatMap(value => value.split(','))
+  .map(tag => tag.trim().toLowerCase())
+  .filter(tag => tag))]
+
+// "30m", "24h", "7d" or "never" to an ISO date (null for never)
+const expiryFrom = (value) => {
+  if (value === 'never') return null
+  const match = /^(\d+)([mhd])$/.exec(value || '')
+  if (!match) throw new CliError('--expires must look like 30m, 24h, 7d or "never".')
+  const seconds = Number(match[1]) * { m: 60, h: 3600, d: 86400 }[match[2]]
+  return new Date(Date.now() + seconds * 1000).toISOString()
+}
+
+const shareLinkFor = (url, shareId) => `${url}/share.html?id=${shareId}`
+
+// --- Output helpers ---
+
+const formatRow = (q) => [q._id, q.title, q.tags.join(','), q.dialect].join('\t')
+
+const printWarnings = (io, warnings = []) => {
+  for (const warning of warnings) io.stderr.write(`warning: ${warning.message}\n`)
+}
+
+// --- Commands ---
+
+const listFilters = (options) => ({
+  tags: processTags(options.tag).join(','),
+  match: options.match,
+  dialect: options.dialect,
+  folder: options.folder,
+  sort: options.sort,
+})
+
+const commands = {}
+
+commands.login = async ({ options, io, config }) => {
+  const url = (options.url || config.url || DEFAULT_URL).replace(/\/+$/, '')
+  const client = createClient({ url, fetch: io.fetch })
+
+  if (options.token) {
+    // Checked with a read request; personal access tokens cannot list tokens
+    await client.request('GET', '/queries', { query: { limit: 1 }, auth: options.token })
+    writeConfig(io.env, { url, token: options.token })
+    io.stderr.write(`Stored the access token for ${url}.\n`)
+    return
+  }
+
+  const username = options.username || await io.prompt('Username: ')
+  const password = options['password-stdin']
+    ? (await readStream(io.stdin)).replace(/\r?\n$/, '')
+    : await io.prompt('Password: ', { hidden: true })
+
+  // The password session only lives long enough to create a token for this machine
+  const session = await client.request('POST', '/login', { body: { username, password } })
+  const name = `querystore CLI on ${os.hostname()}`
+  try {
+    const created = await client.request('POST', '/tokens', { body: { name, scopes: TOKEN_SCOPES }, auth: session.token })
+    writeConfig(io.env, { url, username: session.user.username, token: created.token, tokenName: name })
+  } finally {
+    await client.request('POST', '/logout', { body: { refreshToken: session.refreshToken } }).catch(() => {})
+  }
+  io.stderr.write(`Signed in to ${url} as ${session.user.username}.\n`)
+}
+
+commands.logout = async ({ io, config }) => {
+  if (!config.token) throw new CliError('Not signed in.')
+  const { token, ...rest } = config
+  writeConfig(io.env, rest)
+  // Tokens can only be revoked from a signed-in session
+  const name = config.tokenName ? `"${config.tokenName}"` : 'the token'
+  io.stderr.write(`Removed the access token from ${configPath(io.env)}. Revoke ${name} under Tokens in the dashboard to disable it.\n`)
+}
+
+commands.list = async ({ client, options, io, positionals }) => {
+  const limit = options.limit ? Number(options.limit) : 50
+  if (!Number.isInteger(limit) || limit < 1) throw new CliError('--limit must be a positive whole number.')
+  const q = positionals.join(' ')
+  const queries = await client.listQueries({ ...listFilters(options), q }, limit)
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(queries, null, 2)}\n`)
+    return
+  }
+  if (queries.length === 0) {
+    io.stderr.write(q ? 'No queries match your search.\n' : 'No queries found.\n')
+    return
+  }
+  for (const query of queries) io.stdout.write(`${formatRow(query)}\n`)
+}
+
+commands.search = async (context) => {
+  if (context.positionals.length === 0) throw new CliError('Usage: querystore search <terms> [filters]')
+  return commands.list(context)
+}
+
+const queryId = (value) => {
+  if (!/^\d+$/.test(value || '')) throw new CliError('Give the id of a query (see `querystore list`).')
+  return Number(value)
+}
+
+commands.get = async ({ client, options, io, positionals }) => {
+  const query = await client.request('GET', `/queries/${queryId(positionals[0])}`)
+  io.stdout.write(options.json ? `${JSON.stringify(query, null, 2)}\n` : `${query.text.trim()}\n`)
+}
+
+commands.add = async ({ client, options, io, positionals }) => {
+  if (!options.title) throw new CliError('--title is required.')
+  const file = positionals[0] || (io.stdin.isTTY ? null : '-')
+  if (!file) throw new CliError('Give a file with the SQL, or "-" to read it from stdin.')
+
+  const created = await client.request('POST', '/queries', {
+    body: {
+      title: options.title,
+      text: await readSql(file, io),
+      tags: processTags(options.tag),
+      dialect: options.dialect,
+      folderId: options.folder ? Number(options.folder) : null,
+      workspaceId: options.workspace ? Number(options.workspace) : null,
+    },
+  })
+  printWarnings(io, created.warnings)
+  io.stdout.write(`${created._id}\n`)
+}
+
+commands.edit = async ({ client, options, io, positionals }) => {
+  const id = queryId(positionals[0])
+  const file = positionals[1]
+  if (!file && !options.title && !options.tag && !options.dialect) {
+    throw new CliError('Nothing to change: give a SQL file (or "-"), --title, --tag or --dialect.')
+  }
+
+  // PUT replaces the whole query, so unchanged fields are sent as they are.
+  // If-Match makes the API refuse the edit if the query changes in between.
+  const current = await client.request('GET', `/queries/${id}`)
+  const text = file ? await readSql(file, io) : current.text
+  const dialect = options.dialect === 'auto' ? undefined : options.dialect || current.dialect
+  const updated = await client.request('PUT', `/queries/${id}`, {
+    body: {
+      title: options.title || current.title,
+      text,
+      tags: options.tag ? processTags(options.tag) : current.tags,
+      params: current.params,
+      dialect,
+    },
+    headers: { 'If-Match': `"${current.version}"` },
+  })
+  printWarnings(io, updated.warnings)
+  io.stderr.write(`Updated query ${id}.\n`)
+}
+
+commands.share = async ({ client, options, io, positionals }) => {
+  const id = queryId(positionals[0])
+  const settings = {}
+  if (options.expires) settings.expiresAt = expiryFrom(options.expires)
+  if (options['password-stdin']) settings.password = (await readStream(io.stdin)).replace(/\r?\n$/, '')
+
+  const share = await client.request('POST', `/queries/${id}/share`, { body: settings })
+  io.stdout.write(`${shareLinkFor(client.url, share.shareId)}\n`)
+}
+
+// --- Sync ---
+//
+// Every query is one file with the "-- name:" headers of the .sql bundle
+// format. The sync state remembers what each query looked like after the last
+// sync, so a change on one side is copied to the other; a query changed on
+// both sides is reported as a conflict and left alone. Deletions are never
+// copied.
+
+const syncHash = (q) => crypto.createHash('sha256')
+  .update(JSON.stringify([q.title, q.text.trim(), [...q.tags].sort(), q.dialect || 'standard']))
+  .digest('hex')
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'query'
+
+const syncFileContent = (q) => QueryBundle.serialize([{ ...q, createdAt: null, share: null }], 'sql')
+
+const readLocalQueries = (dir, io) => {
+  const local = new Map()
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.sql')).sort()) {
+    const { queries, errors } = QueryBundle.parse(fs.readFileSync(path.join(dir, file), 'utf8'), 'sql')
+    if (queries.length !== 1 || errors.length > 0) {
+      io.stderr.write(`skipped  ${file}: expected one query with a "-- name:" header\n`)
+      continue
+    }
+    const key = queries[0].title.toLowerCase()
+    if (local.has(key)) {
+      io.stderr.write(`skipped  ${file}: "${queries[0].title}" is also in ${local.get(key).file}\n`)
+      continue
+    }
+    local.set(key, { ...queries[0], file })
+  }
+  return local
+}
+
+commands.sync = async ({ client, options, io, positionals }) => {
+  const dir = positionals[0]
+  if (!dir) throw new CliError('Usage: querystore sync <dir> [--pull | --push] [--dry-run]')
+  if (options.pull && options.push) throw new CliError('Use either --pull or --push.')
+  fs.mkdirSync(dir, { recursive: true })
+
+  const statePath = path.join(dir, SYNC_STATE_FILE)
+  const state = fs.existsSync(statePath) ? readJson(statePath) : { queries: {} }
+  const local = readLocalQueries(dir, io)
+  const remote = new Map((await client.listQueries({})).map(q => [q.title.toLowerCase(), q]))
+  const usedFiles = new Set([...local.values()].map(q => q.file))
+  const synced = {}
+  const counts = { pulled: 0, pushed: 0, conflicts: 0 }
+  const report = (action, name) => io.stdout.write(`${action.padEnd(8)} ${name}\n`)
+
+  for (const key of new Set([...local.keys(), ...remote.keys()])) {
+    const mine = local.get(key)
+    const theirs = remote.get(key)
+    const last = state.queries[key] && state.queries[key].hash
+    const mineHash = mine && syncHash(mine)
+    const theirsHash = theirs && syncHash(theirs)
+
+    let action
+    if (mine && theirs) {
+      if (mineHash === theirsHash) action = 'same'
+      else if (options.pull || (!options.push && mineHash === last)) action = 'pull'
+      else if (options.push || theirsHash === last) action = 'push'
+      else action = 'conflict'
+    } else if (mine) {
+      action = last && mineHash === last && !options.push ? 'deleted remotely' : 'push'
+    } else {
+      action = last && theirsHash === last && !options.pull ? 'deleted locally' : 'pull'
+    }
+    if ((options.pull && action === 'push') || (options.push && action === 'pull')) action = 'skip'
+
+    const name = mine ? mine.file : theirs.title
+    if (action === 'same') {
+      synced[key] = { file: mine.file, hash: mineHash }
+    } else if (action === 'pull') {
+      let file = mine && mine.file
+      if (!file) {
+        file = `${slugify(theirs.title)}.sql`
+        for (let n = 2; usedFiles.has(file); n++) file = `${slugify(theirs.title)}-${n}.sql`
+        usedFiles.add(file)
+      }
+      if (!options['dry-run']) fs.writeFileSync(path.join(dir, file), syncFileContent(theirs))
+      synced[key] = { file, hash: theirsHash }
+      counts.pulled++
+      report('pulled', file)
+    } else if (action === 'push') {
+      // Same request bodies as creating and editing in the dashboard
+      const body = { title: mine.title, text: mine.text, tags: mine.tags, params: mine.params, dialect: mine.dialect || undefined }
+      if (!options['dry-run']) {
+        if (theirs) {
+          await client.request('PUT', `/queries/${theirs._id}`, { body, headers: { 'If-Match': `"${theirs.version}"` } })
+        } else {
+          await client.request('POST', '/queries', { body: { ...body, workspaceId: options.workspace ? Number(options.workspace) : null } })
+        }
+      }
+      synced[key] = { file: mine.file, hash: mineHash }
+      counts.pushed++
+      report('pushed', mine.file)
+    } else {
+      if (action === 'conflict') counts.conflicts++
+      if (state.queries[key]) synced[key] = state.queries[key]
+      report(action, name)
+    }
+  }
+
+  if (!options['dry-run']) {
+    fs.writeFileSync(statePath, `${JSON.stringify({ url: client.url, workspace: options.workspace || null, queries: synced }, null, 2)}\n`)
+  }
+  io.stderr.write(`${options['dry-run'] ? 'Would pull' : 'Pulled'} ${counts.pulled}, ${options['dry-run'] ? 'push' : 'pushed'} ${counts.pushed}; ${counts.conflicts} conflict${counts.conflicts === 1 ? '' : 's'}.\n`)
+  if (counts.conflicts > 0) {
+    io.stderr.write('Resolve conflicts by editing the file and running `querystore sync --push`, or take the server version with --pull.\n')
+  }
+}
+
+// --- Entry point ---
+
+const OPTIONS = {
+  url: { type: 'string' },
+  workspace: { type: 'string', short: 'w' },
+  username: { type: 'string', short: 'u' },
+  token: { type: 'string' },
+  'password-stdin': { type: 'boolean' },
+  title: { type: 'string' },
+  tag: { type: 'string', short: 't', multiple: true },
+  match: { type: 'string' },
+  dialect: { type: 'string' },
+  folder: { type: 'string' },
+  sort: { type: 'string' },
+  limit: { type: 'string' },
+  expires: { type: 'string' },
+  json: { type: 'boolean' },
+  pull: { type: 'boolean' },
+  push: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+// Runs one command; `io` replaces the process streams, environment and fetch
+// in tests. Resolves to the exit code.
+const run = async (argv, io = {}) => {
+  io = {
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    env: process.env,
+    fetch: globalThis.fetch,
+    ...io,
+  }
+  io.prompt = io.prompt || ((question, options) => prompt(io, question, options))
+
+  try {
+    let parsed
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+    } catch (e) {
+      throw new CliError(e.message)
+    }
+    const [command, ...positionals] = parsed.positionals
+    const { values: options } = parsed
+    if (!command || command === 'help' || options.help) {
+      io.stdout.write(`${USAGE}\n`)
+      return 0
+    }
+    if (!commands[command]) throw new CliError(`Unknown command "${command}". Run \`querystore help\`.`)
+
+    const config = readConfig(io.env)
+    const url = (options.url || io.env.QUERYSTORE_URL || config.url || DEFAULT_URL).replace(/\/+$/, '')
+    const token = io.env.QUERYSTORE_TOKEN || config.token
+    const client = createClient({ url, token, workspace: options.workspace, fetch: io.fetch })
+    await commands[command]({ client, options, positionals, io, config })
+    return 0
+  } catch (error) {
+    if (!(error instanceof CliError)) throw error
+    io.stderr.write(`querystore: ${error.message}\n`)
+    for (const [field, message] of Object.entries(error.fields)) {
+      if (message !== error.message) io.stderr.write(`  ${field}: ${message}\n`)
+    }
+    return 1
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => { process.exitCode = code })
+    .catch((error) => {
+      process.stderr.write(`querystore: ${error.message}\n`)
+      process.exitCode = 1
+    })
+}
+
+module.exports = { run }
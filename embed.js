@@ -0,0 +1,38 @@
+// Embed widget for wikis and runbooks. Replaces the script tag with an iframe
+// showing the shared query, sized to fit its SQL:
+//
+//   <script src="https://<your-app>/embed.js" data-share-id="<shareId>" async></script>
+//
+// Only public links without a password can be embedded.
+(function () {
+    'use strict';
+
+    const MAX_HEIGHT = 600;
+
+    const embed = (script) => {
+        const origin = new URL(script.src).origin;
+        const shareId = script.dataset.shareId;
+        script.dataset.embedded = 'true';
+        if (!shareId) return;
+
+        const frame = document.createElement('iframe');
+        frame.src = `${origin}/api/public/queries/${encodeURIComponent(shareId)}/embed`;
+        frame.title = 'Shared SQL query';
+        frame.loading = 'lazy';
+        frame.style.cssText = 'border: 0; width: 100%; max-width: 100%; height: 200px;';
+        script.parentNode.insertBefore(frame, script.nextSibling);
+
+        // The embed page reports its height once it has rendered
+        window.addEventListener('message', (e) => {
+            if (e.source !== frame.contentWindow || e.origin !== origin) return;
+            if (!e.data || e.data.type !== 'querystore:resize') return;
+            const height = Number(e.data.height);
+            if (height > 0) frame.style.height = `${Math.min(height, MAX_HEIGHT)}px`;
+        });
+    };
+
+    // Async scripts run in any order, so every run picks up all pending tags
+    document.querySelectorAll('script[data-share-id]:not([data-embedded])').forEach(script => {
+        if (/\/embed\.js(\?|$)/.test(script.src)) embed(script);
+    });
+})();
@@ -2,9 +2,87 @@ import { Hono } from 'hono'
 import { handle } from 'hono/cloudflare-pages'
 import { jwt, sign, verify } from 'hono/jwt'
 import bcrypt from 'bcryptjs'
+import SqlParams from '../../sql-params.js'
+import SqlFormat from '../../sql-format.js'
+import QueryBundle from '../../query-bundle.js'
+import Validation from '../../validation.js'
+import SqlHighlight from '../../sql-highlight.js'
 
 const app = new Hono().basePath('/api')
 
+// --- Errors ---
+
+// Every error response is { error: { code, message, fields } }. `fields` maps
+// request fields to messages when the error is about specific fields.
+const ERROR_CODES = {
+  400: 'validation_failed',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  412: 'precondition_failed',
+  428: 'precondition_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  501: 'not_implemented',
+}
+
+// Thrown by helpers that cannot return a response themselves. `retryAfter`
+// (seconds) is sent as the Retry-After header.
+class ApiError extends Error {
+  constructor(status, message, { code, fields, retryAfter } = {}) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.fields = fields
+    this.retryAfter = retryAfter
+  }
+}
+
+const apiError = (c, status, message, { code = ERROR_CODES[status], fields = {} } = {}) =>
+  c.json({ error: { code, message, fields } }, status)
+
+app.onError((err, c) => {
+  if (err instanceof ApiError) {
+    if (err.retryAfter) c.header('Retry-After', String(err.retryAfter))
+    return apiError(c, err.status, err.message, err)
+  }
+  console.error(err)
+  return apiError(c, 500, 'Something went wrong on our side. Please try again.')
+})
+
+app.notFound((c) => apiError(c, 404, 'Not found.'))
+
+// --- Validation Helpers ---
+
+const checkInput = (schema, data) => {
+  const { value, fields } = Validation.validate(schema, data)
+  if (fields) {
+    const messages = Object.values(fields)
+    throw new ApiError(400, messages.length === 1 ? messages[0] : 'Some fields are invalid.', { fields })
+  }
+  return value
+}
+
+// Parses and validates the JSON body; an empty body counts as {}
+const readBody = async (c, schema) => {
+  const raw = await c.req.text()
+  let body = {}
+  if (raw.trim()) {
+    try {
+      body = JSON.parse(raw)
+    } catch (e) {
+      throw new ApiError(400, 'Request body is not valid JSON.', { code: 'invalid_json' })
+    }
+  }
+  return checkInput(schema, body)
+}
+
+const readQuery = (c, schema) => checkInput(schema, c.req.query())
+
+const readParams = (c, schema) => checkInput(schema, c.req.param())
+
 // Debug endpoint
 app.get('/debug-env', (c) => {
   return c.json({
@@ -14,10 +92,164 @@ app.get('/debug-env', (c) => {
   });
 })
 
+// --- Session Helpers ---
+
+const ACCESS_TOKEN_TTL = 15 * 60 // seconds
+const SESSION_TTL = '+30 days' // sliding; extended on every refresh
+const REUSE_GRACE_SECONDS = 60
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')
+
+const randomToken = () => toHex(crypto.getRandomValues(new Uint8Array(32)))
+
+// Refresh tokens are long random values, so a fast unsalted hash is enough
+const sha256 = async (value) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value))
+  return toHex(new Uint8Array(digest))
+}
+
+const issueAccessToken = (c, user, sessionId) => {
+  const payload = {
+    user: { id: user.id, username: user.username },
+    sid: sessionId,
+    exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL,
+  }
+  return sign(payload, c.env.JWT_SECRET, 'HS256')
+}
+
+// Starts a new server-side session and returns its first token pair
+const createSession = async (c, user) => {
+  const db = c.env.DB;
+  const sessionId = crypto.randomUUID();
+  const refreshToken = randomToken();
+
+  await db.prepare(`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+  `).bind(sessionId, user.id, await sha256(refreshToken), c.req.header('User-Agent') || '', SESSION_TTL).run();
+
+  return { token: await issueAccessToken(c, user, sessionId), refreshToken };
+}
+
+const revokeSession = (db, sessionId) => db.prepare(
+  'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL'
+).bind(sessionId).run()
+
+// --- Rate Limiting ---
+
+// Requests per client IP. Failed sign-ins are additionally counted per
+// username, see LOGIN_LOCKOUT.
+const RATE_LIMITS = {
+  login: { limit: 20, window: 15 * 60 },
+  signup: { limit: 10, window: 60 * 60 },
+  publicShare: { limit: 60, window: 60 },
+  gallery: { limit: 120, window: 60 },
+  // Wrong passwords for one share link
+  sharePassword: { limit: 10, window: 15 * 60 },
+}
+
+const LOGIN_LOCKOUT = {
+  maxFailures: 5, // in a row, within failureWindow
+  failureWindow: 15 * 60,
+  // Each lockout within lockoutMemory lasts longer than the previous one
+  durations: [60, 5 * 60, 15 * 60, 60 * 60, 24 * 60 * 60],
+  lockoutMemory: 24 * 60 * 60,
+}
+
+// Share of hits that also delete expired counters
+const SWEEP_PROBABILITY = 0.01
+
+const nowSeconds = () => Math.floor(Date.now() / 1000)
+
+// Counters live in the rate_limits table by default. Another store (memory,
+// KV, a Durable Object) can be passed as env.RATE_LIMIT_STORE; it needs:
+//   hit(key, windowSeconds) -> { count, resetAt }  count this hit; a key whose
+//                                                  window has passed restarts at 1
+//   get(key) -> { count, resetAt } | null          current window, if any
+//   reset(key)                                     forget the key
+// resetAt is in Unix epoch seconds.
+const d1RateLimitStore = (db) => ({
+  hit: async (key, windowSeconds) => {
+    const now = nowSeconds()
+    if (Math.random() < SWEEP_PROBABILITY) {
+      await db.prepare('DELETE FROM rate_limits WHERE reset_at <= ?').bind(now).run()
+    }
+    return db.prepare(`
+      INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+        reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+      RETURNING count, reset_at AS resetAt
+    `).bind(key, now + windowSeconds, now, now).first()
+  },
+  get: (key) => db.prepare('SELECT count, reset_at AS resetAt FROM rate_limits WHERE key = ? AND reset_at > ?')
+    .bind(key, nowSeconds())
+    .first(),
+  reset: (key) => db.prepare('DELETE FROM rate_limits WHERE key = ?').bind(key).run(),
+})
+
+const rateLimitStore = (c) => c.env.RATE_LIMIT_STORE || d1RateLimitStore(c.env.DB)
+
+// server.js passes the socket address as CLIENT_IP; Cloudflare sets the header
+const clientIp = (c) => c.env.CLIENT_IP || c.req.header('CF-Connecting-IP') || 'unknown'
+
+const tooManyRequests = (message, resetAt, code) =>
+  new ApiError(429, message, { code, retryAfter: Math.max(1, resetAt - nowSeconds()) })
+
+// Middleware that counts every request per client IP under RATE_LIMITS[name]
+const rateLimit = (name) => async (c, next) => {
+  const { limit, window } = RATE_LIMITS[name]
+  const { count, resetAt } = await rateLimitStore(c).hit(`${name}-ip:${clientIp(c)}`, window)
+  if (count > limit) throw tooManyRequests('Too many requests. Please try again later.', resetAt)
+  await next()
+}
+
+const accountLocked = (resetAt) =>
+  tooManyRequests('Too many failed sign-in attempts. This account is temporarily locked.', resetAt, 'account_locked')
+
+// Throws while `username` is locked out. Unknown usernames lock the same way,
+// so lockouts do not reveal which accounts exist.
+const checkLoginLockout = async (store, username) => {
+  const lock = await store.get(`login-lock:${username}`)
+  if (lock) throw accountLocked(lock.resetAt)
+}
+
+// Counts a failed sign-in and locks the account after too many in a row
+const recordLoginFailure = async (store, username) => {
+  const failures = await store.hit(`login-failures:${username}`, LOGIN_LOCKOUT.failureWindow)
+  if (failures.count < LOGIN_LOCKOUT.maxFailures) return
+
+  await store.reset(`login-failures:${username}`)
+  const lockouts = await store.hit(`login-lockouts:${username}`, LOGIN_LOCKOUT.lockoutMemory)
+  const { durations } = LOGIN_LOCKOUT
+  const lock = await store.hit(`login-lock:${username}`, durations[Math.min(lockouts.count, durations.length) - 1])
+  throw accountLocked(lock.resetAt)
+}
+
+const clearLoginFailures = async (store, username) => {
+  await store.reset(`login-failures:${username}`)
+  await store.reset(`login-lockouts:${username}`)
+}
+
 // --- Auth Endpoints ---
 
-app.post('/signup', async (c) => {
-  const { username, password } = await c.req.json()
+const SIGNUP_SCHEMA = {
+  username: Validation.username(),
+  password: Validation.password(),
+}
+
+// Only presence is checked, so accounts created under an older policy can still sign in
+const LOGIN_SCHEMA = {
+  username: Validation.string({ label: 'Username', max: 100 }),
+  password: Validation.string({ label: 'Password', trim: false, max: 1000 }),
+}
+
+const REFRESH_TOKEN_SCHEMA = {
+  refreshToken: Validation.string({ label: 'Refresh token', max: 200 }),
+}
+
+app.post('/signup', rateLimit('signup'), async (c) => {
+  const { username, password } = await readBody(c, SIGNUP_SCHEMA)
   const db = c.env.DB;
 
   try {
@@ -31,39 +263,213 @@ app.post('/signup', async (c) => {
     return c.json({ message: 'User created successfully.' }, 201)
   } catch (error) {
     if (error.message.includes('UNIQUE constraint failed')) {
-      return c.json({ message: 'Username already exists.' }, 409)
+      return apiError(c, 409, 'Username already exists.', { fields: { username: 'This username is already taken.' } })
     }
-    return c.json({ message: 'Error during signup.' }, 500)
+    throw error
   }
 })
 
-app.post('/login', async (c) => {
-  const { username, password } = await c.req.json()
+app.post('/login', rateLimit('login'), async (c) => {
+  const { username, password } = await readBody(c, LOGIN_SCHEMA)
   const db = c.env.DB;
+  const store = rateLimitStore(c);
+
+  await checkLoginLockout(store, username);
 
   const user = await db.prepare('SELECT * FROM users WHERE username = ?')
     .bind(username)
     .first();
 
   if (!user || !(await bcrypt.compare(password, user.password_hash))) {
-    return c.json({ message: 'Invalid credentials.' }, 401)
+    await recordLoginFailure(store, username);
+    return apiError(c, 401, 'Invalid username or password.', { code: 'invalid_credentials' })
   }
 
-  const payload = {
-    user: { id: user.id, username: user.username },
-    exp: Math.floor(Date.now() / 1000) + 60 * 60,
+  await clearLoginFailures(store, username);
+
+  const { token, refreshToken } = await createSession(c, user)
+  return c.json({ token, refreshToken, user: { username: user.username } })
+})
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// The old refresh token stops working; replaying it revokes the session.
+app.post('/refresh', async (c) => {
+  const { refreshToken } = await readBody(c, REFRESH_TOKEN_SCHEMA)
+  const db = c.env.DB;
+
+  const tokenHash = await sha256(refreshToken);
+  const session = await db.prepare(`
+    SELECT s.*, u.username,
+           s.expires_at <= datetime('now') as is_expired,
+           s.rotated_at > datetime('now', ?) as recently_rotated
+    FROM sessions s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.refresh_token_hash = ? OR s.previous_token_hash = ?
+  `).bind(`-${REUSE_GRACE_SECONDS} seconds`, tokenHash, tokenHash).first();
+
+  if (!session || session.revoked_at || session.is_expired) {
+    return apiError(c, 401, 'Invalid or expired refresh token.')
+  }
+
+  if (session.refresh_token_hash !== tokenHash) {
+    // Another tab or request may have just rotated this token; only treat
+    // the replay as theft once the grace period has passed.
+    if (!session.recently_rotated) await revokeSession(db, session.id);
+    return apiError(c, 401, 'Refresh token has already been used.')
+  }
+
+  const nextRefreshToken = randomToken();
+  const info = await db.prepare(`
+    UPDATE sessions
+    SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?,
+        rotated_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+    WHERE id = ? AND refresh_token_hash = ?
+  `).bind(await sha256(nextRefreshToken), SESSION_TTL, session.id, tokenHash).run();
+
+  if (info.meta.changes === 0) {
+    return apiError(c, 401, 'Refresh token has already been used.')
   }
-  const token = await sign(payload, c.env.JWT_SECRET, 'HS256')
-  return c.json({ token, user: { username: user.username } })
+
+  const user = { id: session.user_id, username: session.username };
+  const token = await issueAccessToken(c, user, session.id);
+  return c.json({ token, refreshToken: nextRefreshToken, user: { username: user.username } })
 })
 
-// --- Public API Endpoint ---
-app.get('/public/queries/:shareId', async (c) => {
+// Ends one session. Accepts the refresh token in the body so a client can
+// log out even after its access token has expired.
+app.post('/logout', async (c) => {
+  const { refreshToken } = await readBody(c, {
+    refreshToken: Validation.string({ label: 'Refresh token', required: false, max: 200 }),
+  })
   const db = c.env.DB;
-  const shareId = c.req.param('shareId');
 
+  if (refreshToken) {
+    const session = await db.prepare('SELECT id FROM sessions WHERE refresh_token_hash = ?')
+      .bind(await sha256(refreshToken))
+      .first();
+    if (session) {
+      await revokeSession(db, session.id);
+      return c.json({ message: 'Logged out successfully.' })
+    }
+  }
+
+  // Access tokens have no session to end
+  const payload = await getSessionPayload(c);
+  await revokeSession(db, payload.sid);
+  return c.json({ message: 'Logged out successfully.' })
+})
+
+// Signs the user out everywhere, including the session making the request.
+// Only a signed-in session may do this, so a leaked access token cannot.
+app.post('/logout-all', async (c) => {
+  const payload = await getSessionPayload(c);
+  const db = c.env.DB;
+
+  const info = await db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL')
+    .bind(payload.user.id)
+    .run();
+
+  return c.json({ message: 'Signed out of all devices.', sessions: info.meta.changes })
+})
+
+// --- Query Storage Helpers ---
+// Writes that touch several rows of a query are built as lists of statements
+// and run with one db.batch(), which D1 executes as a single transaction.
+
+// A query id inside a statement: { sql, binds } to splice into the SQL
+const queryRef = (queryId) => ({ sql: '?', binds: [queryId] })
+
+// A query that is still at `version`, and no query (NULL) once it has moved
+// on: statements using it change nothing when an edit lost a race.
+const unchangedQueryRef = (queryId, version) => ({
+  sql: '(SELECT id FROM queries WHERE id = ? AND version = ?)',
+  binds: [queryId, version],
+})
+
+// The query inserted by the latest INSERT INTO queries of the same batch, for
+// the statements that follow it. `queries` is AUTOINCREMENT, so SQLite keeps
+// the last id it handed out in sqlite_sequence; the batch runs as one
+// transaction, so no other insert can come in between.
+const INSERTED_QUERY = { sql: "(SELECT seq FROM sqlite_sequence WHERE name = 'queries')", binds: [] }
+
+// Statements replacing the tags of a query with `tags` (already cleaned)
+const tagStatements = (db, ref, tags) => [
+  db.prepare(`DELETE FROM query_tags WHERE query_id = ${ref.sql}`).bind(...ref.binds),
+  ...tags.map(tag => db.prepare(`INSERT INTO query_tags (query_id, tag) SELECT id, ? FROM queries WHERE id = ${ref.sql}`).bind(tag, ...ref.binds)),
+]
+
+// Statements replacing the parameters of a query with `params`, as returned by
+// SqlParams.normalize (which keeps the metadata the client declared).
+const paramStatements = (db, ref, params) => [
+  db.prepare(`DELETE FROM query_params WHERE query_id = ${ref.sql}`).bind(...ref.binds),
+  ...params.map((p, position) => db.prepare(`
+    INSERT INTO query_params (query_id, position, name, type, default_value, description)
+    SELECT id, ?, ?, ?, ?, ? FROM queries WHERE id = ${ref.sql}
+  `).bind(position, p.name, p.type, p.default, p.description, ...ref.binds)),
+]
+
+// Copies the current title/text/tags/dialect of a query into query_revisions,
+// with its parameters as a JSON array. Callers check access first.
+const revisionStatement = (db, ref) => db.prepare(`
+  INSERT INTO query_revisions (query_id, title, text, tags, dialect, params)
+  SELECT q.id, q.title, q.text, COALESCE((SELECT GROUP_CONCAT(tag) FROM query_tags WHERE query_id = q.id), ''), q.dialect,
+    (SELECT json_group_array(json_object('name', name, 'type', type, 'default', default_value, 'description', description))
+     FROM (SELECT * FROM query_params WHERE query_id = q.id ORDER BY position))
+  FROM queries q WHERE q.id = ${ref.sql}
+`).bind(...ref.binds)
+
+// Parameters for a list of query ids, as a Map of id -> [{ name, type, default, description }]
+const loadParams = async (db, queryIds) => {
+  const byQuery = new Map(queryIds.map(id => [id, []]));
+  if (queryIds.length === 0) return byQuery;
+
+  const { results } = await db.prepare(`
+    SELECT query_id, name, type, default_value, description
+    FROM query_params
+    WHERE query_id IN (${queryIds.map(() => '?').join(', ')})
+    ORDER BY query_id, position
+  `).bind(...queryIds).all();
+
+  for (const p of results) {
+    byQuery.get(p.query_id).push({ name: p.name, type: p.type, default: p.default_value, description: p.description });
+  }
+  return byQuery;
+}
+
+// --- Public API Endpoints ---
+
+// Checks the X-Share-Password header against a password protected share link
+// (a query or folder row). Returns an error response, or null when the caller
+// may see the shared content.
+const checkSharePassword = async (c, shared, noun) => {
+  if (!shared.share_password_hash) return null;
+
+  const password = c.req.header('X-Share-Password');
+  if (!password) {
+    return apiError(c, 401, `This shared ${noun} is password protected.`, { code: 'share_password_required' });
+  }
+
+  const store = rateLimitStore(c);
+  const { limit, window } = RATE_LIMITS.sharePassword;
+  const key = `share-password:${shared.share_id}:${clientIp(c)}`;
+  const failures = await store.get(key);
+  if (failures && failures.count >= limit) {
+    throw tooManyRequests('Too many incorrect passwords. Please try again later.', failures.resetAt);
+  }
+  if (!(await bcrypt.compare(password, shared.share_password_hash))) {
+    await store.hit(key, window);
+    return apiError(c, 403, 'Incorrect share password.', { code: 'share_password_invalid' });
+  }
+  return null;
+}
+
+// Looks up a public query by share id, checks its expiry and password and
+// counts the view. Returns { query } with the row, its tags and params, or
+// { error } with the error response.
+const openSharedQuery = async (c, shareId) => {
+  const db = c.env.DB;
   const query = await db.prepare(`
-    SELECT q.*, GROUP_CONCAT(t.tag) as tags 
+    SELECT q.*, GROUP_CONCAT(t.tag) as tags, q.share_expires_at <= datetime('now') as is_expired
     FROM queries q 
     LEFT JOIN query_tags t ON q.id = t.query_id 
     WHERE q.share_id = ? AND q.is_public = 1
@@ -71,167 +477,2333 @@ app.get('/public/queries/:shareId', async (c) => {
   `).bind(shareId).first();
 
   if (!query) {
-    return c.json({ message: 'Shared query not found.' }, 404);
+    return { error: apiError(c, 404, 'Shared query not found.') };
+  }
+
+  if (query.is_expired) {
+    return { error: apiError(c, 410, 'This share link has expired.') };
   }
 
+  const denied = await checkSharePassword(c, query, 'query');
+  if (denied) return { error: denied };
+
+  await db.prepare('UPDATE queries SET share_views = share_views + 1 WHERE id = ?').bind(query.id).run();
+
+  const params = await loadParams(db, [query.id]);
+  return { query: { ...query, tags: query.tags ? query.tags.split(',') : [], params: params.get(query.id) } };
+}
+
+app.get('/public/queries/:shareId', rateLimit('publicShare'), async (c) => {
+  const { query, error } = await openSharedQuery(c, c.req.param('shareId'));
+  if (error) return error;
+
   return c.json({
     title: query.title,
     text: query.text,
-    tags: query.tags ? query.tags.split(',') : [],
+    tags: query.tags,
+    dialect: query.dialect,
+    params: query.params,
     createdAt: query.created_at
   });
 })
 
-// --- Protected Query API Endpoints ---
+// Just the SQL, for `curl ... | psql`. Password protected links take the
+// password in the X-Share-Password header like the JSON endpoint.
+app.get('/public/queries/:shareId/raw', rateLimit('publicShare'), async (c) => {
+  const { query, error } = await openSharedQuery(c, c.req.param('shareId'));
+  if (error) return error;
 
-// Middleware-like check for queries
-const getAuthPayload = async (c) => {
-  if (!c.env.JWT_SECRET) {
-    return { error: 'Server configuration error: Missing JWT_SECRET' };
-  }
-  const auth = c.req.header('Authorization');
-  if (!auth) return { error: 'No Authorization header' };
-  
-  const token = auth.split(' ')[1];
+  const text = query.text.endsWith('\n') ? query.text : `${query.text}\n`;
+  return c.body(text, 200, { 'Content-Type': 'text/plain; charset=utf-8' });
+})
+
+// --- Embeds & Link Previews ---
+
+const EMBED_SIZE = { width: 600, minHeight: 150, maxHeight: 500, lineHeight: 20, chrome: 90 }
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const shareUrl = (origin, shareId) => `${origin}/share.html?id=${encodeURIComponent(shareId)}`
+
+const embedUrl = (origin, shareId) => `${origin}/api/public/queries/${encodeURIComponent(shareId)}/embed`
+
+// Share id of a query share link (share.html?id=... or, with pretty URLs, share?id=...)
+const shareIdFromUrl = (url) => {
   try {
-    const payload = await verify(token, c.env.JWT_SECRET, 'HS256');
-    return { payload };
+    const parsed = new URL(url);
+    return /\/share(\.html)?$/.test(parsed.pathname) ? parsed.searchParams.get('id') : null;
   } catch (e) {
-    return { error: `Token verification failed: ${e.message}` };
+    return null;
   }
 }
 
-app.get('/queries', async (c) => {
-  const { payload, error } = await getAuthPayload(c);
-  if (error) return c.json({ error }, 401);
-  const db = c.env.DB;
+// Single-line start of the SQL for link previews
+const sqlPreview = (text, length = 200) => {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
 
-  const { results: queries } = await db.prepare(`
-    SELECT q.*, GROUP_CONCAT(t.tag) as tags 
-    FROM queries q 
-    LEFT JOIN query_tags t ON q.id = t.query_id 
-    WHERE q.user_id = ? 
-    GROUP BY q.id 
-    ORDER BY q.created_at DESC
-  `).bind(payload.user.id).all();
+const embedPage = ({ title, body, origin }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} - QueryStore</title>
+  <link rel="stylesheet" href="https://unpkg.com/@highlightjs/cdn-assets@11.9.0/styles/atom-one-dark.min.css">
+  <script src="https://unpkg.com/@highlightjs/cdn-assets@11.9.0/highlight.min.js"></script>
+  <script src="https://unpkg.com/@highlightjs/cdn-assets@11.9.0/languages/pgsql.min.js"></script>
+  <script src="${origin}/sql-highlight.js"></script>
+  <style>
+    body { margin: 0; font: 14px/1.4 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #212529; }
+    .qs-embed { border: 1px solid #dee2e6; border-radius: 6px; overflow: hidden; }
+    .qs-header, .qs-footer { display: flex; align-items: center; gap: 8px; padding: 6px 10px; background: #f8f9fa; }
+    .qs-title { font-weight: 600; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .qs-dialect { font-size: 12px; color: #6c757d; }
+    .qs-header button { font: inherit; font-size: 12px; padding: 2px 8px; border: 1px solid #adb5bd; border-radius: 4px; background: #fff; cursor: pointer; }
+    .qs-footer { justify-content: flex-end; font-size: 12px; }
+    .qs-footer a { color: #0d6efd; text-decoration: none; }
+    .qs-message { padding: 16px; color: #6c757d; }
+    pre { margin: 0; }
+    pre code.hljs { padding: 10px; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <div class="qs-embed">${body}</div>
+  <script>
+    (function () {
+      var code = document.querySelector('code[data-dialect]');
+      if (code && window.hljs) {
+        code.className = SqlHighlight.codeClass(code.dataset.dialect);
+        hljs.highlightElement(code);
+      }
+      var copy = document.getElementById('copy');
+      if (copy) {
+        copy.addEventListener('click', function () {
+          navigator.clipboard.writeText(code.textContent).then(function () {
+            copy.textContent = 'Copied!';
+            setTimeout(function () { copy.textContent = 'Copy'; }, 2000);
+          });
+        });
+      }
+      // Lets embed.js size the iframe to its content
+      var resize = function () {
+        parent.postMessage({ type: 'querystore:resize', height: document.documentElement.scrollHeight }, '*');
+      };
+      window.addEventListener('load', resize);
+      resize();
+    })();
+  </script>
+</body>
+</html>`
 
-  const formattedQueries = queries.map(q => ({
-    ...q,
-    _id: q.id, 
-    tags: q.tags ? q.tags.split(',') : []
-  }));
+// Read-only widget for iframes (see embed.js and /oembed). Answers with a
+// small HTML page even for errors, since it is shown inside other sites.
+app.get('/public/queries/:shareId/embed', rateLimit('publicShare'), async (c) => {
+  const origin = new URL(c.req.url).origin;
+  const shareId = c.req.param('shareId');
+  const { query, error } = await openSharedQuery(c, shareId);
 
-  return c.json(formattedQueries)
+  if (error) {
+    // Iframes cannot send the share password, so protected links only link out
+    const message = error.status === 401
+      ? `This query is password protected. <a href="${escapeHtml(shareUrl(origin, shareId))}" target="_blank" rel="noopener">Open it on QueryStore</a>.`
+      : escapeHtml((await error.json()).error.message);
+    return c.html(embedPage({ title: 'Shared query', body: `<div class="qs-message">${message}</div>`, origin }), error.status);
+  }
+
+  return c.html(embedPage({
+    title: query.title,
+    origin,
+    body: `
+    <div class="qs-header">
+      <span class="qs-title" title="${escapeHtml(query.title)}">${escapeHtml(query.title)}</span>
+      <span class="qs-dialect">${escapeHtml(SqlHighlight.label(query.dialect))}</span>
+      <button type="button" id="copy">Copy</button>
+    </div>
+    <pre><code data-dialect="${escapeHtml(query.dialect)}">${escapeHtml(query.text)}</code></pre>
+    <div class="qs-footer"><a href="${escapeHtml(shareUrl(origin, shareId))}" target="_blank" rel="noopener">View on QueryStore</a></div>`,
+  }));
 })
 
-app.get('/tags', async (c) => {
-  const { payload, error } = await getAuthPayload(c);
-  if (error) return c.json({ error }, 401);
-  const db = c.env.DB;
+const OEMBED_SCHEMA = {
+  url: Validation.string({ label: 'URL', max: 2000 }),
+  format: Validation.oneOf(['json', 'xml'], { label: 'Format', defaultValue: 'json' }),
+  maxwidth: Validation.integer({ label: 'Maximum width', required: false, min: 1 }),
+  maxheight: Validation.integer({ label: 'Maximum height', required: false, min: 1 }),
+}
 
-  const { results: tags } = await db.prepare(`
-    SELECT DISTINCT t.tag 
-    FROM query_tags t
-    JOIN queries q ON t.query_id = q.id
-    WHERE q.user_id = ?
-    ORDER BY t.tag ASC
-  `).bind(payload.user.id).all();
+// oEmbed (https://oembed.com) for query share links, so chat tools and wikis
+// can turn a pasted link into the embed widget. Only public, unprotected
+// links are described, and looking one up does not count as a view.
+app.get('/oembed', rateLimit('publicShare'), async (c) => {
+  const { url, format, maxwidth, maxheight } = readQuery(c, OEMBED_SCHEMA);
+  if (format !== 'json') return apiError(c, 501, 'Only the json format is supported.');
+
+  const shareId = shareIdFromUrl(url);
+  const query = shareId && await c.env.DB.prepare(`
+    SELECT title, text, share_password_hash, share_expires_at <= datetime('now') as is_expired
+    FROM queries WHERE share_id = ? AND is_public = 1
+  `).bind(shareId).first();
+  if (!query || query.is_expired) return apiError(c, 404, 'Shared query not found.');
+  if (query.share_password_hash) return apiError(c, 401, 'This shared query is password protected.');
+
+  const origin = new URL(c.req.url).origin;
+  const lines = query.text.split('\n').length;
+  const width = Math.min(EMBED_SIZE.width, maxwidth || Infinity);
+  const height = Math.min(
+    Math.max(lines * EMBED_SIZE.lineHeight + EMBED_SIZE.chrome, EMBED_SIZE.minHeight),
+    EMBED_SIZE.maxHeight,
+    maxheight || Infinity
+  );
 
-  return c.json(tags.map(t => t.tag));
+  return c.json({
+    version: '1.0',
+    type: 'rich',
+    provider_name: 'QueryStore',
+    provider_url: `${origin}/`,
+    title: query.title,
+    width,
+    height,
+    html: `<iframe src="${escapeHtml(embedUrl(origin, shareId))}" width="${width}" height="${height}" style="border:0;max-width:100%" loading="lazy" title="${escapeHtml(query.title)}"></iframe>`,
+  });
 })
 
-app.post('/queries', async (c) => {
-  const { payload, error } = await getAuthPayload(c);
-  if (error) return c.json({ error }, 401);
-  const db = c.env.DB;
-  
-  const { title, text, tags } = await c.req.json()
-  
-  const info = await db.prepare('INSERT INTO queries (user_id, title, text) VALUES (?, ?, ?)')
-    .bind(payload.user.id, title, text)
-    .run();
-  
-  const queryId = info.meta.last_row_id;
-  const now = new Date().toISOString();
+// OpenGraph/Twitter tags and oEmbed discovery for share.html, so a share link
+// pasted into chat unfurls with the title and the start of the SQL. Used by
+// functions/share.js on Cloudflare Pages and by server.js. Password protected,
+// expired and unknown links get a generic preview.
+export const renderSharePage = async (env, url, html) => {
+  const queryShareId = url.searchParams.get('id');
+  const folderShareId = url.searchParams.get('folder');
+  const origin = url.origin;
+
+  let title = 'Shared query';
+  let description = 'A SQL query shared from QueryStore.';
+  let oembed = null;
 
-  if (tags && tags.length > 0) {
-    const tagValues = tags.map(t => t.trim().toLowerCase()).filter(t => t);
-    for (const tag of tagValues) {
-        await db.prepare('INSERT INTO query_tags (query_id, tag) VALUES (?, ?)').bind(queryId, tag).run();
+  if (queryShareId) {
+    const query = await env.DB.prepare(`
+      SELECT title, text, dialect, share_password_hash, share_expires_at <= datetime('now') as is_expired
+      FROM queries WHERE share_id = ? AND is_public = 1
+    `).bind(queryShareId).first();
+    if (query && query.share_password_hash && !query.is_expired) {
+      description = 'This shared query is password protected.';
+    } else if (query && !query.is_expired) {
+      title = query.title;
+      description = `${SqlHighlight.label(query.dialect)} · ${sqlPreview(query.text)}`;
+      oembed = `${origin}/api/oembed?url=${encodeURIComponent(shareUrl(origin, queryShareId))}&format=json`;
+    }
+  } else if (folderShareId) {
+    title = 'Shared folder';
+    description = 'A folder of SQL queries shared from QueryStore.';
+    const folder = await env.DB.prepare(`
+      SELECT name, share_password_hash, share_expires_at <= datetime('now') as is_expired
+      FROM folders WHERE share_id = ? AND is_public = 1
+    `).bind(folderShareId).first();
+    if (folder && folder.share_password_hash && !folder.is_expired) {
+      description = 'This shared folder is password protected.';
+    } else if (folder && !folder.is_expired) {
+      title = folder.name;
     }
   }
 
-  return c.json({ _id: queryId, title, text, tags, createdAt: now }, 201)
-})
+  const meta = [
+    ['og:site_name', 'QueryStore'],
+    ['og:type', 'article'],
+    ['og:title', title],
+    ['og:description', description],
+    ['og:url', url.href],
+  ].map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`)
+  meta.push(
+    ...[
+      ['twitter:card', 'summary'],
+      ['twitter:title', title],
+      ['twitter:description', description],
+      ['description', description],
+    ].map(([name, content]) => `<meta name="${name}" content="${escapeHtml(content)}">`)
+  )
+  if (oembed) {
+    meta.push(`<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembed)}" title="${escapeHtml(title)}">`)
+  }
 
-app.delete('/queries/:id', async (c) => {
-  const { payload, error } = await getAuthPayload(c);
-  if (error) return c.json({ error }, 401);
+  return html
+    .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)} - QueryStore</title>`)
+    .replace('</head>', `    ${meta.join('\n    ')}\n</head>`)
+}
+
+// A shared folder with the queries in it and in all of its subfolders. Each
+// query carries the path of its folder relative to the shared one ('' for
+// queries directly in it).
+app.get('/public/folders/:shareId', rateLimit('publicShare'), async (c) => {
   const db = c.env.DB;
-  const id = c.req.param('id');
+  const shareId = c.req.param('shareId');
 
-  const info = await db.prepare('DELETE FROM queries WHERE id = ? AND user_id = ?')
-    .bind(id, payload.user.id)
-    .run();
+  const folder = await db.prepare(`
+    SELECT f.*, f.share_expires_at <= datetime('now') as is_expired
+    FROM folders f
+    WHERE f.share_id = ? AND f.is_public = 1
+  `).bind(shareId).first();
 
-  if (info.meta.changes === 0) {
-    return c.json({ message: 'Query not found or unauthorized.' }, 404);
+  if (!folder) {
+    return apiError(c, 404, 'Shared folder not found.');
   }
 
-  return c.json({ message: 'Query deleted successfully.' });
+  if (folder.is_expired) {
+    return apiError(c, 410, 'This share link has expired.');
+  }
+
+  const denied = await checkSharePassword(c, folder, 'folder');
+  if (denied) return denied;
+
+  await db.prepare('UPDATE folders SET share_views = share_views + 1 WHERE id = ?').bind(folder.id).run();
+
+  const { results: queries } = await db.prepare(`
+    WITH RECURSIVE ${FOLDER_SUBTREE}
+    SELECT q.*, s.path as folder_path, GROUP_CONCAT(t.tag) as tags
+    FROM queries q
+    JOIN subtree s ON s.id = q.folder_id
+    LEFT JOIN query_tags t ON q.id = t.query_id
+    GROUP BY q.id
+    ORDER BY s.path ASC, q.title COLLATE NOCASE ASC
+  `).bind(folder.id).all();
+  const params = await loadParams(db, queries.map(q => q.id));
+
+  return c.json({
+    name: folder.name,
+    createdAt: folder.created_at,
+    queries: queries.map(q => ({
+      title: q.title,
+      text: q.text,
+      tags: q.tags ? q.tags.split(',') : [],
+      dialect: q.dialect,
+      params: params.get(q.id),
+      folder: q.folder_path,
+      createdAt: q.created_at
+    }))
+  });
 })
 
-app.put('/queries/:id', async (c) => {
-  const { payload, error } = await getAuthPayload(c);
-  if (error) return c.json({ error }, 401);
-  const db = c.env.DB;
-  const id = c.req.param('id');
-  const { title, text, tags } = await c.req.json();
+// --- Protected Query API Endpoints ---
 
-  const info = await db.prepare('UPDATE queries SET title = ?, text = ? WHERE id = ? AND user_id = ?')
-    .bind(title, text, id, payload.user.id)
-    .run();
+// Middleware-like check for queries
+// Personal access tokens look like qs_<64 hex characters>
+const ACCESS_TOKEN_PREFIX = 'qs_'
 
-  if (info.meta.changes === 0) {
-    return c.json({ message: 'Query not found or unauthorized.' }, 404);
+const TOKEN_SCOPES = ['read', 'write', 'share']
+
+// Resolves a personal access token to the same payload shape as a login token,
+// plus the token id and its scopes. last_used_at is written at most once a
+// minute per token.
+const verifyAccessToken = async (db, token) => {
+  const row = await db.prepare(`
+    SELECT t.id, t.scopes, u.id as user_id, u.username
+    FROM access_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND t.revoked_at IS NULL
+      AND (t.expires_at IS NULL OR t.expires_at > datetime('now'))
+  `).bind(await sha256(token)).first();
+  if (!row) return { error: 'Access token is invalid, expired or revoked' };
+
+  await db.prepare(`
+    UPDATE access_tokens SET last_used_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+  `).bind(row.id).run();
+
+  return { payload: { user: { id: row.user_id, username: row.username }, tokenId: row.id, scopes: row.scopes.split(',') } };
+}
+
+// Login tokens may do everything; personal access tokens only what their scopes allow
+const requireScope = (payload, scope) => {
+  if (payload.scopes && !payload.scopes.includes(scope)) {
+    throw new ApiError(403, `This access token does not have the "${scope}" scope.`, { code: 'insufficient_scope' });
   }
+}
 
-  // Update tags: Delete old, insert new
-  await db.prepare('DELETE FROM query_tags WHERE query_id = ?').bind(id).run();
-  if (tags && tags.length > 0) {
-    const tagValues = tags.map(t => t.trim().toLowerCase()).filter(t => t);
-    for (const tag of tagValues) {
-        await db.prepare('INSERT INTO query_tags (query_id, tag) VALUES (?, ?)').bind(id, tag).run();
-    }
+// Accepts a login access token (JWT) or a personal access token. `scope` is
+// what a personal access token needs (null for none): GET requests need
+// 'read' and others 'write' unless the endpoint asks for more, e.g. 'share'.
+const getAuthPayload = async (c, scope = c.req.method === 'GET' ? 'read' : 'write') => {
+  if (!c.env.JWT_SECRET) {
+    return { error: 'Server configuration error: Missing JWT_SECRET' };
+  }
+  const auth = c.req.header('Authorization');
+  if (!auth) return { error: 'No Authorization header' };
+  
+  const token = auth.split(' ')[1];
+  if (token && token.startsWith(ACCESS_TOKEN_PREFIX)) {
+    const result = await verifyAccessToken(c.env.DB, token);
+    if (result.payload && scope) requireScope(result.payload, scope);
+    return result;
   }
 
-  return c.json({ message: 'Query updated successfully.' });
-})
+  let payload;
+  try {
+    payload = await verify(token, c.env.JWT_SECRET, 'HS256');
+  } catch (e) {
+    return { error: `Token verification failed: ${e.message}` };
+  }
 
-app.post('/queries/:id/share', async (c) => {
-  const { payload, error } = await getAuthPayload(c);
-  if (error) return c.json({ error }, 401);
-  const db = c.env.DB;
-  const id = c.req.param('id');
+  // Access tokens are only valid while the session that issued them is
+  const session = payload.sid && await c.env.DB.prepare('SELECT revoked_at FROM sessions WHERE id = ? AND user_id = ?')
+    .bind(payload.sid, payload.user.id)
+    .first();
+  if (!session || session.revoked_at) {
+    return { error: 'Session has been revoked' };
+  }
+  return { payload };
+}
+
+// --- Workspace Access Helpers ---
+
+// Workspace roles, from least to most privileged
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 }
+
+const hasRole = (role, minRole) => !!role && ROLE_RANK[role] >= ROLE_RANK[minRole]
 
-  const query = await db.prepare('SELECT share_id, is_public FROM queries WHERE id = ? AND user_id = ?')
-    .bind(id, payload.user.id)
+const getWorkspaceRole = async (db, workspaceId, userId) => {
+  const member = await db.prepare('SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+    .bind(workspaceId, userId)
     .first();
+  return member ? member.role : null;
+}
 
-  if (!query) {
-    return c.json({ message: 'Query not found or unauthorized.' }, 404);
-  }
+// The caller's role on a query: 'owner' for their own personal queries, their
+// membership role for workspace queries, and null when they have no access.
+const getQueryRole = async (db, queryId, userId) => {
+  const query = await db.prepare(`
+    SELECT q.user_id, q.workspace_id, m.role
+    FROM queries q
+    LEFT JOIN workspace_members m ON m.workspace_id = q.workspace_id AND m.user_id = ?
+    WHERE q.id = ?
+  `).bind(userId, queryId).first();
 
-  if (query.is_public && query.share_id) {
-    return c.json({ shareId: query.share_id });
-  }
+  if (!query) return null;
+  if (query.workspace_id === null) return query.user_id === userId ? 'owner' : null;
+  return query.role || null;
+}
 
-  const shareId = crypto.randomUUID().split('-')[0] + crypto.randomUUID().split('-')[1]; // Simple unique ID
-  await db.prepare('UPDATE queries SET share_id = ?, is_public = 1 WHERE id = ?')
-    .bind(shareId, id)
-    .run();
+// 404 when the caller cannot see the query at all, 403 when they can see it
+// but their role does not allow the change
+const queryAccessError = (c, role) => role
+  ? apiError(c, 403, 'You do not have permission to change this query.')
+  : apiError(c, 404, 'Query not found or unauthorized.')
 
-  return c.json({ shareId });
-})
+// Same as getQueryRole, for folders
+const getFolderRole = async (db, folderId, userId) => {
+  const folder = await db.prepare(`
+    SELECT f.user_id, f.workspace_id, m.role
+    FROM folders f
+    LEFT JOIN workspace_members m ON m.workspace_id = f.workspace_id AND m.user_id = ?
+    WHERE f.id = ?
+  `).bind(userId, folderId).first();
 
-export const onRequest = handle(app)
+  if (!folder) return null;
+  if (folder.workspace_id === null) return folder.user_id === userId ? 'owner' : null;
+  return folder.role || null;
+}
+
+const folderAccessError = (c, role) => role
+  ? apiError(c, 403, 'You do not have permission to change this folder.')
+  : apiError(c, 404, 'Folder not found or unauthorized.')
+
+// Condition on the folders table for one library: a workspace, or the
+// personal library of `userId` when `workspaceId` is null
+const folderLibrary = (workspaceId, userId) => workspaceId
+  ? { where: 'workspace_id = ?', binds: [workspaceId] }
+  : { where: 'workspace_id IS NULL AND user_id = ?', binds: [userId] }
+
+// Queries and folders can only be put into folders of their own library
+const folderInLibrary = async (db, folderId, workspaceId, userId) => {
+  const library = folderLibrary(workspaceId, userId);
+  const folder = await db.prepare(`SELECT id FROM folders WHERE id = ? AND ${library.where}`)
+    .bind(folderId, ...library.binds)
+    .first();
+  return !!folder;
+}
+
+// Recursive CTE `subtree(id, path)` over the folder bound to `?` and every
+// folder below it. Paths are relative to that folder, which has the path ''.
+const FOLDER_SUBTREE = `subtree(id, path) AS (
+      SELECT id, '' FROM folders WHERE id = ?
+      UNION ALL
+      SELECT f.id, CASE WHEN s.path = '' THEN f.name ELSE s.path || '/' || f.name END
+      FROM folders f JOIN subtree s ON f.parent_id = s.id
+    )`
+
+const WORKSPACE_ID_RULE = Validation.integer({ label: 'Workspace', required: false, min: 1 })
+
+// null puts a query or folder at the top level of its library
+const FOLDER_ID_RULE = Validation.integer({ label: 'Folder', required: false, nullable: true, min: 1 })
+
+// SQL condition (on alias `q`) for the library a list request targets: the
+// caller's personal queries, or the workspace given as `?workspace=<id>`.
+const getLibraryScope = async (c, userId) => {
+  const { workspace: workspaceId } = readQuery(c, { workspace: WORKSPACE_ID_RULE });
+  if (!workspaceId) {
+    return { where: 'q.workspace_id IS NULL AND q.user_id = ?', binds: [userId], role: 'owner', workspaceId: null };
+  }
+  const role = await getWorkspaceRole(c.env.DB, workspaceId, userId);
+  if (!role) return { error: 'Workspace not found or unauthorized.' };
+  return { where: 'q.workspace_id = ?', binds: [workspaceId], role, workspaceId };
+}
+
+// --- Search helpers ---
+
+// Match markers wrapped around highlighted terms. Control characters are used
+// instead of HTML so the client can escape the text before adding <mark> tags.
+const MARK_START = '\u0002'
+const MARK_END = '\u0003'
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 100
+
+const SORT_ORDERS = {
+  relevance: 'm.score ASC, q.created_at DESC, q.id DESC',
+  newest: 'q.created_at DESC, q.id DESC',
+  oldest: 'q.created_at ASC, q.id ASC',
+  title: 'q.title COLLATE NOCASE ASC, q.id ASC',
+  updated: 'COALESCE(q.updated_at, q.created_at) DESC, q.id DESC',
+  most_used: 'q.use_count DESC, q.last_used_at DESC, q.id DESC',
+  recently_used: 'q.last_used_at IS NULL, q.last_used_at DESC, q.id DESC',
+}
+
+// Turn free text into an FTS5 expression. Every word becomes a quoted prefix
+// term, so user input is never parsed as FTS5 query syntax.
+const toFtsQuery = (text) => text
+  .split(/\s+/)
+  .filter(term => term)
+  .map(term => `"${term.replace(/"/g, '""')}"*`)
+  .join(' ')
+
+// Cursors are opaque to clients; they currently wrap a row offset. A cursor
+// that was not handed out here is refused rather than read as the first page.
+const encodeCursor = (offset) => btoa(JSON.stringify({ offset }))
+const decodeCursor = (cursor) => {
+  if (!cursor) return 0
+  let offset
+  try {
+    ({ offset } = JSON.parse(atob(cursor)))
+  } catch (e) {
+    // Reported below
+  }
+  if (!Number.isInteger(offset) || offset < 1) {
+    throw new ApiError(400, 'Cursor is not valid.', { fields: { cursor: 'Cursor is not valid.' } })
+  }
+  return offset
+}
+
+// CTE `m` with the rowid, bm25 score and highlighted title/snippet of every
+// query matching `ftsQuery`. FTS5 ranking functions only work directly on the
+// full-text table, so the match is materialized before it is joined and grouped.
+// bm25 weights: title 10, text 1, tags 5
+const searchMatches = (ftsQuery) => ({
+  sql: `
+      WITH m AS MATERIALIZED (
+        SELECT rowid AS id,
+               bm25(queries_fts, 10.0, 1.0, 5.0) AS score,
+               highlight(queries_fts, 0, ?, ?) AS title_highlight,
+               snippet(queries_fts, 1, ?, ?, '…', 16) AS text_snippet
+        FROM queries_fts
+        WHERE queries_fts MATCH ?
+      )`,
+  binds: [MARK_START, MARK_END, MARK_START, MARK_END, ftsQuery],
+})
+
+const TAG_MATCH_MODES = ['all', 'any']
+
+// The cleaned tags of the `tag` and comma-separated `tags` list filters
+const filterTagsOf = (input) => [...new Set([input.tag, ...(input.tags || '').split(',')]
+  .map(tag => (tag || '').trim().toLowerCase())
+  .filter(tag => tag))]
+
+// SQL condition (on alias `q`) for queries with all or any of `tags`
+const tagFilter = (tags, match) => {
+  const placeholders = tags.map(() => '?').join(', ');
+  return {
+    sql: match === 'any'
+      ? `EXISTS (SELECT 1 FROM query_tags ft WHERE ft.query_id = q.id AND ft.tag IN (${placeholders}))`
+      : `(SELECT COUNT(DISTINCT ft.tag) FROM query_tags ft WHERE ft.query_id = q.id AND ft.tag IN (${placeholders})) = ${tags.length}`,
+    binds: tags,
+  };
+}
+
+// Number of queries forked from `q`, as a column
+const FORK_COUNT = '(SELECT COUNT(*) FROM queries f WHERE f.forked_from = q.id) as forks'
+
+const LIST_QUERIES_SCHEMA = {
+  q: Validation.string({ label: 'Search', required: false, max: 200 }),
+  tag: Validation.tag({ required: false }),
+  // Comma-separated; `match` decides whether a query needs all or any of them
+  tags: Validation.string({ label: 'Tags', required: false, max: Validation.LIMITS.tags * (Validation.LIMITS.tag + 1) }),
+  match: Validation.oneOf(TAG_MATCH_MODES, { label: 'Match', defaultValue: 'all' }),
+  dialect: Validation.oneOf(SqlParams.DIALECTS, { label: 'Dialect', required: false }),
+  folder: Validation.integer({ label: 'Folder', required: false, min: 1 }),
+  sort: Validation.oneOf(Object.keys(SORT_ORDERS), { label: 'Sort', required: false }),
+  limit: Validation.integer({ label: 'Limit', min: 1, max: MAX_PAGE_SIZE, defaultValue: DEFAULT_PAGE_SIZE }),
+  cursor: Validation.string({ label: 'Cursor', required: false, max: 200 }),
+}
+
+// A query row with its GROUP_CONCAT-ed tags, pin flag and fork count, as the
+// API returns it; `params` comes from loadParams
+const formatQuery = ({ share_password_hash, ...q }, params) => ({
+  ...q,
+  share_has_password: !!share_password_hash,
+  pinned: !!q.pinned,
+  _id: q.id,
+  tags: q.tags ? q.tags.split(',') : [],
+  params: params.get(q.id),
+})
+
+app.get('/queries', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const input = readQuery(c, LIST_QUERIES_SCHEMA);
+  const ftsQuery = toFtsQuery(input.q || '');
+  const filterTags = filterTagsOf(input);
+  const requestedSort = input.sort || (ftsQuery ? 'relevance' : 'newest');
+  // Relevance needs a search term; without one the newest queries come first
+  const sort = ftsQuery || requestedSort !== 'relevance' ? requestedSort : 'newest';
+  const limit = input.limit;
+  const offset = decodeCursor(input.cursor || '');
+
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+
+  const binds = [];
+  let matches = '';
+  if (ftsQuery) {
+    const search = searchMatches(ftsQuery);
+    matches = search.sql;
+    binds.push(...search.binds);
+  }
+
+  // Pins belong to the caller, not to the query
+  binds.push(payload.user.id);
+
+  let where = `WHERE ${scope.where}`;
+  binds.push(...scope.binds);
+  if (filterTags.length > 0) {
+    const filter = tagFilter(filterTags, input.match);
+    where += ` AND ${filter.sql}`;
+    binds.push(...filter.binds);
+  }
+  if (input.dialect) {
+    where += ' AND q.dialect = ?';
+    binds.push(input.dialect);
+  }
+  if (input.folder) {
+    // A folder lists the queries of its subfolders too
+    where += ` AND q.folder_id IN (WITH RECURSIVE ${FOLDER_SUBTREE} SELECT id FROM subtree)`;
+    binds.push(input.folder);
+  }
+
+  // Fetch one extra row to find out whether there is a next page
+  binds.push(limit + 1, offset);
+
+  // Pinned queries always come first, so the first page holds all of them
+  const { results: queries } = await db.prepare(`${matches}
+    SELECT q.*, GROUP_CONCAT(t.tag) as tags${ftsQuery ? ', m.title_highlight, m.text_snippet' : ''}, ${FORK_COUNT},
+           EXISTS (SELECT 1 FROM query_pins p WHERE p.query_id = q.id AND p.user_id = ?) as pinned
+    FROM queries q${ftsQuery ? ' JOIN m ON m.id = q.id' : ''}
+    LEFT JOIN query_tags t ON q.id = t.query_id 
+    ${where}
+    GROUP BY q.id 
+    ORDER BY pinned DESC, ${SORT_ORDERS[sort]}
+    LIMIT ? OFFSET ?
+  `).bind(...binds).all();
+
+  const hasMore = queries.length > limit;
+  const page = queries.slice(0, limit);
+  const params = await loadParams(db, page.map(q => q.id));
+  const formattedQueries = page.map(({ title_highlight, text_snippet, ...q }) => ({
+    ...formatQuery(q, params),
+    ...(ftsQuery && { highlight: { title: title_highlight, text: text_snippet } })
+  }));
+
+  return c.json({
+    queries: formattedQueries,
+    nextCursor: hasMore ? encodeCursor(offset + limit) : null
+  })
+})
+
+// One query in the same shape as the entries of the list above, as seen by
+// `userId`. Callers check access first.
+const loadQuery = async (db, id, userId) => {
+  const query = await db.prepare(`
+    SELECT q.*, GROUP_CONCAT(t.tag) as tags, ${FORK_COUNT},
+           EXISTS (SELECT 1 FROM query_pins p WHERE p.query_id = q.id AND p.user_id = ?) as pinned
+    FROM queries q
+    LEFT JOIN query_tags t ON q.id = t.query_id
+    WHERE q.id = ?
+    GROUP BY q.id
+  `).bind(userId, id).first();
+  return formatQuery(query, await loadParams(db, [id]));
+}
+
+// The ETag of a query is its version. Edits send it back in If-Match, so an
+// edit made on an older copy is refused instead of replacing newer changes.
+const queryEtag = (version) => `"${version}"`
+
+// Whether an If-Match header (a list of ETags, or *) names `version`
+const matchesVersion = (ifMatch, version) => ifMatch.split(',')
+  .map(tag => tag.trim().replace(/^W\//, ''))
+  .some(tag => tag === '*' || tag === queryEtag(version))
+
+app.get('/queries/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = Number(c.req.param('id'));
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!role) return queryAccessError(c, role);
+
+  const query = await loadQuery(db, id, payload.user.id);
+  c.header('ETag', queryEtag(query.version));
+  return c.json(query);
+})
+
+app.get('/tags', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+
+  const { results: tags } = await db.prepare(`
+    SELECT t.tag, COUNT(DISTINCT t.query_id) as count
+    FROM query_tags t
+    JOIN queries q ON t.query_id = q.id
+    WHERE ${scope.where}
+    GROUP BY t.tag
+    ORDER BY t.tag ASC
+  `).bind(...scope.binds).all();
+
+  return c.json(tags);
+})
+
+// Library-wide tag changes are edits of every query they touch, so copies
+// loaded before them are stale. Run before the tags change.
+const bumpTaggedStatement = (db, scope, tags) => db.prepare(`
+  UPDATE queries SET version = version + 1
+  WHERE id IN (SELECT query_id FROM query_tags WHERE tag IN (${tags.map(() => '?').join(', ')}))
+    AND id IN (SELECT q.id FROM queries q WHERE ${scope.where})
+`).bind(...tags, ...scope.binds)
+
+// Statements that give every query of the library tagged with one of `sources`
+// the tag `target` instead. Used for renaming (one source) and merging.
+const retagStatements = (db, scope, sources, target) => {
+  const placeholders = sources.map(() => '?').join(', ');
+  const removed = sources.filter(tag => tag !== target);
+  const statements = [
+    bumpTaggedStatement(db, scope, sources),
+    db.prepare(`
+      INSERT INTO query_tags (query_id, tag)
+      SELECT DISTINCT t.query_id, ?
+      FROM query_tags t
+      JOIN queries q ON q.id = t.query_id
+      WHERE ${scope.where} AND t.tag IN (${placeholders})
+        AND NOT EXISTS (SELECT 1 FROM query_tags x WHERE x.query_id = t.query_id AND x.tag = ?)
+    `).bind(target, ...scope.binds, ...sources, target),
+  ];
+  if (removed.length > 0) {
+    statements.push(deleteTagStatement(db, scope, removed));
+  }
+  return statements;
+}
+
+const deleteTagStatement = (db, scope, tags) => db.prepare(`
+  DELETE FROM query_tags
+  WHERE tag IN (${tags.map(() => '?').join(', ')})
+    AND query_id IN (SELECT q.id FROM queries q WHERE ${scope.where})
+`).bind(...tags, ...scope.binds)
+
+// Library-wide changes (tags, bulk actions) need editor rights in the library
+const getEditableScope = async (c, userId) => {
+  const scope = await getLibraryScope(c, userId);
+  if (scope.error) throw new ApiError(404, scope.error);
+  if (!hasRole(scope.role, 'editor')) {
+    throw new ApiError(403, 'You do not have permission to change the queries of this workspace.');
+  }
+  return scope;
+}
+
+const countTagged = async (db, scope, tag) => {
+  const row = await db.prepare(`
+    SELECT COUNT(*) as count FROM query_tags t JOIN queries q ON q.id = t.query_id
+    WHERE ${scope.where} AND t.tag = ?
+  `).bind(...scope.binds, tag).first();
+  return row.count;
+}
+
+// Renames a tag on all queries of the library. Renaming to a tag that is
+// already in use merges both.
+app.put('/tags/:tag', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const { tag } = readParams(c, { tag: Validation.tag() });
+  const { name } = await readBody(c, { name: Validation.tag({ label: 'New name' }) });
+
+  const scope = await getEditableScope(c, payload.user.id);
+  if (await countTagged(db, scope, tag) === 0) return apiError(c, 404, 'Tag not found.');
+
+  await db.batch(retagStatements(db, scope, [tag], name));
+  return c.json({ tag: name, count: await countTagged(db, scope, name) });
+})
+
+// Body: { tags: [...], into } — replaces all of `tags` with `into`
+app.post('/tags/merge', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const { tags, into } = await readBody(c, {
+    tags: Validation.tags({ required: true, defaultValue: undefined }),
+    into: Validation.tag({ label: 'Target tag' }),
+  });
+  if (tags.length === 0) {
+    return apiError(c, 400, 'Choose the tags to merge.', { fields: { tags: 'Choose the tags to merge.' } });
+  }
+
+  const scope = await getEditableScope(c, payload.user.id);
+  await db.batch(retagStatements(db, scope, tags, into));
+  return c.json({ tag: into, count: await countTagged(db, scope, into) });
+})
+
+// Removes a tag from every query of the library; the queries are kept
+app.delete('/tags/:tag', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const { tag } = readParams(c, { tag: Validation.tag() });
+
+  const scope = await getEditableScope(c, payload.user.id);
+  const [, info] = await db.batch([bumpTaggedStatement(db, scope, [tag]), deleteTagStatement(db, scope, [tag])]);
+  if (info.meta.changes === 0) return apiError(c, 404, 'Tag not found.');
+
+  return c.json({ message: 'Tag deleted successfully.' });
+})
+
+// Dialects used in the current library, with the number of queries in each
+app.get('/dialects', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+
+  const { results: dialects } = await db.prepare(`
+    SELECT q.dialect, COUNT(*) as count
+    FROM queries q
+    WHERE ${scope.where}
+    GROUP BY q.dialect
+    ORDER BY q.dialect ASC
+  `).bind(...scope.binds).all();
+
+  return c.json(dialects);
+})
+
+const QUERY_SCHEMA = {
+  title: Validation.title(),
+  text: Validation.sqlText(),
+  tags: Validation.tags(),
+  // Detected from the text when missing
+  dialect: Validation.oneOf(SqlParams.DIALECTS, { label: 'Dialect', required: false }),
+  params: Validation.params(),
+}
+
+// Where a new query goes: the personal library (no workspaceId) or a
+// workspace, optionally inside one of its folders
+const PLACEMENT_SCHEMA = {
+  workspaceId: Validation.integer({ label: 'Workspace', required: false, nullable: true, min: 1 }),
+  folderId: FOLDER_ID_RULE,
+}
+
+// Returns an error response when the caller cannot add queries there, or null
+const checkPlacement = async (c, userId, { workspaceId, folderId }) => {
+  const db = c.env.DB;
+  if (workspaceId) {
+    const role = await getWorkspaceRole(db, workspaceId, userId);
+    if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+    if (!hasRole(role, 'editor')) {
+      return apiError(c, 403, 'You do not have permission to add queries to this workspace.');
+    }
+  }
+  if (folderId && !(await folderInLibrary(db, folderId, workspaceId, userId))) {
+    return apiError(c, 400, 'Folder not found.', { fields: { folderId: 'Folder not found.' } });
+  }
+  return null;
+}
+
+app.post('/queries', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  
+  const { title, text, tags, params, workspaceId, folderId, ...input } = await readBody(c, {
+    ...QUERY_SCHEMA,
+    ...PLACEMENT_SCHEMA,
+  })
+
+  const denied = await checkPlacement(c, payload.user.id, { workspaceId, folderId });
+  if (denied) return denied;
+  
+  const dialect = input.dialect || SqlFormat.detectDialect(text);
+  const savedParams = SqlParams.normalize(text, params);
+  const [inserted] = await db.batch([
+    db.prepare('INSERT INTO queries (user_id, workspace_id, folder_id, title, text, dialect) VALUES (?, ?, ?, ?, ?, ?) RETURNING id')
+      .bind(payload.user.id, workspaceId || null, folderId || null, title, text, dialect),
+    ...tagStatements(db, INSERTED_QUERY, tags),
+    ...paramStatements(db, INSERTED_QUERY, savedParams),
+  ]);
+
+  const queryId = inserted.results[0].id;
+  const now = new Date().toISOString();
+
+  // Lint warnings never block saving; clients may show them to the user
+  const warnings = SqlFormat.lint(text, dialect);
+
+  return c.json({ _id: queryId, workspaceId: workspaceId || null, folderId: folderId || null, title, text, tags, dialect, params: savedParams, createdAt: now, warnings }, 201)
+})
+
+app.delete('/queries/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  await db.prepare('DELETE FROM queries WHERE id = ?').bind(id).run();
+
+  return c.json({ message: 'Query deleted successfully.' });
+})
+
+app.put('/queries/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const { title, text, tags, params, ...input } = await readBody(c, QUERY_SCHEMA);
+  const dialect = input.dialect || SqlFormat.detectDialect(text);
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  const ifMatch = c.req.header('If-Match');
+  if (!ifMatch) {
+    return apiError(c, 428, 'Send the ETag of the version you edited in the If-Match header, so that newer changes are not overwritten.');
+  }
+  // Stale edits get the current copy back, for the client to merge with
+  const staleEdit = async () => {
+    const current = await loadQuery(db, Number(id), payload.user.id);
+    c.header('ETag', queryEtag(current.version));
+    return c.json({
+      error: { code: ERROR_CODES[412], message: 'This query has been changed since you loaded it.', fields: {} },
+      current,
+    }, 412);
+  }
+  const { version: base } = await db.prepare('SELECT version FROM queries WHERE id = ?').bind(id).first();
+  if (!matchesVersion(ifMatch, base)) return staleEdit();
+
+  // Every statement only applies while the query is still at `base`, so of
+  // two edits racing from the same version only one is saved. The version
+  // is bumped last, after the replaced version is kept as a revision.
+  const ref = unchangedQueryRef(id, base);
+  const results = await db.batch([
+    revisionStatement(db, ref),
+    ...tagStatements(db, ref, tags),
+    ...paramStatements(db, ref, SqlParams.normalize(text, params)),
+    db.prepare('UPDATE queries SET title = ?, text = ?, dialect = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND version = ?')
+      .bind(title, text, dialect, id, base),
+  ]);
+  if (results[results.length - 1].meta.changes === 0) return staleEdit();
+  const version = base + 1;
+
+  c.header('ETag', queryEtag(version));
+  return c.json({ message: 'Query updated successfully.', dialect, version, warnings: SqlFormat.lint(text, dialect) });
+})
+
+app.get('/queries/:id{[0-9]+}/revisions', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!role) return queryAccessError(c, role);
+
+  const { results: revisions } = await db.prepare(`
+    SELECT id, title, text, tags, dialect, params, created_at
+    FROM query_revisions
+    WHERE query_id = ?
+    ORDER BY id DESC
+  `).bind(id).all();
+
+  return c.json(revisions.map(r => ({
+    _id: r.id,
+    title: r.title,
+    text: r.text,
+    tags: r.tags ? r.tags.split(',') : [],
+    dialect: r.dialect,
+    params: r.params === null ? null : JSON.parse(r.params),
+    createdAt: r.created_at
+  })));
+})
+
+app.post('/queries/:id{[0-9]+}/revisions/:revisionId{[0-9]+}/restore', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const revisionId = c.req.param('revisionId');
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  const revision = await db.prepare('SELECT title, text, tags, dialect, params FROM query_revisions WHERE id = ? AND query_id = ?')
+    .bind(revisionId, id)
+    .first();
+
+  if (!revision) {
+    return apiError(c, 404, 'Revision not found or unauthorized.');
+  }
+
+  // Revisions older than migration 0015 have no dialect or parameters; those
+  // keep the current ones. Restoring is itself an update, so the version being
+  // replaced is kept too.
+  const params = revision.params === null
+    ? (await loadParams(db, [Number(id)])).get(Number(id))
+    : JSON.parse(revision.params);
+  await db.batch([
+    revisionStatement(db, queryRef(id)),
+    db.prepare('UPDATE queries SET title = ?, text = ?, dialect = COALESCE(?, dialect), version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .bind(revision.title, revision.text, revision.dialect, id),
+    ...tagStatements(db, queryRef(id), revision.tags ? revision.tags.split(',') : []),
+    ...paramStatements(db, queryRef(id), SqlParams.normalize(revision.text, params)),
+  ]);
+
+  return c.json({ message: 'Revision restored successfully.' });
+})
+
+// --- Pins & Usage ---
+
+// Pinning only needs read access: pins are personal, even in a workspace
+const setPinned = (pinned) => async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!role) return queryAccessError(c, role);
+
+  if (pinned) {
+    await db.prepare('INSERT OR IGNORE INTO query_pins (user_id, query_id) VALUES (?, ?)').bind(payload.user.id, id).run();
+  } else {
+    await db.prepare('DELETE FROM query_pins WHERE user_id = ? AND query_id = ?').bind(payload.user.id, id).run();
+  }
+
+  return c.json({ pinned });
+}
+
+app.put('/queries/:id{[0-9]+}/pin', setPinned(true))
+app.delete('/queries/:id{[0-9]+}/pin', setPinned(false))
+
+const USAGE_EVENTS = ['copy']
+
+// Records that the caller used a query. Body: { event } (default 'copy').
+// Returns the updated use count of the query.
+app.post('/queries/:id{[0-9]+}/uses', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const { event } = await readBody(c, {
+    event: Validation.oneOf(USAGE_EVENTS, { label: 'Event', defaultValue: 'copy' }),
+  });
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!role) return queryAccessError(c, role);
+
+  const [, updated] = await db.batch([
+    db.prepare('INSERT INTO query_usage_events (query_id, user_id, event) VALUES (?, ?, ?)').bind(id, payload.user.id, event),
+    db.prepare(`
+      UPDATE queries SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+      RETURNING use_count, last_used_at
+    `).bind(id),
+  ]);
+  const { use_count: useCount, last_used_at: lastUsedAt } = updated.results[0];
+
+  return c.json({ useCount, lastUsedAt });
+})
+
+// Share settings as returned to the owner of a query
+const formatShare = (query) => ({
+  shareId: query.share_id,
+  expiresAt: query.share_expires_at,
+  hasPassword: !!query.share_password_hash,
+  views: query.share_views,
+  sharedAt: query.shared_at
+})
+
+// Accepts an ISO date string and returns it in SQLite's "YYYY-MM-DD HH:MM:SS"
+// UTC format so it compares correctly with datetime('now').
+const toSqlTimestamp = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+const SHARE_SCHEMA = {
+  expiresAt: Validation.dateTime({ label: 'Expiry', required: false, nullable: true, future: true }),
+  password: Validation.string({
+    label: 'Password',
+    required: false,
+    nullable: true,
+    trim: false,
+    min: Validation.LIMITS.sharePasswordMin,
+    max: Validation.LIMITS.passwordMax,
+  }),
+}
+
+// Creates the share link of a row in `table` (queries or folders), or updates
+// the settings of an existing one. Returns the share as formatShare does.
+const saveShareLink = async (db, table, id, settings) => {
+  const row = await db.prepare(`SELECT * FROM ${table} WHERE id = ?`).bind(id).first();
+
+  let expiresAt = row.share_expires_at;
+  if (settings.expiresAt !== undefined) {
+    expiresAt = settings.expiresAt && toSqlTimestamp(settings.expiresAt);
+  }
+
+  let passwordHash = row.share_password_hash;
+  if (settings.password !== undefined) {
+    passwordHash = settings.password ? await bcrypt.hash(settings.password, await bcrypt.genSalt(10)) : null;
+  }
+
+  if (row.is_public && row.share_id) {
+    await db.prepare(`UPDATE ${table} SET share_expires_at = ?, share_password_hash = ? WHERE id = ?`)
+      .bind(expiresAt, passwordHash, id)
+      .run();
+  } else {
+    await newShareLinkStatement(db, table, id, expiresAt, passwordHash).run();
+  }
+
+  const updated = await db.prepare(`SELECT * FROM ${table} WHERE id = ?`).bind(id).first();
+  return formatShare(updated);
+}
+
+// Gives the row `id` of `table` a new share link; rows that already have one
+// are left alone
+const newShareLinkStatement = (db, table, id, expiresAt, passwordHash) => {
+  const shareId = crypto.randomUUID().split('-')[0] + crypto.randomUUID().split('-')[1]; // Simple unique ID
+  return db.prepare(`
+    UPDATE ${table}
+    SET share_id = ?, is_public = 1, shared_at = CURRENT_TIMESTAMP, share_expires_at = ?, share_password_hash = ?, share_views = 0
+    WHERE id = ? AND NOT (is_public = 1 AND share_id IS NOT NULL)
+  `).bind(shareId, expiresAt, passwordHash, id);
+}
+
+const revokeShareStatement = (db, table, ids) => db.prepare(`
+  UPDATE ${table}
+  SET share_id = NULL, is_public = 0, shared_at = NULL, share_expires_at = NULL, share_password_hash = NULL, share_views = 0
+  WHERE id IN (${ids.map(() => '?').join(', ')}) AND is_public = 1
+`).bind(...ids)
+
+// Removes the share link of a row in `table`; false when it had none
+const revokeShareLink = async (db, table, id) => {
+  const info = await revokeShareStatement(db, table, [id]).run();
+  return info.meta.changes > 0;
+}
+
+// Creates the share link for a query, or updates the settings of an existing
+// one. Optional body: { expiresAt: ISO string | null, password: string | null }.
+// Omitted fields keep their current value; null removes the expiry/password.
+app.post('/queries/:id{[0-9]+}/share', async (c) => {
+  const { payload, error } = await getAuthPayload(c, 'share');
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const settings = await readBody(c, SHARE_SCHEMA);
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  return c.json(await saveShareLink(db, 'queries', id, settings));
+})
+
+app.delete('/queries/:id{[0-9]+}/share', async (c) => {
+  const { payload, error } = await getAuthPayload(c, 'share');
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  if (!(await revokeShareLink(db, 'queries', id))) {
+    return apiError(c, 404, 'Shared query not found or unauthorized.');
+  }
+
+  return c.json({ message: 'Share link revoked.' });
+})
+
+// Active (public and not expired) share links of queries and folders in the
+// current library
+app.get('/shares', async (c) => {
+  const { payload, error } = await getAuthPayload(c, 'share');
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+
+  // Folders have the same share columns; their name is listed as the title
+  const folders = folderLibrary(scope.workspaceId, payload.user.id);
+  const { results: shares } = await db.prepare(`
+    SELECT 'query' as type, q.id, q.title, q.share_id, q.share_expires_at, q.share_password_hash, q.share_views, q.shared_at
+    FROM queries q
+    WHERE ${scope.where} AND q.is_public = 1 AND q.share_id IS NOT NULL
+      AND (q.share_expires_at IS NULL OR q.share_expires_at > datetime('now'))
+    UNION ALL
+    SELECT 'folder' as type, id, name, share_id, share_expires_at, share_password_hash, share_views, shared_at
+    FROM folders
+    WHERE ${folders.where} AND is_public = 1 AND share_id IS NOT NULL
+      AND (share_expires_at IS NULL OR share_expires_at > datetime('now'))
+    ORDER BY shared_at DESC
+  `).bind(...scope.binds, ...folders.binds).all();
+
+  return c.json(shares.map(q => ({ _id: q.id, type: q.type, title: q.title, ...formatShare(q) })));
+})
+
+// --- Public Gallery ---
+// Published queries can be browsed and searched by anyone, and forked into
+// the library of a signed-in user. Publishing is separate from share links:
+// it has no expiry or password, and unpublishing removes the query from the
+// gallery without touching its forks.
+
+// Publishing makes a query public, so like share links it needs the share scope
+const setPublished = (published) => async (c) => {
+  const { payload, error } = await getAuthPayload(c, 'share');
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  // Republishing keeps the original date
+  const query = await db.prepare(`
+    UPDATE queries SET published_at = ${published ? 'COALESCE(published_at, CURRENT_TIMESTAMP)' : 'NULL'}
+    WHERE id = ? RETURNING published_at
+  `).bind(id).first();
+
+  return c.json({ published, publishedAt: query.published_at });
+}
+
+app.put('/queries/:id{[0-9]+}/publish', setPublished(true))
+app.delete('/queries/:id{[0-9]+}/publish', setPublished(false))
+
+const GALLERY_SORTS = {
+  relevance: SORT_ORDERS.relevance,
+  newest: 'q.published_at DESC, q.id DESC',
+  forks: 'forks DESC, q.published_at DESC, q.id DESC',
+  title: SORT_ORDERS.title,
+}
+
+const GALLERY_SCHEMA = {
+  q: LIST_QUERIES_SCHEMA.q,
+  tags: LIST_QUERIES_SCHEMA.tags,
+  match: LIST_QUERIES_SCHEMA.match,
+  dialect: LIST_QUERIES_SCHEMA.dialect,
+  sort: Validation.oneOf(Object.keys(GALLERY_SORTS), { label: 'Sort', required: false }),
+  limit: LIST_QUERIES_SCHEMA.limit,
+  cursor: LIST_QUERIES_SCHEMA.cursor,
+}
+
+// Published query rows with their author, tags, fork count and `columns`.
+// The caller adds the tag join, WHERE and GROUP BY.
+const gallerySelect = (columns = '') => `
+    SELECT q.*, u.username as author, GROUP_CONCAT(t.tag) as tags, ${FORK_COUNT}${columns}
+    FROM queries q
+    JOIN users u ON u.id = q.user_id`
+
+// Only what the gallery shows: no library, folder, share or usage details
+const formatGalleryQuery = (q, params) => ({
+  _id: q.id,
+  title: q.title,
+  text: q.text,
+  tags: q.tags ? q.tags.split(',') : [],
+  dialect: q.dialect,
+  params: params.get(q.id),
+  author: q.author,
+  forks: q.forks,
+  forkedFrom: q.forked_from,
+  publishedAt: q.published_at,
+})
+
+app.get('/gallery', rateLimit('gallery'), async (c) => {
+  const db = c.env.DB;
+  const input = readQuery(c, GALLERY_SCHEMA);
+  const ftsQuery = toFtsQuery(input.q || '');
+  const filterTags = filterTagsOf(input);
+  const requestedSort = input.sort || (ftsQuery ? 'relevance' : 'newest');
+  const sort = ftsQuery || requestedSort !== 'relevance' ? requestedSort : 'newest';
+  const offset = decodeCursor(input.cursor || '');
+
+  const binds = [];
+  let matches = '';
+  if (ftsQuery) {
+    const search = searchMatches(ftsQuery);
+    matches = search.sql;
+    binds.push(...search.binds);
+  }
+
+  let where = 'WHERE q.published_at IS NOT NULL';
+  if (filterTags.length > 0) {
+    const filter = tagFilter(filterTags, input.match);
+    where += ` AND ${filter.sql}`;
+    binds.push(...filter.binds);
+  }
+  if (input.dialect) {
+    where += ' AND q.dialect = ?';
+    binds.push(input.dialect);
+  }
+  binds.push(input.limit + 1, offset);
+
+  const { results: queries } = await db.prepare(`${matches}${gallerySelect(ftsQuery ? ', m.title_highlight, m.text_snippet' : '')}
+    ${ftsQuery ? 'JOIN m ON m.id = q.id' : ''}
+    LEFT JOIN query_tags t ON q.id = t.query_id
+    ${where}
+    GROUP BY q.id
+    ORDER BY ${GALLERY_SORTS[sort]}
+    LIMIT ? OFFSET ?
+  `).bind(...binds).all();
+
+  const hasMore = queries.length > input.limit;
+  const page = queries.slice(0, input.limit);
+  const params = await loadParams(db, page.map(q => q.id));
+
+  return c.json({
+    queries: page.map(q => ({
+      ...formatGalleryQuery(q, params),
+      ...(ftsQuery && { highlight: { title: q.title_highlight, text: q.text_snippet } })
+    })),
+    nextCursor: hasMore ? encodeCursor(offset + input.limit) : null
+  });
+})
+
+// The most used tags of published queries, for the gallery's tag filter
+app.get('/gallery/tags', rateLimit('gallery'), async (c) => {
+  const { results: tags } = await c.env.DB.prepare(`
+    SELECT t.tag, COUNT(*) as count
+    FROM query_tags t
+    JOIN queries q ON t.query_id = q.id
+    WHERE q.published_at IS NOT NULL
+    GROUP BY t.tag
+    ORDER BY count DESC, t.tag ASC
+    LIMIT 50
+  `).all();
+  return c.json(tags);
+})
+
+const loadPublished = (db, id) => db.prepare(`${gallerySelect()}
+    LEFT JOIN query_tags t ON q.id = t.query_id
+    WHERE q.id = ? AND q.published_at IS NOT NULL
+    GROUP BY q.id
+  `).bind(id).first()
+
+app.get('/gallery/:id{[0-9]+}', rateLimit('gallery'), async (c) => {
+  const db = c.env.DB;
+  const id = Number(c.req.param('id'));
+
+  const query = await loadPublished(db, id);
+  if (!query) return apiError(c, 404, 'Published query not found.');
+
+  return c.json(formatGalleryQuery(query, await loadParams(db, [id])));
+})
+
+// Copies a published query with its tags and parameters into the caller's
+// library. Optional body: { workspaceId, folderId } like POST /queries.
+app.post('/gallery/:id{[0-9]+}/fork', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = Number(c.req.param('id'));
+  const { workspaceId, folderId } = await readBody(c, PLACEMENT_SCHEMA);
+
+  const source = await loadPublished(db, id);
+  if (!source) return apiError(c, 404, 'Published query not found.');
+
+  const denied = await checkPlacement(c, payload.user.id, { workspaceId, folderId });
+  if (denied) return denied;
+
+  const tags = source.tags ? source.tags.split(',') : [];
+  const params = (await loadParams(db, [id])).get(id);
+  const [inserted] = await db.batch([
+    db.prepare(`
+      INSERT INTO queries (user_id, workspace_id, folder_id, title, text, dialect, forked_from)
+      VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id, created_at
+    `).bind(payload.user.id, workspaceId || null, folderId || null, source.title, source.text, source.dialect, id),
+    ...tagStatements(db, INSERTED_QUERY, tags),
+    ...paramStatements(db, INSERTED_QUERY, params),
+  ]);
+
+  const { id: queryId, created_at: createdAt } = inserted.results[0];
+  return c.json({
+    _id: queryId,
+    workspaceId: workspaceId || null,
+    folderId: folderId || null,
+    title: source.title,
+    text: source.text,
+    tags,
+    dialect: source.dialect,
+    params,
+    forkedFrom: id,
+    createdAt,
+  }, 201);
+})
+
+// --- Folder Endpoints ---
+
+const FOLDER_SCHEMA = {
+  name: Validation.folderName(),
+  parentId: FOLDER_ID_RULE,
+}
+
+const FOLDER_DELETE_MODES = ['move', 'delete']
+
+const formatFolder = (f) => ({
+  _id: f.id,
+  name: f.name,
+  parentId: f.parent_id,
+  queryCount: f.query_count,
+  share: f.is_public && f.share_id ? formatShare(f) : null,
+  createdAt: f.created_at
+})
+
+// Folder names are unique among the subfolders of one parent
+const findSibling = async (db, library, parentId, name, excludeId = null) => {
+  return db.prepare(`
+    SELECT id FROM folders
+    WHERE ${library.where} AND parent_id IS ? AND name = ? COLLATE NOCASE AND id IS NOT ?
+  `).bind(...library.binds, parentId, name, excludeId).first();
+}
+
+const duplicateFolderError = (c, name) =>
+  apiError(c, 409, `A folder named "${name}" already exists here.`, { fields: { name: 'A folder with this name already exists here.' } })
+
+// All folders of the current library as a flat list; clients build the tree
+// from `parentId`. `queryCount` counts the queries directly in each folder.
+app.get('/folders', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+  const library = folderLibrary(scope.workspaceId, payload.user.id);
+
+  const { results: folders } = await db.prepare(`
+    SELECT folders.*, (SELECT COUNT(*) FROM queries q WHERE q.folder_id = folders.id) as query_count
+    FROM folders
+    WHERE ${library.where}
+    ORDER BY name COLLATE NOCASE ASC
+  `).bind(...library.binds).all();
+
+  return c.json(folders.map(formatFolder));
+})
+
+app.post('/folders', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const { name, parentId, workspaceId } = await readBody(c, {
+    ...FOLDER_SCHEMA,
+    workspaceId: Validation.integer({ label: 'Workspace', required: false, nullable: true, min: 1 }),
+  });
+
+  if (workspaceId) {
+    const role = await getWorkspaceRole(db, workspaceId, payload.user.id);
+    if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+    if (!hasRole(role, 'editor')) {
+      return apiError(c, 403, 'You do not have permission to add folders to this workspace.');
+    }
+  }
+  if (parentId && !(await folderInLibrary(db, parentId, workspaceId, payload.user.id))) {
+    return apiError(c, 400, 'Parent folder not found.', { fields: { parentId: 'Parent folder not found.' } });
+  }
+
+  const library = folderLibrary(workspaceId, payload.user.id);
+  if (await findSibling(db, library, parentId || null, name)) return duplicateFolderError(c, name);
+
+  const info = await db.prepare('INSERT INTO folders (user_id, workspace_id, parent_id, name) VALUES (?, ?, ?, ?)')
+    .bind(payload.user.id, workspaceId || null, parentId || null, name)
+    .run();
+
+  return c.json({ _id: info.meta.last_row_id, name, parentId: parentId || null, queryCount: 0, share: null }, 201);
+})
+
+// Renames a folder and/or moves it under another parent (null: top level)
+app.put('/folders/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = Number(c.req.param('id'));
+  const { name, parentId = null } = await readBody(c, FOLDER_SCHEMA);
+
+  const role = await getFolderRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return folderAccessError(c, role);
+
+  const folder = await db.prepare('SELECT * FROM folders WHERE id = ?').bind(id).first();
+  if (parentId) {
+    if (!(await folderInLibrary(db, parentId, folder.workspace_id, folder.user_id))) {
+      return apiError(c, 400, 'Parent folder not found.', { fields: { parentId: 'Parent folder not found.' } });
+    }
+    const cycle = await db.prepare(`WITH RECURSIVE ${FOLDER_SUBTREE} SELECT id FROM subtree WHERE id = ?`)
+      .bind(id, parentId)
+      .first();
+    if (cycle) {
+      return apiError(c, 400, 'A folder cannot be moved into itself.', { fields: { parentId: 'A folder cannot be moved into itself.' } });
+    }
+  }
+
+  const library = folderLibrary(folder.workspace_id, folder.user_id);
+  if (await findSibling(db, library, parentId, name, id)) return duplicateFolderError(c, name);
+
+  await db.prepare('UPDATE folders SET name = ?, parent_id = ? WHERE id = ?').bind(name, parentId, id).run();
+  return c.json({ message: 'Folder updated successfully.' });
+})
+
+// Deletes a folder with its subfolders. `?contents=move` (default) first
+// moves its queries and subfolders up to its parent; `?contents=delete`
+// deletes every query in the folder and below it as well.
+app.delete('/folders/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = Number(c.req.param('id'));
+  const { contents } = readQuery(c, {
+    contents: Validation.oneOf(FOLDER_DELETE_MODES, { label: 'Contents', defaultValue: 'move' }),
+  });
+
+  const role = await getFolderRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return folderAccessError(c, role);
+
+  const folder = await db.prepare('SELECT * FROM folders WHERE id = ?').bind(id).first();
+  const statements = [];
+  if (contents === 'move') {
+    const library = folderLibrary(folder.workspace_id, folder.user_id);
+    const { results: children } = await db.prepare('SELECT id, name FROM folders WHERE parent_id = ?').bind(id).all();
+    for (const child of children) {
+      if (await findSibling(db, library, folder.parent_id, child.name, folder.id)) {
+        return apiError(c, 409, `The parent folder already has a folder named "${child.name}".`);
+      }
+    }
+    statements.push(
+      db.prepare('UPDATE queries SET folder_id = ? WHERE folder_id = ?').bind(folder.parent_id, id),
+      db.prepare('UPDATE folders SET parent_id = ? WHERE parent_id = ?').bind(folder.parent_id, id),
+    );
+  } else {
+    statements.push(db.prepare(`DELETE FROM queries WHERE folder_id IN (WITH RECURSIVE ${FOLDER_SUBTREE} SELECT id FROM subtree)`).bind(id));
+  }
+  statements.push(db.prepare('DELETE FROM folders WHERE id = ?').bind(id));
+  await db.batch(statements);
+
+  return c.json({ message: 'Folder deleted successfully.' });
+})
+
+// Moves a query into a folder of its library, or to the top level with null
+app.put('/queries/:id{[0-9]+}/folder', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const { folderId = null } = await readBody(c, { folderId: FOLDER_ID_RULE });
+
+  const role = await getQueryRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return queryAccessError(c, role);
+
+  const query = await db.prepare('SELECT user_id, workspace_id FROM queries WHERE id = ?').bind(id).first();
+  if (folderId && !(await folderInLibrary(db, folderId, query.workspace_id, query.user_id))) {
+    return apiError(c, 400, 'Folder not found.', { fields: { folderId: 'Folder not found.' } });
+  }
+
+  await db.prepare('UPDATE queries SET folder_id = ? WHERE id = ?').bind(folderId, id).run();
+  return c.json({ folderId });
+})
+
+// Shares a folder and everything below it read-only; same settings as query shares
+app.post('/folders/:id{[0-9]+}/share', async (c) => {
+  const { payload, error } = await getAuthPayload(c, 'share');
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const settings = await readBody(c, SHARE_SCHEMA);
+
+  const role = await getFolderRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return folderAccessError(c, role);
+
+  return c.json(await saveShareLink(db, 'folders', id, settings));
+})
+
+app.delete('/folders/:id{[0-9]+}/share', async (c) => {
+  const { payload, error } = await getAuthPayload(c, 'share');
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getFolderRole(db, id, payload.user.id);
+  if (!hasRole(role, 'editor')) return folderAccessError(c, role);
+
+  if (!(await revokeShareLink(db, 'folders', id))) {
+    return apiError(c, 404, 'Shared folder not found or unauthorized.');
+  }
+
+  return c.json({ message: 'Share link revoked.' });
+})
+
+// --- Bulk Actions ---
+
+// Options each action takes besides the query ids
+const BULK_ACTIONS = {
+  delete: {},
+  addTag: { tag: Validation.tag() },
+  removeTag: { tag: Validation.tag() },
+  move: { folderId: FOLDER_ID_RULE },
+  // Queries that are already shared keep their link and settings
+  share: SHARE_SCHEMA,
+  unshare: {},
+}
+
+const BULK_SCHEMA = {
+  ids: Validation.ids({ label: 'Queries' }),
+  action: Validation.oneOf(Object.keys(BULK_ACTIONS), { label: 'Action' }),
+}
+
+// Body: { ids: [...], action, ...options }. Applies one action to queries of
+// the current library in a single batch, so either all of them change or none.
+app.post('/queries/bulk', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const { ids, action } = await readBody(c, BULK_SCHEMA);
+  const options = await readBody(c, BULK_ACTIONS[action]);
+  if (action === 'share' || action === 'unshare') requireScope(payload, 'share');
+
+  const scope = await getEditableScope(c, payload.user.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const { results: found } = await db.prepare(`SELECT q.id FROM queries q WHERE ${scope.where} AND q.id IN (${placeholders})`)
+    .bind(...scope.binds, ...ids)
+    .all();
+  if (found.length !== ids.length) {
+    const missing = ids.filter(id => !found.some(q => q.id === id));
+    return apiError(c, 404, `${missing.length === 1 ? 'A query was' : `${missing.length} queries were`} not found in this library.`, {
+      fields: { ids: `Not found: ${missing.join(', ')}` },
+    });
+  }
+
+  let statements;
+  if (action === 'delete') {
+    statements = [db.prepare(`DELETE FROM queries WHERE id IN (${placeholders})`).bind(...ids)];
+  } else if (action === 'addTag') {
+    const { full } = await db.prepare(`
+      SELECT COUNT(*) as full FROM queries q
+      WHERE q.id IN (${placeholders})
+        AND NOT EXISTS (SELECT 1 FROM query_tags t WHERE t.query_id = q.id AND t.tag = ?)
+        AND (SELECT COUNT(*) FROM query_tags t WHERE t.query_id = q.id) >= ?
+    `).bind(...ids, options.tag, Validation.LIMITS.tags).first();
+    if (full > 0) {
+      return apiError(c, 400, `${full === 1 ? 'A query has' : `${full} queries have`} ${Validation.LIMITS.tags} tags already.`, {
+        fields: { tag: `At most ${Validation.LIMITS.tags} tags are allowed.` },
+      });
+    }
+    statements = [
+      db.prepare(`
+        UPDATE queries SET version = version + 1
+        WHERE id IN (${placeholders}) AND NOT EXISTS (SELECT 1 FROM query_tags t WHERE t.query_id = queries.id AND t.tag = ?)
+      `).bind(...ids, options.tag),
+      db.prepare(`
+        INSERT INTO query_tags (query_id, tag)
+        SELECT q.id, ? FROM queries q
+        WHERE q.id IN (${placeholders}) AND NOT EXISTS (SELECT 1 FROM query_tags t WHERE t.query_id = q.id AND t.tag = ?)
+      `).bind(options.tag, ...ids, options.tag),
+    ];
+  } else if (action === 'removeTag') {
+    statements = [
+      db.prepare(`
+        UPDATE queries SET version = version + 1
+        WHERE id IN (SELECT query_id FROM query_tags WHERE tag = ? AND query_id IN (${placeholders}))
+      `).bind(options.tag, ...ids),
+      db.prepare(`DELETE FROM query_tags WHERE tag = ? AND query_id IN (${placeholders})`).bind(options.tag, ...ids),
+    ];
+  } else if (action === 'move') {
+    const { folderId = null } = options;
+    if (folderId && !(await folderInLibrary(db, folderId, scope.workspaceId, payload.user.id))) {
+      return apiError(c, 400, 'Folder not found.', { fields: { folderId: 'Folder not found.' } });
+    }
+    statements = [db.prepare(`UPDATE queries SET folder_id = ? WHERE id IN (${placeholders})`).bind(folderId, ...ids)];
+  } else if (action === 'share') {
+    const expiresAt = options.expiresAt ? toSqlTimestamp(options.expiresAt) : null;
+    const passwordHash = options.password ? await bcrypt.hash(options.password, await bcrypt.genSalt(10)) : null;
+    statements = ids.map(id => newShareLinkStatement(db, 'queries', id, expiresAt, passwordHash));
+  } else {
+    statements = [revokeShareStatement(db, 'queries', ids)];
+  }
+
+  await db.batch(statements);
+
+  if (action === 'share') {
+    const { results: shares } = await db.prepare(`SELECT id, share_id FROM queries WHERE id IN (${placeholders})`).bind(...ids).all();
+    return c.json({ action, count: ids.length, shares: shares.map(q => ({ _id: q.id, shareId: q.share_id })) });
+  }
+  return c.json({ action, count: ids.length });
+})
+
+// --- Import / Export Endpoints ---
+
+const IMPORT_CONFLICT_MODES = ['skip', 'overwrite', 'duplicate']
+
+const IMPORT_SCHEMA = {
+  format: Validation.oneOf(QueryBundle.FORMATS, { label: 'Format' }),
+  content: Validation.string({ label: 'Import file', trim: false, max: Validation.LIMITS.importSize }),
+  dryRun: Validation.boolean({ label: 'Dry run', defaultValue: false }),
+  onConflict: Validation.oneOf(IMPORT_CONFLICT_MODES, { label: 'Conflict handling', defaultValue: 'skip' }),
+}
+
+// Downloads the current library (personal, or `?workspace=<id>`) as
+// `?format=json` (default) or `?format=sql`.
+app.get('/export', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const { format } = readQuery(c, {
+    format: Validation.oneOf(QueryBundle.FORMATS, { label: 'Format', defaultValue: 'json' }),
+  });
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+
+  const { results: queries } = await db.prepare(`
+    SELECT q.*, GROUP_CONCAT(t.tag) as tags
+    FROM queries q
+    LEFT JOIN query_tags t ON q.id = t.query_id
+    WHERE ${scope.where}
+    GROUP BY q.id
+    ORDER BY q.created_at ASC, q.id ASC
+  `).bind(...scope.binds).all();
+
+  const params = await loadParams(db, queries.map(q => q.id));
+  const content = QueryBundle.serialize(queries.map(q => ({
+    title: q.title,
+    text: q.text,
+    tags: q.tags ? q.tags.split(',') : [],
+    dialect: q.dialect,
+    params: params.get(q.id),
+    createdAt: q.created_at,
+    share: q.is_public && q.share_id ? formatShare(q) : null
+  })), format);
+
+  const date = new Date().toISOString().slice(0, 10);
+  return c.body(content, 200, {
+    'Content-Type': format === 'sql' ? 'application/sql; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="querystore-${date}.${format}"`
+  });
+})
+
+// Imports a JSON or .sql bundle into the current library.
+// Body: { format: 'json' | 'sql', content, dryRun, onConflict }
+//  - duplicates (same title and SQL as an existing query) are always skipped
+//  - conflicts (same title, different SQL) are skipped, overwritten, or
+//    imported as a second query, depending on `onConflict`. An entry cannot
+//    overwrite an earlier entry of the same file; with `overwrite` it is
+//    listed under `skipped` instead.
+// Everything is written in a single D1 batch, so an import applies fully or not at all.
+// Share links are never imported; imported queries start private.
+app.post('/import', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const { format, content, dryRun, onConflict } = await readBody(c, IMPORT_SCHEMA);
+
+  const scope = await getLibraryScope(c, payload.user.id);
+  if (scope.error) return apiError(c, 404, scope.error);
+  if (!hasRole(scope.role, 'editor')) {
+    return apiError(c, 403, 'You do not have permission to import into this workspace.');
+  }
+
+  const { queries, errors } = QueryBundle.parse(content, format);
+  // Unknown or missing dialects are detected from the SQL instead
+  for (const query of queries) {
+    if (!SqlParams.DIALECTS.includes(query.dialect)) query.dialect = SqlFormat.detectDialect(query.text);
+  }
+
+  const { results: existing } = await db.prepare(`SELECT q.id, q.title, q.text FROM queries q WHERE ${scope.where}`)
+    .bind(...scope.binds)
+    .all();
+  const byTitle = new Map(existing.map(q => [q.title.trim().toLowerCase(), q]));
+
+  const report = { created: [], overwritten: [], skipped: [], duplicates: [], conflicts: [] };
+  const toCreate = [];
+  const toOverwrite = [];
+  for (const query of queries) {
+    const key = query.title.toLowerCase();
+    const match = byTitle.get(key);
+    // Matches against an earlier entry of the same file have no existing id
+    const entry = match ? { title: query.title, existingId: match.id, inFile: match.id === null } : null;
+    if (match && match.text.trim() === query.text) {
+      report.duplicates.push(entry);
+    } else if (match) {
+      report.conflicts.push(entry);
+      if (onConflict === 'overwrite' && entry.inFile) {
+        report.skipped.push(entry);
+      } else if (onConflict === 'overwrite') {
+        toOverwrite.push({ ...query, id: match.id });
+        report.overwritten.push(entry);
+      } else if (onConflict === 'duplicate') {
+        toCreate.push(query);
+        report.created.push({ title: query.title });
+      }
+    } else {
+      toCreate.push(query);
+      report.created.push({ title: query.title });
+      // Later entries with the same title compare against this one
+      byTitle.set(key, { id: null, title: query.title, text: query.text });
+    }
+  }
+
+  if (dryRun) {
+    return c.json({ dryRun: true, total: queries.length, ...report, errors });
+  }
+
+  const statements = [];
+  for (const query of toCreate) {
+    statements.push(
+      db.prepare(`
+        INSERT INTO queries (user_id, workspace_id, title, text, dialect, created_at)
+        VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      `).bind(payload.user.id, scope.workspaceId, query.title, query.text, query.dialect, query.createdAt && query.createdAt.replace('T', ' ').slice(0, 19)),
+      ...tagStatements(db, INSERTED_QUERY, query.tags),
+      ...paramStatements(db, INSERTED_QUERY, SqlParams.normalize(query.text, query.params)),
+    );
+  }
+
+  for (const query of toOverwrite) {
+    statements.push(
+      revisionStatement(db, queryRef(query.id)),
+      db.prepare('UPDATE queries SET title = ?, text = ?, dialect = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').bind(query.title, query.text, query.dialect, query.id),
+      ...tagStatements(db, queryRef(query.id), query.tags),
+      ...paramStatements(db, queryRef(query.id), SqlParams.normalize(query.text, query.params)),
+    );
+  }
+
+  if (statements.length > 0) {
+    await db.batch(statements);
+  }
+
+  return c.json({ dryRun: false, total: queries.length, ...report, errors });
+})
+
+// --- Workspace Endpoints ---
+
+const WORKSPACE_SCHEMA = {
+  name: Validation.string({ label: 'Workspace name', max: Validation.LIMITS.workspaceName }),
+}
+
+const ROLE_RULE = Validation.oneOf(Object.keys(ROLE_RANK), { label: 'Role' })
+
+// Number of owners left in a workspace, used to keep at least one
+const countOwners = async (db, workspaceId) => {
+  const row = await db.prepare("SELECT COUNT(*) as owners FROM workspace_members WHERE workspace_id = ? AND role = 'owner'")
+    .bind(workspaceId)
+    .first();
+  return row.owners;
+}
+
+app.get('/workspaces', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const { results: workspaces } = await db.prepare(`
+    SELECT w.id, w.name, w.created_at, m.role,
+           (SELECT COUNT(*) FROM workspace_members wm WHERE wm.workspace_id = w.id) as member_count
+    FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id
+    WHERE m.user_id = ?
+    ORDER BY w.name COLLATE NOCASE ASC
+  `).bind(payload.user.id).all();
+
+  return c.json(workspaces.map(w => ({
+    _id: w.id,
+    name: w.name,
+    role: w.role,
+    memberCount: w.member_count,
+    createdAt: w.created_at
+  })));
+})
+
+app.post('/workspaces', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const { name } = await readBody(c, WORKSPACE_SCHEMA);
+
+  const info = await db.prepare('INSERT INTO workspaces (name, created_by) VALUES (?, ?)')
+    .bind(name, payload.user.id)
+    .run();
+  const workspaceId = info.meta.last_row_id;
+
+  await db.prepare("INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')")
+    .bind(workspaceId, payload.user.id)
+    .run();
+
+  return c.json({ _id: workspaceId, name, role: 'owner', memberCount: 1 }, 201);
+})
+
+app.put('/workspaces/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const { name } = await readBody(c, WORKSPACE_SCHEMA);
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+  if (!hasRole(role, 'owner')) return apiError(c, 403, 'Only owners can rename a workspace.');
+
+  await db.prepare('UPDATE workspaces SET name = ? WHERE id = ?').bind(name, id).run();
+  return c.json({ message: 'Workspace updated successfully.' });
+})
+
+// Deletes the workspace together with all of its queries
+app.delete('/workspaces/:id{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+  if (!hasRole(role, 'owner')) return apiError(c, 403, 'Only owners can delete a workspace.');
+
+  await db.prepare('DELETE FROM workspaces WHERE id = ?').bind(id).run();
+  return c.json({ message: 'Workspace deleted successfully.' });
+})
+
+app.get('/workspaces/:id{[0-9]+}/members', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+
+  const { results: members } = await db.prepare(`
+    SELECT u.id, u.username, m.role, m.created_at
+    FROM workspace_members m
+    JOIN users u ON m.user_id = u.id
+    WHERE m.workspace_id = ?
+    ORDER BY u.username COLLATE NOCASE ASC
+  `).bind(id).all();
+
+  const { results: invitations } = await db.prepare(`
+    SELECT i.id, u.username, i.role, i.created_at
+    FROM workspace_invitations i
+    JOIN users u ON i.user_id = u.id
+    WHERE i.workspace_id = ?
+    ORDER BY i.created_at DESC
+  `).bind(id).all();
+
+  return c.json({
+    members: members.map(m => ({ _id: m.id, username: m.username, role: m.role, joinedAt: m.created_at })),
+    // Pending invitations are only visible to owners
+    invitations: hasRole(role, 'owner')
+      ? invitations.map(i => ({ _id: i.id, username: i.username, role: i.role, invitedAt: i.created_at }))
+      : []
+  });
+})
+
+app.put('/workspaces/:id{[0-9]+}/members/:userId{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const memberId = Number(c.req.param('userId'));
+  const { role: newRole } = await readBody(c, { role: ROLE_RULE });
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+  if (!hasRole(role, 'owner')) return apiError(c, 403, 'Only owners can change member roles.');
+
+  const memberRole = await getWorkspaceRole(db, id, memberId);
+  if (!memberRole) return apiError(c, 404, 'Member not found.');
+  if (memberRole === 'owner' && newRole !== 'owner' && (await countOwners(db, id)) === 1) {
+    return apiError(c, 409, 'A workspace must keep at least one owner.');
+  }
+
+  await db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?')
+    .bind(newRole, id, memberId)
+    .run();
+  return c.json({ message: 'Member role updated.' });
+})
+
+// Owners can remove anyone; every member can remove themselves (leave)
+app.delete('/workspaces/:id{[0-9]+}/members/:userId{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const memberId = Number(c.req.param('userId'));
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+  if (memberId !== payload.user.id && !hasRole(role, 'owner')) {
+    return apiError(c, 403, 'Only owners can remove members.');
+  }
+
+  const memberRole = await getWorkspaceRole(db, id, memberId);
+  if (!memberRole) return apiError(c, 404, 'Member not found.');
+  if (memberRole === 'owner' && (await countOwners(db, id)) === 1) {
+    return apiError(c, 409, 'A workspace must keep at least one owner.');
+  }
+
+  await db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+    .bind(id, memberId)
+    .run();
+  return c.json({ message: 'Member removed.' });
+})
+
+app.post('/workspaces/:id{[0-9]+}/invitations', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+  const { username, role: inviteRole } = await readBody(c, {
+    username: Validation.string({ label: 'Username', max: 100 }),
+    role: Validation.oneOf(Object.keys(ROLE_RANK), { label: 'Role', defaultValue: 'viewer' }),
+  });
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+  if (!hasRole(role, 'owner')) return apiError(c, 403, 'Only owners can invite members.');
+
+  const invitee = await db.prepare('SELECT id FROM users WHERE username = ?').bind(username).first();
+  if (!invitee) return apiError(c, 404, 'User not found.', { fields: { username: 'No user with this name exists.' } });
+  if (await getWorkspaceRole(db, id, invitee.id)) {
+    return apiError(c, 409, 'User is already a member of this workspace.', { fields: { username: 'Already a member.' } });
+  }
+
+  try {
+    const info = await db.prepare('INSERT INTO workspace_invitations (workspace_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)')
+      .bind(id, invitee.id, inviteRole, payload.user.id)
+      .run();
+    return c.json({ _id: info.meta.last_row_id, username, role: inviteRole }, 201);
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return apiError(c, 409, 'User has already been invited.', { fields: { username: 'Already invited.' } });
+    }
+    throw error;
+  }
+})
+
+app.delete('/workspaces/:id{[0-9]+}/invitations/:invitationId{[0-9]+}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+  const id = c.req.param('id');
+
+  const role = await getWorkspaceRole(db, id, payload.user.id);
+  if (!role) return apiError(c, 404, 'Workspace not found or unauthorized.');
+  if (!hasRole(role, 'owner')) return apiError(c, 403, 'Only owners can cancel invitations.');
+
+  const info = await db.prepare('DELETE FROM workspace_invitations WHERE id = ? AND workspace_id = ?')
+    .bind(c.req.param('invitationId'), id)
+    .run();
+  if (info.meta.changes === 0) return apiError(c, 404, 'Invitation not found.');
+
+  return c.json({ message: 'Invitation cancelled.' });
+})
+
+// Pending invitations for the current user
+app.get('/invitations', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const { results: invitations } = await db.prepare(`
+    SELECT i.id, i.role, i.created_at, w.name as workspace_name, u.username as invited_by
+    FROM workspace_invitations i
+    JOIN workspaces w ON i.workspace_id = w.id
+    LEFT JOIN users u ON i.invited_by = u.id
+    WHERE i.user_id = ?
+    ORDER BY i.created_at DESC
+  `).bind(payload.user.id).all();
+
+  return c.json(invitations.map(i => ({
+    _id: i.id,
+    workspaceName: i.workspace_name,
+    role: i.role,
+    invitedBy: i.invited_by,
+    invitedAt: i.created_at
+  })));
+})
+
+app.post('/invitations/:id{[0-9]+}/:action{accept|decline}', async (c) => {
+  const { payload, error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const invitation = await db.prepare('SELECT * FROM workspace_invitations WHERE id = ? AND user_id = ?')
+    .bind(c.req.param('id'), payload.user.id)
+    .first();
+  if (!invitation) return apiError(c, 404, 'Invitation not found.');
+
+  if (c.req.param('action') === 'accept') {
+    await db.prepare('INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)')
+      .bind(invitation.workspace_id, payload.user.id, invitation.role)
+      .run();
+  }
+  await db.prepare('DELETE FROM workspace_invitations WHERE id = ?').bind(invitation.id).run();
+
+  return c.json({
+    message: c.req.param('action') === 'accept' ? 'Invitation accepted.' : 'Invitation declined.',
+    workspaceId: invitation.workspace_id
+  });
+})
+
+// --- Access Token Endpoints ---
+
+const ACCESS_TOKEN_SCHEMA = {
+  name: Validation.string({ label: 'Name', max: Validation.LIMITS.tokenName }),
+  scopes: Validation.subsetOf(TOKEN_SCOPES, { label: 'Scopes' }),
+  expiresAt: Validation.dateTime({ label: 'Expiry', required: false, nullable: true, future: true }),
+}
+
+const formatAccessToken = (t) => ({
+  _id: t.id,
+  name: t.name,
+  prefix: t.token_prefix,
+  scopes: t.scopes.split(','),
+  createdAt: t.created_at,
+  expiresAt: t.expires_at,
+  lastUsedAt: t.last_used_at,
+})
+
+// Tokens and the account itself are managed from a signed-in session only, so
+// a leaked token cannot be used to create more or to take over the account
+const getSessionPayload = async (c) => {
+  const { payload, error } = await getAuthPayload(c, null);
+  if (error) throw new ApiError(401, error);
+  if (payload.tokenId) throw new ApiError(403, 'This can only be done after signing in, not with an access token.');
+  return payload;
+}
+
+// Tokens that have not been revoked, including expired ones
+app.get('/tokens', async (c) => {
+  const payload = await getSessionPayload(c);
+  const { results: tokens } = await c.env.DB.prepare(`
+    SELECT * FROM access_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC, id DESC
+  `).bind(payload.user.id).all();
+  return c.json(tokens.map(formatAccessToken));
+})
+
+// Body: { name, scopes: [...], expiresAt?: ISO string | null }. The token
+// itself is only ever returned here.
+app.post('/tokens', async (c) => {
+  const payload = await getSessionPayload(c);
+  const db = c.env.DB;
+  const { name, scopes, expiresAt } = await readBody(c, ACCESS_TOKEN_SCHEMA);
+
+  const token = ACCESS_TOKEN_PREFIX + randomToken();
+  const created = await db.prepare(`
+    INSERT INTO access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).bind(payload.user.id, name, await sha256(token), token.slice(0, ACCESS_TOKEN_PREFIX.length + 8), scopes.join(','), expiresAt ? toSqlTimestamp(expiresAt) : null).first();
+
+  return c.json({ ...formatAccessToken(created), token }, 201);
+})
+
+app.delete('/tokens/:id{[0-9]+}', async (c) => {
+  const payload = await getSessionPayload(c);
+  const info = await c.env.DB.prepare('UPDATE access_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+    .bind(c.req.param('id'), payload.user.id)
+    .run();
+  if (info.meta.changes === 0) return apiError(c, 404, 'Access token not found.');
+  return c.json({ message: 'Access token revoked.' });
+})
+
+// --- Account Endpoints ---
+
+const CHANGE_PASSWORD_SCHEMA = {
+  currentPassword: Validation.string({ label: 'Current password', trim: false, max: 1000 }),
+  newPassword: Validation.password('New password'),
+}
+
+// Confirms the password of the signed-in user. Wrong guesses count towards
+// the same lockout as failed sign-ins.
+const checkPassword = async (c, user, password, field) => {
+  const store = rateLimitStore(c);
+  await checkLoginLockout(store, user.username);
+  if (!(await bcrypt.compare(password, user.password_hash))) {
+    await recordLoginFailure(store, user.username);
+    throw new ApiError(400, 'The password is incorrect.', { code: 'invalid_credentials', fields: { [field]: 'The password is incorrect.' } });
+  }
+  await clearLoginFailures(store, user.username);
+}
+
+const loadUser = (db, userId) => db.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first()
+
+app.get('/account', async (c) => {
+  const payload = await getSessionPayload(c);
+  const user = await c.env.DB.prepare(`
+    SELECT username, created_at,
+           (SELECT COUNT(*) FROM queries q WHERE q.user_id = users.id AND q.workspace_id IS NULL) as queries
+    FROM users WHERE id = ?
+  `).bind(payload.user.id).first();
+  if (!user) return apiError(c, 404, 'Account not found.');
+  return c.json({ username: user.username, createdAt: user.created_at, queries: user.queries });
+})
+
+// Other sessions are signed out; this one and personal access tokens stay valid
+app.put('/account/password', async (c) => {
+  const payload = await getSessionPayload(c);
+  const db = c.env.DB;
+  const { currentPassword, newPassword } = await readBody(c, CHANGE_PASSWORD_SCHEMA);
+
+  const user = await loadUser(db, payload.user.id);
+  await checkPassword(c, user, currentPassword, 'currentPassword');
+
+  const passwordHash = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+  const [, revoked] = await db.batch([
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(passwordHash, user.id),
+    db.prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id != ? AND revoked_at IS NULL')
+      .bind(user.id, payload.sid),
+  ]);
+
+  return c.json({ message: 'Password changed.', sessions: revoked.meta.changes });
+})
+
+app.put('/account/username', async (c) => {
+  const payload = await getSessionPayload(c);
+  const db = c.env.DB;
+  const { username } = await readBody(c, { username: Validation.username() });
+
+  try {
+    await db.prepare('UPDATE users SET username = ? WHERE id = ?').bind(username, payload.user.id).run();
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return apiError(c, 409, 'Username already exists.', { fields: { username: 'This username is already taken.' } })
+    }
+    throw error
+  }
+  // The access token carries the username, so hand out one with the new name
+  const token = await issueAccessToken(c, { id: payload.user.id, username }, payload.sid);
+  return c.json({ username, token });
+})
+
+// Body: { password }. Deletes the account with its personal queries, folders,
+// tags, share links, sessions and tokens. Workspaces only the user belongs to
+// are deleted too; in shared workspaces their queries and folders are handed
+// to another owner, so the team keeps them.
+app.delete('/account', async (c) => {
+  const payload = await getSessionPayload(c);
+  const db = c.env.DB;
+  const { password } = await readBody(c, { password: Validation.string({ label: 'Password', trim: false, max: 1000 }) });
+
+  const user = await loadUser(db, payload.user.id);
+  await checkPassword(c, user, password, 'password');
+
+  const { results: owned } = await db.prepare(`
+    SELECT w.id, w.name,
+           (SELECT COUNT(*) FROM workspace_members m WHERE m.workspace_id = w.id AND m.user_id != ?) as others,
+           (SELECT COUNT(*) FROM workspace_members m WHERE m.workspace_id = w.id AND m.user_id != ? AND m.role = 'owner') as other_owners
+    FROM workspaces w
+    JOIN workspace_members me ON me.workspace_id = w.id AND me.user_id = ? AND me.role = 'owner'
+  `).bind(user.id, user.id, user.id).all();
+
+  const orphaned = owned.filter(w => w.others > 0 && w.other_owners === 0);
+  if (orphaned.length > 0) {
+    const names = orphaned.map(w => `"${w.name}"`).join(', ');
+    return apiError(c, 409, `You are the only owner of ${names}. Make another member an owner or delete ${orphaned.length === 1 ? 'it' : 'them'} first.`);
+  }
+
+  const handOver = (table) => db.prepare(`
+    UPDATE ${table} SET user_id = (
+      SELECT m.user_id FROM workspace_members m
+      WHERE m.workspace_id = ${table}.workspace_id AND m.role = 'owner' AND m.user_id != ?
+      ORDER BY m.user_id LIMIT 1
+    )
+    WHERE user_id = ? AND workspace_id IS NOT NULL
+  `).bind(user.id, user.id);
+
+  const solo = owned.filter(w => w.others === 0).map(w => w.id);
+  await db.batch([
+    ...(solo.length > 0 ? [db.prepare(`DELETE FROM workspaces WHERE id IN (${solo.map(() => '?').join(', ')})`).bind(...solo)] : []),
+    handOver('queries'),
+    handOver('folders'),
+    // Everything else refers to the user with ON DELETE CASCADE
+    db.prepare('DELETE FROM users WHERE id = ?').bind(user.id),
+  ]);
+
+  return c.json({ message: 'Account deleted.' });
+})
+
+// --- Schema Endpoint ---
+
+// Highest migration in migrations/ that this code relies on. Bump it together
+// with every new migration file.
+const SCHEMA_VERSION = 15
+
+// Table in which `wrangler d1 migrations apply` records applied migrations
+const MIGRATIONS_TABLE = 'd1_migrations'
+
+// Applied migrations and whether the database is behind the deployed code
+app.get('/schema', async (c) => {
+  const { error } = await getAuthPayload(c);
+  if (error) return apiError(c, 401, error);
+  const db = c.env.DB;
+
+  const table = await db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+    .bind(MIGRATIONS_TABLE)
+    .first();
+  const { results } = table
+    ? await db.prepare(`SELECT name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id`).all()
+    : { results: [] };
+
+  // Migration files are named NNNN_description.sql; the number is the version
+  const migrations = results.map(m => ({
+    version: parseInt(m.name, 10) || 0,
+    name: m.name,
+    appliedAt: m.applied_at
+  }));
+  const version = migrations.reduce((max, m) => Math.max(max, m.version), 0);
+
+  return c.json({
+    version,
+    expectedVersion: SCHEMA_VERSION,
+    upToDate: version >= SCHEMA_VERSION,
+    migrations
+  });
+})
+
+// Cloudflare Pages entry point; server.js mounts `app` directly
+export const onRequest = handle(app)
+
+export default app
@@ -0,0 +1,16 @@
+// Serves share.html with link preview tags for the shared query or folder.
+// Cloudflare Pages strips the .html extension, so share links end up at
+// /share?id=... (this route); the page itself is still the static share.html.
+import { renderSharePage } from './api/[[route]].js'
+
+export const onRequestGet = async ({ request, env, next }) => {
+  const page = await next()
+  if (!page.ok) return page
+
+  const html = await renderSharePage(env, new URL(request.url), await page.text())
+  // The static file's length and ETag no longer describe the body
+  const headers = new Headers(page.headers)
+  headers.delete('Content-Length')
+  headers.delete('ETag')
+  return new Response(html, { status: page.status, headers })
+}
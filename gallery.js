@@ -0,0 +1,285 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const galleryBrowser = document.getElementById('gallery-browser');
+    const searchForm = document.getElementById('gallery-search-form');
+    const searchInput = document.getElementById('gallery-search');
+    const dialectSelect = document.getElementById('gallery-dialect');
+    const sortSelect = document.getElementById('gallery-sort');
+    const tagsContainer = document.getElementById('gallery-tags');
+    const galleryList = document.getElementById('gallery-list');
+    const loadMoreButton = document.getElementById('gallery-load-more');
+    const notificationArea = document.getElementById('notification-area');
+
+    const PAGE_SIZE = 20;
+
+    let queries = [];
+    let nextCursor = null;
+    const activeTags = new Set();
+
+    // Safe in text and in quoted attribute values
+    const escapeHTML = (str) => String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    // Search results wrap matched terms in \u0002...\u0003 markers
+    const highlightHTML = (str) => escapeHTML(str)
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
+
+    // SQL timestamps are UTC without a zone
+    const toLocalDate = (rawDate) => new Date(`${rawDate.replace(' ', 'T')}Z`);
+
+    const notify = (message, type = 'danger') => {
+        const toast = document.createElement('div');
+        toast.className = `toast align-items-center text-bg-${type} border-0`;
+        toast.setAttribute('role', 'alert');
+        toast.innerHTML = `
+            <div class="d-flex">
+                <div class="toast-body">${message}</div>
+                <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast" aria-label="Close"></button>
+            </div>
+        `;
+        notificationArea.appendChild(toast);
+        toast.addEventListener('hidden.bs.toast', () => toast.remove());
+        new bootstrap.Toast(toast).show();
+    };
+
+    const apiErrorFrom = async (response, fallback) => {
+        const data = await response.json().catch(() => ({}));
+        return new Error((data.error && data.error.message) || fallback);
+    };
+
+    // --- Signed-in requests ---
+
+    // The gallery is public; only forking needs the session of the dashboard.
+    // An expired access token is renewed once with the stored refresh token.
+    const authFetch = async (url, options) => {
+        const send = () => fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+        });
+
+        let response = await send();
+        if (response.status === 401 && localStorage.getItem('refreshToken')) {
+            const refreshed = await fetch('/api/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') }),
+            });
+            if (refreshed.ok) {
+                const data = await refreshed.json();
+                localStorage.setItem('token', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                response = await send();
+            }
+        }
+        return response;
+    };
+
+    const signIn = (message) => {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        sessionStorage.setItem('authNotice', message);
+        window.location.href = 'auth.html';
+    };
+
+    const forkQuery = async (query, button) => {
+        if (!localStorage.getItem('token')) {
+            signIn('Sign in to fork queries from the gallery.');
+            return;
+        }
+        button.disabled = true;
+        try {
+            const response = await authFetch(`/api/gallery/${query._id}/fork`, { method: 'POST', body: '{}' });
+            if (response.status === 401) {
+                signIn('Your session has expired. Sign in again to fork queries.');
+                return;
+            }
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to fork the query.');
+            query.forks += 1;
+            button.closest('.card').querySelector('.fork-count').textContent = query.forks;
+            notify(`Forked "${escapeHTML(query.title)}" into <a href="index.html" class="text-white">your library</a>.`, 'success');
+        } catch (error) {
+            console.error(error.message);
+            notify(escapeHTML(error.message));
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    // --- Rendering ---
+
+    const queryCard = (query, index) => {
+        const tagsHtml = query.tags.map(tag => `
+            <button type="button" class="badge ${activeTags.has(tag) ? 'bg-primary' : 'bg-secondary'} border-0 me-1 gallery-tag-btn" data-tag="${escapeHTML(tag)}">${escapeHTML(tag)}</button>
+        `).join('');
+        const titleHtml = query.highlight ? highlightHTML(query.highlight.title) : escapeHTML(query.title);
+        const forkedFromHtml = query.forkedFrom
+            ? ` · forked from <a href="gallery.html?id=${query.forkedFrom}">#${query.forkedFrom}</a>`
+            : '';
+        return `
+            <div class="card mb-3" data-index="${index}">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <div>
+                        <h5 class="mb-0"><a href="gallery.html?id=${query._id}" class="text-reset text-decoration-none">${titleHtml}</a></h5>
+                        <small class="text-muted">
+                            by ${escapeHTML(query.author)} · ${toLocalDate(query.publishedAt).toLocaleDateString()}${forkedFromHtml}
+                        </small>
+                    </div>
+                    <div class="text-nowrap">
+                        <span class="badge bg-light text-dark me-1" title="Forks"><i class="bi bi-diagram-2"></i> <span class="fork-count">${query.forks}</span></span>
+                        <button class="btn btn-sm btn-outline-secondary copy-query-btn">
+                            <i class="bi bi-clipboard"></i> Copy
+                        </button>
+                        <button class="btn btn-sm btn-primary fork-query-btn">
+                            <i class="bi bi-diagram-2"></i> Fork
+                        </button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="mb-2"><span class="badge dialect-badge me-1">${SqlHighlight.label(query.dialect)}</span>${tagsHtml}</div>
+                    <pre class="mb-0"><code class="${SqlHighlight.codeClass(query.dialect)}">${escapeHTML(query.text)}</code></pre>
+                </div>
+            </div>
+        `;
+    };
+
+    const renderQueries = () => {
+        loadMoreButton.classList.toggle('d-none', !nextCursor);
+        if (queries.length === 0) {
+            galleryList.innerHTML = '<p class="text-center text-muted">No published queries match your search.</p>';
+            return;
+        }
+        galleryList.innerHTML = queries.map(queryCard).join('');
+        hljs.highlightAll();
+    };
+
+    const renderTags = (tags) => {
+        tagsContainer.innerHTML = tags.map(({ tag, count }) => `
+            <button type="button" class="btn btn-sm ${activeTags.has(tag) ? 'btn-primary' : 'btn-outline-secondary'} me-1 mb-1 gallery-tag-btn" data-tag="${escapeHTML(tag)}">
+                ${escapeHTML(tag)} <span class="badge bg-light text-dark">${count}</span>
+            </button>
+        `).join('');
+    };
+
+    // --- Loading ---
+
+    const fetchTags = async () => {
+        try {
+            const response = await fetch('/api/gallery/tags');
+            if (!response.ok) throw new Error('Failed to load gallery tags.');
+            renderTags(await response.json());
+        } catch (error) {
+            console.error(error.message);
+        }
+    };
+
+    const fetchQueries = async (append = false) => {
+        const params = new URLSearchParams({ limit: PAGE_SIZE });
+        if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+        if (activeTags.size > 0) params.set('tags', [...activeTags].join(','));
+        if (dialectSelect.value) params.set('dialect', dialectSelect.value);
+        if (sortSelect.value) params.set('sort', sortSelect.value);
+        if (append && nextCursor) params.set('cursor', nextCursor);
+
+        try {
+            const response = await fetch(`/api/gallery?${params}`);
+            if (!response.ok) throw await apiErrorFrom(response, 'Failed to load the gallery.');
+            const page = await response.json();
+            queries = append ? [...queries, ...page.queries] : page.queries;
+            nextCursor = page.nextCursor;
+            renderQueries();
+        } catch (error) {
+            console.error(error.message);
+            galleryList.innerHTML = `<p class="text-center text-danger">${escapeHTML(error.message)}</p>`;
+        }
+    };
+
+    // gallery.html?id=<id> shows one published query, e.g. the source of a fork
+    const fetchQuery = async (id) => {
+        galleryBrowser.classList.add('d-none');
+        try {
+            const response = await fetch(`/api/gallery/${encodeURIComponent(id)}`);
+            if (!response.ok) throw await apiErrorFrom(response, 'Published query not found.');
+            queries = [await response.json()];
+            renderQueries();
+            galleryList.insertAdjacentHTML('beforeend', '<a href="gallery.html"><i class="bi bi-arrow-left"></i> Browse the gallery</a>');
+        } catch (error) {
+            console.error(error.message);
+            galleryList.innerHTML = `<p class="text-center text-danger">${escapeHTML(error.message)}</p>`;
+        }
+    };
+
+    // --- Event Listeners ---
+
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => fetchQueries(), 300);
+    });
+    searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        fetchQueries();
+    });
+    dialectSelect.addEventListener('change', () => fetchQueries());
+    sortSelect.addEventListener('change', () => fetchQueries());
+    loadMoreButton.addEventListener('click', () => fetchQueries(true));
+
+    document.addEventListener('click', (e) => {
+        const tagButton = e.target.closest('.gallery-tag-btn');
+        if (tagButton) {
+            const tag = tagButton.dataset.tag;
+            if (activeTags.has(tag)) {
+                activeTags.delete(tag);
+            } else {
+                activeTags.add(tag);
+            }
+            tagsContainer.querySelectorAll('.gallery-tag-btn').forEach(button => {
+                button.classList.toggle('btn-primary', activeTags.has(button.dataset.tag));
+                button.classList.toggle('btn-outline-secondary', !activeTags.has(button.dataset.tag));
+            });
+            // A tag clicked on a single query opens the filtered gallery
+            if (galleryBrowser.classList.contains('d-none')) {
+                window.location.href = `gallery.html?tag=${encodeURIComponent(tag)}`;
+                return;
+            }
+            fetchQueries();
+            return;
+        }
+
+        const button = e.target.closest('.copy-query-btn, .fork-query-btn');
+        if (!button) return;
+        const query = queries[button.closest('.card').dataset.index];
+        if (button.classList.contains('fork-query-btn')) {
+            forkQuery(query, button);
+            return;
+        }
+        navigator.clipboard.writeText(query.text).then(() => {
+            button.innerHTML = '<i class="bi bi-check-lg"></i> Copied!';
+            setTimeout(() => {
+                button.innerHTML = '<i class="bi bi-clipboard"></i> Copy';
+            }, 2000);
+        });
+    });
+
+    // --- Initial Load ---
+    dialectSelect.innerHTML += SqlParams.DIALECTS
+        .map(d => `<option value="${d}">${escapeHTML(SqlHighlight.label(d))}</option>`)
+        .join('');
+    if (!localStorage.getItem('token')) {
+        const libraryLink = document.getElementById('library-link');
+        libraryLink.href = 'auth.html';
+        libraryLink.innerHTML = '<i class="bi bi-box-arrow-in-right"></i> Sign In';
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('id')) {
+        fetchQuery(params.get('id'));
+        return;
+    }
+    if (params.get('tag')) activeTags.add(params.get('tag'));
+    fetchTags();
+    fetchQueries();
+});
@@ -0,0 +1,28 @@
+-- Tables of the original QueryStore release. IF NOT EXISTS lets this run
+-- against databases that were created by hand before migrations existed.
+
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS queries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  text TEXT NOT NULL,
+  share_id TEXT UNIQUE,
+  is_public INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_queries_user_id ON queries(user_id);
+
+CREATE TABLE IF NOT EXISTS query_tags (
+  query_id INTEGER NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+  tag TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_tags_query_id ON query_tags(query_id);
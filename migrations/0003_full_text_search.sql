@@ -0,0 +1,32 @@
+-- Full-text index over title, text and tags, kept in sync by the triggers below.
+-- The rowid of each entry is the id of the query it indexes.
+CREATE VIRTUAL TABLE queries_fts USING fts5(title, text, tags);
+
+CREATE TRIGGER queries_fts_insert AFTER INSERT ON queries BEGIN
+  INSERT INTO queries_fts (rowid, title, text, tags) VALUES (new.id, new.title, new.text, '');
+END;
+
+CREATE TRIGGER queries_fts_update AFTER UPDATE OF title, text ON queries BEGIN
+  UPDATE queries_fts SET title = new.title, text = new.text WHERE rowid = new.id;
+END;
+
+CREATE TRIGGER queries_fts_delete AFTER DELETE ON queries BEGIN
+  DELETE FROM queries_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER queries_fts_tags_insert AFTER INSERT ON query_tags BEGIN
+  UPDATE queries_fts
+  SET tags = (SELECT COALESCE(GROUP_CONCAT(tag, ' '), '') FROM query_tags WHERE query_id = new.query_id)
+  WHERE rowid = new.query_id;
+END;
+
+CREATE TRIGGER queries_fts_tags_delete AFTER DELETE ON query_tags BEGIN
+  UPDATE queries_fts
+  SET tags = (SELECT COALESCE(GROUP_CONCAT(tag, ' '), '') FROM query_tags WHERE query_id = old.query_id)
+  WHERE rowid = old.query_id;
+END;
+
+-- Index the queries that already exist
+INSERT INTO queries_fts (rowid, title, text, tags)
+SELECT q.id, q.title, q.text, COALESCE((SELECT GROUP_CONCAT(tag, ' ') FROM query_tags WHERE query_id = q.id), '')
+FROM queries q;
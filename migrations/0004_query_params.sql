@@ -0,0 +1,10 @@
+-- Declared placeholders (:name, $1, {{name}}) of each query, in order of appearance
+CREATE TABLE query_params (
+  query_id INTEGER NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL DEFAULT 'text',
+  default_value TEXT NOT NULL DEFAULT '',
+  description TEXT NOT NULL DEFAULT '',
+  PRIMARY KEY (query_id, name)
+);
@@ -0,0 +1,8 @@
+-- Expiry, optional password and view counter of share links
+ALTER TABLE queries ADD COLUMN shared_at TEXT;
+ALTER TABLE queries ADD COLUMN share_expires_at TEXT;
+ALTER TABLE queries ADD COLUMN share_password_hash TEXT;
+ALTER TABLE queries ADD COLUMN share_views INTEGER NOT NULL DEFAULT 0;
+
+-- Links created before this migration have no recorded share date
+UPDATE queries SET shared_at = created_at WHERE is_public = 1 AND share_id IS NOT NULL;
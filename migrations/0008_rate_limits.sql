@@ -0,0 +1,10 @@
+-- Fixed-window counters for rate limiting and login lockouts, keyed by e.g.
+-- "login-ip:203.0.113.7". reset_at is in Unix epoch seconds; rows past it are
+-- stale and are either restarted by the next hit or swept.
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,
+  count INTEGER NOT NULL,
+  reset_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_rate_limits_reset_at ON rate_limits(reset_at);
@@ -0,0 +1,17 @@
+-- SQL dialect of each query; see SqlParams.DIALECTS for the allowed values.
+-- The API detects it from the text when a client does not send one.
+ALTER TABLE queries ADD COLUMN dialect TEXT NOT NULL DEFAULT 'standard';
+
+CREATE INDEX idx_queries_dialect ON queries(dialect);
+
+-- Rough guess for the queries that already exist, using the clearest markers
+-- of SqlFormat.detectDialect. Everything else stays 'standard' and can be
+-- changed in the edit form.
+UPDATE queries SET dialect = CASE
+  WHEN text LIKE '%ILIKE%' OR text LIKE '%::%' OR text LIKE '%JSONB%' OR text LIKE '%DISTINCT ON%' THEN 'postgresql'
+  WHEN text LIKE '%AUTO_INCREMENT%' OR text LIKE '%ON DUPLICATE KEY%' OR text LIKE '%ENGINE=%' OR text LIKE '%DATE_FORMAT(%' THEN 'mysql'
+  WHEN text LIKE '%AUTOINCREMENT%' OR text LIKE '%PRAGMA %' OR text LIKE '%INSERT OR REPLACE%' OR text LIKE '%sqlite_master%' THEN 'sqlite'
+  WHEN text LIKE '%SAFE_CAST(%' OR text LIKE '%INT64%' OR text LIKE '%FLOAT64%' OR text LIKE '%* EXCEPT(%' THEN 'bigquery'
+  WHEN text LIKE '%SELECT TOP %' OR text LIKE '%GETDATE()%' OR text LIKE '%NOLOCK%' OR text LIKE '%NVARCHAR%' THEN 'tsql'
+  ELSE 'standard'
+END;
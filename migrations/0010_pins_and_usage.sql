@@ -0,0 +1,30 @@
+-- Pinned queries are personal: every member of a workspace pins their own.
+CREATE TABLE query_pins (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  query_id INTEGER NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, query_id)
+);
+
+CREATE INDEX idx_query_pins_query_id ON query_pins(query_id);
+
+-- One row per use of a query (currently: copying it from the dashboard).
+-- use_count and last_used_at on queries summarize them for sorting.
+CREATE TABLE query_usage_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  query_id INTEGER NOT NULL REFERENCES queries(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  event TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_query_usage_events_query_id ON query_usage_events(query_id);
+
+ALTER TABLE queries ADD COLUMN use_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE queries ADD COLUMN last_used_at TEXT;
+
+-- Set when the title, SQL or tags change; NULL for queries never edited
+ALTER TABLE queries ADD COLUMN updated_at TEXT;
+
+-- Every revision was written by an update, so the newest one dates the last edit
+UPDATE queries SET updated_at = (SELECT MAX(r.created_at) FROM query_revisions r WHERE r.query_id = queries.id);
@@ -0,0 +1,25 @@
+-- Nested folders. Like queries, a folder belongs to a workspace or, when
+-- workspace_id is NULL, to the personal library of its user. Deleting a folder
+-- deletes its subfolders; the API moves or deletes the queries in them first.
+CREATE TABLE folders (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES folders(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  share_id TEXT UNIQUE,
+  is_public INTEGER NOT NULL DEFAULT 0,
+  shared_at TEXT,
+  share_expires_at TEXT,
+  share_password_hash TEXT,
+  share_views INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_folders_user_id ON folders(user_id);
+CREATE INDEX idx_folders_workspace_id ON folders(workspace_id);
+CREATE INDEX idx_folders_parent_id ON folders(parent_id);
+
+ALTER TABLE queries ADD COLUMN folder_id INTEGER REFERENCES folders(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_queries_folder_id ON queries(folder_id);
@@ -0,0 +1,16 @@
+-- Personal access tokens for scripts and integrations. Like refresh tokens,
+-- only SHA-256 hashes are stored; the prefix identifies a token in the UI.
+CREATE TABLE access_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  token_prefix TEXT NOT NULL,
+  scopes TEXT NOT NULL, -- comma-separated: read, write, share
+  created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TEXT,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+
+CREATE INDEX idx_access_tokens_user_id ON access_tokens(user_id);
@@ -0,0 +1,8 @@
+-- Queries published to the public gallery; NULL while unpublished
+ALTER TABLE queries ADD COLUMN published_at TEXT;
+
+-- The gallery query a query was forked from. Forks outlive their source.
+ALTER TABLE queries ADD COLUMN forked_from INTEGER REFERENCES queries(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_queries_published_at ON queries(published_at) WHERE published_at IS NOT NULL;
+CREATE INDEX idx_queries_forked_from ON queries(forked_from);
@@ -0,0 +1,4 @@
+-- Goes up with every change to a query's title, SQL, dialect, tags or
+-- parameters. The API sends it as the query's ETag, and edits must send it
+-- back in If-Match so an older copy cannot overwrite a newer one.
+ALTER TABLE queries ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,5 @@
+-- Revisions also keep the dialect and the parameter metadata (a JSON array
+-- of { name, type, default, description }), so restoring one brings them
+-- back too. Both are NULL for revisions written before this migration.
+ALTER TABLE query_revisions ADD COLUMN dialect TEXT;
+ALTER TABLE query_revisions ADD COLUMN params TEXT;
@@ -0,0 +1,221 @@
+// Offline copy of the dashboard's library (window.OfflineStore). The last
+// library loaded from the API is mirrored in IndexedDB so the dashboard can
+// list, search and copy queries without a connection. Adds, edits and deletes
+// made offline wait in an outbox until they can be sent to the API.
+//
+// The filtering and outbox helpers are pure functions, so the tests load this
+// file with require().
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OfflineStore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DB_NAME = 'querystore';
+    const DB_VERSION = 1;
+
+    // --- Library ---
+
+    // The parts of a query an edit can change, in a comparable form
+    const snapshot = (query) => ({
+        title: query.title,
+        text: query.text,
+        tags: [...(query.tags || [])].sort(),
+        dialect: query.dialect || null,
+        params: (query.params || []).map(p => ({
+            name: p.name,
+            type: p.type || 'text',
+            default: p.default || '',
+            description: p.description || '',
+        })),
+    });
+
+    const sameContent = (a, b) => JSON.stringify(snapshot(a)) === JSON.stringify(snapshot(b));
+
+    // SQL timestamps are UTC 'YYYY-MM-DD HH:MM:SS', so they sort as strings
+    const timestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+    // Same orders as the API's `sort` parameter. Relevance puts title matches
+    // first; there is no ranking offline.
+    const SORTS = {
+        newest: (a, b) => compare(b.created_at, a.created_at),
+        oldest: (a, b) => compare(a.created_at, b.created_at),
+        title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+        updated: (a, b) => compare(b.updated_at || b.created_at, a.updated_at || a.created_at),
+        most_used: (a, b) => (b.use_count || 0) - (a.use_count || 0) || compare(b.last_used_at || '', a.last_used_at || ''),
+        recently_used: (a, b) => compare(b.last_used_at || '', a.last_used_at || ''),
+    };
+
+    // The queries matching the dashboard's filters, like GET /queries does:
+    // { q, tags, match ('all' | 'any'), dialect, folderIds (a Set of the folder
+    // and its subfolders), sort }. Pinned queries come first.
+    const filterQueries = (queries, filters = {}) => {
+        const terms = (filters.q || '').toLowerCase().split(/\s+/).filter(term => term);
+        const tags = filters.tags || [];
+        const matchesSearch = (query) => {
+            const haystack = [query.title, query.text, ...(query.tags || [])].join('\n').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        };
+        const matchesTags = (query) => {
+            const own = query.tags || [];
+            return filters.match === 'any' ? tags.some(tag => own.includes(tag)) : tags.every(tag => own.includes(tag));
+        };
+
+        const inTitle = (query) => terms.every(term => query.title.toLowerCase().includes(term));
+        const sort = filters.sort && filters.sort !== 'relevance'
+            ? SORTS[filters.sort]
+            : (a, b) => (terms.length > 0 ? inTitle(b) - inTitle(a) : 0) || SORTS.newest(a, b);
+
+        return queries
+            .filter(query => terms.length === 0 || matchesSearch(query))
+            .filter(query => tags.length === 0 || matchesTags(query))
+            .filter(query => !filters.dialect || query.dialect === filters.dialect)
+            .filter(query => !filters.folderIds || filters.folderIds.has(query.folder_id))
+            .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || sort(a, b));
+    };
+
+    // [{ tag, count }] and [{ dialect, count }] as GET /tags and /dialects return them
+    const countBy = (queries, valuesOf, key) => {
+        const counts = new Map();
+        queries.forEach(query => valuesOf(query).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+        return [...counts]
+            .sort((a, b) => b[1] - a[1] || compare(a[0], b[0]))
+            .map(([value, count]) => ({ [key]: value, count }));
+    };
+    const tagCounts = (queries) => countBy(queries, query => query.tags || [], 'tag');
+    const dialectCounts = (queries) => countBy(queries, query => (query.dialect ? [query.dialect] : []), 'dialect');
+
+    // --- Outbox ---
+
+    // Changes are { type: 'add' | 'edit' | 'delete', library, queryId, data,
+    // base }. `data` is the request body; `base` is the query as it was before
+    // the first offline change, to find out whether someone else changed it
+    // in the meantime. Queries added offline have a 'local-' id.
+
+    // One change made of `pending` followed by `next` for the same query, or
+    // null when they cancel out (a query added and deleted while offline)
+    const mergeChange = (pending, next) => {
+        if (pending.type === 'add') {
+            return next.type === 'delete' ? null : { ...pending, data: { ...pending.data, ...next.data } };
+        }
+        return { ...next, id: pending.id, base: pending.base };
+    };
+
+    // The library as this device sees it: the mirrored queries with the
+    // outbox applied. Queries with unsent changes are marked `unsynced`.
+    const applyChanges = (queries, changes) => {
+        let result = queries.slice();
+        changes.forEach(change => {
+            if (change.type === 'add') {
+                const { tags = [], params = [], dialect = null, folderId = null, ...data } = change.data;
+                const now = timestamp(new Date(change.createdAt));
+                result.unshift({
+                    ...data, tags, params, dialect, folder_id: folderId,
+                    _id: change.queryId, created_at: now, updated_at: now, unsynced: true,
+                });
+            } else if (change.type === 'edit') {
+                result = result.map(query => (query._id === change.queryId
+                    ? { ...query, ...change.data, dialect: change.data.dialect || query.dialect, updated_at: timestamp(new Date(change.createdAt)), unsynced: true }
+                    : query));
+            } else {
+                result = result.filter(query => query._id !== change.queryId);
+            }
+        });
+        return result;
+    };
+
+    // --- IndexedDB ---
+
+    let dbPromise = null;
+
+    // Stores: `mirror` holds { key, value } records, `outbox` the pending
+    // changes in the order they were made
+    const open = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('mirror', { keyPath: 'key' });
+                    request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((error) => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    };
+
+    // Runs `work(stores)` in one transaction and resolves with its result once
+    // the transaction has committed
+    const transaction = async (mode, work) => {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['mirror', 'outbox'], mode);
+            let result;
+            Promise.resolve(work({ mirror: tx.objectStore('mirror'), outbox: tx.objectStore('outbox') }))
+                .then((value) => { result = value; }, (error) => { tx.abort(); reject(error); });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+
+    const requestResult = (request) => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const get = (key) => transaction('readonly', async ({ mirror }) => {
+        const record = await requestResult(mirror.get(key));
+        return record ? record.value : null;
+    });
+
+    const put = (key, value) => transaction('readwrite', ({ mirror }) => requestResult(mirror.put({ key, value })));
+
+    const changes = () => transaction('readonly', ({ outbox }) => requestResult(outbox.getAll()));
+
+    // Adds `change` to the outbox, merged into the pending change for the same
+    // query if there is one
+    const enqueue = (change) => transaction('readwrite', async ({ outbox }) => {
+        const pending = (await requestResult(outbox.getAll()))
+            .find(c => c.library === change.library && c.queryId === change.queryId);
+        if (!pending) return requestResult(outbox.add(change));
+        const merged = mergeChange(pending, change);
+        return requestResult(merged ? outbox.put(merged) : outbox.delete(pending.id));
+    });
+
+    const updateChange = (change) => transaction('readwrite', ({ outbox }) => requestResult(outbox.put(change)));
+
+    const removeChange = (id) => transaction('readwrite', ({ outbox }) => requestResult(outbox.delete(id)));
+
+    // Forgets everything, e.g. when signing out
+    const clear = () => transaction('readwrite', ({ mirror, outbox }) => Promise.all([
+        requestResult(mirror.clear()),
+        requestResult(outbox.clear()),
+    ]));
+
+    return {
+        snapshot,
+        sameContent,
+        timestamp,
+        filterQueries,
+        tagCounts,
+        dialectCounts,
+        mergeChange,
+        applyChanges,
+        get,
+        put,
+        changes,
+        enqueue,
+        updateChange,
+        removeChange,
+        clear,
+    };
+});
@@ -0,0 +1,185 @@
+// Serialization of query libraries for export and import.
+//
+// Two formats are supported:
+//  - "json": { version, exportedAt, queries: [...] }
+//  - "sql":  plain SQL where each query is introduced by yesql/HugSQL-style
+//            comment headers, e.g.
+//
+//              -- name: Active users
+//              -- tags: users, reporting
+//              -- dialect: postgresql
+//              -- created: 2026-02-24T09:37:22.000Z
+//              -- param: since {"type":"date","default":"","description":""}
+//              SELECT * FROM users WHERE last_seen > :since;
+//
+// Both parsers return { queries, errors } where every query has the shape
+// { title, text, tags, dialect, params, createdAt, share } and errors are
+// { index, message } entries for items that could not be read. `dialect` is
+// null when the item does not name one; the importer detects it then.
+
+const Validation = require('./validation')
+
+const FORMAT_VERSION = 1
+
+const FORMATS = ['json', 'sql']
+
+const HEADER_RE = /^--\s*(name|tags|dialect|created|param|share):\s?(.*)$/
+
+const toIsoDate = (value) => {
+  if (!value) return null
+  // SQLite timestamps ("2026-02-24 09:37:22") are UTC without a zone marker
+  const text = typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? `${value.replace(' ', 'T')}Z`
+    : value
+  const date = new Date(text)
+  return isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : []
+  return [...new Set(list
+    .filter(t => typeof t === 'string')
+    .map(t => t.trim().toLowerCase())
+    .filter(t => t))]
+}
+
+// Imported items get the same limits as queries saved through the API
+const ITEM_SCHEMA = {
+  title: Validation.title(),
+  text: Validation.sqlText(),
+  tags: Validation.tags(),
+  params: Validation.params(),
+}
+
+// Validates one imported item and returns it in the common shape, or throws
+const normalizeQuery = (item) => {
+  if (!item || typeof item !== 'object') throw new Error('Entry is not an object.')
+  const title = typeof item.title === 'string' ? item.title.trim() : ''
+  const text = typeof item.text === 'string' ? item.text.trim() : ''
+  if (!title) throw new Error('Missing title.')
+  if (!text) throw new Error(`"${title}" has no SQL text.`)
+
+  const { value, fields } = Validation.validate(ITEM_SCHEMA, {
+    title,
+    text,
+    tags: normalizeTags(item.tags),
+    params: Array.isArray(item.params) ? item.params : [],
+  })
+  if (fields) {
+    const name = title.length > 50 ? `${title.slice(0, 50)}…` : title
+    throw new Error(`"${name}": ${Object.values(fields).join(' ')}`)
+  }
+
+  return {
+    ...value,
+    dialect: typeof item.dialect === 'string' && item.dialect.trim() ? item.dialect.trim().toLowerCase() : null,
+    createdAt: toIsoDate(item.createdAt),
+    share: item.share && typeof item.share === 'object' ? item.share : null,
+  }
+}
+
+const toJson = (queries) => JSON.stringify({
+  version: FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  queries: queries.map(q => ({
+    title: q.title,
+    text: q.text,
+    tags: q.tags,
+    dialect: q.dialect,
+    params: q.params,
+    createdAt: toIsoDate(q.createdAt),
+    share: q.share,
+  })),
+}, null, 2)
+
+const toSql = (queries) => queries.map(q => {
+  const headers = [`-- name: ${q.title.replace(/\s*\n\s*/g, ' ')}`]
+  if (q.tags.length > 0) headers.push(`-- tags: ${q.tags.join(', ')}`)
+  if (q.dialect) headers.push(`-- dialect: ${q.dialect}`)
+  if (q.createdAt) headers.push(`-- created: ${toIsoDate(q.createdAt)}`)
+  for (const p of q.params || []) {
+    headers.push(`-- param: ${p.name} ${JSON.stringify({ type: p.type, default: p.default, description: p.description })}`)
+  }
+  if (q.share) headers.push(`-- share: ${JSON.stringify(q.share)}`)
+  return `${headers.join('\n')}\n${q.text.trim()}\n`
+}).join('\n')
+
+const parseJson = (content) => {
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch (e) {
+    return { queries: [], errors: [{ index: null, message: `Invalid JSON: ${e.message}` }] }
+  }
+
+  // Accept both a full export and a bare array of queries
+  const items = Array.isArray(data) ? data : data && Array.isArray(data.queries) ? data.queries : null
+  if (!items) {
+    return { queries: [], errors: [{ index: null, message: 'Expected an array of queries or an export object.' }] }
+  }
+
+  const queries = []
+  const errors = []
+  items.forEach((item, index) => {
+    try {
+      queries.push(normalizeQuery(item))
+    } catch (e) {
+      errors.push({ index, message: e.message })
+    }
+  })
+  return { queries, errors }
+}
+
+const parseSql = (content) => {
+  const blocks = []
+  const errors = []
+  let current = null
+  let preamble = false
+
+  for (const line of content.replace(/\r\n/g, '\n').split('\n')) {
+    const header = line.match(HEADER_RE)
+    if (header && header[1] === 'name') {
+      current = { title: header[2].trim(), tags: [], dialect: null, params: [], createdAt: null, share: null, lines: [], inHeader: true }
+      blocks.push(current)
+    } else if (!current) {
+      if (line.trim()) preamble = true
+    } else if (header && current.inHeader) {
+      const [, key, value] = header
+      try {
+        if (key === 'tags') current.tags = value
+        if (key === 'dialect') current.dialect = value
+        if (key === 'created') current.createdAt = value.trim()
+        if (key === 'share') current.share = JSON.parse(value)
+        if (key === 'param') {
+          const [, name, meta] = value.match(/^(\S+)\s*(.*)$/) || []
+          if (name) current.params.push({ name, ...(meta ? JSON.parse(meta) : {}) })
+        }
+      } catch (e) {
+        errors.push({ index: blocks.length - 1, message: `Could not read "-- ${key}:" header of "${current.title}".` })
+      }
+    } else {
+      current.inHeader = false
+      current.lines.push(line)
+    }
+  }
+
+  if (preamble) {
+    errors.push({ index: null, message: 'SQL before the first "-- name:" header was ignored.' })
+  }
+
+  const queries = []
+  blocks.forEach(({ lines, inHeader, ...block }, index) => {
+    try {
+      queries.push(normalizeQuery({ ...block, text: lines.join('\n') }))
+    } catch (e) {
+      errors.push({ index, message: e.message })
+    }
+  })
+  return { queries, errors }
+}
+
+const serialize = (queries, format) => format === 'sql' ? toSql(queries) : toJson(queries)
+
+const parse = (content, format) => format === 'sql' ? parseSql(content) : parseJson(content)
+
+module.exports = { FORMATS, FORMAT_VERSION, serialize, parse }
@@ -0,0 +1,121 @@
+// Three-way merge of two edits of the same query (window.QueryMerge), for
+// when an edit is refused because the query changed since it was loaded.
+// `base` is the version both edits started from, `mine` the edit being saved
+// and `theirs` the version saved in the meantime.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QueryMerge = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MARKERS = { mine: '<<<<<<< yours', separator: '=======', theirs: '>>>>>>> saved' };
+
+    // For every line of `a`, the index of the line of `b` it is matched with
+    // in a longest common subsequence, or -1
+    const matchLines = (a, b) => {
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        const matches = new Array(a.length).fill(-1);
+        let i = 0, j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                matches[i++] = j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return matches;
+    };
+
+    const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+    // Line-based merge of three texts. Lines changed on one side only are
+    // taken from that side; lines both sides changed differently are kept
+    // between conflict markers. Returns { text, conflicts } with the number of
+    // conflicting blocks.
+    const mergeText = (base, mine, theirs) => {
+        const b = base.split('\n');
+        const m = mine.split('\n');
+        const t = theirs.split('\n');
+        const mineMatches = matchLines(b, m);
+        const theirMatches = matchLines(b, t);
+
+        const result = [];
+        let conflicts = 0;
+        let bi = 0, mi = 0, ti = 0;
+
+        // Resolves the lines up to (not including) the next base line both
+        // sides kept, at b[bEnd], m[mEnd] and t[tEnd]
+        const resolve = (bEnd, mEnd, tEnd) => {
+            const baseChunk = b.slice(bi, bEnd);
+            const mineChunk = m.slice(mi, mEnd);
+            const theirChunk = t.slice(ti, tEnd);
+            if (sameLines(mineChunk, baseChunk) || sameLines(mineChunk, theirChunk)) {
+                result.push(...theirChunk);
+            } else if (sameLines(theirChunk, baseChunk)) {
+                result.push(...mineChunk);
+            } else {
+                result.push(MARKERS.mine, ...mineChunk, MARKERS.separator, ...theirChunk, MARKERS.theirs);
+                conflicts++;
+            }
+        };
+
+        for (let i = 0; i < b.length; i++) {
+            if (mineMatches[i] === -1 || theirMatches[i] === -1) continue;
+            resolve(i, mineMatches[i], theirMatches[i]);
+            result.push(b[i]);
+            bi = i + 1;
+            mi = mineMatches[i] + 1;
+            ti = theirMatches[i] + 1;
+        }
+        resolve(b.length, m.length, t.length);
+
+        return { text: result.join('\n'), conflicts };
+    };
+
+    // Tags added on either side are kept and tags removed on either side are
+    // dropped
+    const mergeTags = (base, mine, theirs) => {
+        const removed = new Set([...base.filter(tag => !mine.includes(tag)), ...base.filter(tag => !theirs.includes(tag))]);
+        return [...new Set([...mine, ...theirs])].filter(tag => !removed.has(tag));
+    };
+
+    // Merges queries ({ title, text, tags, params, dialect }). Returns
+    // { query, conflicts }, where `conflicts` names the fields both sides
+    // changed differently: for those the query has `mine`, except for the
+    // text, which has conflict markers.
+    const mergeQuery = (base, mine, theirs) => {
+        const conflicts = [];
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const pick = (field, fallback = null) => {
+            const [b, m, t] = [base[field] || fallback, mine[field] || fallback, theirs[field] || fallback];
+            if (same(m, b) || same(m, t)) return t;
+            if (same(t, b)) return m;
+            conflicts.push(field);
+            return m;
+        };
+
+        const text = mergeText(base.text, mine.text, theirs.text);
+        if (text.conflicts > 0) conflicts.push('text');
+
+        const query = {
+            title: pick('title'),
+            text: text.text,
+            tags: mergeTags(base.tags || [], mine.tags || [], theirs.tags || []),
+            params: pick('params', []),
+            dialect: pick('dialect'),
+        };
+        return { query, conflicts };
+    };
+
+    return { MARKERS, mergeText, mergeTags, mergeQuery };
+});
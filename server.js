@@ -0,0 +1,88 @@
+// Self-hosted QueryStore. Serves the same Hono API as the Cloudflare Pages
+// function plus the static pages, with the D1 binding emulated over a local
+// SQLite file (see sqlite-d1.js). Pending migrations are applied on start.
+//
+//   JWT_SECRET=... DATABASE_PATH=./data/querystore.sqlite PORT=3000 npm start
+
+require('dotenv').config({ quiet: true })
+
+const fs = require('fs')
+const path = require('path')
+const { Hono } = require('hono')
+const { serve, getRequestListener } = require('@hono/node-server')
+const { serveStatic } = require('@hono/node-server/serve-static')
+const { getConnInfo } = require('@hono/node-server/conninfo')
+const { openDatabase, migrate } = require('./sqlite-d1')
+
+// Only these files are served; the rest of the repository (including the
+// database file) stays private
+const STATIC_FILES = [
+  'index.html',
+  'auth.html',
+  'gallery.html',
+  'app.js',
+  'auth.js',
+  'share.js',
+  'embed.js',
+  'gallery.js',
+  'sql-params.js',
+  'sql-format.js',
+  'sql-highlight.js',
+  'sql-runner.js',
+  'offline-store.js',
+  'query-merge.js',
+  'sw.js',
+  'validation.js',
+  'styles.css',
+]
+
+const createServer = async ({
+  database = process.env.DATABASE_PATH || path.join(__dirname, 'querystore.sqlite'),
+  jwtSecret = process.env.JWT_SECRET,
+  trustProxy = !!process.env.TRUST_PROXY,
+} = {}) => {
+  const db = openDatabase(database)
+  const applied = migrate(db, path.join(__dirname, 'migrations'))
+
+  // The route file is an ES module shared with Cloudflare Pages
+  const { default: api, renderSharePage } = await import('./functions/api/[[route]].js')
+  const env = { DB: db, JWT_SECRET: jwtSecret }
+
+  // Client address for rate limiting. Behind a reverse proxy every connection
+  // comes from the proxy, so the address it forwards is used instead.
+  const clientIp = (c) => {
+    const forwarded = trustProxy && c.req.header('X-Forwarded-For')
+    return forwarded ? forwarded.split(',')[0].trim() : getConnInfo(c).remote.address
+  }
+
+  const app = new Hono()
+  app.all('/api/*', (c) => api.fetch(c.req.raw, { ...env, CLIENT_IP: clientIp(c) }))
+  app.get('/', serveStatic({ path: path.join(__dirname, 'index.html') }))
+  // Rendered with link preview tags, like functions/share.js does on Cloudflare Pages
+  app.get('/share.html', async (c) => {
+    const html = await fs.promises.readFile(path.join(__dirname, 'share.html'), 'utf8')
+    return c.html(await renderSharePage(env, new URL(c.req.url), html))
+  })
+  for (const file of STATIC_FILES) {
+    app.get(`/${file}`, serveStatic({ path: path.join(__dirname, file) }))
+  }
+
+  return { app, db, applied, listener: getRequestListener(app.fetch) }
+}
+
+if (require.main === module) {
+  createServer().then(({ app, applied }) => {
+    if (!process.env.JWT_SECRET) console.warn('JWT_SECRET is not set; sign-in will fail.')
+    if (applied.length > 0) console.log(`Applied migrations: ${applied.join(', ')}`)
+
+    const port = Number(process.env.PORT) || 3000
+    serve({ fetch: app.fetch, port, hostname: process.env.HOST }, (info) => {
+      console.log(`QueryStore is running on http://localhost:${info.port}`)
+    })
+  }).catch((error) => {
+    console.error(error)
+    process.exit(1)
+  })
+}
+
+module.exports = { createServer }
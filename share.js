@@ -1,14 +1,99 @@
 document.addEventListener('DOMContentLoaded', async () => {
     const queryContainer = document.getElementById('query-container');
 
-    const escapeHTML = (str) => {
-        const p = document.createElement('p');
-        p.appendChild(document.createTextNode(str));
-        return p.innerHTML;
+    // Safe in text and in quoted attribute values
+    const escapeHTML = (str) => String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+    // Form for filling in the query's placeholders, with a live preview of the final SQL
+    const renderParamsForm = (query) => {
+        if (!query.params || query.params.length === 0) return '';
+        const fieldsHtml = query.params.map(p => `
+            <div class="col-md-6 mb-2 param-field">
+                <label class="form-label"><span class="param-name">${escapeHTML(p.name)}</span> <small class="text-muted">(${escapeHTML(p.type)})</small></label>
+                <input type="text" class="form-control fill-param-input" data-name="${escapeHTML(p.name)}" placeholder="${escapeHTML(p.default || 'NULL')}">
+                ${p.description ? `<div class="form-text">${escapeHTML(p.description)}</div>` : ''}
+            </div>
+        `).join('');
+        const dialectOptions = SqlParams.DIALECTS.map(d => `<option value="${d}">${d}</option>`).join('');
+
+        return `
+            <div class="card-body border-top">
+                <h6>Fill In Parameters</h6>
+                <form id="fill-params-form">
+                    <div class="row">${fieldsHtml}</div>
+                    <div class="mb-2">
+                        <label for="fill-params-dialect" class="form-label">Dialect</label>
+                        <select class="form-select" id="fill-params-dialect">${dialectOptions}</select>
+                    </div>
+                </form>
+                <pre><code id="fill-params-preview"></code></pre>
+                <div class="text-danger mb-2" id="fill-params-error"></div>
+                <button class="btn btn-primary" id="copy-filled-sql-button">
+                    <i class="bi bi-clipboard"></i> Copy SQL
+                </button>
+            </div>
+        `;
+    };
+
+    const bindParamsForm = (query) => {
+        const form = document.getElementById('fill-params-form');
+        if (!form) return;
+        const preview = document.getElementById('fill-params-preview');
+        const errorDiv = document.getElementById('fill-params-error');
+        const copyButton = document.getElementById('copy-filled-sql-button');
+
+        const renderFilledSql = () => {
+            const values = {};
+            form.querySelectorAll('.fill-param-input').forEach(input => {
+                values[input.dataset.name] = input.value;
+            });
+            try {
+                const sql = SqlParams.fill(query.text, query.params, values, document.getElementById('fill-params-dialect').value);
+                preview.textContent = sql;
+                errorDiv.textContent = '';
+                copyButton.disabled = false;
+                return sql;
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                copyButton.disabled = true;
+                return null;
+            }
+        };
+
+        form.addEventListener('input', renderFilledSql);
+        form.addEventListener('submit', (e) => e.preventDefault());
+        copyButton.addEventListener('click', () => {
+            const sql = renderFilledSql();
+            if (sql === null) return;
+            navigator.clipboard.writeText(sql).then(() => {
+                copyButton.innerHTML = '<i class="bi bi-check-lg"></i> Copied!';
+                setTimeout(() => {
+                    copyButton.innerHTML = '<i class="bi bi-clipboard"></i> Copy SQL';
+                }, 2000);
+            });
+        });
+        renderFilledSql();
+    };
+
+    // Placeholders start out filled with their defaults so the query runs as is
+    const bindRunPanel = (query) => {
+        let sql = query.text;
+        try {
+            if (query.params && query.params.length > 0) sql = SqlParams.fill(query.text, query.params, {}, 'sqlite');
+        } catch (error) {
+            // Left as placeholders for the user to fill in
+        }
+        SqlRunner.createPanel(document.getElementById('run-panel')).setSql(sql, query.dialect);
     };
 
     const renderQuery = (query) => {
         const tagsHtml = query.tags.map(tag => `<span class="badge bg-secondary me-1">${escapeHTML(tag)}</span>`).join('');
+        const dialectHtml = `<span class="badge dialect-badge me-1">${SqlHighlight.label(query.dialect)}</span>`;
         queryContainer.innerHTML = `
             <div class="card">
                 <div class="card-header d-flex justify-content-between">
@@ -16,19 +101,104 @@ document.addEventListener('DOMContentLoaded', async () => {
                     <small>Created: ${new Date(query.createdAt).toLocaleString()}</small>
                 </div>
                 <div class="card-body">
-                    <div class="mb-2">${tagsHtml}</div>
+                    <div class="mb-2">${dialectHtml}${tagsHtml}</div>
                     <div class="query-content mt-2">
-                        <pre><code class="sql">${escapeHTML(query.text)}</code></pre>
+                        <pre><code class="${SqlHighlight.codeClass(query.dialect)}">${escapeHTML(query.text)}</code></pre>
                     </div>
                 </div>
+                ${renderParamsForm(query)}
+                <div class="card-body border-top">
+                    <h6>Run</h6>
+                    <p class="small text-muted">Try the query against your own .sqlite or CSV file.</p>
+                    <div id="run-panel"></div>
+                </div>
             </div>
         `;
         hljs.highlightAll();
+        bindParamsForm(query);
+        bindRunPanel(query);
     };
 
-    const fetchSharedQuery = async () => {
-        const params = new URLSearchParams(window.location.search);
-        const shareId = params.get('id');
+    // A shared folder: its queries grouped by subfolder, each with a Copy button
+    const renderFolder = (folder) => {
+        const groups = new Map();
+        folder.queries.forEach(query => {
+            groups.set(query.folder, [...(groups.get(query.folder) || []), query]);
+        });
+
+        const queryHtml = (query, index) => {
+            const tagsHtml = query.tags.map(tag => `<span class="badge bg-secondary me-1">${escapeHTML(tag)}</span>`).join('');
+            const paramCount = query.params.length;
+            const paramsHtml = paramCount
+                ? `<span class="badge bg-info text-dark me-1"><i class="bi bi-braces"></i> ${paramCount} param${paramCount === 1 ? '' : 's'}</span>`
+                : '';
+            return `
+                <div class="card mb-3">
+                    <div class="card-header d-flex justify-content-between align-items-center">
+                        <h6 class="mb-0">${escapeHTML(query.title)}</h6>
+                        <button class="btn btn-sm btn-outline-secondary copy-query-btn" data-index="${index}">
+                            <i class="bi bi-clipboard"></i> Copy
+                        </button>
+                    </div>
+                    <div class="card-body">
+                        <div class="mb-2"><span class="badge dialect-badge me-1">${SqlHighlight.label(query.dialect)}</span>${paramsHtml}${tagsHtml}</div>
+                        <pre class="mb-0"><code class="${SqlHighlight.codeClass(query.dialect)}">${escapeHTML(query.text)}</code></pre>
+                    </div>
+                </div>
+            `;
+        };
+
+        const count = folder.queries.length;
+        queryContainer.innerHTML = `
+            <h3><i class="bi bi-folder2-open"></i> ${escapeHTML(folder.name)}</h3>
+            <p class="text-muted">${count} quer${count === 1 ? 'y' : 'ies'}</p>
+            ${count === 0 ? '<p class="text-center text-muted">This folder is empty.</p>' : ''}
+            ${[...groups].map(([path, queries]) => `
+                ${path ? `<h5 class="mt-4"><i class="bi bi-folder"></i> ${escapeHTML(path)}</h5>` : ''}
+                ${queries.map(query => queryHtml(query, folder.queries.indexOf(query))).join('')}
+            `).join('')}
+        `;
+        hljs.highlightAll();
+
+        queryContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.copy-query-btn');
+            if (!button) return;
+            navigator.clipboard.writeText(folder.queries[button.dataset.index].text).then(() => {
+                button.innerHTML = '<i class="bi bi-check-lg"></i> Copied!';
+                setTimeout(() => {
+                    button.innerHTML = '<i class="bi bi-clipboard"></i> Copy';
+                }, 2000);
+            });
+        });
+    };
+
+    const renderPasswordForm = (message) => {
+        queryContainer.innerHTML = `
+            <div class="card mx-auto" style="max-width: 450px;">
+                <div class="card-body">
+                    <h5 class="card-title"><i class="bi bi-lock"></i> Password Required</h5>
+                    <form id="share-password-form">
+                        <div class="mb-3">
+                            <label for="share-password" class="form-label">${escapeHTML(message)}</label>
+                            <input type="password" class="form-control" id="share-password" required autofocus>
+                        </div>
+                        <button type="submit" class="btn btn-primary w-100">View ${folderShareId ? 'Folder' : 'Query'}</button>
+                    </form>
+                </div>
+            </div>
+        `;
+        document.getElementById('share-password-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            fetchShared(document.getElementById('share-password').value);
+        });
+    };
+
+    // share.html?id=<shareId> shows a query, share.html?folder=<shareId> a folder
+    const params = new URLSearchParams(window.location.search);
+    const folderShareId = params.get('folder');
+
+    const fetchShared = async (password) => {
+        const shareId = folderShareId || params.get('id');
 
         if (!shareId) {
             queryContainer.innerHTML = '<p class="text-center text-danger">No share ID provided.</p>';
@@ -36,17 +206,33 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         try {
-            const response = await fetch(`/api/public/queries/${shareId}`);
+            const response = await fetch(folderShareId ? `/api/public/folders/${shareId}` : `/api/public/queries/${shareId}`, {
+                headers: password ? { 'X-Share-Password': password } : {}
+            });
             if (!response.ok) {
-                throw new Error('Shared query not found or access denied.');
+                const { error = {} } = await response.json().catch(() => ({}));
+                if (error.code === 'share_password_required' || error.code === 'share_password_invalid') {
+                    renderPasswordForm(error.message);
+                    return;
+                }
+                if (response.status === 410) throw new Error('This share link has expired.');
+                if (response.status === 429) {
+                    const minutes = Math.ceil((Number(response.headers.get('Retry-After')) || 60) / 60);
+                    throw new Error(`${error.message} Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+                }
+                throw new Error(`Shared ${folderShareId ? 'folder' : 'query'} not found or access denied.`);
+            }
+            const shared = await response.json();
+            if (folderShareId) {
+                renderFolder(shared);
+            } else {
+                renderQuery(shared);
             }
-            const query = await response.json();
-            renderQuery(query);
         } catch (error) {
             console.error(error);
             queryContainer.innerHTML = `<p class="text-center text-danger">${error.message}</p>`;
         }
     };
 
-    fetchSharedQuery();
+    fetchShared();
 });
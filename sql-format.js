@@ -0,0 +1,575 @@
+// Pretty-printing and lint checks for SQL snippets.
+// Loaded as a plain <script> by the dashboard (window.SqlFormat) and imported by
+// the API in functions/api, which returns the lint warnings when a query is saved.
+//
+// Formatting only changes whitespace and the case of keywords: string literals,
+// quoted identifiers, comments and placeholders are copied as they are.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SqlFormat = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const INDENT = '  ';
+
+    // Reserved words that are upper-cased. Words that are common column or table
+    // names (user, name, date, text, ...) are left alone, as changing their case
+    // is not always safe.
+    const KEYWORDS = [
+        'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BEGIN', 'BETWEEN', 'BIGINT', 'BOOLEAN', 'BY',
+        'CASCADE', 'CASE', 'CAST', 'CHECK', 'COLUMN', 'COMMIT', 'CONSTRAINT', 'CREATE', 'CROSS', 'CURRENT', 'CURRENT_DATE',
+        'CURRENT_TIMESTAMP', 'DECIMAL', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE', 'END', 'EXCEPT',
+        'EXISTS', 'FALSE', 'FETCH', 'FILTER', 'FIRST', 'FOLLOWING', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'GROUP',
+        'HAVING', 'IF', 'IN', 'INDEX', 'INNER', 'INSERT', 'INTEGER', 'INTERSECT', 'INTERVAL', 'INTO', 'IS',
+        'JOIN', 'KEY', 'LEFT', 'LIKE', 'LIMIT', 'NATURAL', 'NOT', 'NULL', 'NULLS', 'OFFSET', 'ON', 'OR',
+        'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PRECEDING', 'PRIMARY', 'RECURSIVE', 'REFERENCES', 'RIGHT',
+        'ROLLBACK', 'ROW', 'ROWS', 'SELECT', 'SET', 'SMALLINT', 'TABLE', 'THEN', 'TO', 'TRANSACTION', 'TRUE',
+        'TRUNCATE', 'UNBOUNDED', 'UNION', 'UNIQUE', 'UPDATE', 'USING', 'VALUES', 'VARCHAR', 'VIEW', 'WHEN',
+        'WHERE', 'WINDOW', 'WITH',
+    ];
+
+    const DIALECT_KEYWORDS = {
+        standard: [],
+        postgresql: ['CONFLICT', 'DO', 'ILIKE', 'LATERAL', 'NOTHING', 'RETURNING', 'SIMILAR'],
+        mysql: ['DUPLICATE', 'IGNORE', 'REGEXP', 'REPLACE', 'STRAIGHT_JOIN'],
+        sqlite: ['CONFLICT', 'DO', 'GLOB', 'IGNORE', 'NOTHING', 'REPLACE', 'RETURNING'],
+        bigquery: ['QUALIFY', 'STRUCT', 'UNNEST'],
+        tsql: ['APPLY', 'GO', 'MERGE', 'MATCHED', 'NOLOCK', 'OUTPUT', 'TOP'],
+    };
+
+    // Multi-word keywords, matched longest first. `clause` starts a new line and
+    // indents what follows, `line` only starts a new line, `join` starts a new
+    // line inside the FROM clause, `setop` (UNION, ...) stands on a line of its
+    // own and `plain` is kept inline.
+    const PHRASES = [
+        ['WITH RECURSIVE', 'clause'], ['WITH', 'clause'],
+        ['SELECT', 'clause'], ['FROM', 'clause'], ['WHERE', 'clause'], ['GROUP BY', 'clause'],
+        ['HAVING', 'clause'], ['WINDOW', 'clause'], ['QUALIFY', 'clause'], ['ORDER BY', 'clause'],
+        ['LIMIT', 'clause'], ['OFFSET', 'clause'], ['FETCH', 'clause'],
+        ['INSERT INTO', 'clause'], ['INSERT IGNORE INTO', 'clause'], ['REPLACE INTO', 'clause'],
+        ['VALUES', 'clause'], ['UPDATE', 'clause'], ['SET', 'clause'], ['DELETE FROM', 'clause'],
+        ['DELETE', 'clause'], ['RETURNING', 'clause'], ['OUTPUT', 'clause'], ['ON CONFLICT', 'line'],
+        ['ON DUPLICATE KEY UPDATE', 'clause'], ['MERGE INTO', 'clause'],
+        ['DO UPDATE', 'plain'], ['DO NOTHING', 'plain'], ['PARTITION BY', 'plain'], ['WITHIN GROUP', 'plain'],
+        ['UNION ALL', 'setop'], ['UNION', 'setop'], ['INTERSECT', 'setop'], ['EXCEPT', 'setop'],
+        ['JOIN', 'join'], ['INNER JOIN', 'join'], ['CROSS JOIN', 'join'], ['NATURAL JOIN', 'join'],
+        ['LEFT JOIN', 'join'], ['LEFT OUTER JOIN', 'join'], ['RIGHT JOIN', 'join'], ['RIGHT OUTER JOIN', 'join'],
+        ['FULL JOIN', 'join'], ['FULL OUTER JOIN', 'join'], ['CROSS APPLY', 'join'], ['OUTER APPLY', 'join'],
+        ['STRAIGHT_JOIN', 'join'],
+    ].map(([text, kind]) => ({ words: text.split(' '), kind }))
+        .sort((a, b) => b.words.length - a.words.length);
+
+    // Clauses whose AND/OR conditions go on separate lines
+    const CONDITION_CLAUSES = ['WHERE', 'HAVING', 'QUALIFY', 'FROM'];
+    const INSERT_CLAUSES = ['INSERT INTO', 'INSERT IGNORE INTO', 'REPLACE INTO', 'MERGE INTO'];
+    // Keywords that are also functions, written without a space before "("
+    const FUNCTION_KEYWORDS = ['CAST', 'IF', 'LEFT', 'RIGHT', 'REPLACE', 'FILTER'];
+    const SELECT_MODIFIERS = ['DISTINCT', 'ALL', 'DISTINCTROW', 'TOP'];
+
+    const OPERATORS = ['->>', '#>>', '::', '<>', '!=', '<=', '>=', '||', '->', '#>', '@>', '<@', ':=', '=>', '==', '<<', '>>', '&&'];
+
+    const keywordsFor = (dialect) => new Set([...KEYWORDS, ...(DIALECT_KEYWORDS[dialect] || [])]);
+
+    // --- Tokenizer ---
+
+    // Index just past the closing quote. A doubled quote is an escape, and so is
+    // a backslash in dialects that support it.
+    const skipQuoted = (sql, start, close, backslash) => {
+        let i = start + 1;
+        while (i < sql.length) {
+            if (backslash && sql[i] === '\\') {
+                i += 2;
+                continue;
+            }
+            if (sql[i] === close) {
+                if (sql[i + 1] !== close || close === ']') return i + 1;
+                i++;
+            }
+            i++;
+        }
+        return sql.length;
+    };
+
+    const WORD_RE = /^[\p{L}_][\p{L}\p{N}_$]*/u;
+    const TSQL_WORD_RE = /^[\p{L}_@#][\p{L}\p{N}_$@#]*/u;
+    const NUMBER_RE = /^(0x[0-9a-f]+|(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?)/i;
+    const PLACEHOLDER_RE = /^(:[A-Za-z_][A-Za-z0-9_]*|\$\d+|\{\{\s*[A-Za-z_][A-Za-z0-9_]*\s*\}\})/;
+    const DOLLAR_QUOTE_RE = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+    // Prefixes such as N'...' (T-SQL), E'...' (PostgreSQL) or r'...' (BigQuery)
+    const STRING_PREFIX_RE = /^[NnEeBbXxRr]'/;
+
+    // Splits SQL into tokens of { type, text, space, lineStart } where `space`
+    // tells whether whitespace came before the token and `lineStart` whether it
+    // was the first on its line. Types: word, string, quoted, number,
+    // placeholder, comment, open, close, comma, semicolon, dot, operator.
+    const tokenize = (sql, dialect = 'standard') => {
+        const tokens = [];
+        const backslash = dialect === 'mysql' || dialect === 'bigquery';
+        const hashComments = dialect === 'mysql' || dialect === 'bigquery';
+        const brackets = dialect === 'tsql' || dialect === 'sqlite';
+        const wordRe = dialect === 'tsql' ? TSQL_WORD_RE : WORD_RE;
+        let i = 0;
+        let space = false;
+        let lineStart = true;
+
+        const push = (type, end) => {
+            tokens.push({ type, text: sql.slice(i, end), space, lineStart });
+            i = end;
+            space = false;
+            lineStart = false;
+        };
+
+        while (i < sql.length) {
+            const ch = sql[i];
+            const next = sql[i + 1];
+            const rest = sql.slice(i);
+            let match;
+
+            if (/\s/.test(ch)) {
+                space = true;
+                if (ch === '\n') lineStart = true;
+                i++;
+            } else if ((ch === '-' && next === '-') || (ch === '#' && hashComments)) {
+                const end = sql.indexOf('\n', i);
+                push('comment', end === -1 ? sql.length : end);
+            } else if (ch === '/' && next === '*') {
+                const end = sql.indexOf('*/', i + 2);
+                push('comment', end === -1 ? sql.length : end + 2);
+            } else if (ch === '\'' || (ch === '"' && backslash)) {
+                push('string', skipQuoted(sql, i, ch, backslash));
+            } else if (STRING_PREFIX_RE.test(rest)) {
+                push('string', skipQuoted(sql, i + 1, '\'', backslash));
+            } else if (ch === '"' || ch === '`' || (ch === '[' && brackets)) {
+                push('quoted', skipQuoted(sql, i, ch === '[' ? ']' : ch, false));
+            } else if ((match = rest.match(PLACEHOLDER_RE)) && !(ch === ':' && next === ':')) {
+                push('placeholder', i + match[0].length);
+            } else if (ch === '$' && (match = rest.match(DOLLAR_QUOTE_RE))) {
+                const end = sql.indexOf(match[0], i + match[0].length);
+                push('string', end === -1 ? sql.length : end + match[0].length);
+            } else if ((match = rest.match(wordRe))) {
+                push('word', i + match[0].length);
+            } else if ((match = rest.match(NUMBER_RE))) {
+                push('number', i + match[0].length);
+            } else if (ch === '(' || ch === '[') {
+                push('open', i + 1);
+            } else if (ch === ')' || ch === ']') {
+                push('close', i + 1);
+            } else if (ch === ',') {
+                push('comma', i + 1);
+            } else if (ch === ';') {
+                push('semicolon', i + 1);
+            } else if (ch === '.') {
+                push('dot', i + 1);
+            } else {
+                const op = OPERATORS.find(o => rest.startsWith(o));
+                push('operator', i + (op ? op.length : 1));
+            }
+        }
+        return tokens;
+    };
+
+    // --- Formatter ---
+
+    const upper = (token) => token && token.type === 'word' ? token.text.toUpperCase() : null;
+
+    // Longest phrase starting at tokens[index], as { kind, text, length }
+    const matchPhrase = (tokens, index, keywords) => {
+        for (const { words, kind } of PHRASES) {
+            if (!keywords.has(words[0])) continue;
+            if (words.every((word, k) => upper(tokens[index + k]) === word)) {
+                return { kind, text: words.join(' '), length: words.length };
+            }
+        }
+        return null;
+    };
+
+    const isUnaryPosition = (prev) => !prev || ['open', 'comma', 'operator'].includes(prev.type) ||
+        (prev.type === 'word' && prev.keyword);
+
+    const format = (sql, dialect = 'standard') => {
+        const keywords = keywordsFor(dialect);
+        const tokens = tokenize(sql || '', dialect);
+        const lines = [];
+        let line = '';
+        let lineIndent = 0;
+        let prev = null;
+        // Indent at which the next token has to start a new line, or null
+        let pendingBreak = null;
+        let afterTop = false;
+
+        const rootBlock = () => ({ type: 'root', inline: false, indent: 0, clause: null });
+        let stack = [rootBlock()];
+        const block = () => stack[stack.length - 1];
+        const contentIndent = (b = block()) => b.indent + (b.clause ? 1 : 0);
+
+        const newline = (indent) => {
+            if (line.trim()) lines.push(line.trimEnd());
+            line = INDENT.repeat(indent);
+            lineIndent = indent;
+            pendingBreak = null;
+        };
+
+        const needsSpace = (token) => {
+            if (!line.trim() || !prev) return false;
+            if (prev.text.endsWith('-') && token.text.startsWith('-')) return true;
+            if (prev.text.endsWith('/') && token.text.startsWith('*')) return true;
+            if (['comma', 'semicolon', 'close', 'dot'].includes(token.type)) return false;
+            if (prev.type === 'open' || prev.type === 'dot' || prev.unary) return false;
+            if (token.text === '::' || prev.text === '::') return false;
+            if (token.type === 'open') {
+                if (token.text === '[') return !['word', 'quoted', 'close', 'placeholder'].includes(prev.type);
+                if (prev.type === 'word' && !prev.keyword) {
+                    return token.definition || (INSERT_CLAUSES.includes(block().clause) && !block().inline);
+                }
+                if (prev.type === 'word') return !FUNCTION_KEYWORDS.includes(prev.text) || token.space;
+                if (prev.type === 'quoted') return token.space;
+            }
+            return true;
+        };
+
+        const append = (token, text = token.text) => {
+            if (pendingBreak !== null) newline(pendingBreak);
+            if (needsSpace(token)) line += ' ';
+            line += text;
+            prev = token;
+        };
+
+        // Next token that is not a comment
+        const peek = (index) => tokens.slice(index).find(t => t.type !== 'comment');
+
+        for (let index = 0; index < tokens.length; index++) {
+            const token = tokens[index];
+            const b = block();
+
+            // Comments that had a line of their own keep it; a line comment
+            // always ends its line
+            if (token.type === 'comment') {
+                const indent = pendingBreak !== null ? pendingBreak : contentIndent(stack.filter(s => !s.inline).pop());
+                if (token.lineStart) {
+                    newline(indent);
+                } else {
+                    pendingBreak = null;
+                }
+                if (line.trim()) line += ' ';
+                line += token.text;
+                if (!token.text.startsWith('/*')) {
+                    newline(indent);
+                    pendingBreak = indent;
+                } else if (token.lineStart) {
+                    pendingBreak = indent;
+                }
+                continue;
+            }
+
+            if (token.type === 'word') {
+                const next = tokens[index + 1];
+                const isQualified = (prev && prev.type === 'dot') || (next && next.type === 'dot' && !next.space);
+                // ON DELETE / ON UPDATE actions and column definitions are not clauses
+                const isPlain = isQualified || b.definition || (prev && upper(prev) === 'ON');
+                let phrase = isPlain ? null : matchPhrase(tokens, index, keywords);
+                // WITH only starts a statement; elsewhere it is e.g. a T-SQL table hint
+                if (phrase && phrase.text.startsWith('WITH') && prev && !['semicolon', 'open'].includes(prev.type)) {
+                    phrase = { ...phrase, kind: 'plain' };
+                }
+
+                if (phrase && !b.inline) {
+                    index += phrase.length - 1;
+                    const word = { type: 'word', text: phrase.text, keyword: true };
+                    if (phrase.kind === 'clause') {
+                        // UPDATE in "ON DUPLICATE KEY UPDATE" or "DO UPDATE" is matched above
+                        if (b.type === 'case') {
+                            append(word);
+                            continue;
+                        }
+                        newline(b.indent);
+                        append(word);
+                        b.clause = phrase.text;
+                        pendingBreak = b.indent + 1;
+                        afterTop = false;
+                    } else if (phrase.kind === 'line') {
+                        newline(b.indent);
+                        append(word);
+                    } else if (phrase.kind === 'setop') {
+                        newline(b.indent);
+                        append(word);
+                        b.clause = null;
+                        pendingBreak = b.indent;
+                    } else if (phrase.kind === 'join') {
+                        newline(contentIndent(b));
+                        append(word);
+                    } else {
+                        append(word);
+                    }
+                    continue;
+                }
+
+                const text = upper(token);
+                const isKeyword = !isQualified && keywords.has(text);
+                const word = { ...token, keyword: isKeyword, text: isKeyword ? text : token.text };
+
+                // SELECT DISTINCT / SELECT TOP 10 stay on the SELECT line
+                if (pendingBreak !== null && b.clause === 'SELECT' && SELECT_MODIFIERS.includes(text) && prev && prev.keyword) {
+                    const pending = pendingBreak;
+                    pendingBreak = null;
+                    append(word);
+                    pendingBreak = pending;
+                    afterTop = text === 'TOP';
+                    continue;
+                }
+
+                if (isKeyword && text === 'CASE') {
+                    append(word);
+                    stack.push({ type: 'case', inline: b.inline, indent: lineIndent + 1, clause: null });
+                    continue;
+                }
+                if (isKeyword && (text === 'WHEN' || text === 'ELSE') && b.type === 'case') {
+                    if (!b.inline) newline(b.indent);
+                    append(word);
+                    continue;
+                }
+                if (isKeyword && text === 'END' && b.type === 'case') {
+                    stack.pop();
+                    if (!b.inline) newline(b.indent - 1);
+                    append(word);
+                    continue;
+                }
+                if (isKeyword && text === 'BETWEEN') {
+                    b.between = true;
+                } else if (isKeyword && (text === 'AND' || text === 'OR')) {
+                    if (text === 'AND' && b.between) {
+                        b.between = false;
+                    } else if (!b.inline && b.type !== 'case' && CONDITION_CLAUSES.includes(b.clause)) {
+                        newline(contentIndent(b));
+                    }
+                }
+                append(word);
+                continue;
+            }
+
+            if (token.type === 'number' && afterTop && pendingBreak !== null) {
+                const pending = pendingBreak;
+                pendingBreak = null;
+                append(token);
+                pendingBreak = pending;
+                afterTop = false;
+                continue;
+            }
+
+            if (token.type === 'open') {
+                const first = peek(index + 1);
+                const isSubquery = token.text === '(' && ['SELECT', 'WITH'].includes(upper(first));
+                const words = stack.length === 1 ? tokens.slice(0, index).filter(t => t.type === 'word').map(t => t.text.toUpperCase()) : [];
+                const isTableDefinition = words[0] === 'CREATE' && words.includes('TABLE') && !stack.some(s => s.type === 'paren');
+
+                if (isSubquery || isTableDefinition) {
+                    append({ ...token, definition: isTableDefinition });
+                    stack.push({
+                        type: 'paren',
+                        inline: false,
+                        definition: isTableDefinition,
+                        indent: lineIndent + 1,
+                        openerIndent: lineIndent,
+                        clause: null,
+                    });
+                    pendingBreak = lineIndent + 1;
+                } else {
+                    append(token);
+                    stack.push({ type: 'paren', inline: true, indent: lineIndent, clause: null });
+                }
+                continue;
+            }
+
+            if (token.type === 'close') {
+                // Close any CASE left open inside the parentheses
+                while (stack.length > 1 && block().type === 'case') stack.pop();
+                const closing = stack.length > 1 ? stack.pop() : null;
+                if (closing && !closing.inline) newline(closing.openerIndent);
+                pendingBreak = null;
+                append(token);
+                continue;
+            }
+
+            if (token.type === 'comma') {
+                append(token);
+                if (!b.inline && (b.clause || b.definition)) pendingBreak = contentIndent(b);
+                continue;
+            }
+
+            if (token.type === 'semicolon') {
+                pendingBreak = null;
+                append(token);
+                stack = [rootBlock()];
+                if (peek(index + 1)) {
+                    newline(0);
+                    lines.push('');
+                }
+                continue;
+            }
+
+            if (token.type === 'operator' && (token.text === '-' || token.text === '+') && isUnaryPosition(prev)) {
+                append({ ...token, unary: true });
+                continue;
+            }
+
+            append(token);
+        }
+
+        newline(0);
+        return lines.join('\n');
+    };
+
+    // --- Dialect detection ---
+
+    // Constructs that point at one dialect, with a weight for how sure they are.
+    // They are matched against the SQL with comments and string contents removed.
+    const DIALECT_SIGNALS = {
+        postgresql: [
+            [/::\s*[a-z_]+/i, 3], [/\bILIKE\b/i, 3], [/\bDISTINCT\s+ON\s*\(/i, 3], [/\bJSONB\b/i, 3],
+            [/\b(BIG)?SERIAL\b/i, 3], [/\bGENERATE_SERIES\s*\(/i, 3], [/\bINTERVAL\s+''/i, 2],
+            [/\bDATE_TRUNC\s*\(\s*''/i, 2], [/\$\$/, 2], [/~\*|!~/, 2], [/\bRETURNING\b/i, 1],
+            [/\bLATERAL\b/i, 1], [/\$\d+/, 1],
+        ],
+        mysql: [
+            [/\bAUTO_INCREMENT\b/i, 3], [/\bON\s+DUPLICATE\s+KEY\b/i, 3], [/\bLIMIT\s+\d+\s*,\s*\d+/i, 3],
+            [/\bENGINE\s*=/i, 3], [/\b(DATE_FORMAT|STR_TO_DATE|CURDATE)\s*\(/i, 3],
+            [/\b(STRAIGHT_JOIN|SQL_CALC_FOUND_ROWS)\b/i, 3], [/\bUNSIGNED\b/i, 2],
+            [/`[^`.\s-]+`/, 1], [/\bIFNULL\s*\(/i, 1], [/\bREGEXP\b/i, 1],
+            [/\bINTERVAL\s+-?\d+\s+(SECOND|MINUTE|HOUR|DAY|WEEK|MONTH|YEAR)\b/i, 1],
+        ],
+        sqlite: [
+            [/\bAUTOINCREMENT\b/i, 3], [/\bPRAGMA\b/i, 3], [/\bINSERT\s+OR\s+(REPLACE|IGNORE)\b/i, 3],
+            [/\bsqlite_(master|schema|sequence)\b/i, 3], [/\b(julianday|strftime)\s*\(/i, 2],
+            [/\bdatetime\s*\(\s*''/i, 2], [/\bGLOB\b/i, 2], [/\bIFNULL\s*\(/i, 1],
+        ],
+        bigquery: [
+            [/`[\w-]+\.[\w-]+(\.[\w-]+)?`/, 3], [/\bSAFE_(CAST|DIVIDE)\s*\(/i, 3], [/\b(INT64|FLOAT64|BIGNUMERIC)\b/i, 3],
+            [/\*\s*EXCEPT\s*\(/i, 3], [/\bDATE_TRUNC\s*\([^,()']+,\s*(DAY|WEEK|MONTH|QUARTER|YEAR)\s*\)/i, 3],
+            [/\b(FORMAT_DATE|PARSE_DATE|FORMAT_TIMESTAMP|TIMESTAMP_DIFF|DATE_DIFF)\s*\(/i, 2],
+            [/\bSTRUCT\s*[<(]/i, 2], [/\bQUALIFY\b/i, 2], [/\bUNNEST\s*\(/i, 1],
+            [/\bINTERVAL\s+-?\d+\s+(SECOND|MINUTE|HOUR|DAY|WEEK|MONTH|YEAR)\b/i, 1],
+        ],
+        tsql: [
+            [/\bTOP\s*\(?\s*\d+/i, 3], [/\b(GETDATE|SYSDATETIME|DATEADD)\s*\(/i, 3], [/\bNOLOCK\b/i, 3],
+            [/\bNVARCHAR\b|\bVARCHAR\s*\(\s*MAX\s*\)/i, 3], [/\bIDENTITY\s*\(/i, 3], [/^\s*GO\s*$/im, 3],
+            [/\b(CROSS|OUTER)\s+APPLY\b/i, 3], [/\bOUTPUT\s+(INSERTED|DELETED)\b/i, 3],
+            [/\bDATEDIFF\s*\(\s*[a-z]+\s*,/i, 2], [/\bISNULL\s*\(/i, 2], [/\[[A-Za-z_][^\]]*\]/, 2],
+            [/\bN''/, 2], [/(^|[^@\w])@[A-Za-z_]\w*/, 1],
+        ],
+    };
+
+    // Best guess at the dialect of `sql`, or 'standard' when nothing (or more
+    // than one dialect equally) stands out
+    const detectDialect = (sql) => {
+        const code = (sql || '')
+            .replace(/--[^\n]*|\/\*[\s\S]*?(\*\/|$)/g, ' ')
+            .replace(/'(?:[^'\\]|''|\\.)*'/g, '\'\'');
+
+        let best = 'standard';
+        let bestScore = 0;
+        let tie = false;
+        for (const [dialect, signals] of Object.entries(DIALECT_SIGNALS)) {
+            const score = signals.reduce((sum, [pattern, weight]) => sum + (pattern.test(code) ? weight : 0), 0);
+            if (score > bestScore) {
+                best = dialect;
+                bestScore = score;
+                tie = false;
+            } else if (score > 0 && score === bestScore) {
+                tie = true;
+            }
+        }
+        return tie ? 'standard' : best;
+    };
+
+    // --- Lint ---
+
+    // Statements as { tokens, terminated }, without comments
+    const splitStatements = (tokens) => {
+        const statements = [];
+        let current = [];
+        for (const token of tokens) {
+            if (token.type === 'semicolon') {
+                if (current.length > 0) statements.push({ tokens: current, terminated: true });
+                current = [];
+            } else if (token.type !== 'comment') {
+                current.push(token);
+            }
+        }
+        if (current.length > 0) statements.push({ tokens: current, terminated: false });
+        return statements;
+    };
+
+    // Pairs each token with its parenthesis depth
+    const withDepth = (tokens) => {
+        let depth = 0;
+        return tokens.map(token => {
+            if (token.type === 'close') depth = Math.max(0, depth - 1);
+            const entry = { token, depth };
+            if (token.type === 'open') depth++;
+            return entry;
+        });
+    };
+
+    const checkParentheses = (tokens) => {
+        let depth = 0;
+        for (const token of tokens) {
+            if (token.type === 'open') depth++;
+            if (token.type === 'close' && --depth < 0) return 'A closing parenthesis has no matching opening one.';
+        }
+        if (depth > 0) return `${depth} parenthes${depth === 1 ? 'is is' : 'es are'} never closed.`;
+        return null;
+    };
+
+    // `*` as a column list entry (SELECT *, SELECT t.*), but not COUNT(*) or
+    // EXISTS (SELECT * ...)
+    const hasSelectStar = (tokens) => tokens.some((token, i) => {
+        if (token.text !== '*' || token.type !== 'operator') return false;
+        const before = tokens[i - 1];
+        if (!before) return false;
+        if (upper(before) === 'SELECT') {
+            return !(tokens[i - 2] && tokens[i - 2].type === 'open' && upper(tokens[i - 3]) === 'EXISTS');
+        }
+        return ['DISTINCT', 'ALL'].includes(upper(before)) || before.type === 'dot' || before.type === 'comma';
+    });
+
+    // Warnings about risky SQL, as [{ code, message }]. None of them block saving.
+    const lint = (sql, dialect = 'standard') => {
+        const tokens = tokenize(sql || '', dialect);
+        const statements = splitStatements(tokens);
+        const warnings = [];
+        const warn = (code, message, statement) => {
+            const prefix = statements.length > 1 && statement !== undefined ? `Statement ${statement + 1}: ` : '';
+            warnings.push({ code, message: prefix + message });
+        };
+
+        const parentheses = checkParentheses(tokens);
+        if (parentheses) warn('unbalanced_parentheses', parentheses);
+
+        statements.forEach((statement, n) => {
+            const topLevel = withDepth(statement.tokens).filter(e => e.depth === 0).map(e => upper(e.token));
+            // The first top-level verb; CTE bodies of a WITH are inside parentheses
+            const verb = topLevel.find(word => ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'REPLACE'].includes(word));
+            const hasWhere = topLevel.includes('WHERE');
+
+            if (verb === 'DELETE' && !hasWhere) {
+                warn('delete_without_where', 'DELETE without WHERE removes every row of the table.', n);
+            }
+            if (verb === 'UPDATE' && !hasWhere) {
+                warn('update_without_where', 'UPDATE without WHERE changes every row of the table.', n);
+            }
+            if (hasSelectStar(statement.tokens)) {
+                warn('select_star', 'SELECT * returns every column; listing the columns keeps the query stable when the table changes.', n);
+            }
+        });
+
+        // A single statement may leave out the semicolon
+        if (statements.length > 1 && !statements[statements.length - 1].terminated) {
+            warn('missing_terminator', 'The last statement is not terminated with a semicolon.');
+        }
+        return warnings;
+    };
+
+    return { tokenize, format, lint, detectDialect };
+});
@@ -0,0 +1,89 @@
+// Dialect-aware syntax highlighting for the dashboard and share page
+// (window.SqlHighlight), on top of the highlight.js build loaded from the CDN.
+//
+// PostgreSQL uses the bundled "pgsql" grammar. The other dialects get variants
+// of the generic "sql" grammar with their identifier quoting, comments and
+// variables added; they are registered with highlight.js on first use.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SqlHighlight = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LABELS = {
+        standard: 'Standard SQL',
+        postgresql: 'PostgreSQL',
+        mysql: 'MySQL',
+        sqlite: 'SQLite',
+        bigquery: 'BigQuery',
+        tsql: 'T-SQL',
+    };
+
+    const BACKTICK_IDENTIFIER = { scope: 'symbol', begin: '`', end: '`', contains: [{ begin: '``' }] };
+    const BRACKET_IDENTIFIER = { scope: 'symbol', begin: /\[/, end: /\]/ };
+    const HASH_COMMENT = { scope: 'comment', begin: /#(?![{])/, end: /$/ };
+
+    // Extra modes and keywords per dialect, added to the generic grammar
+    const VARIANTS = {
+        mysql: {
+            contains: [BACKTICK_IDENTIFIER, HASH_COMMENT, { scope: 'variable', begin: /@@?[A-Za-z_][\w.$]*/ }],
+            keywords: ['auto_increment', 'engine', 'unsigned', 'straight_join', 'regexp', 'duplicate', 'ignore'],
+        },
+        sqlite: {
+            contains: [BACKTICK_IDENTIFIER, BRACKET_IDENTIFIER],
+            keywords: ['autoincrement', 'pragma', 'glob', 'replace', 'ignore', 'rowid', 'strict', 'without'],
+        },
+        bigquery: {
+            contains: [BACKTICK_IDENTIFIER, HASH_COMMENT, { scope: 'variable', begin: /@@?[A-Za-z_]\w*/ }],
+            keywords: ['qualify', 'struct', 'unnest', 'safe_cast', 'except', 'int64', 'float64', 'bignumeric'],
+        },
+        tsql: {
+            contains: [
+                BRACKET_IDENTIFIER,
+                { scope: 'string', begin: /N'/, end: /'/, contains: [{ begin: /''/ }] },
+                { scope: 'variable', begin: /@@?[A-Za-z_]\w*/ },
+            ],
+            keywords: ['top', 'nolock', 'go', 'apply', 'output', 'inserted', 'deleted', 'identity', 'nvarchar', 'getdate'],
+        },
+    };
+
+    const label = (dialect) => LABELS[dialect] || LABELS.standard;
+
+    const registerVariant = (hljs, dialect) => {
+        const name = `sql-${dialect}`;
+        if (hljs.getLanguage(name)) return name;
+        const base = hljs.getLanguage('sql');
+        if (!base || typeof base.rawDefinition !== 'function') return 'sql';
+
+        const variant = VARIANTS[dialect];
+        hljs.registerLanguage(name, () => {
+            const definition = base.rawDefinition();
+            const keywords = definition.keywords || {};
+            return {
+                ...definition,
+                name: label(dialect),
+                aliases: [],
+                keywords: { ...keywords, keyword: [...(keywords.keyword || []), ...variant.keywords] },
+                // Dialect modes come first so e.g. `#` is a comment before it is an operator
+                contains: [...variant.contains, ...(definition.contains || [])],
+            };
+        });
+        return name;
+    };
+
+    // Name of the highlight.js language to use for `dialect`
+    const language = (dialect, hljs = typeof self !== 'undefined' ? self.hljs : undefined) => {
+        if (!hljs) return 'sql';
+        if (dialect === 'postgresql') return hljs.getLanguage('pgsql') ? 'pgsql' : 'sql';
+        if (!VARIANTS[dialect]) return 'sql';
+        return registerVariant(hljs, dialect);
+    };
+
+    // Class for the <code> element holding a query of `dialect`
+    const codeClass = (dialect) => `language-${language(dialect)}`;
+
+    return { LABELS, label, language, codeClass };
+});
@@ -0,0 +1,189 @@
+// Placeholder detection and literal quoting for parameterized SQL snippets.
+// Loaded as a plain <script> by the dashboard and share page (window.SqlParams)
+// and imported by the API in functions/api.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SqlParams = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const TYPES = ['text', 'number', 'boolean', 'date', 'datetime', 'list', 'identifier', 'raw'];
+    const DIALECTS = ['standard', 'postgresql', 'mysql', 'sqlite', 'bigquery', 'tsql'];
+
+    const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+    const NAMED_RE = new RegExp(`^:(${NAME})`);
+    const POSITIONAL_RE = /^\$(\d+)/;
+    const TEMPLATE_RE = new RegExp(`^\\{\\{\\s*(${NAME})\\s*\\}\\}`);
+    const DOLLAR_QUOTE_RE = new RegExp(`^\\$(${NAME})?\\$`);
+
+    // Index just past the closing quote, where a doubled quote is an escape
+    const skipQuoted = (sql, start, quote) => {
+        let i = start + 1;
+        while (i < sql.length) {
+            if (sql[i] === quote) {
+                if (sql[i + 1] !== quote) return i + 1;
+                i++;
+            }
+            i++;
+        }
+        return sql.length;
+    };
+
+    // Every placeholder occurrence outside string literals, quoted identifiers
+    // and comments, as { name, start, end }. Supports :name, $1 and {{name}}.
+    const scan = (sql) => {
+        const found = [];
+        let i = 0;
+        while (i < sql.length) {
+            const ch = sql[i];
+            const next = sql[i + 1];
+            const rest = sql.slice(i);
+            let match;
+
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                i = skipQuoted(sql, i, ch);
+            } else if (ch === '-' && next === '-') {
+                const end = sql.indexOf('\n', i);
+                i = end === -1 ? sql.length : end + 1;
+            } else if (ch === '/' && next === '*') {
+                const end = sql.indexOf('*/', i + 2);
+                i = end === -1 ? sql.length : end + 2;
+            } else if (ch === '$' && (match = rest.match(POSITIONAL_RE))) {
+                found.push({ name: `$${match[1]}`, start: i, end: i + match[0].length });
+                i += match[0].length;
+            } else if (ch === '$' && (match = rest.match(DOLLAR_QUOTE_RE))) {
+                // PostgreSQL dollar-quoted string: $tag$ ... $tag$
+                const end = sql.indexOf(match[0], i + match[0].length);
+                i = end === -1 ? sql.length : end + match[0].length;
+            } else if (ch === ':' && next !== ':' && sql[i - 1] !== ':' && (match = rest.match(NAMED_RE))) {
+                found.push({ name: match[1], start: i, end: i + match[0].length });
+                i += match[0].length;
+            } else if (ch === '{' && next === '{' && (match = rest.match(TEMPLATE_RE))) {
+                found.push({ name: match[1], start: i, end: i + match[0].length });
+                i += match[0].length;
+            } else {
+                i++;
+            }
+        }
+        return found;
+    };
+
+    // Unique placeholder names in order of first appearance
+    const detect = (sql) => {
+        const names = [];
+        for (const { name } of scan(sql || '')) {
+            if (!names.includes(name)) names.push(name);
+        }
+        return names;
+    };
+
+    // Merges declared parameter metadata with the placeholders actually found in
+    // the SQL. Declarations for placeholders that no longer exist are dropped.
+    const normalize = (sql, declared) => {
+        const byName = new Map((Array.isArray(declared) ? declared : [])
+            .filter(p => p && typeof p.name === 'string')
+            .map(p => [p.name, p]));
+
+        return detect(sql).map(name => {
+            const p = byName.get(name) || {};
+            return {
+                name,
+                type: TYPES.includes(p.type) ? p.type : 'text',
+                default: typeof p.default === 'string' ? p.default : '',
+                description: typeof p.description === 'string' ? p.description : '',
+            };
+        });
+    };
+
+    const quoteString = (value, dialect) => {
+        if (dialect === 'mysql' || dialect === 'bigquery') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+        }
+        const quoted = `'${value.replace(/'/g, '\'\'')}'`;
+        // T-SQL needs the N prefix to keep non-ASCII characters intact
+        return dialect === 'tsql' && /[^\x00-\x7f]/.test(value) ? `N${quoted}` : quoted;
+    };
+
+    const quoteIdentifier = (value, dialect) => value.split('.').map(part => {
+        if (dialect === 'mysql' || dialect === 'bigquery') return `\`${part.replace(/`/g, '``')}\``;
+        if (dialect === 'tsql') return `[${part.replace(/\]/g, ']]')}]`;
+        return `"${part.replace(/"/g, '""')}"`;
+    }).join('.');
+
+    const NUMBER_RE = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/;
+    const TRUE_VALUES = ['true', 't', 'yes', 'y', '1', 'on'];
+    const FALSE_VALUES = ['false', 'f', 'no', 'n', '0', 'off'];
+
+    // SQL literal for one parameter value. Throws an Error with a readable
+    // message when the value does not fit the parameter type.
+    const toLiteral = (value, type, dialect) => {
+        const raw = value === undefined || value === null ? '' : String(value);
+        const trimmed = raw.trim();
+
+        if (type === 'raw') return raw;
+        if (trimmed === '') return 'NULL';
+
+        switch (type) {
+            case 'number':
+                if (!NUMBER_RE.test(trimmed)) throw new Error(`"${trimmed}" is not a number.`);
+                return trimmed;
+            case 'boolean': {
+                const lower = trimmed.toLowerCase();
+                const isTrue = TRUE_VALUES.includes(lower);
+                if (!isTrue && !FALSE_VALUES.includes(lower)) throw new Error(`"${trimmed}" is not a boolean.`);
+                if (dialect === 'tsql') return isTrue ? '1' : '0';
+                return isTrue ? 'TRUE' : 'FALSE';
+            }
+            case 'date':
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) throw new Error(`"${trimmed}" is not a date (YYYY-MM-DD).`);
+                return dialect === 'sqlite' || dialect === 'tsql' ? quoteString(trimmed, dialect) : `DATE ${quoteString(trimmed, dialect)}`;
+            case 'datetime': {
+                if (!/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(trimmed)) {
+                    throw new Error(`"${trimmed}" is not a date and time (YYYY-MM-DD HH:MM:SS).`);
+                }
+                const normalized = trimmed.replace('T', ' ');
+                if (dialect === 'sqlite' || dialect === 'tsql') return quoteString(normalized, dialect);
+                return `${dialect === 'bigquery' ? 'DATETIME' : 'TIMESTAMP'} ${quoteString(normalized, dialect)}`;
+            }
+            case 'list':
+                return trimmed.split(',')
+                    .map(item => item.trim())
+                    .filter(item => item)
+                    .map(item => NUMBER_RE.test(item) ? item : quoteString(item, dialect))
+                    .join(', ');
+            case 'identifier':
+                return quoteIdentifier(trimmed, dialect);
+            default:
+                return quoteString(raw, dialect);
+        }
+    };
+
+    // Produces the final SQL. `values` maps parameter names to user input; an
+    // empty value falls back to the parameter default.
+    const fill = (sql, params, values, dialect) => {
+        const byName = new Map(params.map(p => [p.name, p]));
+        const literals = new Map();
+        for (const p of params) {
+            const value = values && values[p.name] !== undefined && values[p.name] !== '' ? values[p.name] : p.default;
+            try {
+                literals.set(p.name, toLiteral(value, p.type, dialect));
+            } catch (error) {
+                throw new Error(`${p.name}: ${error.message}`);
+            }
+        }
+
+        let result = '';
+        let last = 0;
+        for (const { name, start, end } of scan(sql)) {
+            if (!byName.has(name)) continue;
+            result += sql.slice(last, start) + literals.get(name);
+            last = end;
+        }
+        return result + sql.slice(last);
+    };
+
+    return { TYPES, DIALECTS, detect, normalize, toLiteral, fill };
+});
@@ -0,0 +1,385 @@
+// Runs SQL in the browser against a local sample database (window.SqlRunner),
+// for the Run panel of the dashboard and share page. The engine is SQLite
+// compiled to WebAssembly (sql.js), loaded from the CDN on first use. The
+// sample database is built from .sqlite or CSV files the user picks; files,
+// queries and results never leave the browser.
+//
+// The CSV and error helpers have no browser dependencies, so the tests load
+// this file with require().
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SqlRunner = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SQL_JS_URL = 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/';
+
+    // Rows kept for display; the row count still covers all of them
+    const MAX_ROWS = 1000;
+
+    const SQLITE_HEADER = 'SQLite format 3\u0000';
+
+    const escapeHTML = (value) => String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    // --- CSV ---
+
+    // Rows of a CSV (or, with delimiter '\t', TSV) text as arrays of strings.
+    // Quoted fields may contain delimiters, newlines and "" escapes.
+    const parseCsv = (text, delimiter = ',') => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+        };
+        const endRow = () => {
+            endField();
+            // Blank lines are skipped
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+        };
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) endRow();
+        return rows;
+    };
+
+    // SQL identifier made from a file or column name
+    const identifier = (name, fallback) => {
+        const cleaned = String(name).trim().replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').toLowerCase();
+        if (!cleaned) return fallback;
+        return /^\d/.test(cleaned) ? `_${cleaned}` : cleaned;
+    };
+
+    const INTEGER_RE = /^[-+]?\d+$/;
+    const REAL_RE = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+    // INTEGER, REAL or TEXT for every column, judged by its non-empty values
+    const columnTypes = (rows, width) => Array.from({ length: width }, (_, column) => {
+        const values = rows.map(row => (row[column] || '').trim()).filter(value => value !== '');
+        if (values.length > 0 && values.every(value => INTEGER_RE.test(value))) return 'INTEGER';
+        if (values.length > 0 && values.every(value => REAL_RE.test(value))) return 'REAL';
+        return 'TEXT';
+    });
+
+    // A table for a CSV file: the first row names the columns. Returns
+    // { name, columns, types, rows } with values converted to their column
+    // type and empty values as null.
+    const csvTable = (fileName, text) => {
+        const delimiter = /\.tsv$/i.test(fileName) ? '\t' : ',';
+        const [header, ...rows] = parseCsv(text, delimiter);
+        if (!header) throw new Error(`${fileName} is empty.`);
+
+        // Not Math.max(...rows): spreading a large file overflows the call stack
+        const width = rows.reduce((max, row) => Math.max(max, row.length), header.length);
+        const columns = [];
+        for (let i = 0; i < width; i++) {
+            const base = identifier(header[i] || '', `column_${i + 1}`);
+            let name = base;
+            for (let n = 2; columns.includes(name); n++) name = `${base}_${n}`;
+            columns.push(name);
+        }
+        const types = columnTypes(rows, width);
+
+        return {
+            name: identifier(fileName.replace(/\.[^.]+$/, ''), 'data'),
+            columns,
+            types,
+            rows: rows.map(row => types.map((type, i) => {
+                const value = (row[i] || '').trim();
+                if (value === '') return null;
+                return type === 'TEXT' ? row[i] : Number(value);
+            })),
+        };
+    };
+
+    // --- Errors ---
+
+    // 1-based line and column of `offset` in `sql`
+    const positionAt = (sql, offset) => {
+        const before = sql.slice(0, offset).split('\n');
+        return { line: before.length, column: before[before.length - 1].length + 1 };
+    };
+
+    // Best guess at where an error of the statement starting at `start` is:
+    // the token SQLite quotes in 'near "x": syntax error', or else the start
+    // of the statement itself
+    const errorOffset = (sql, start, message) => {
+        const near = /near "((?:[^"]|"")*)"/.exec(message);
+        if (near) {
+            const at = sql.indexOf(near[1].replace(/""/g, '"'), start);
+            if (at >= 0) return at;
+        }
+        const leading = /^(\s|--[^\n]*\n?|\/\*[\s\S]*?\*\/)*/.exec(sql.slice(start));
+        return Math.min(start + leading[0].length, sql.length);
+    };
+
+    // --- Engine ---
+
+    let enginePromise = null;
+
+    // Loads sql.js and its WebAssembly binary once per page
+    const loadEngine = () => {
+        if (!enginePromise) {
+            enginePromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${SQL_JS_URL}sql-wasm.js`;
+                script.onload = () => initSqlJs({ locateFile: (file) => `${SQL_JS_URL}${file}` }).then(resolve, reject);
+                script.onerror = () => reject(new Error('Could not load the SQLite engine. Check your connection and try again.'));
+                document.head.appendChild(script);
+            }).catch((error) => {
+                enginePromise = null;
+                throw error;
+            });
+        }
+        return enginePromise;
+    };
+
+    // Runs every statement of `sql`. Returns { columns, rows, rowCount } for
+    // the last statement that returned columns (null if none did), the number
+    // of rows changed by the others and the time taken, or { error } with the
+    // message and its position.
+    const runSql = (db, sql) => {
+        const started = performance.now();
+        const iterator = db.iterateStatements(sql);
+        let result = null;
+        let changes = 0;
+        let statements = 0;
+        let start = 0;
+
+        try {
+            for (;;) {
+                start = sql.length - iterator.getRemainingSQL().length;
+                const { value: statement, done } = iterator.next();
+                if (done) break;
+                statements++;
+
+                const columns = statement.getColumnNames();
+                const rows = [];
+                let rowCount = 0;
+                while (statement.step()) {
+                    rowCount++;
+                    if (rows.length < MAX_ROWS) rows.push(statement.get());
+                }
+                if (columns.length > 0) {
+                    result = { columns, rows, rowCount };
+                } else {
+                    changes += db.getRowsModified();
+                }
+            }
+        } catch (error) {
+            const offset = errorOffset(sql, start, error.message);
+            return { error: { message: error.message, offset, ...positionAt(sql, offset) } };
+        }
+
+        return { result, changes, statements, elapsed: performance.now() - started };
+    };
+
+    // An in-memory sample database. Loading a .sqlite file replaces it; every
+    // CSV file adds (or replaces) a table named after the file.
+    const createDatabase = async () => {
+        const SQL = await loadEngine();
+        let db = new SQL.Database();
+
+        const addCsv = (table) => {
+            const columns = table.columns.map((column, i) => `"${column}" ${table.types[i]}`).join(', ');
+            db.run(`DROP TABLE IF EXISTS "${table.name}"`);
+            db.run(`CREATE TABLE "${table.name}" (${columns})`);
+            const insert = db.prepare(`INSERT INTO "${table.name}" VALUES (${table.columns.map(() => '?').join(', ')})`);
+            db.run('BEGIN');
+            try {
+                table.rows.forEach(row => insert.run(row));
+                db.run('COMMIT');
+            } catch (error) {
+                db.run('ROLLBACK');
+                throw error;
+            } finally {
+                insert.free();
+            }
+        };
+
+        return {
+            // Adds `file` (a File from an <input type="file">)
+            load: async (file) => {
+                if (/\.(csv|tsv)$/i.test(file.name)) {
+                    addCsv(csvTable(file.name, await file.text()));
+                    return;
+                }
+                const bytes = new Uint8Array(await file.arrayBuffer());
+                if (new TextDecoder().decode(bytes.slice(0, SQLITE_HEADER.length)) !== SQLITE_HEADER) {
+                    throw new Error(`${file.name} is not a SQLite database or CSV file.`);
+                }
+                db.close();
+                db = new SQL.Database(bytes);
+            },
+            tables: () => {
+                const [tables] = db.exec("SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name");
+                return tables ? tables.values.map(([name]) => name) : [];
+            },
+            run: (sql) => runSql(db, sql),
+        };
+    };
+
+    // --- Run panel ---
+
+    const describeValue = (value) => {
+        if (value === null) return '<span class="text-muted">NULL</span>';
+        if (value instanceof Uint8Array) return `<span class="text-muted">[${value.length} byte blob]</span>`;
+        return escapeHTML(value);
+    };
+
+    const renderResult = ({ result, changes, statements, elapsed }) => {
+        const time = `${Math.round(elapsed)} ms`;
+        if (!result) {
+            const summary = statements === 0 ? 'Nothing to run.' : `${changes} row${changes === 1 ? '' : 's'} changed`;
+            return `<div class="small text-muted">${summary} · ${time}</div>`;
+        }
+        const { columns, rows, rowCount } = result;
+        const shown = rows.length < rowCount ? ` (showing the first ${rows.length})` : '';
+        return `
+            <div class="small text-muted mb-1">${rowCount} row${rowCount === 1 ? '' : 's'}${shown} · ${time}</div>
+            <div class="table-responsive run-results">
+                <table class="table table-sm table-striped table-bordered mb-0">
+                    <thead><tr>${columns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr></thead>
+                    <tbody>${rows.map(row => `<tr>${row.map(value => `<td>${describeValue(value)}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `;
+    };
+
+    const renderError = (sql, { message, line, column }) => {
+        const text = sql.split('\n')[line - 1];
+        return `
+            <div class="alert alert-danger py-2 mb-0">
+                <strong>Line ${line}, column ${column}:</strong> ${escapeHTML(message)}
+                <pre class="run-error-context mb-0 mt-1">${escapeHTML(text)}\n${' '.repeat(column - 1)}^</pre>
+            </div>
+        `;
+    };
+
+    // Builds a Run panel in `container`. Returns { setSql(sql, dialect) } to
+    // change the SQL it shows; the loaded sample database is kept.
+    const createPanel = (container) => {
+        container.innerHTML = `
+            <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                <label class="btn btn-sm btn-outline-secondary mb-0">
+                    <i class="bi bi-database-add"></i> Load .sqlite / CSV
+                    <input type="file" class="d-none run-file-input" accept=".sqlite,.sqlite3,.db,.csv,.tsv" multiple>
+                </label>
+                <span class="small text-muted run-tables">No sample database loaded; queries run against an empty database.</span>
+            </div>
+            <div class="small text-warning mb-1 run-dialect-note d-none"></div>
+            <textarea class="form-control font-monospace run-sql" rows="6" spellcheck="false" aria-label="SQL to run"></textarea>
+            <div class="d-flex flex-wrap align-items-center gap-2 mt-2">
+                <button type="button" class="btn btn-sm btn-success run-button"><i class="bi bi-play-fill"></i> Run</button>
+                <small class="text-muted">Runs in your browser with SQLite (WebAssembly). Your files and results never leave this device.</small>
+            </div>
+            <div class="run-output mt-2"></div>
+        `;
+        const fileInput = container.querySelector('.run-file-input');
+        const tablesInfo = container.querySelector('.run-tables');
+        const dialectNote = container.querySelector('.run-dialect-note');
+        const sqlInput = container.querySelector('.run-sql');
+        const runButton = container.querySelector('.run-button');
+        const output = container.querySelector('.run-output');
+
+        let database = null;
+        const openDatabase = () => {
+            if (!database) {
+                database = createDatabase().catch((error) => {
+                    database = null;
+                    throw error;
+                });
+            }
+            return database;
+        };
+
+        const showError = (message) => {
+            output.innerHTML = `<div class="alert alert-danger py-2 mb-0">${escapeHTML(message)}</div>`;
+        };
+
+        fileInput.addEventListener('change', async () => {
+            try {
+                const db = await openDatabase();
+                for (const file of fileInput.files) await db.load(file);
+                const tables = db.tables();
+                tablesInfo.textContent = tables.length > 0 ? `Tables: ${tables.join(', ')}` : 'The sample database has no tables.';
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                fileInput.value = '';
+            }
+        });
+
+        const run = async () => {
+            const sql = sqlInput.value;
+            runButton.disabled = true;
+            try {
+                const outcome = (await openDatabase()).run(sql);
+                output.innerHTML = outcome.error ? renderError(sql, outcome.error) : renderResult(outcome);
+                if (outcome.error) {
+                    sqlInput.focus();
+                    sqlInput.setSelectionRange(outcome.error.offset, outcome.error.offset);
+                }
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                runButton.disabled = false;
+            }
+        };
+
+        runButton.addEventListener('click', run);
+        sqlInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                run();
+            }
+        });
+
+        return {
+            setSql: (sql, dialect) => {
+                sqlInput.value = sql;
+                output.innerHTML = '';
+                const foreign = dialect && dialect !== 'standard' && dialect !== 'sqlite';
+                dialectNote.classList.toggle('d-none', !foreign);
+                dialectNote.textContent = foreign && typeof SqlHighlight !== 'undefined'
+                    ? `This query is written for ${SqlHighlight.label(dialect)}; the sample database is SQLite, so dialect-specific syntax may fail.`
+                    : '';
+            },
+        };
+    };
+
+    return { MAX_ROWS, parseCsv, csvTable, positionAt, errorOffset, createDatabase, createPanel };
+});
@@ -0,0 +1,120 @@
+// A Cloudflare D1 binding backed by a local SQLite file, for the self-hosted
+// Node server (server.js) and the test suite.
+//
+// Only the part of the D1 client API that the route handlers use is
+// implemented: prepare().bind().first()/all()/run()/raw(), batch() and exec().
+// Results have the same shape as on D1, e.g. run() resolves to
+// { success, results, meta: { changes, last_row_id, ... } }.
+
+const fs = require('fs')
+const path = require('path')
+const Database = require('better-sqlite3')
+
+// Same table that `wrangler d1 migrations apply` maintains, so a database can
+// be moved between both runners
+const MIGRATIONS_TABLE = 'd1_migrations'
+
+// D1 stores booleans as 0/1 and rejects undefined; better-sqlite3 rejects both
+const toSqliteValue = (value) => {
+  if (value === undefined) throw new TypeError('D1_TYPE_ERROR: Type \'undefined\' not supported for value \'undefined\'')
+  if (typeof value === 'boolean') return value ? 1 : 0
+  return value
+}
+
+const execute = (db, sql, params) => {
+  const started = Date.now()
+  const statement = db.prepare(sql)
+  let results = []
+  let info = { changes: 0, lastInsertRowid: 0 }
+  if (statement.reader) {
+    results = statement.all(...params)
+    // Writes with RETURNING report their changes on D1 as well
+    if (!statement.readonly) {
+      const { changes, id } = db.prepare('SELECT changes() AS changes, last_insert_rowid() AS id').get()
+      info = { changes, lastInsertRowid: id }
+    }
+  } else {
+    info = statement.run(...params)
+  }
+  return {
+    success: true,
+    results,
+    meta: {
+      duration: Date.now() - started,
+      changes: info.changes,
+      last_row_id: Number(info.lastInsertRowid),
+      changed_db: info.changes > 0,
+    },
+  }
+}
+
+const createStatement = (db, sql, params = []) => ({
+  sql,
+  params,
+  bind: (...values) => createStatement(db, sql, values.map(toSqliteValue)),
+  first: async (column) => {
+    const row = execute(db, sql, params).results[0]
+    if (!row) return null
+    if (column === undefined) return row
+    if (!(column in row)) throw new Error(`D1_COLUMN_NOTFOUND: Column not found (${column})`)
+    return row[column]
+  },
+  all: async () => execute(db, sql, params),
+  run: async () => execute(db, sql, params),
+  raw: async ({ columnNames = false } = {}) => {
+    const statement = db.prepare(sql)
+    if (!statement.reader) {
+      statement.run(...params)
+      return []
+    }
+    const rows = statement.raw().all(...params)
+    return columnNames ? [statement.columns().map(col => col.name), ...rows] : rows
+  },
+})
+
+// Opens (and creates if needed) the database file; ':memory:' is accepted too
+const openDatabase = (filename) => {
+  if (filename !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true })
+  const db = new Database(filename)
+  db.pragma('journal_mode = WAL')
+  db.pragma('foreign_keys = ON')
+
+  return {
+    prepare: (sql) => createStatement(db, sql),
+    // Like D1, a batch runs in one transaction and is rolled back on error
+    batch: async (statements) => db.transaction(() => statements.map(s => execute(db, s.sql, s.params)))(),
+    exec: async (sql) => {
+      const started = Date.now()
+      db.exec(sql)
+      return { count: sql.split(';').filter(s => s.trim()).length, duration: Date.now() - started }
+    },
+    close: () => db.close(),
+    sqlite: db,
+  }
+}
+
+// Applies the migrations in `dir` that are not recorded yet, each in its own
+// transaction and in file name order. Returns the names of the applied files.
+const migrate = (database, dir) => {
+  const db = database.sqlite
+  db.exec(`CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+  )`)
+
+  const applied = new Set(db.prepare(`SELECT name FROM ${MIGRATIONS_TABLE}`).pluck().all())
+  const pending = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.sql') && !applied.has(file))
+    .sort()
+
+  for (const file of pending) {
+    db.transaction(() => {
+      db.exec(fs.readFileSync(path.join(dir, file), 'utf8'))
+      db.prepare(`INSERT INTO ${MIGRATIONS_TABLE} (name) VALUES (?)`).run(file)
+    })()
+  }
+  return pending
+}
+
+module.exports = { openDatabase, migrate }
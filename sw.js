@@ -0,0 +1,91 @@
+// Service worker of the dashboard. It keeps the app shell (the page, its
+// scripts and styles, and the CDN libraries) in a cache so the dashboard opens
+// without a connection. API requests are not cached here: app.js keeps its own
+// offline copy of the library in IndexedDB (offline-store.js).
+//
+// Bump CACHE_NAME when the list of shell files changes.
+const CACHE_NAME = 'querystore-shell-v2';
+
+const SHELL_FILES = [
+    '/',
+    '/styles.css',
+    '/app.js',
+    '/offline-store.js',
+    '/query-merge.js',
+    '/sql-params.js',
+    '/validation.js',
+    '/sql-format.js',
+    '/sql-highlight.js',
+    '/sql-runner.js',
+];
+
+// Versioned CDN files never change, so they are served from the cache first.
+// Files they load themselves (such as the icon font) are cached on first use.
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.min.css',
+    'https://unpkg.com/@highlightjs/cdn-assets@11.9.0/styles/atom-one-dark.min.css',
+    'https://unpkg.com/@highlightjs/cdn-assets@11.9.0/highlight.min.js',
+    'https://unpkg.com/@highlightjs/cdn-assets@11.9.0/languages/pgsql.min.js',
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'unpkg.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll([...SHELL_FILES, ...CDN_FILES]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Old shell caches are dropped once this version takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so a new deployment is picked up as soon as it is online
+const networkFirst = async (request, cacheKey) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(cacheKey, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) return;
+        // The dashboard is served at / (Cloudflare Pages redirects index.html there)
+        if (request.mode === 'navigate' && (url.pathname === '/' || url.pathname === '/index.html')) {
+            event.respondWith(networkFirst(request, '/'));
+        } else if (SHELL_FILES.includes(url.pathname)) {
+            event.respondWith(networkFirst(request, url.pathname));
+        }
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,218 @@
+// Request validation shared by the API and the UI. Loaded as a plain <script>
+// by the dashboard and auth page (window.Validation) and imported by the API in
+// functions/api, so both sides enforce the same limits and policies.
+//
+// A schema maps field names to rules. validate(schema, data) returns
+// { value, fields }: `value` holds the cleaned fields, `fields` maps each
+// invalid field to a message and is null when everything is valid.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Validation = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const LIMITS = {
+        usernameMin: 3,
+        usernameMax: 32,
+        passwordMin: 8,
+        passwordMax: 72, // bcrypt ignores everything after 72 bytes
+        title: 200,
+        text: 100000,
+        tags: 20,
+        tag: 40,
+        params: 50,
+        paramValue: 1000,
+        workspaceName: 100,
+        folderName: 100,
+        bulkIds: 100,
+        tokenName: 100,
+        sharePasswordMin: 4,
+        importSize: 5 * 1024 * 1024,
+    };
+
+    const USERNAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+    const byteLength = (value) => new TextEncoder().encode(value).length;
+
+    // Blank strings count as missing
+    const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+    // Every rule is (value) => { value } or { error }. Missing values are
+    // handled here so the individual rules only see present ones.
+    const rule = (check, { label, required = true, nullable = false, defaultValue } = {}) => (value) => {
+        if (isMissing(value)) {
+            if (value === null && nullable) return { value: null };
+            if (defaultValue !== undefined) return { value: defaultValue };
+            if (required) return { error: `${label} is required.` };
+            return { value: nullable && value !== undefined ? null : undefined };
+        }
+        return check(value, label);
+    };
+
+    const string = ({ min = 0, max, trim = true, pattern, patternMessage, ...options } = {}) => rule((value, label) => {
+        if (typeof value !== 'string') return { error: `${label} must be text.` };
+        const text = trim ? value.trim() : value;
+        if (text.length < min) return { error: `${label} must be at least ${min} characters long.` };
+        if (max !== undefined && text.length > max) return { error: `${label} must be at most ${max} characters long.` };
+        if (pattern && !pattern.test(text)) return { error: patternMessage || `${label} has an invalid format.` };
+        return { value: text };
+    }, options);
+
+    // Accepts numbers and numeric strings, as query string values are text
+    const integer = ({ min, max, ...options } = {}) => rule((value, label) => {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+        if (!Number.isInteger(number)) return { error: `${label} must be a whole number.` };
+        if (min !== undefined && number < min) return { error: `${label} must be at least ${min}.` };
+        if (max !== undefined && number > max) return { error: `${label} must be at most ${max}.` };
+        return { value: number };
+    }, options);
+
+    const boolean = (options = {}) => rule((value, label) => {
+        if (typeof value !== 'boolean') return { error: `${label} must be true or false.` };
+        return { value };
+    }, options);
+
+    const oneOf = (values, options = {}) => rule((value, label) => {
+        if (!values.includes(value)) return { error: `${label} must be one of: ${values.join(', ')}.` };
+        return { value };
+    }, options);
+
+    // ISO date string, returned as a Date
+    const dateTime = ({ future = false, ...options } = {}) => rule((value, label) => {
+        const date = typeof value === 'string' ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return { error: `${label} must be a valid date.` };
+        if (future && date <= new Date()) return { error: `${label} must be in the future.` };
+        return { value: date };
+    }, options);
+
+    // Array of tags, trimmed, lower-cased and without duplicates. Like tag(),
+    // no entry may contain a comma.
+    const tags = (options = {}) => rule((value, label) => {
+        if (!Array.isArray(value)) return { error: `${label} must be a list.` };
+        if (value.some(tag => typeof tag !== 'string')) return { error: `${label} must be text.` };
+        const cleaned = [...new Set(value.map(tag => tag.trim().toLowerCase()).filter(tag => tag))];
+        if (cleaned.length > LIMITS.tags) return { error: `At most ${LIMITS.tags} tags are allowed.` };
+        const tooLong = cleaned.find(tag => tag.length > LIMITS.tag);
+        if (tooLong) return { error: `Tag "${tooLong.slice(0, 20)}…" is longer than ${LIMITS.tag} characters.` };
+        const withComma = cleaned.find(tag => tag.includes(','));
+        if (withComma) return { error: `Tag "${withComma}" may not contain commas.` };
+        return { value: cleaned };
+    }, { label: 'Tags', required: false, defaultValue: [], ...options });
+
+    // A single tag, cleaned like the entries of tags(). Commas would split it
+    // when tags are stored or entered as a comma-separated list.
+    const tag = (options = {}) => rule((value, label) => {
+        if (typeof value !== 'string') return { error: `${label} must be text.` };
+        const cleaned = value.trim().toLowerCase();
+        if (cleaned.includes(',')) return { error: `${label} may not contain commas.` };
+        if (cleaned.length > LIMITS.tag) return { error: `${label} must be at most ${LIMITS.tag} characters long.` };
+        return { value: cleaned };
+    }, { label: 'Tag', ...options });
+
+    // Non-empty list of entries from `values`, returned in the order of `values`
+    const subsetOf = (values, options = {}) => rule((value, label) => {
+        if (!Array.isArray(value) || value.length === 0) return { error: `${label} must be a non-empty list.` };
+        if (value.some(entry => !values.includes(entry))) return { error: `${label} must be chosen from: ${values.join(', ')}.` };
+        return { value: values.filter(entry => value.includes(entry)) };
+    }, options);
+
+    // Non-empty list of row ids, without duplicates
+    const ids = (options = {}) => rule((value, label) => {
+        if (!Array.isArray(value) || value.length === 0) return { error: `${label} must be a non-empty list.` };
+        if (!value.every(id => Number.isInteger(id) && id > 0)) return { error: `${label} must be a list of ids.` };
+        const unique = [...new Set(value)];
+        if (unique.length > LIMITS.bulkIds) return { error: `At most ${LIMITS.bulkIds} items can be changed at once.` };
+        return { value: unique };
+    }, { label: 'Ids', ...options });
+
+    // Declared placeholder metadata; see SqlParams.normalize for how it is merged
+    const params = (options = {}) => rule((value, label) => {
+        if (!Array.isArray(value)) return { error: `${label} must be a list.` };
+        if (value.length > LIMITS.params) return { error: `At most ${LIMITS.params} parameters are allowed.` };
+        for (const p of value) {
+            if (!p || typeof p !== 'object' || typeof p.name !== 'string') {
+                return { error: 'Every parameter needs a name.' };
+            }
+            for (const key of ['type', 'default', 'description']) {
+                if (p[key] !== undefined && typeof p[key] !== 'string') {
+                    return { error: `Parameter ${p.name}: ${key} must be text.` };
+                }
+                if (typeof p[key] === 'string' && p[key].length > LIMITS.paramValue) {
+                    return { error: `Parameter ${p.name}: ${key} must be at most ${LIMITS.paramValue} characters long.` };
+                }
+            }
+        }
+        return { value };
+    }, { label: 'Parameters', required: false, defaultValue: [], ...options });
+
+    // --- Field policies ---
+
+    const username = () => string({
+        label: 'Username',
+        min: LIMITS.usernameMin,
+        max: LIMITS.usernameMax,
+        pattern: USERNAME_PATTERN,
+        patternMessage: 'Username may only contain letters, numbers, dots, dashes and underscores.',
+    });
+
+    const password = (label = 'Password') => rule((value) => {
+        if (typeof value !== 'string') return { error: `${label} must be text.` };
+        if (value.length < LIMITS.passwordMin) return { error: `${label} must be at least ${LIMITS.passwordMin} characters long.` };
+        if (byteLength(value) > LIMITS.passwordMax) return { error: `${label} must be at most ${LIMITS.passwordMax} characters long.` };
+        if (!/[A-Za-z]/.test(value) || !/\d/.test(value)) return { error: `${label} must contain at least one letter and one number.` };
+        return { value };
+    }, { label });
+
+    const title = () => string({ label: 'Title', max: LIMITS.title });
+
+    // Stored as written; blank text still counts as missing (see rule)
+    const sqlText = () => string({ label: 'SQL query', max: LIMITS.text, trim: false });
+
+    // Slashes separate the folders of a path such as billing/reports/monthly
+    const folderName = () => string({
+        label: 'Folder name',
+        max: LIMITS.folderName,
+        pattern: /^[^/]+$/,
+        patternMessage: 'Folder name may not contain "/".',
+    });
+
+    // --- Validation ---
+
+    const validate = (schema, data) => {
+        const input = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        const value = {};
+        const fields = {};
+        for (const [name, check] of Object.entries(schema)) {
+            const result = check(input[name]);
+            if (result.error) {
+                fields[name] = result.error;
+            } else if (result.value !== undefined) {
+                value[name] = result.value;
+            }
+        }
+        return { value, fields: Object.keys(fields).length > 0 ? fields : null };
+    };
+
+    return {
+        LIMITS,
+        validate,
+        string,
+        integer,
+        boolean,
+        oneOf,
+        subsetOf,
+        dateTime,
+        tags,
+        tag,
+        ids,
+        params,
+        username,
+        password,
+        title,
+        sqlText,
+        folderName,
+    };
+});